@@ -0,0 +1,61 @@
+/**
+ * Stand-in for a network kitchen printer, for trying KOT printing
+ * without hardware. Listens like a real printer (raw TCP, port 9100 by
+ * default), saves every job's bytes to print-captures/ and shows its
+ * text with the ESC/POS commands stripped.
+ *
+ *   npm run printer:standin            # port 9100
+ *   npm run printer:standin -- 9101    # another station on 9101
+ *
+ * Add it on /admin/printers with host 127.0.0.1 and the same port.
+ * Pass --offline to refuse jobs, to watch the print queue retry.
+ */
+
+import net from "net";
+import fs from "fs";
+import path from "path";
+
+const args = process.argv.slice(2);
+const port = Number(args.find((arg) => /^\d+$/.test(arg)) || 9100);
+const offline = args.includes("--offline");
+const captureDir = path.join(process.cwd(), "print-captures");
+
+/** Printable text of an ESC/POS job (commands and their arguments removed) */
+function toText(bytes) {
+  let text = "";
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte === 0x1b) {
+      i += bytes[i + 1] === 0x40 ? 1 : 2; // ESC @ | ESC a/E/d n
+    } else if (byte === 0x1d) {
+      i += bytes[i + 1] === 0x56 ? 3 : 2; // GS V m n | GS ! n
+    } else if (byte === 0x0a || (byte >= 0x20 && byte < 0x7f)) {
+      text += String.fromCharCode(byte);
+    }
+  }
+  return text;
+}
+
+const server = net.createServer((socket) => {
+  if (offline) {
+    socket.destroy();
+    console.log("Refused a job (--offline)");
+    return;
+  }
+
+  const chunks = [];
+  socket.on("data", (chunk) => chunks.push(chunk));
+  socket.on("end", () => {
+    const bytes = Buffer.concat(chunks);
+    fs.mkdirSync(captureDir, { recursive: true });
+    const file = path.join(captureDir, `${port}-${Date.now()}.bin`);
+    fs.writeFileSync(file, bytes);
+
+    console.log(`\n==== ${bytes.length} bytes -> ${path.relative(process.cwd(), file)} ====`);
+    console.log(toText(bytes));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Printer stand-in listening on port ${port}${offline ? " (offline)" : ""}`);
+});
@@ -0,0 +1,297 @@
+// Combo form shared by the add and edit combo pages
+"use client";
+import React, { useState } from "react";
+import { ORDER_TYPES } from "@/src/lib/constants";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_OPTION = { foodId: "", variantId: "", surcharge: 0 };
+
+const EMPTY_SLOT = { name: "", options: [EMPTY_OPTION] };
+
+const EMPTY_COMBO = {
+  name: "",
+  description: "",
+  imageUrl: "",
+  foodType: "",
+  price: 1,
+  isAvailable: true,
+  slots: [
+    { ...EMPTY_SLOT, name: "Starter" },
+    { ...EMPTY_SLOT, name: "Main" },
+    { ...EMPTY_SLOT, name: "Drink" },
+  ],
+};
+
+function ComboForm({
+  initialCombo = null,
+  foods = [],
+  submitLabel,
+  submittingLabel,
+  onSubmit,
+  onCancel,
+}) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_COMBO, ...initialCombo }));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateSlot = (slotIndex, field, value) => {
+    setField(
+      "slots",
+      values.slots.map((slot, i) => (i === slotIndex ? { ...slot, [field]: value } : slot))
+    );
+  };
+
+  const updateOption = (slotIndex, optionIndex, changes) => {
+    updateSlot(
+      slotIndex,
+      "options",
+      values.slots[slotIndex].options.map((option, i) =>
+        i === optionIndex ? { ...option, ...changes } : option
+      )
+    );
+  };
+
+  /** Select value "<foodId>|<variantId>" → option fields */
+  const pickDish = (slotIndex, optionIndex, value) => {
+    const [foodId = "", variantId = ""] = value.split("|");
+    updateOption(slotIndex, optionIndex, { foodId, variantId });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+    setLoading(true);
+
+    const result = await onSubmit(values);
+
+    if (!result?.success) {
+      setFieldErrors(result?.errors || {});
+      setError(
+        result?.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save combo. Please try again."
+      );
+    }
+    setLoading(false);
+  };
+
+  const renderFieldError = (field) =>
+    fieldErrors[field]?.length ? (
+      <small style={{ color: "#e74c3c" }}>{fieldErrors[field][0]}</small>
+    ) : null;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {error && (
+        <div className={styles.errorMessage}>
+          <span>❌</span> {error}
+        </div>
+      )}
+
+      {/* Name & Availability Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Combo Name *</label>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="e.g. Lunch Combo"
+            value={values.name}
+            onChange={(e) => setField("name", e.target.value)}
+            required
+          />
+          {renderFieldError("name")}
+        </div>
+        <div className={styles.formGroup}>
+          <div className={styles.toggleContainer}>
+            <span className={styles.toggleLabel}>Availability</span>
+            <label className={styles.toggleSwitch}>
+              <input
+                type="checkbox"
+                checked={values.isAvailable}
+                onChange={(e) => setField("isAvailable", e.target.checked)}
+              />
+              <span className={styles.toggleSlider}></span>
+            </label>
+            <span className={`${styles.toggleStatus} ${values.isAvailable ? styles.active : ""}`}>
+              {values.isAvailable ? "Available" : "Not Available"}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {/* Description & Image Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Description</label>
+          <textarea
+            className={styles.formTextarea}
+            placeholder="What the combo includes"
+            value={values.description}
+            onChange={(e) => setField("description", e.target.value)}
+          />
+          {renderFieldError("description")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Image URL</label>
+          <input
+            type="url"
+            className={styles.formInput}
+            value={values.imageUrl}
+            onChange={(e) => setField("imageUrl", e.target.value)}
+            placeholder="https://example.com/image.jpg"
+          />
+          {renderFieldError("imageUrl")}
+        </div>
+      </div>
+
+      {/* Type & Price Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Food Type *</label>
+          <select
+            className={styles.formSelect}
+            value={values.foodType}
+            onChange={(e) => setField("foodType", e.target.value)}
+            required
+          >
+            <option value="">Select Food Type</option>
+            {ORDER_TYPES.map((t) => (
+              <option key={t} value={t}>{t}</option>
+            ))}
+          </select>
+          {renderFieldError("foodType")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Bundle Price (₹) *</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="1"
+            value={values.price}
+            onChange={(e) => setField("price", Number(e.target.value))}
+            required
+          />
+          {renderFieldError("price")}
+        </div>
+      </div>
+
+      {/* Slots Section */}
+      <div className={styles.variantsSection}>
+        <div className={styles.variantsHeader}>
+          <label className={styles.variantsLabel}>Slots *</label>
+          <button
+            type="button"
+            onClick={() => setField("slots", [...values.slots, EMPTY_SLOT])}
+            className={styles.addVariantBtn}
+          >
+            <span>+</span> Add Slot
+          </button>
+        </div>
+        <small>Diners pick one dish per slot. A surcharge is added on top of the bundle price.</small>
+
+        {values.slots.map((slot, slotIndex) => (
+          <div key={slot._id || slotIndex} className={styles.modifierGroup}>
+            <div className={styles.variantRow}>
+              <input
+                type="text"
+                className={styles.variantInput}
+                value={slot.name}
+                onChange={(e) => updateSlot(slotIndex, "name", e.target.value)}
+                placeholder="Slot name (e.g., Starter, Main, Drink)"
+                required
+              />
+              {values.slots.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    setField("slots", values.slots.filter((_, i) => i !== slotIndex))
+                  }
+                  className={styles.removeVariantBtn}
+                  title="Remove slot"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+
+            {slot.options.map((option, optionIndex) => (
+              <div key={option._id || optionIndex} className={styles.modifierOption}>
+                <select
+                  className={styles.formSelect}
+                  value={option.foodId ? `${option.foodId}|${option.variantId}` : ""}
+                  onChange={(e) => pickDish(slotIndex, optionIndex, e.target.value)}
+                  required
+                >
+                  <option value="">Choose a dish...</option>
+                  {foods.map((food) =>
+                    food.variants.map((variant) => (
+                      <option key={variant._id} value={`${food._id}|${variant._id}`}>
+                        {food.name}
+                        {food.variants.length > 1 && ` (${variant.label})`} · {food.category}
+                      </option>
+                    ))
+                  )}
+                </select>
+                <div className={styles.priceWrapper}>
+                  <span className={styles.priceSymbol}>+₹</span>
+                  <input
+                    type="number"
+                    className={styles.priceInput}
+                    value={option.surcharge}
+                    onChange={(e) =>
+                      updateOption(slotIndex, optionIndex, { surcharge: Number(e.target.value) })
+                    }
+                    min="0"
+                  />
+                </div>
+                {slot.options.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateSlot(
+                        slotIndex,
+                        "options",
+                        slot.options.filter((_, i) => i !== optionIndex)
+                      )
+                    }
+                    className={styles.removeVariantBtn}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => updateSlot(slotIndex, "options", [...slot.options, EMPTY_OPTION])}
+              className={styles.addOptionBtn}
+            >
+              + Add Dish
+            </button>
+          </div>
+        ))}
+        {renderFieldError("slots")}
+      </div>
+
+      {/* Form Actions */}
+      <div className={styles.formActions}>
+        <button type="submit" className={styles.submitBtn} disabled={loading}>
+          {loading ? submittingLabel : submitLabel}
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ComboForm;
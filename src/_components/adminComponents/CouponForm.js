@@ -0,0 +1,298 @@
+// Coupon form shared by the add and edit coupon pages
+"use client";
+import React, { useState } from "react";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_COUPON = {
+  code: "",
+  description: "",
+  type: "percent",
+  value: "",
+  minOrder: "",
+  maxDiscount: "",
+  validFrom: "",
+  validUntil: "",
+  usageLimit: "",
+  perCustomerLimit: "",
+  firstOrderOnly: false,
+  isActive: true,
+};
+
+/**
+ * Converts an ISO date to a local YYYY-MM-DD value for <input type="date">
+ * @param {string|null} iso - ISO date string
+ * @returns {string} Date input value
+ */
+const toDateInput = (iso) => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Converts a date input value to an ISO string in the browser's timezone
+ * @param {string} value - YYYY-MM-DD
+ * @param {boolean} endOfDay - Use the last millisecond of the day
+ * @returns {string} ISO string or "" when empty
+ */
+const fromDateInput = (value, endOfDay) => {
+  if (!value) return "";
+  return new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).toISOString();
+};
+
+/**
+ * Builds form state from a saved coupon
+ * @param {Object|null} coupon - Coupon from getCouponByIdAction
+ * @returns {Object} Form values
+ */
+const toFormValues = (coupon) => {
+  if (!coupon) return EMPTY_COUPON;
+  return {
+    ...EMPTY_COUPON,
+    ...coupon,
+    maxDiscount: coupon.maxDiscount ?? "",
+    usageLimit: coupon.usageLimit ?? "",
+    perCustomerLimit: coupon.perCustomerLimit ?? "",
+    validFrom: toDateInput(coupon.validFrom),
+    validUntil: toDateInput(coupon.validUntil),
+  };
+};
+
+function CouponForm({ initialCoupon = null, submitLabel, submittingLabel, onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => toFormValues(initialCoupon));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+    setLoading(true);
+
+    const result = await onSubmit({
+      ...values,
+      validFrom: fromDateInput(values.validFrom, false),
+      validUntil: fromDateInput(values.validUntil, true),
+    });
+
+    if (!result?.success) {
+      setFieldErrors(result?.errors || {});
+      setError(
+        result?.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save coupon. Please try again."
+      );
+    }
+    setLoading(false);
+  };
+
+  const renderFieldError = (field) =>
+    fieldErrors[field]?.length ? (
+      <small style={{ color: "#e74c3c" }}>{fieldErrors[field][0]}</small>
+    ) : null;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {error && (
+        <div className={styles.errorMessage}>
+          <span>❌</span> {error}
+        </div>
+      )}
+
+      {/* Code & Status Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Coupon Code *</label>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="e.g. SAVE10"
+            value={values.code}
+            onChange={(e) => setField("code", e.target.value.toUpperCase())}
+            required
+          />
+          {renderFieldError("code")}
+        </div>
+        <div className={styles.formGroup}>
+          <div className={styles.toggleContainer}>
+            <span className={styles.toggleLabel}>Active</span>
+            <label className={styles.toggleSwitch}>
+              <input
+                type="checkbox"
+                checked={values.isActive}
+                onChange={(e) => setField("isActive", e.target.checked)}
+              />
+              <span className={styles.toggleSlider}></span>
+            </label>
+            <span className={`${styles.toggleStatus} ${values.isActive ? styles.active : ""}`}>
+              {values.isActive ? "Active" : "Paused"}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {/* Description */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Description</label>
+          <textarea
+            className={styles.formTextarea}
+            placeholder="Shown to staff only, e.g. Diwali weekend offer"
+            value={values.description}
+            onChange={(e) => setField("description", e.target.value)}
+          />
+          {renderFieldError("description")}
+        </div>
+      </div>
+
+      {/* Discount Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Discount Type *</label>
+          <select
+            className={styles.formSelect}
+            value={values.type}
+            onChange={(e) => setField("type", e.target.value)}
+            required
+          >
+            <option value="percent">Percentage (%)</option>
+            <option value="flat">Flat Amount (₹)</option>
+          </select>
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>
+            {values.type === "percent" ? "Discount (%) *" : "Discount (₹) *"}
+          </label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="1"
+            max={values.type === "percent" ? 100 : undefined}
+            value={values.value}
+            onChange={(e) => setField("value", e.target.value)}
+            required
+          />
+          {renderFieldError("value")}
+        </div>
+      </div>
+
+      {/* Order Limits Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Minimum Order (₹)</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="0"
+            placeholder="0"
+            value={values.minOrder}
+            onChange={(e) => setField("minOrder", e.target.value)}
+          />
+          {renderFieldError("minOrder")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Maximum Discount (₹)</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="0"
+            placeholder="No cap"
+            value={values.maxDiscount}
+            onChange={(e) => setField("maxDiscount", e.target.value)}
+          />
+          {renderFieldError("maxDiscount")}
+        </div>
+      </div>
+
+      {/* Validity Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Valid From</label>
+          <input
+            type="date"
+            className={styles.formInput}
+            value={values.validFrom}
+            onChange={(e) => setField("validFrom", e.target.value)}
+          />
+          {renderFieldError("validFrom")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Valid Until</label>
+          <input
+            type="date"
+            className={styles.formInput}
+            value={values.validUntil}
+            onChange={(e) => setField("validUntil", e.target.value)}
+          />
+          {renderFieldError("validUntil")}
+        </div>
+      </div>
+
+      {/* Usage Limits Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Total Uses Allowed</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="1"
+            placeholder="Unlimited"
+            value={values.usageLimit}
+            onChange={(e) => setField("usageLimit", e.target.value)}
+          />
+          {renderFieldError("usageLimit")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Uses Per Customer</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="1"
+            placeholder="Unlimited"
+            value={values.perCustomerLimit}
+            onChange={(e) => setField("perCustomerLimit", e.target.value)}
+          />
+          {renderFieldError("perCustomerLimit")}
+        </div>
+      </div>
+
+      {/* First Order Toggle */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <div className={styles.toggleContainer}>
+            <span className={styles.toggleLabel}>First Order Only</span>
+            <label className={styles.toggleSwitch}>
+              <input
+                type="checkbox"
+                checked={values.firstOrderOnly}
+                onChange={(e) => setField("firstOrderOnly", e.target.checked)}
+              />
+              <span className={styles.toggleSlider}></span>
+            </label>
+            <span className={`${styles.toggleStatus} ${values.firstOrderOnly ? styles.active : ""}`}>
+              {values.firstOrderOnly ? "New customers only" : "All customers"}
+            </span>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Actions */}
+      <div className={styles.formActions}>
+        <button type="submit" className={styles.submitBtn} disabled={loading}>
+          {loading ? submittingLabel : submitLabel}
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CouponForm;
@@ -11,9 +11,9 @@ function Header2() {
   const router = useRouter();
   const { restaurantId, clearAdminSession } = useAdminSession();
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
     if (confirm("Are you sure you want to logout?")) {
-      clearAdminSession();
+      await clearAdminSession();
       router.push("/admin/auth");
     }
   };
@@ -34,6 +34,9 @@ function Header2() {
               <li className={isActive('/admin/orders') ? 'active' : ''}>
                 <Link href="/admin/orders">Orders</Link>
               </li>
+              <li className={isActive('/admin/kitchen') ? 'active' : ''}>
+                <Link href="/admin/kitchen"><i className="notika-icon notika-alarm" /> Kitchen</Link>
+              </li>
               <li className={isActive('/admin/menu') ? 'active' : ''}>
                 <Link href="/admin/menu"><i className="notika-icon notika-menus" /> Menu</Link>
               </li>
@@ -43,6 +46,21 @@ function Header2() {
               <li className={isActive('/admin/history') ? 'active' : ''}>
                 <Link href="/admin/history"><i className="notika-icon notika-time" /> History</Link>
               </li>
+              <li className={isActive('/admin/tables') ? 'active' : ''}>
+                <Link href="/admin/tables"><i className="notika-icon notika-windows" /> Tables</Link>
+              </li>
+              <li className={isActive('/admin/combos') ? 'active' : ''}>
+                <Link href="/admin/combos"><i className="notika-icon notika-menus" /> Combos</Link>
+              </li>
+              <li className={isActive('/admin/inventory') ? 'active' : ''}>
+                <Link href="/admin/inventory"><i className="notika-icon notika-bar-chart" /> Inventory</Link>
+              </li>
+              <li className={isActive('/admin/coupons') ? 'active' : ''}>
+                <Link href="/admin/coupons"><i className="notika-icon notika-star" /> Coupons</Link>
+              </li>
+              <li className={isActive('/admin/settings') ? 'active' : ''}>
+                <Link href="/admin/settings"><i className="notika-icon notika-settings" /> Settings</Link>
+              </li>
               {restaurantId ? (
                 <li>
                   <a href="#" onClick={(e) => { e.preventDefault(); handleLogout(); }} className={styles.logoutBtn}>
@@ -15,8 +15,8 @@ function Header3() {
     setShowLogoutModal(true);
   };
 
-  const confirmLogout = () => {
-    clearAdminSession();
+  const confirmLogout = async () => {
+    await clearAdminSession();
     setShowLogoutModal(false);
     router.push("/admin/auth");
   };
@@ -41,6 +41,9 @@ function Header3() {
           <li className={isActive('/admin/orders') ? 'active' : ''}>
             <Link href="/admin/orders"><i className="notika-icon notika-checked" /> Orders</Link>
           </li>
+          <li className={isActive('/admin/kitchen') ? 'active' : ''}>
+            <Link href="/admin/kitchen"><i className="notika-icon notika-alarm" /> Kitchen</Link>
+          </li>
           <li className={isActive('/admin/menu') && !pathname.includes('addItem') ? 'active' : ''}>
             <Link href="/admin/menu"><i className="notika-icon notika-menus" /> Menu</Link>
           </li>
@@ -50,6 +53,24 @@ function Header3() {
           <li className={isActive('/admin/history') ? 'active' : ''}>
             <Link href="/admin/history"><i className="notika-icon notika-next" /> History</Link>
           </li>
+          <li className={isActive('/admin/tables') ? 'active' : ''}>
+            <Link href="/admin/tables"><i className="notika-icon notika-windows" /> Tables</Link>
+          </li>
+          <li className={isActive('/admin/printers') ? 'active' : ''}>
+            <Link href="/admin/printers"><i className="notika-icon notika-print" /> Printers</Link>
+          </li>
+          <li className={isActive('/admin/combos') ? 'active' : ''}>
+            <Link href="/admin/combos"><i className="notika-icon notika-menus" /> Combos</Link>
+          </li>
+          <li className={isActive('/admin/inventory') ? 'active' : ''}>
+            <Link href="/admin/inventory"><i className="notika-icon notika-bar-chart" /> Inventory</Link>
+          </li>
+          <li className={isActive('/admin/coupons') ? 'active' : ''}>
+            <Link href="/admin/coupons"><i className="notika-icon notika-star" /> Coupons</Link>
+          </li>
+          <li className={isActive('/admin/settings') ? 'active' : ''}>
+            <Link href="/admin/settings"><i className="notika-icon notika-settings" /> Settings</Link>
+          </li>
           {restaurantId ? (
             <>
               <li style={{ marginLeft: 'auto' }}>
@@ -0,0 +1,148 @@
+// Modifier groups (add-ons / choices) editor used by the add and edit item pages
+"use client";
+import React from "react";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_OPTION = { label: "", price: 0, isAvailable: true };
+
+const EMPTY_GROUP = { name: "", minSelect: 0, maxSelect: 1, options: [EMPTY_OPTION] };
+
+function ModifierGroupsEditor({ groups, onChange }) {
+  const updateGroup = (groupIndex, field, value) => {
+    onChange(groups.map((g, i) => (i === groupIndex ? { ...g, [field]: value } : g)));
+  };
+
+  const updateOption = (groupIndex, optionIndex, field, value) => {
+    updateGroup(
+      groupIndex,
+      "options",
+      groups[groupIndex].options.map((o, i) => (i === optionIndex ? { ...o, [field]: value } : o))
+    );
+  };
+
+  const addOption = (groupIndex) => {
+    updateGroup(groupIndex, "options", [...groups[groupIndex].options, EMPTY_OPTION]);
+  };
+
+  const removeOption = (groupIndex, optionIndex) => {
+    updateGroup(
+      groupIndex,
+      "options",
+      groups[groupIndex].options.filter((_, i) => i !== optionIndex)
+    );
+  };
+
+  return (
+    <div className={styles.variantsSection}>
+      <div className={styles.variantsHeader}>
+        <label className={styles.variantsLabel}>Add-Ons & Choices</label>
+        <button
+          type="button"
+          onClick={() => onChange([...groups, EMPTY_GROUP])}
+          className={styles.addVariantBtn}
+        >
+          <span>+</span> Add Group
+        </button>
+      </div>
+
+      {groups.map((group, groupIndex) => (
+        <div key={group._id || groupIndex} className={styles.modifierGroup}>
+          <div className={styles.variantRow}>
+            <input
+              type="text"
+              className={styles.variantInput}
+              value={group.name}
+              onChange={(e) => updateGroup(groupIndex, "name", e.target.value)}
+              placeholder="Group name (e.g., Extra Toppings, Choose a Side)"
+              required
+            />
+            <label className={styles.selectLimit}>
+              Min
+              <input
+                type="number"
+                min="0"
+                value={group.minSelect}
+                onChange={(e) => updateGroup(groupIndex, "minSelect", Number(e.target.value))}
+              />
+            </label>
+            <label className={styles.selectLimit}>
+              Max
+              <input
+                type="number"
+                min="1"
+                value={group.maxSelect}
+                onChange={(e) => updateGroup(groupIndex, "maxSelect", Number(e.target.value))}
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() => onChange(groups.filter((_, i) => i !== groupIndex))}
+              className={styles.removeVariantBtn}
+              title="Remove group"
+            >
+              ✕
+            </button>
+          </div>
+
+          {group.options.map((option, optionIndex) => (
+            <div key={option._id || optionIndex} className={styles.modifierOption}>
+              <input
+                type="text"
+                className={styles.variantInput}
+                value={option.label}
+                onChange={(e) => updateOption(groupIndex, optionIndex, "label", e.target.value)}
+                placeholder="Option (e.g., Extra Cheese)"
+                required
+              />
+              <div className={styles.priceWrapper}>
+                <span className={styles.priceSymbol}>+₹</span>
+                <input
+                  type="number"
+                  className={styles.priceInput}
+                  value={option.price}
+                  onChange={(e) =>
+                    updateOption(groupIndex, optionIndex, "price", Number(e.target.value))
+                  }
+                  min="0"
+                />
+              </div>
+              <label className={styles.selectLimit}>
+                <input
+                  type="checkbox"
+                  checked={option.isAvailable !== false}
+                  onChange={(e) =>
+                    updateOption(groupIndex, optionIndex, "isAvailable", e.target.checked)
+                  }
+                />
+                Available
+              </label>
+              {group.options.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeOption(groupIndex, optionIndex)}
+                  className={styles.removeVariantBtn}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => addOption(groupIndex)}
+            className={styles.addOptionBtn}
+          >
+            + Add Option
+          </button>
+        </div>
+      ))}
+
+      {groups.length === 0 && (
+        <small>No add-ons. Add a group for extras (+₹ each) or choices like sides.</small>
+      )}
+    </div>
+  );
+}
+
+export default ModifierGroupsEditor;
@@ -0,0 +1,218 @@
+// Kitchen printer form shared by the add and edit printer pages
+"use client";
+import React, { useState } from "react";
+import { PRINTER_PAPER_WIDTHS, PRINT_QUEUE_CONFIG } from "@/src/lib/constants";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_PRINTER = {
+  name: "",
+  host: "",
+  port: PRINT_QUEUE_CONFIG.DEFAULT_PORT,
+  paperWidth: "80mm",
+  stationId: "",
+  categories: [],
+  isActive: true,
+};
+
+function PrinterForm({
+  initialPrinter = null,
+  stations = [],
+  menuCategories = [],
+  submitLabel,
+  submittingLabel,
+  onSubmit,
+  onCancel,
+}) {
+  const [values, setValues] = useState(() => ({
+    ...EMPTY_PRINTER,
+    ...initialPrinter,
+    stationId: initialPrinter?.stationId || "",
+  }));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  // Categories no longer on the menu stay listed while still selected
+  const categoryOptions = [...new Set([...menuCategories, ...values.categories])];
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleCategory = (category) => {
+    setField(
+      "categories",
+      values.categories.includes(category)
+        ? values.categories.filter((c) => c !== category)
+        : [...values.categories, category]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+    setLoading(true);
+
+    const result = await onSubmit(values);
+
+    if (!result?.success) {
+      setFieldErrors(result?.errors || {});
+      setError(
+        result?.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save printer. Please try again."
+      );
+    }
+    setLoading(false);
+  };
+
+  const renderFieldError = (field) =>
+    fieldErrors[field]?.length ? (
+      <small style={{ color: "#e74c3c" }}>{fieldErrors[field][0]}</small>
+    ) : null;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {error && (
+        <div className={styles.errorMessage}>
+          <span>❌</span> {error}
+        </div>
+      )}
+
+      {/* Name & Paper Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Printer / Station Name *</label>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="e.g. Tandoor, Bar"
+            value={values.name}
+            onChange={(e) => setField("name", e.target.value)}
+            required
+          />
+          {renderFieldError("name")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Paper Width</label>
+          <select
+            className={styles.formSelect}
+            value={values.paperWidth}
+            onChange={(e) => setField("paperWidth", e.target.value)}
+          >
+            {PRINTER_PAPER_WIDTHS.map((width) => (
+              <option key={width} value={width}>
+                {width}
+              </option>
+            ))}
+          </select>
+          {renderFieldError("paperWidth")}
+        </div>
+      </div>
+
+      {/* Address Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>IP Address / Host *</label>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="e.g. 192.168.1.50"
+            value={values.host}
+            onChange={(e) => setField("host", e.target.value)}
+            required
+          />
+          {renderFieldError("host")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Port</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="1"
+            max="65535"
+            value={values.port}
+            onChange={(e) => setField("port", e.target.value)}
+          />
+          {renderFieldError("port")}
+        </div>
+      </div>
+
+      {/* Station */}
+      <div className={styles.formGroup}>
+        <label className={styles.formLabel}>Kitchen Station</label>
+        <select
+          className={styles.formSelect}
+          value={values.stationId}
+          onChange={(e) => setField("stationId", e.target.value)}
+        >
+          <option value="">None (choose categories below)</option>
+          {stations.map((station) => (
+            <option key={station._id} value={station._id}>
+              {station.name}
+            </option>
+          ))}
+        </select>
+        {renderFieldError("stationId")}
+      </div>
+
+      {/* Categories */}
+      {!values.stationId && (
+        <div className={styles.tagsSection}>
+          <label className={styles.tagsLabel}>Prints These Categories</label>
+          <div className={styles.tagsContainer}>
+            {categoryOptions.map((category) => (
+              <button
+                key={category}
+                type="button"
+                className={`${styles.tagButton} ${
+                  values.categories.includes(category) ? styles.active : ""
+                }`}
+                onClick={() => toggleCategory(category)}
+              >
+                {category}
+              </button>
+            ))}
+          </div>
+          <small>
+            {values.categories.length
+              ? "Only dishes in these categories print here."
+              : "None selected: prints every dish no other printer takes."}
+          </small>
+          {renderFieldError("categories")}
+        </div>
+      )}
+
+      {/* Active */}
+      <div className={styles.formGroup}>
+        <div className={styles.toggleContainer}>
+          <span className={styles.toggleLabel}>Printing</span>
+          <label className={styles.toggleSwitch}>
+            <input
+              type="checkbox"
+              checked={values.isActive}
+              onChange={(e) => setField("isActive", e.target.checked)}
+            />
+            <span className={styles.toggleSlider}></span>
+          </label>
+          <span className={`${styles.toggleStatus} ${values.isActive ? styles.active : ""}`}>
+            {values.isActive ? "On" : "Off"}
+          </span>
+        </div>
+      </div>
+
+      {/* Form Actions */}
+      <div className={styles.formActions}>
+        <button type="submit" className={styles.submitBtn} disabled={loading}>
+          {loading ? submittingLabel : submitLabel}
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PrinterForm;
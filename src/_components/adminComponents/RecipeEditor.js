@@ -0,0 +1,126 @@
+// Ingredients of one dish variant, edited from the inventory page's food cost table
+"use client";
+import React, { useState, useMemo } from "react";
+import { saveRecipeAction } from "@/src/actions/ingredientActions";
+import { getRecipeCost } from "@/src/lib/recipes";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+function RecipeEditor({ row, ingredients, onSaved, onCancel }) {
+  const [lines, setLines] = useState(() =>
+    (row.recipe?.ingredients || []).map((line) => ({
+      ingredientId: line.ingredientId,
+      quantity: String(line.quantity),
+    }))
+  );
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const ingredientsById = useMemo(
+    () => new Map(ingredients.map((ingredient) => [ingredient._id, ingredient])),
+    [ingredients]
+  );
+
+  /** Cost of the recipe as it is being typed */
+  const cost = getRecipeCost(
+    { ingredients: lines.map((line) => ({ ...line, quantity: Number(line.quantity) || 0 })) },
+    ingredientsById
+  );
+
+  const updateLine = (lineIndex, field, value) => {
+    setLines((prev) => prev.map((l, i) => (i === lineIndex ? { ...l, [field]: value } : l)));
+  };
+
+  const handleSave = async () => {
+    setError("");
+    setSaving(true);
+
+    const result = await saveRecipeAction({
+      foodId: row.foodId,
+      variantId: row.variantId,
+      ingredients: lines,
+    });
+
+    if (result.success) {
+      onSaved(result.recipe);
+    } else {
+      setError(
+        result.errors
+          ? Object.values(result.errors).flat()[0]
+          : "Failed to save recipe. Please try again."
+      );
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className={styles.variantsSection}>
+      <div className={styles.variantsHeader}>
+        <label className={styles.variantsLabel}>
+          Recipe for one {row.name} ({row.variantLabel})
+        </label>
+        <button
+          type="button"
+          onClick={() => setLines((prev) => [...prev, { ingredientId: "", quantity: "" }])}
+          className={styles.addVariantBtn}
+          disabled={ingredients.length === 0}
+        >
+          <span>+</span> Add Ingredient
+        </button>
+      </div>
+
+      {ingredients.length === 0 && <small>Add ingredients on the Ingredients tab first.</small>}
+
+      {lines.map((line, lineIndex) => (
+        <div key={lineIndex} className={styles.variantRow}>
+          <select
+            className={styles.variantInput}
+            value={line.ingredientId}
+            onChange={(e) => updateLine(lineIndex, "ingredientId", e.target.value)}
+          >
+            <option value="">Pick an ingredient</option>
+            {ingredients.map((ingredient) => (
+              <option key={ingredient._id} value={ingredient._id}>
+                {ingredient.name}
+              </option>
+            ))}
+          </select>
+          <label className={styles.selectLimit}>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={line.quantity}
+              onChange={(e) => updateLine(lineIndex, "quantity", e.target.value)}
+            />
+            {ingredientsById.get(line.ingredientId)?.unit || ""}
+          </label>
+          <button
+            type="button"
+            onClick={() => setLines((prev) => prev.filter((_, i) => i !== lineIndex))}
+            className={styles.removeVariantBtn}
+            title="Remove ingredient"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <small>
+        Food cost ₹{cost} of ₹{row.price}. Quantities are in each ingredient&apos;s unit; no
+        ingredients removes the recipe.
+      </small>
+      {error && <small style={{ color: "#e74c3c", display: "block" }}>{error}</small>}
+
+      <div className={styles.formActions}>
+        <button type="button" className={styles.submitBtn} onClick={handleSave} disabled={saving}>
+          {saving ? "Saving..." : "Save Recipe"}
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RecipeEditor;
@@ -3,17 +3,18 @@
 
 import { useEffect } from "react";
 import { useRouter } from "next/navigation";
+import { useAdminSession } from "@/src/contexts/AdminSessionContext";
 
 export default function RequireAdminAuth({ children }) {
   const router = useRouter();
+  const { isAuthenticated, isLoaded } = useAdminSession();
 
-  // useEffect(() => {
-  //   const adminSession = localStorage.getItem("adminSession");
-
-  //   if (!adminSession) {
-  //     router.replace("/admin/auth");
-  //   }
-  // }, []);
+  // Session is verified against the signed cookie by AdminSessionContext
+  useEffect(() => {
+    if (isLoaded && !isAuthenticated) {
+      router.replace("/admin/auth");
+    }
+  }, [isLoaded, isAuthenticated, router]);
 
   return children;
 }
@@ -0,0 +1,98 @@
+// Weekdays + time windows editor used by the item pages and the settings page
+"use client";
+import React from "react";
+import { WEEKDAYS, MAX_SCHEDULE_WINDOWS, EMPTY_SCHEDULE } from "@/src/lib/availability";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_WINDOW = { start: "12:00", end: "15:00" };
+
+function ScheduleEditor({ schedule = EMPTY_SCHEDULE, onChange, label = "Serving Schedule" }) {
+  const days = schedule.days || [];
+  const windows = schedule.windows || [];
+
+  const toggleDay = (day) => {
+    onChange({
+      ...schedule,
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day],
+    });
+  };
+
+  const updateWindow = (windowIndex, field, value) => {
+    onChange({
+      ...schedule,
+      windows: windows.map((w, i) => (i === windowIndex ? { ...w, [field]: value } : w)),
+    });
+  };
+
+  return (
+    <div className={styles.variantsSection}>
+      <div className={styles.variantsHeader}>
+        <label className={styles.variantsLabel}>{label}</label>
+        {windows.length < MAX_SCHEDULE_WINDOWS && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...schedule, windows: [...windows, EMPTY_WINDOW] })}
+            className={styles.addVariantBtn}
+          >
+            <span>+</span> Add Time Window
+          </button>
+        )}
+      </div>
+
+      <div className={styles.scheduleDays}>
+        {WEEKDAYS.map((name, day) => (
+          <button
+            key={name}
+            type="button"
+            className={`${styles.dayToggle} ${days.includes(day) ? styles.dayToggleActive : ""}`}
+            onClick={() => toggleDay(day)}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {windows.map((timeWindow, windowIndex) => (
+        <div key={windowIndex} className={styles.variantRow}>
+          <input
+            type="time"
+            className={styles.timeInput}
+            value={timeWindow.start}
+            onChange={(e) => updateWindow(windowIndex, "start", e.target.value)}
+            required
+          />
+          <span>to</span>
+          <input
+            type="time"
+            className={styles.timeInput}
+            value={timeWindow.end}
+            onChange={(e) => updateWindow(windowIndex, "end", e.target.value)}
+            required
+          />
+          <button
+            type="button"
+            onClick={() =>
+              onChange({ ...schedule, windows: windows.filter((_, i) => i !== windowIndex) })
+            }
+            className={styles.removeVariantBtn}
+            title="Remove window"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {days.length === 0 && windows.length === 0 ? (
+        <small>Always served. Pick weekdays or add a time window (e.g. 07:00 to 11:00).</small>
+      ) : (
+        <small>
+          {days.length === 0 ? "Every day" : "Selected days only"},{" "}
+          {windows.length === 0 ? "all day" : "during these times"}. A window ending before it
+          starts runs past midnight.
+        </small>
+      )}
+    </div>
+  );
+}
+
+export default ScheduleEditor;
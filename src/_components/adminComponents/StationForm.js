@@ -0,0 +1,165 @@
+// Kitchen station form shared by the add and edit station pages
+"use client";
+import React, { useState, useMemo } from "react";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_STATION = {
+  name: "",
+  categories: [],
+  foodIds: [],
+};
+
+function StationForm({
+  initialStation = null,
+  otherStations = [],
+  menuCategories = [],
+  foods = [],
+  submitLabel,
+  submittingLabel,
+  onSubmit,
+  onCancel,
+}) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_STATION, ...initialStation }));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /** Which other station currently has each category / dish */
+  const takenBy = useMemo(() => {
+    const owners = new Map();
+    otherStations.forEach((station) => {
+      station.categories.forEach((category) => owners.set(category, station.name));
+      station.foodIds.forEach((foodId) => owners.set(foodId, station.name));
+    });
+    return owners;
+  }, [otherStations]);
+
+  /** Menu items grouped by category */
+  const foodsByCategory = useMemo(() => {
+    const groups = new Map();
+    foods.forEach((food) => {
+      groups.set(food.category, [...(groups.get(food.category) || []), food]);
+    });
+    return [...groups];
+  }, [foods]);
+
+  const toggleValue = (field, value) => {
+    setValues((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((v) => v !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+    setLoading(true);
+
+    const result = await onSubmit(values);
+
+    if (!result?.success) {
+      setFieldErrors(result?.errors || {});
+      setError(
+        result?.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save station. Please try again."
+      );
+    }
+    setLoading(false);
+  };
+
+  const renderFieldError = (field) =>
+    fieldErrors[field]?.length ? (
+      <small style={{ color: "#e74c3c" }}>{fieldErrors[field][0]}</small>
+    ) : null;
+
+  /** Names the station a category / dish would be taken from */
+  const ownerNote = (key) => (takenBy.has(key) ? ` (now ${takenBy.get(key)})` : "");
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {error && (
+        <div className={styles.errorMessage}>
+          <span>❌</span> {error}
+        </div>
+      )}
+
+      {/* Name */}
+      <div className={styles.formGroup}>
+        <label className={styles.formLabel}>Station Name *</label>
+        <input
+          type="text"
+          className={styles.formInput}
+          placeholder="e.g. Tandoor, Bar, Desserts"
+          value={values.name}
+          onChange={(e) => setValues((prev) => ({ ...prev, name: e.target.value }))}
+          required
+        />
+        {renderFieldError("name")}
+      </div>
+
+      {/* Categories */}
+      <div className={styles.tagsSection}>
+        <label className={styles.tagsLabel}>Cooks These Categories</label>
+        <div className={styles.tagsContainer}>
+          {menuCategories.map((category) => (
+            <button
+              key={category}
+              type="button"
+              className={`${styles.tagButton} ${
+                values.categories.includes(category) ? styles.active : ""
+              }`}
+              onClick={() => toggleValue("categories", category)}
+            >
+              {category}
+              {!values.categories.includes(category) && ownerNote(category)}
+            </button>
+          ))}
+        </div>
+        {renderFieldError("categories")}
+      </div>
+
+      {/* Individual Dishes */}
+      <div className={styles.tagsSection}>
+        <label className={styles.tagsLabel}>Also Cooks These Dishes</label>
+        <small>A dish picked here goes to this station whatever its category.</small>
+        {foodsByCategory.map(([category, categoryFoods]) => (
+          <div key={category}>
+            <p className={styles.formLabel}>{category}</p>
+            <div className={styles.tagsContainer}>
+              {categoryFoods.map((food) => (
+                <button
+                  key={food._id}
+                  type="button"
+                  className={`${styles.tagButton} ${
+                    values.foodIds.includes(food._id) ? styles.active : ""
+                  }`}
+                  onClick={() => toggleValue("foodIds", food._id)}
+                >
+                  {food.name}
+                  {!values.foodIds.includes(food._id) && ownerNote(food._id)}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+        {renderFieldError("foodIds")}
+      </div>
+
+      {/* Form Actions */}
+      <div className={styles.formActions}>
+        <button type="submit" className={styles.submitBtn} disabled={loading}>
+          {loading ? submittingLabel : submitLabel}
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default StationForm;
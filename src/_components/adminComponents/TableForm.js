@@ -0,0 +1,135 @@
+// Table form shared by the add and edit table pages
+"use client";
+import React, { useState } from "react";
+import { TABLE_STATUSES } from "@/src/lib/constants";
+import styles from "@/src/app/admin/formStyles.module.css";
+
+const EMPTY_TABLE = {
+  name: "",
+  capacity: 4,
+  area: "",
+  status: "available",
+};
+
+const STATUS_LABELS = {
+  available: "Available",
+  occupied: "Occupied",
+  reserved: "Reserved",
+  inactive: "Inactive (not taking orders)",
+};
+
+function TableForm({ initialTable = null, submitLabel, submittingLabel, onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => ({ ...EMPTY_TABLE, ...initialTable }));
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setFieldErrors({});
+    setLoading(true);
+
+    const result = await onSubmit(values);
+
+    if (!result?.success) {
+      setFieldErrors(result?.errors || {});
+      setError(
+        result?.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save table. Please try again."
+      );
+    }
+    setLoading(false);
+  };
+
+  const renderFieldError = (field) =>
+    fieldErrors[field]?.length ? (
+      <small style={{ color: "#e74c3c" }}>{fieldErrors[field][0]}</small>
+    ) : null;
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {error && (
+        <div className={styles.errorMessage}>
+          <span>❌</span> {error}
+        </div>
+      )}
+
+      {/* Name & Capacity Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Table Name *</label>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="e.g. T5"
+            value={values.name}
+            onChange={(e) => setField("name", e.target.value.toUpperCase())}
+            required
+          />
+          {renderFieldError("name")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Seats *</label>
+          <input
+            type="number"
+            className={styles.formInput}
+            min="1"
+            max="50"
+            value={values.capacity}
+            onChange={(e) => setField("capacity", e.target.value)}
+            required
+          />
+          {renderFieldError("capacity")}
+        </div>
+      </div>
+
+      {/* Area & Status Row */}
+      <div className={styles.formRow}>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Area / Section</label>
+          <input
+            type="text"
+            className={styles.formInput}
+            placeholder="e.g. Ground Floor, Patio"
+            value={values.area}
+            onChange={(e) => setField("area", e.target.value)}
+          />
+          {renderFieldError("area")}
+        </div>
+        <div className={styles.formGroup}>
+          <label className={styles.formLabel}>Status</label>
+          <select
+            className={styles.formSelect}
+            value={values.status}
+            onChange={(e) => setField("status", e.target.value)}
+          >
+            {TABLE_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {STATUS_LABELS[status]}
+              </option>
+            ))}
+          </select>
+          {renderFieldError("status")}
+        </div>
+      </div>
+
+      {/* Form Actions */}
+      <div className={styles.formActions}>
+        <button type="submit" className={styles.submitBtn} disabled={loading}>
+          {loading ? submittingLabel : submitLabel}
+        </button>
+        <button type="button" className={styles.cancelBtn} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default TableForm;
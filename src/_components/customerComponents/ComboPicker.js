@@ -0,0 +1,214 @@
+// Step-by-step picker for a combo on /menu: one dish per slot, then a summary
+"use client";
+import React, { useState, useMemo } from "react";
+import { getComboOptionLabel, resolveComboPicks } from "@/src/lib/combos";
+import { getLineUnitPrice } from "@/src/lib/modifiers";
+import { LINE_INSTRUCTIONS_MAX_LENGTH } from "@/src/lib/instructions";
+import styles from "@/src/app/(customer)/menu/menu.module.css";
+
+function ComboPicker({ combo, adding, onAdd, onClose }) {
+  /** Slot index being picked; slots.length is the summary step */
+  const [step, setStep] = useState(0);
+  /** Picked option _id per slot _id */
+  const [picks, setPicks] = useState({});
+  const [quantity, setQuantity] = useState(1);
+  const [instructions, setInstructions] = useState("");
+  const [addTo, setAddTo] = useState("me");
+
+  const slot = combo.slots[step];
+  const onSummary = step === combo.slots.length;
+
+  /** The picks checked against the combo ({ modifiers } or { error }) */
+  const selection = useMemo(
+    () => resolveComboPicks(combo, Object.values(picks)),
+    [combo, picks]
+  );
+
+  const unitPrice = getLineUnitPrice({
+    variant: { price: combo.price },
+    modifiers: selection.modifiers,
+  });
+
+  const pickOption = (option) => {
+    setPicks((prev) => ({ ...prev, [slot._id]: option._id }));
+    setStep((prev) => prev + 1);
+  };
+
+  const handleAdd = () => {
+    onAdd({
+      optionIds: Object.values(picks),
+      modifiers: selection.modifiers,
+      quantity,
+      instructions,
+      addTo,
+    });
+  };
+
+  return (
+    <div className={styles.modalOverlay} onClick={onClose}>
+      <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+        <button onClick={onClose} className={styles.closeButton}>
+          ✕
+        </button>
+
+        <div className={styles.modalImageWrapper}>
+          <img src={combo.imageUrl || ""} alt={combo.name} className={styles.modalImage} />
+          <div className={styles.modalImageOverlay}>
+            <h2 className={styles.modalTitle}>{combo.name}</h2>
+            <div className={styles.modalBadges}>
+              <span className={styles.modalCategoryBadge}>Combo · ₹{combo.price}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className={styles.modalBody}>
+          {combo.description && <p className={styles.modalDescription}>{combo.description}</p>}
+
+          {/* Steps */}
+          <div className={styles.comboSteps}>
+            {combo.slots.map((s, index) => (
+              <button
+                key={s._id}
+                className={index === step ? styles.comboStepActive : ""}
+                onClick={() => setStep(index)}
+                disabled={index > Object.keys(picks).length}
+              >
+                {index + 1}. {s.name}
+              </button>
+            ))}
+            <button
+              className={onSummary ? styles.comboStepActive : ""}
+              onClick={() => setStep(combo.slots.length)}
+              disabled={!selection.modifiers}
+            >
+              ✓ Review
+            </button>
+          </div>
+
+          {!onSummary && (
+            <div className={styles.variantsSection}>
+              <h5 className={styles.sectionTitle}>
+                Pick your {slot.name}
+                <span className={styles.groupHint}>
+                  Step {step + 1} of {combo.slots.length}
+                </span>
+              </h5>
+              <div className={styles.variantsList}>
+                {slot.options.map((option) => (
+                  <div
+                    key={option._id}
+                    className={`${styles.variantLabel} ${
+                      picks[slot._id] === option._id ? styles.selected : ""
+                    } ${!option.isAvailable ? styles.disabled : ""}`}
+                    onClick={() => option.isAvailable && pickOption(option)}
+                  >
+                    <div className={styles.variantLeft}>
+                      <span className={styles.variantName}>{getComboOptionLabel(option)}</span>
+                      {!option.isAvailable && (
+                        <span className={styles.outOfStock}>Out of Stock</span>
+                      )}
+                    </div>
+                    <span className={styles.variantPrice}>
+                      {option.surcharge > 0 ? `+₹${option.surcharge}` : "Included"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {onSummary && (
+            <>
+              {/* Picks */}
+              <div className={styles.variantsSection}>
+                <h5 className={styles.sectionTitle}>Your Combo</h5>
+                <div className={styles.variantsList}>
+                  {(selection.modifiers || []).map((modifier, index) => (
+                    <div
+                      key={modifier.optionId}
+                      className={styles.variantLabel}
+                      onClick={() => setStep(index)}
+                    >
+                      <div className={styles.variantLeft}>
+                        <span className={styles.variantName}>
+                          {modifier.group}: {modifier.label}
+                        </span>
+                      </div>
+                      <span className={styles.variantPrice}>
+                        {modifier.price > 0 ? `+₹${modifier.price}` : "Change"}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Special Instructions */}
+              <div className={styles.quantitySection}>
+                <h5 className={styles.sectionTitle}>
+                  Special Instructions
+                  <span className={styles.groupHint}>Optional</span>
+                </h5>
+                <textarea
+                  className={styles.instructionsInput}
+                  value={instructions}
+                  onChange={(e) => setInstructions(e.target.value)}
+                  maxLength={LINE_INSTRUCTIONS_MAX_LENGTH}
+                  rows={2}
+                  placeholder="e.g. No onion, less oil"
+                />
+              </div>
+
+              {/* Quantity Selector */}
+              <div className={styles.quantitySection}>
+                <h5 className={styles.sectionTitle}>Quantity</h5>
+                <div className={styles.quantityControls}>
+                  <button
+                    className={styles.quantityBtn}
+                    onClick={() => setQuantity(Math.max(1, quantity - 1))}
+                  >
+                    -
+                  </button>
+                  <span className={styles.quantityValue}>{quantity}</span>
+                  <button className={styles.quantityBtn} onClick={() => setQuantity(quantity + 1)}>
+                    +
+                  </button>
+                </div>
+              </div>
+
+              {/* Cart Choice: own cart or the table's shared cart */}
+              <div className={styles.quantitySection}>
+                <h5 className={styles.sectionTitle}>Add For</h5>
+                <div className={styles.addToToggle}>
+                  <button
+                    className={addTo === "me" ? styles.addToActive : ""}
+                    onClick={() => setAddTo("me")}
+                  >
+                    <i className="fa fa-user"></i> Just me
+                  </button>
+                  <button
+                    className={addTo === "table" ? styles.addToActive : ""}
+                    onClick={() => setAddTo("table")}
+                  >
+                    <i className="fa fa-users"></i> Whole table
+                  </button>
+                </div>
+              </div>
+
+              {selection.error && <p className={styles.modifierError}>{selection.error}</p>}
+              <button
+                className={styles.addToCartBtn}
+                onClick={handleAdd}
+                disabled={!selection.modifiers || adding}
+              >
+                <i className="fa fa-cart-plus"></i>
+                {addTo === "table" ? "Add to Table Cart" : "Add to Cart"} - ₹{unitPrice * quantity}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ComboPicker;
@@ -0,0 +1,189 @@
+// Inline editor for a placed order, shown on /order while the edit window is open
+"use client";
+import React, { useState } from "react";
+import { getAllFoodItemsByRestoCode } from "@/src/actions/restoItemActions";
+import { getItemStatus } from "@/src/lib/orderStatus";
+import { formatModifiers, getLineUnitPrice, getModifierKey } from "@/src/lib/modifiers";
+import { getInstructionsKey } from "@/src/lib/instructions";
+import { isComboComponent } from "@/src/lib/combos";
+import styles from "@/src/app/(customer)/order/order.module.css";
+
+/** Identifies a dish (or combo) + variant + add-ons + note in the draft */
+const lineKey = (item) =>
+  `${item.comboId || item.foodId}|${item.variant.label}|${getModifierKey(item)}|${getInstructionsKey(item)}`;
+
+/**
+ * Builds the editable draft from an order's live lines; a combo is one
+ * line, its dishes are rebuilt from its picks when saved
+ * @param {Object} order - Order being edited
+ * @returns {Array} Draft lines
+ */
+const toDraft = (order) =>
+  order.items
+    .filter((item) => getItemStatus(item) !== "voided" && !isComboComponent(item))
+    .map((item) => ({
+      foodId: item.foodId,
+      comboId: item.comboId || null,
+      name: item.name,
+      foodType: item.foodType,
+      variant: { label: item.variant.label, price: item.variant.price },
+      modifiers: item.modifiers || [],
+      instructions: item.instructions || "",
+      quantity: item.quantity,
+    }));
+
+function OrderEditor({ order, restoCode, secondsLeft, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => toDraft(order));
+  const [menu, setMenu] = useState(null);
+  const [selected, setSelected] = useState("");
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const changeQuantity = (key, delta) => {
+    setDraft((prev) =>
+      prev
+        .map((line) =>
+          lineKey(line) === key ? { ...line, quantity: line.quantity + delta } : line
+        )
+        .filter((line) => line.quantity > 0)
+    );
+  };
+
+  const loadMenu = async () => {
+    const result = await getAllFoodItemsByRestoCode(restoCode);
+    if (result.success) {
+      // Dishes that need add-on choices are ordered from the menu page
+      setMenu(
+        result.data.filter(
+          (food) =>
+            food.isAvailable !== false &&
+            !food.modifierGroups?.some((group) => group.minSelect > 0)
+        )
+      );
+    } else {
+      setError("Could not load the menu. Please try again.");
+    }
+  };
+
+  const addSelected = () => {
+    if (!selected) return;
+    const [foodId, label] = selected.split("|");
+    const key = `${selected}||`;
+    const food = menu.find((f) => f._id === foodId);
+    const variant = food?.variants.find((v) => v.label === label);
+    if (!variant) return;
+
+    setDraft((prev) =>
+      prev.some((line) => lineKey(line) === key)
+        ? prev.map((line) =>
+            lineKey(line) === key ? { ...line, quantity: line.quantity + 1 } : line
+          )
+        : [
+            ...prev,
+            {
+              foodId,
+              name: food.name,
+              foodType: food.foodType,
+              variant: { label: variant.label, price: variant.price },
+              modifiers: [],
+              instructions: "",
+              quantity: 1,
+            },
+          ]
+    );
+    setSelected("");
+  };
+
+  const handleSave = async () => {
+    setError("");
+    setSaving(true);
+    const result = await onSave(draft);
+    if (!result?.success) {
+      const rejected = result?.adjustments?.map((a) => `${a.name}: ${a.reason}`).join(", ");
+      setError(rejected ? `${result.error} (${rejected})` : result?.error || "Could not update the order.");
+    }
+    setSaving(false);
+  };
+
+  const itemTotal = draft.reduce((sum, line) => sum + getLineUnitPrice(line) * line.quantity, 0);
+
+  return (
+    <div className={styles.editPanel}>
+      <div className={styles.editHeader}>
+        <h5 className={styles.itemsSectionTitle}>Edit Order</h5>
+        <span className={styles.editTimer}>
+          {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, "0")} left
+        </span>
+      </div>
+
+      {error && <div className={styles.cancelNotice}>{error}</div>}
+
+      {draft.map((line) => (
+        <div key={lineKey(line)} className={styles.editLine}>
+          <div className={styles.itemDetails}>
+            <span className={styles.itemName}>{line.name}</span>
+            <span className={styles.itemVariant}>
+              {line.variant.label}
+              {line.modifiers.length > 0 && ` + ${formatModifiers(line)}`} · ₹
+              {getLineUnitPrice(line)}
+            </span>
+            {line.instructions && (
+              <span className={styles.itemInstructions}>📝 {line.instructions}</span>
+            )}
+          </div>
+          <div className={styles.editQty}>
+            <button onClick={() => changeQuantity(lineKey(line), -1)}>−</button>
+            <span>{line.quantity}</span>
+            <button onClick={() => changeQuantity(lineKey(line), 1)}>+</button>
+          </div>
+        </div>
+      ))}
+
+      {/* Add Items */}
+      {menu === null ? (
+        <button className={styles.editLinkBtn} onClick={loadMenu}>
+          + Add items
+        </button>
+      ) : (
+        <div className={styles.editAddRow}>
+          <select value={selected} onChange={(e) => setSelected(e.target.value)}>
+            <option value="">Choose a dish...</option>
+            {menu.map((food) =>
+              food.variants
+                .filter((v) => v.isAvailable !== false)
+                .map((v) => (
+                  <option key={`${food._id}|${v.label}`} value={`${food._id}|${v.label}`}>
+                    {food.name} ({v.label}) · ₹{v.price}
+                  </option>
+                ))
+            )}
+          </select>
+          <button onClick={addSelected} disabled={!selected}>
+            Add
+          </button>
+        </div>
+      )}
+
+      <div className={styles.editFooter}>
+        <span>Item total ₹{itemTotal}</span>
+        <div className={styles.editActions}>
+          <button className={styles.editDiscardBtn} onClick={onClose} disabled={saving}>
+            Discard
+          </button>
+          <button
+            className={styles.editSaveBtn}
+            onClick={handleSave}
+            disabled={saving || draft.length === 0}
+          >
+            {saving ? "Saving..." : "Save Changes"}
+          </button>
+        </div>
+      </div>
+      {draft.length === 0 && (
+        <small className={styles.editHint}>Removing every item? Cancel the order instead.</small>
+      )}
+    </div>
+  );
+}
+
+export default OrderEditor;
@@ -0,0 +1,162 @@
+// Pay-online sheet for a placed order, shown after checkout and from /order
+"use client";
+import React, { useState } from "react";
+import {
+  createPaymentAction,
+  confirmPaymentAction,
+  payAtCounterAction,
+} from "@/src/actions/paymentActions";
+import { formatAmount } from "@/src/lib/billing";
+import styles from "./payment.module.css";
+
+/** Methods paid through the payment provider */
+const ONLINE_METHODS = [
+  { id: "UPI", label: "UPI", icon: "📱" },
+  { id: "Card", label: "Card", icon: "💳" },
+  { id: "Wallet", label: "Wallet", icon: "👛" },
+];
+
+function PaymentSheet({ order, customerPhone, restoId, onPaid, onClose }) {
+  const [method, setMethod] = useState(
+    ONLINE_METHODS.some((m) => m.id === order.paymentMethod) ? order.paymentMethod : "UPI"
+  );
+  const [details, setDetails] = useState({ vpa: "", cardNumber: "", expiry: "", cvv: "" });
+  const [payment, setPayment] = useState(null);
+  const [error, setError] = useState("");
+  const [processing, setProcessing] = useState(false);
+
+  const updateDetail = (field) => (e) =>
+    setDetails((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handlePay = async () => {
+    setError("");
+    setProcessing(true);
+    try {
+      // A declined payment is final, so every retry starts a new one
+      let current = payment;
+      if (!current || current.method !== method || current.status === "failed") {
+        const created = await createPaymentAction(order.orderId, customerPhone, restoId, method);
+        if (!created.success) {
+          setError(created.error);
+          return;
+        }
+        current = created.payment;
+        setPayment(current);
+      }
+
+      const result = await confirmPaymentAction(current._id, customerPhone, details);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      setPayment(result.payment);
+      if (result.payment.status === "succeeded") {
+        onPaid(result.order);
+      } else if (result.payment.status === "failed") {
+        setError(result.payment.failureReason || "Payment failed. Please try again.");
+      }
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handlePayAtCounter = async () => {
+    setError("");
+    setProcessing(true);
+    const result = await payAtCounterAction(order.orderId, customerPhone, restoId);
+    setProcessing(false);
+    if (result.success) {
+      onClose(result.order);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className={styles.overlay}>
+      <div className={styles.sheet}>
+        <div className={styles.header}>
+          <h4>Pay for Order #{order.orderId}</h4>
+          <span className={styles.amount}>₹{formatAmount(order.total)}</span>
+        </div>
+
+        <div className={styles.methods}>
+          {ONLINE_METHODS.map((m) => (
+            <button
+              key={m.id}
+              className={`${styles.methodBtn} ${method === m.id ? styles.methodActive : ""}`}
+              onClick={() => setMethod(m.id)}
+              disabled={processing}
+            >
+              {m.icon} {m.label}
+            </button>
+          ))}
+        </div>
+
+        {method === "UPI" && (
+          <input
+            className={styles.input}
+            placeholder="UPI ID (e.g. name@okbank)"
+            value={details.vpa}
+            onChange={updateDetail("vpa")}
+          />
+        )}
+
+        {method === "Card" && (
+          <>
+            <input
+              className={styles.input}
+              placeholder="Card number"
+              inputMode="numeric"
+              value={details.cardNumber}
+              onChange={updateDetail("cardNumber")}
+            />
+            <div className={styles.row}>
+              <input
+                className={styles.input}
+                placeholder="MM/YY"
+                value={details.expiry}
+                onChange={updateDetail("expiry")}
+              />
+              <input
+                className={styles.input}
+                placeholder="CVV"
+                type="password"
+                inputMode="numeric"
+                maxLength={4}
+                value={details.cvv}
+                onChange={updateDetail("cvv")}
+              />
+            </div>
+          </>
+        )}
+
+        {method === "Wallet" && (
+          <p className={styles.hint}>The amount will be taken from your Foodie Wallet.</p>
+        )}
+
+        {error && <div className={styles.error}>{error}</div>}
+
+        <button className={styles.payBtn} onClick={handlePay} disabled={processing}>
+          {processing
+            ? "Processing..."
+            : payment?.status === "failed"
+              ? `Try Again • ₹${formatAmount(order.total)}`
+              : `Pay ₹${formatAmount(order.total)}`}
+        </button>
+
+        <div className={styles.footer}>
+          <button className={styles.linkBtn} onClick={handlePayAtCounter} disabled={processing}>
+            Pay cash at counter
+          </button>
+          <button className={styles.linkBtn} onClick={() => onClose(null)} disabled={processing}>
+            Pay later
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PaymentSheet;
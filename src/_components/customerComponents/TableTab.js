@@ -0,0 +1,49 @@
+// Running tab for everyone at the customer's table, shown on /order
+"use client";
+import React from "react";
+import { formatAmount } from "@/src/lib/billing";
+import { dinerLabel } from "@/src/lib/tableSession";
+import styles from "@/src/app/(customer)/order/order.module.css";
+
+function TableTab({ tableSession, tab, myPhone }) {
+  const { totals } = tab;
+
+  return (
+    <div className={`${styles.orderCard} ${styles.tabCard}`}>
+      <div className={styles.tabHeader}>
+        <h5 className={styles.itemsSectionTitle}>Table {tableSession.tableName} · Running Tab</h5>
+        <span className={styles.tabDiners}>
+          {tableSession.diners.map((diner) => dinerLabel(diner.phone, myPhone)).join(", ")}
+        </span>
+      </div>
+
+      {tab.orders.map((order) => (
+        <div
+          key={order.orderId}
+          className={`${styles.tabLine} ${order.status === "Cancelled" ? styles.tabLineCancelled : ""}`}
+        >
+          <span>
+            #{order.orderId} · {dinerLabel(order.customerPhone, myPhone)}
+          </span>
+          <span>{order.status}</span>
+          <span>₹{formatAmount(order.total)}</span>
+        </div>
+      ))}
+
+      <div className={styles.billTotal}>
+        <span>
+          Tab Total ({totals.orderCount} order{totals.orderCount === 1 ? "" : "s"})
+        </span>
+        <span className={styles.totalAmount}>₹{formatAmount(totals.total)}</span>
+      </div>
+      {totals.paid > 0 && (
+        <div className={styles.billRow}>
+          <span>Paid so far</span>
+          <span>₹{formatAmount(totals.paid)} · ₹{formatAmount(totals.due)} due</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TableTab;
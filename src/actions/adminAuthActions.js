@@ -1,28 +1,20 @@
 "use server";
 
 import bcrypt from "bcryptjs";
+import { cookies } from "next/headers";
 import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import {
+  ADMIN_SESSION_COOKIE,
+  ADMIN_SESSION_MAX_AGE,
+  signSessionId,
+  verifySignedSessionId,
+} from "@/src/lib/sessionCookie";
 import RestaurantAuth from "@/src/models/AdminAuthModel";
 import Session from "@/src/models/AdminSessionModel";
+import { serializePlain } from "@/src/lib/serialize";
 
 /* ---------------- HELPERS ---------------- */
-function serializePlain(value) {
-  if (value == null) return value;
-  if (Array.isArray(value)) return value.map(serializePlain);
-  if (value instanceof Date) return value.toISOString();
-  if (typeof value === "object") {
-    if (typeof value.toHexString === "function") {
-      return value.toHexString();
-    }
-    const result = {};
-    for (const key of Object.keys(value)) {
-      result[key] = serializePlain(value[key]);
-    }
-    return result;
-  }
-  return value;
-}
-
 // Generate unique 6-character restoId
 function generateRestoId() {
   const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
@@ -94,13 +86,22 @@ export async function loginRestaurantAction(restoId, phone, password) {
       restoId: restaurant._id,
     });
 
+    // Set signed session cookie (checked by proxy and admin actions)
+    const cookieStore = await cookies();
+    cookieStore.set(ADMIN_SESSION_COOKIE, signSessionId(session._id.toString()), {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      maxAge: ADMIN_SESSION_MAX_AGE,
+      sameSite: "lax",
+      path: "/",
+    });
+
     const result = serializePlain(restaurant.toObject());
     delete result.password;
 
     return {
       success: true,
       restaurant: result,
-      sessionId: session._id.toString(),
     };
   } catch (error) {
     console.error("Login Error:", error);
@@ -111,6 +112,52 @@ export async function loginRestaurantAction(restoId, phone, password) {
   }
 }
 
+/* ---------------- LOGOUT ---------------- */
+export async function logoutRestaurantAction() {
+  try {
+    const cookieStore = await cookies();
+    const sessionId = verifySignedSessionId(cookieStore.get(ADMIN_SESSION_COOKIE)?.value);
+
+    if (sessionId) {
+      await connectDB();
+      await Session.findByIdAndDelete(sessionId);
+    }
+
+    cookieStore.delete(ADMIN_SESSION_COOKIE);
+
+    return { success: true };
+  } catch (error) {
+    console.error("Logout Error:", error);
+    return {
+      success: false,
+      error: "Logout failed. Please try again.",
+    };
+  }
+}
+
+/* ---------------- CURRENT ADMIN SESSION ---------------- */
+export async function getAdminSessionAction() {
+  try {
+    const admin = await getAdminSession();
+
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    return {
+      success: true,
+      restaurant: {
+        restoId: admin.restoCode,
+        restaurantName: admin.restaurantName,
+        phone: admin.phone,
+      },
+    };
+  } catch (error) {
+    console.error("Get Admin Session Error:", error);
+    return { success: false, error: "UNAUTHORIZED" };
+  }
+}
+
 /* ---------------- SIGNUP ---------------- */
 export async function signupRestaurantAction(data) {
   try {
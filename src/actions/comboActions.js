@@ -0,0 +1,242 @@
+"use server";
+
+import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { describeComboOptions } from "@/src/lib/combos";
+import { resolveAvailabilitySettings, getAvailabilityStatus } from "@/src/lib/availability";
+import { addComboSchema, editComboSchema } from "@/src/schema/comboSchema";
+import Combo from "@/src/models/ComboModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ---------------- HELPERS ---------------- */
+/**
+ * Checks that every dish picked for a combo's slots is on the
+ * restaurant's menu with that variant
+ * @param {ObjectId} restaurantDbId - RestaurantAuth _id
+ * @param {Array} slots - Validated slots
+ * @returns {Promise<string|null>} Error message, or null when all are found
+ */
+async function findMissingDish(restaurantDbId, slots) {
+  const options = slots.flatMap((slot) => slot.options);
+  const foods = await RestaurantFood.find({
+    _id: { $in: options.map((option) => option.foodId) },
+    restaurantId: restaurantDbId,
+  })
+    .select("variants")
+    .lean();
+  const foodsById = new Map(foods.map((food) => [food._id.toString(), food]));
+
+  const found = options.every((option) =>
+    foodsById
+      .get(option.foodId)
+      ?.variants.some((variant) => variant._id.toString() === option.variantId)
+  );
+  return found ? null : "A picked dish is no longer on the menu";
+}
+
+/* ---------------- GET COMBOS BY RESTO CODE (CUSTOMER) ---------------- */
+/**
+ * Lists the combos a diner can order, with each option's dish details
+ * @param {string} restoCode - 6-char restaurant code
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export async function getCombosByRestoCode(restoCode) {
+  try {
+    await connectDB();
+
+    const restaurant = await RestaurantAuth.findOne({
+      restoId: String(restoCode || "").toUpperCase(),
+    })
+      .select("_id availability")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "RESTAURANT_NOT_FOUND" };
+    }
+
+    const [combos, foods] = await Promise.all([
+      Combo.find({ restaurantId: restaurant._id, isAvailable: true }).sort({ name: 1 }).lean(),
+      RestaurantFood.find({ restaurantId: restaurant._id })
+        .select("name category foodType isAvailable variants schedule")
+        .lean(),
+    ]);
+
+    // Dishes outside their menu schedule can't be picked right now
+    const availability = resolveAvailabilitySettings(restaurant.availability);
+    const now = new Date();
+    const scheduledFoods = foods.map((food) =>
+      getAvailabilityStatus(food, availability, now).availableNow
+        ? food
+        : { ...food, isAvailable: false }
+    );
+
+    // A combo with a slot nobody can fill is not offered
+    const offered = combos
+      .map((combo) => describeComboOptions(combo, scheduledFoods))
+      .filter((combo) => combo.slots.every((slot) => slot.options.some((o) => o.isAvailable)));
+
+    return { success: true, data: serializePlain(offered) };
+  } catch (error) {
+    console.error("Get Combos By Resto Code Error:", error);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET COMBOS (ADMIN) ================= */
+/**
+ * Lists the restaurant's combos with the dishes their slots can offer
+ * @returns {Promise<Object>} { success, data, foods } or { success: false, error }
+ */
+export async function getCombosAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const [combos, foods] = await Promise.all([
+      Combo.find({ restaurantId: admin.restaurantDbId }).sort({ name: 1 }).lean(),
+      RestaurantFood.find({ restaurantId: admin.restaurantDbId })
+        .select("name category foodType isAvailable variants")
+        .sort({ category: 1, name: 1 })
+        .lean(),
+    ]);
+
+    return {
+      success: true,
+      data: serializePlain(combos.map((combo) => describeComboOptions(combo, foods))),
+      foods: serializePlain(foods),
+    };
+  } catch (err) {
+    console.error("getCombosAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET COMBO BY ID (ADMIN) ================= */
+export async function getComboByIdAction(comboId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const combo = await Combo.findOne({
+      _id: comboId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+
+    if (!combo) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: serializePlain(combo) };
+  } catch (err) {
+    console.error("getComboByIdAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD COMBO - POST ================= */
+export async function addComboAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = addComboSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const missing = await findMissingDish(admin.restaurantDbId, parsed.data.slots);
+    if (missing) {
+      return { success: false, errors: { slots: [missing] } };
+    }
+
+    await Combo.create({
+      ...parsed.data,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A combo with this name already exists"] } };
+    }
+    console.error("addComboAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE COMBO - PATCH ================= */
+export async function updateComboAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = editComboSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const missing = await findMissingDish(admin.restaurantDbId, parsed.data.slots);
+    if (missing) {
+      return { success: false, errors: { slots: [missing] } };
+    }
+
+    const { _id, ...fields } = parsed.data;
+    const updated = await Combo.findOneAndUpdate(
+      { _id, restaurantId: admin.restaurantDbId },
+      fields,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A combo with this name already exists"] } };
+    }
+    console.error("updateComboAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= DELETE COMBO - DELETE ================= */
+export async function deleteComboAction(comboId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const deleted = await Combo.findOneAndDelete({
+      _id: comboId,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    if (!deleted) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, id: comboId };
+  } catch (err) {
+    console.error("deleteComboAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
@@ -0,0 +1,260 @@
+"use server";
+
+import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { getCouponDiscount } from "@/src/lib/billing";
+import { addCouponSchema, editCouponSchema } from "@/src/schema/couponSchema";
+import Coupon from "@/src/models/CouponModel";
+import Order from "@/src/models/OrderModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ---------------- VALIDATE COUPON (CUSTOMER) ---------------- */
+/**
+ * Checks a coupon for a customer's cart. Also called by placeOrderAction
+ * to re-check the coupon at order time.
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} customerPhone - Customer phone
+ * @param {string} code - Coupon code
+ * @param {number} subtotal - Item total the coupon applies to
+ * @returns {Promise<Object>} { success, coupon, discount } or { success: false, error }
+ */
+export async function validateCouponAction(restoId, customerPhone, code, subtotal) {
+  try {
+    await connectDB();
+
+    if (!restoId || !code) {
+      return { success: false, error: "Invalid coupon code" };
+    }
+
+    const restaurant = await RestaurantAuth.findOne({
+      restoId: restoId.toUpperCase(),
+    }).lean();
+    if (!restaurant) {
+      return { success: false, error: "Invalid coupon code" };
+    }
+
+    const coupon = await Coupon.findOne({
+      restaurantId: restaurant._id,
+      code: code.trim().toUpperCase(),
+    }).lean();
+
+    if (!coupon || !coupon.isActive) {
+      return { success: false, error: "Invalid coupon code" };
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom) {
+      return { success: false, error: "This coupon is not active yet" };
+    }
+    if (coupon.validUntil && now > coupon.validUntil) {
+      return { success: false, error: "This coupon has expired" };
+    }
+
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+      return { success: false, error: "This coupon has been fully redeemed" };
+    }
+
+    if (subtotal < coupon.minOrder) {
+      return {
+        success: false,
+        error: `Minimum order of ₹${coupon.minOrder} required for this coupon`,
+      };
+    }
+
+    if (coupon.firstOrderOnly || coupon.perCustomerLimit != null) {
+      if (!customerPhone) {
+        return { success: false, error: "Please login to use this coupon" };
+      }
+
+      const customerOrders = { restoId: restaurant.restoId, customerPhone, status: { $ne: "Cancelled" } };
+
+      if (coupon.firstOrderOnly && (await Order.exists(customerOrders))) {
+        return { success: false, error: "This coupon is valid on your first order only" };
+      }
+
+      if (coupon.perCustomerLimit != null) {
+        const redeemed = await Order.countDocuments({
+          ...customerOrders,
+          "coupon.couponId": coupon._id,
+        });
+        if (redeemed >= coupon.perCustomerLimit) {
+          return { success: false, error: "You have already used this coupon" };
+        }
+      }
+    }
+
+    return {
+      success: true,
+      coupon: {
+        _id: coupon._id.toString(),
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        minOrder: coupon.minOrder,
+        maxDiscount: coupon.maxDiscount,
+      },
+      discount: getCouponDiscount(coupon, subtotal),
+    };
+  } catch (error) {
+    console.error("Validate Coupon Error:", error);
+    return { success: false, error: "Could not apply coupon. Please try again." };
+  }
+}
+
+/* ================= GET COUPONS (ADMIN) ================= */
+export async function getCouponsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const coupons = await Coupon.find({ restaurantId: admin.restaurantDbId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return { success: true, data: serializePlain(coupons) };
+  } catch (err) {
+    console.error("getCouponsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET COUPON BY ID (ADMIN) ================= */
+export async function getCouponByIdAction(couponId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const coupon = await Coupon.findOne({
+      _id: couponId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+
+    if (!coupon) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: serializePlain(coupon) };
+  } catch (err) {
+    console.error("getCouponByIdAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD COUPON - POST ================= */
+export async function addCouponAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = addCouponSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    await Coupon.create({ ...parsed.data, restaurantId: admin.restaurantDbId });
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { code: ["Coupon code already exists"] } };
+    }
+    console.error("addCouponAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE COUPON - PATCH ================= */
+export async function updateCouponAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = editCouponSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { _id, ...fields } = parsed.data;
+    const updated = await Coupon.findOneAndUpdate(
+      { _id, restaurantId: admin.restaurantDbId },
+      fields,
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { code: ["Coupon code already exists"] } };
+    }
+    console.error("updateCouponAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= TOGGLE COUPON ACTIVE ================= */
+export async function setCouponActiveAction(couponId, isActive) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const updated = await Coupon.findOneAndUpdate(
+      { _id: couponId, restaurantId: admin.restaurantDbId },
+      { isActive: Boolean(isActive) },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true };
+  } catch (err) {
+    console.error("setCouponActiveAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= DELETE COUPON - DELETE ================= */
+export async function deleteCouponAction(couponId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const deleted = await Coupon.findOneAndDelete({
+      _id: couponId,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    if (!deleted) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, id: couponId };
+  } catch (err) {
+    console.error("deleteCouponAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
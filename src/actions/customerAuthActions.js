@@ -2,23 +2,40 @@
 import { connectDB } from "@/src/lib/db";
 import CustomerProfile from "@/src/models/CustomerProfileModel";
 import CustomerSession from "@/src/models/CustomerSessionModel";
+import CustomerOtp from "@/src/models/CustomerOtpModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+import Table from "@/src/models/TableModel";
+import { OTP_CONFIG } from "@/src/lib/constants";
+import { normalizeTableName } from "@/src/lib/tableLink";
+import { joinTableSessionAction } from "./tableSessionActions";
+import { serializePlain } from "@/src/lib/serialize";
 
 /* ---------------- HELPERS ---------------- */
-function serializePlain(value) {
-  if (value == null) return value;
-  if (Array.isArray(value)) return value.map(serializePlain);
-  if (value instanceof Date) return value.toISOString();
-  if (typeof value === "object") {
-    if (typeof value.toHexString === "function") {
-      return value.toHexString();
-    }
-    const result = {};
-    for (const key of Object.keys(value)) {
-      result[key] = serializePlain(value[key]);
-    }
-    return result;
+/**
+ * Finds the restaurant table a customer says they are sitting at
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} tableNo - Table name as typed or from the QR code
+ * @returns {Promise<Object>} { tableName } or { error }
+ */
+async function resolveTable(restoId, tableNo) {
+  const restaurant = await RestaurantAuth.findOne({
+    restoId: String(restoId || "").toUpperCase(),
+  }).lean();
+  if (!restaurant) {
+    return { error: "Restaurant not found" };
+  }
+
+  const table = await Table.findOne({
+    restaurantId: restaurant._id,
+    name: normalizeTableName(tableNo),
+  }).lean();
+  if (!table) {
+    return { error: `Table "${tableNo}" doesn't exist. Please scan the QR code on your table.` };
+  }
+  if (table.status === "inactive") {
+    return { error: `Table ${table.name} is not taking orders right now.` };
   }
-  return value;
+  return { tableName: table.name };
 }
 
 /* ---------------- CHECK EXISTING SESSION ---------------- */
@@ -56,6 +73,12 @@ export async function createOrGetCustomerProfile(phone, restoId, tableNo) {
   try {
     await connectDB();
 
+    const { tableName, error } = await resolveTable(restoId, tableNo);
+    if (error) {
+      return { success: false, error };
+    }
+    tableNo = tableName;
+
     // Check if profile already exists
     let userProfile = await CustomerProfile.findOne({ phone, restoId }).lean();
 
@@ -99,6 +122,30 @@ export async function createCustomerSession(profileId, phone, restoId, tableNo)
   try {
     await connectDB();
 
+    // Only tables the restaurant has set up on /admin/tables are accepted
+    const { tableName, error } = await resolveTable(restoId, tableNo);
+    if (error) {
+      return { success: false, error };
+    }
+    tableNo = tableName;
+
+    // Require a freshly verified OTP for this phone and restaurant (single use)
+    const verifiedSince = new Date(Date.now() - OTP_CONFIG.SESSION_WINDOW_SECONDS * 1000);
+    const otp = await CustomerOtp.findOneAndUpdate(
+      {
+        phone,
+        // OTPs are stored under the upper-case restaurant code (otpActions)
+        restoId: restoId.toUpperCase(),
+        verifiedAt: { $gte: verifiedSince },
+        consumedAt: null,
+      },
+      { consumedAt: new Date() }
+    );
+
+    if (!otp) {
+      return { success: false, error: "Phone number not verified. Please verify OTP again." };
+    }
+
     // Delete any existing sessions for this phone and restaurant
     await CustomerSession.deleteMany({ phone, restoId });
 
@@ -111,6 +158,9 @@ export async function createCustomerSession(profileId, phone, restoId, tableNo)
       expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24 hours
     });
 
+    // Sit down at the table: join (or open) its shared session
+    await joinTableSessionAction(phone, restoId);
+
     return {
       success: true,
       session: serializePlain(newSession.toObject()),
@@ -0,0 +1,379 @@
+"use server";
+
+import { getAdminSession } from "@/src/lib/adminSession";
+import { getFoodCosting, getVarianceReport, roundQuantity } from "@/src/lib/recipes";
+import {
+  addIngredientSchema,
+  editIngredientSchema,
+  recipeSchema,
+  stockCountSchema,
+  stockInSchema,
+  variancePeriodSchema,
+} from "@/src/schema/ingredientSchema";
+import Ingredient from "@/src/models/IngredientModel";
+import IngredientMovement from "@/src/models/IngredientMovementModel";
+import Recipe from "@/src/models/RecipeModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/** Purchases listed in the stock-in log */
+const STOCK_IN_LOG_LIMIT = 50;
+
+/* ================= GET INVENTORY (ADMIN) ================= */
+/**
+ * Loads the inventory page: ingredients, the food cost of every dish
+ * variant and the latest purchases
+ * @returns {Promise<Object>} { success, ingredients, costing, purchases }
+ *   or { success: false, error }
+ */
+export async function getInventoryAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const [ingredients, foods, recipes, purchases] = await Promise.all([
+      Ingredient.find({ restaurantId: admin.restaurantDbId }).sort({ name: 1 }).lean(),
+      RestaurantFood.find({ restaurantId: admin.restaurantDbId })
+        .select("name category variants")
+        .sort({ category: 1, name: 1 })
+        .lean(),
+      Recipe.find({ restaurantId: admin.restaurantDbId }).lean(),
+      IngredientMovement.find({ restaurantId: admin.restaurantDbId, type: "purchase" })
+        .sort({ createdAt: -1 })
+        .limit(STOCK_IN_LOG_LIMIT)
+        .lean(),
+    ]);
+
+    const namesById = new Map(ingredients.map((i) => [i._id.toString(), i]));
+
+    return {
+      success: true,
+      ingredients: serializePlain(ingredients),
+      costing: serializePlain(getFoodCosting(foods, recipes, ingredients)),
+      purchases: serializePlain(
+        purchases.map((purchase) => ({
+          ...purchase,
+          ingredientName: namesById.get(purchase.ingredientId.toString())?.name || "Removed",
+          unit: namesById.get(purchase.ingredientId.toString())?.unit || "",
+        }))
+      ),
+    };
+  } catch (err) {
+    console.error("getInventoryAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD INGREDIENT - POST ================= */
+export async function addIngredientAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = addIngredientSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const ingredient = await Ingredient.create({
+      ...parsed.data,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    // Opening stock is booked in like a purchase
+    if (parsed.data.stock > 0) {
+      await IngredientMovement.create({
+        restaurantId: admin.restaurantDbId,
+        ingredientId: ingredient._id,
+        type: "purchase",
+        quantity: parsed.data.stock,
+        unitCost: parsed.data.costPerUnit,
+        note: "Opening stock",
+      });
+    }
+
+    return { success: true, data: serializePlain(ingredient.toObject()) };
+  } catch (err) {
+    if (err.code === 11000) {
+      return {
+        success: false,
+        errors: { name: ["An ingredient with this name already exists"] },
+      };
+    }
+    console.error("addIngredientAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE INGREDIENT - PATCH ================= */
+export async function updateIngredientAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = editIngredientSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { _id, ...fields } = parsed.data;
+    const updated = await Ingredient.findOneAndUpdate(
+      { _id, restaurantId: admin.restaurantDbId },
+      fields,
+      { new: true, runValidators: true }
+    ).lean();
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: serializePlain(updated) };
+  } catch (err) {
+    if (err.code === 11000) {
+      return {
+        success: false,
+        errors: { name: ["An ingredient with this name already exists"] },
+      };
+    }
+    console.error("updateIngredientAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= DELETE INGREDIENT - DELETE ================= */
+/**
+ * Deletes an ingredient and takes it out of every recipe; its movements
+ * stay in the log
+ * @param {string} ingredientId - Ingredient _id
+ */
+export async function deleteIngredientAction(ingredientId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const deleted = await Ingredient.findOneAndDelete({
+      _id: ingredientId,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    if (!deleted) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    await Recipe.updateMany(
+      { restaurantId: admin.restaurantDbId },
+      { $pull: { ingredients: { ingredientId: deleted._id } } }
+    );
+
+    return { success: true, id: ingredientId };
+  } catch (err) {
+    console.error("deleteIngredientAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= SAVE RECIPE - PUT ================= */
+/**
+ * Sets the ingredients one portion of a dish variant uses
+ * @param {Object} data - { foodId, variantId, ingredients: [{ ingredientId, quantity }] }
+ * @returns {Promise<Object>} { success, recipe } (null when cleared)
+ */
+export async function saveRecipeAction(data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = recipeSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { foodId, variantId, ingredients } = parsed.data;
+    const [food, ingredientCount] = await Promise.all([
+      RestaurantFood.findOne({
+        _id: foodId,
+        restaurantId: admin.restaurantDbId,
+        "variants._id": variantId,
+      })
+        .select("_id")
+        .lean(),
+      Ingredient.countDocuments({
+        _id: { $in: ingredients.map((line) => line.ingredientId) },
+        restaurantId: admin.restaurantDbId,
+      }),
+    ]);
+
+    if (!food) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+    if (ingredientCount !== ingredients.length) {
+      return { success: false, errors: { ingredients: ["An ingredient no longer exists"] } };
+    }
+
+    if (ingredients.length === 0) {
+      await Recipe.deleteOne({ foodId, variantId, restaurantId: admin.restaurantDbId });
+      return { success: true, recipe: null };
+    }
+
+    const recipe = await Recipe.findOneAndUpdate(
+      { foodId, variantId, restaurantId: admin.restaurantDbId },
+      { ingredients },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    return { success: true, recipe: serializePlain(recipe) };
+  } catch (err) {
+    console.error("saveRecipeAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD STOCK-IN - POST ================= */
+/**
+ * Books a purchase into stock; the ingredient's cost becomes the price paid
+ */
+export async function addStockInAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = stockInSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { ingredientId, quantity, unitCost, note } = parsed.data;
+    const ingredient = await Ingredient.findOneAndUpdate(
+      { _id: ingredientId, restaurantId: admin.restaurantDbId },
+      { $inc: { stock: quantity }, $set: { costPerUnit: unitCost } },
+      { new: true }
+    ).lean();
+
+    if (!ingredient) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    await IngredientMovement.create({
+      restaurantId: admin.restaurantDbId,
+      ingredientId,
+      type: "purchase",
+      quantity,
+      unitCost,
+      note,
+    });
+
+    return { success: true, data: serializePlain(ingredient) };
+  } catch (err) {
+    console.error("addStockInAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= RECORD STOCK COUNT - POST ================= */
+/**
+ * Sets an ingredient's stock to what was counted on the shelf; the
+ * difference from what the system expected is logged as variance
+ */
+export async function recordStockCountAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = stockCountSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { ingredientId, counted, note } = parsed.data;
+    const before = await Ingredient.findOneAndUpdate(
+      { _id: ingredientId, restaurantId: admin.restaurantDbId },
+      { $set: { stock: counted } }
+    ).lean();
+
+    if (!before) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    await IngredientMovement.create({
+      restaurantId: admin.restaurantDbId,
+      ingredientId,
+      type: "count",
+      quantity: roundQuantity(counted - before.stock),
+      note,
+    });
+
+    return { success: true, data: serializePlain({ ...before, stock: counted }) };
+  } catch (err) {
+    console.error("recordStockCountAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET VARIANCE REPORT (ADMIN) ================= */
+/**
+ * What orders should have used against what the counts found, per
+ * ingredient, over a period
+ * @param {Object} period - { from: "YYYY-MM-DD", to: "YYYY-MM-DD" }
+ * @returns {Promise<Object>} { success, data } or { success: false, errors | error }
+ */
+export async function getVarianceReportAction(period) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = variancePeriodSchema.safeParse(period);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const [ingredients, movements] = await Promise.all([
+      Ingredient.find({ restaurantId: admin.restaurantDbId }).sort({ name: 1 }).lean(),
+      IngredientMovement.find({
+        restaurantId: admin.restaurantDbId,
+        createdAt: {
+          $gte: new Date(`${parsed.data.from}T00:00:00`),
+          $lte: new Date(`${parsed.data.to}T23:59:59.999`),
+        },
+      }).lean(),
+    ]);
+
+    return { success: true, data: serializePlain(getVarianceReport(ingredients, movements)) };
+  } catch (err) {
+    console.error("getVarianceReportAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
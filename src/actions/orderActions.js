@@ -1,37 +1,68 @@
 "use server";
+import { Types } from "mongoose";
 import { connectDB } from "@/src/lib/db";
 import Order from "@/src/models/OrderModel";
 import CustomerProfile from "@/src/models/CustomerProfileModel";
+import CustomerSession from "@/src/models/CustomerSessionModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import Coupon from "@/src/models/CouponModel";
+import TableSession from "@/src/models/TableSessionModel";
+import KitchenStation from "@/src/models/KitchenStationModel";
+import Combo from "@/src/models/ComboModel";
+import Payment from "@/src/models/PaymentModel";
+import { calculateBill } from "@/src/lib/billing";
+import {
+  resolveAvailabilitySettings,
+  getAvailabilityStatus,
+  describeAvailability,
+} from "@/src/lib/availability";
+import { ORDER_EDIT_CONFIG } from "@/src/lib/constants";
+import { canEditItems, describeItemChanges, getEditSecondsLeft } from "@/src/lib/orderEdit";
+import {
+  ITEM_STATUSES,
+  CANCEL_REASON_MAX_LENGTH,
+  canChangeItemStatus,
+  canTransitionOrder,
+  cascadeItemStatus,
+  deriveOrderStatus,
+  getItemStatus,
+} from "@/src/lib/orderStatus";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { getNetTotal, getRefundableAmount } from "@/src/lib/refunds";
+import { findStationForFood, isStationItem } from "@/src/lib/kitchenStations";
+import { getLineUnitPrice, getModifiersTotal, resolveModifiers } from "@/src/lib/modifiers";
+import { ORDER_INSTRUCTIONS_MAX_LENGTH, sanitizeInstructions } from "@/src/lib/instructions";
+import {
+  COMBO_VARIANT_LABEL,
+  describeComboOptions,
+  isComboComponent,
+  isComboLine,
+  resolveComboPicks,
+  syncComboStatuses,
+} from "@/src/lib/combos";
+import { refundOrder } from "@/src/lib/payments/refundOrder";
+import { queueKitchenTickets } from "@/src/lib/printing";
+import { moveStock, releaseOrderStock, reserveStock } from "@/src/lib/inventory";
+import { syncOrderIngredients } from "@/src/lib/inventory/ingredients";
 import {
   broadcastToAdminAction,
   broadcastToCustomerAction,
 } from "./broadcastActions";
+import { validateCouponAction } from "./couponActions";
+import { joinTableSessionAction } from "./tableSessionActions";
+import { serializePlain } from "@/src/lib/serialize";
 
 // WebSocket event constants (inline to avoid importing objects in server actions)
 const WS_EVENTS = {
   ORDER_PLACED: "order:placed",
   ORDER_UPDATED: "order:updated",
   ORDER_STATUS_CHANGED: "order:status_changed",
+  ORDER_MODIFIED: "order:modified",
+  TABLE_CART_UPDATED: "table:cart_updated",
 };
 
 /* ---------------- HELPERS ---------------- */
-function serializePlain(value) {
-  if (value == null) return value;
-  if (Array.isArray(value)) return value.map(serializePlain);
-  if (value instanceof Date) return value.toISOString();
-  if (typeof value === "object") {
-    if (typeof value.toHexString === "function") {
-      return value.toHexString();
-    }
-    const result = {};
-    for (const key of Object.keys(value)) {
-      result[key] = serializePlain(value[key]);
-    }
-    return result;
-  }
-  return value;
-}
-
 function generateOrderId() {
   // Format: 01XXXXX (7 digits starting with 01)
   const timestamp = Date.now().toString().slice(-5);
@@ -39,6 +70,415 @@ function generateOrderId() {
   return `01${timestamp}${random}`;
 }
 
+/**
+ * Re-prices cart lines against the restaurant's current menu and sends
+ * each line to its kitchen station.
+ * Never trusts the price, add-ons or availability sent by the client;
+ * the line's note for the kitchen is kept, cleaned. A combo becomes its
+ * own line followed by a line per picked dish (see src/lib/combos.js).
+ * Dishes outside their menu schedule are rejected with when they can be
+ * ordered (see src/lib/availability.js).
+ * @param {ObjectId} restaurantDbId - RestaurantAuth _id that owns the menu
+ * @param {Array} items - Cart lines sent by the cart page
+ * @returns {Promise<{ lines: Array, adjustments: Array }>}
+ *   lines: order items built from the database records
+ *   adjustments: { id, name, type: "repriced" | "rejected", reason, oldPrice, newPrice }
+ *   (prices per unit, add-ons included; repriced ones also carry the
+ *   line's new variantPrice and modifiers)
+ */
+async function priceCartItems(restaurantDbId, items) {
+  const isObjectId = (id) => /^[a-f\d]{24}$/i.test(String(id || ""));
+  const combos = await Combo.find({
+    _id: { $in: items.map((item) => item.comboId).filter(isObjectId) },
+    restaurantId: restaurantDbId,
+  }).lean();
+
+  const foodIds = [
+    ...items.map((item) => item.foodId || item.itemId || item._id).filter(isObjectId),
+    ...combos.flatMap((combo) =>
+      combo.slots.flatMap((slot) => slot.options.map((option) => option.foodId))
+    ),
+  ];
+
+  const foods = await RestaurantFood.find({
+    _id: { $in: foodIds },
+    restaurantId: restaurantDbId,
+  }).lean();
+  const foodsById = new Map(foods.map((food) => [food._id.toString(), food]));
+
+  const restaurant = await RestaurantAuth.findById(restaurantDbId).select("availability").lean();
+  const availability = resolveAvailabilitySettings(restaurant?.availability);
+  const now = new Date();
+  const scheduleById = new Map(
+    foods.map((food) => [food._id.toString(), getAvailabilityStatus(food, availability, now)])
+  );
+
+  // Combo slots can't offer a dish outside its schedule
+  const comboFoods = foods.map((food) =>
+    scheduleById.get(food._id.toString()).availableNow ? food : { ...food, isAvailable: false }
+  );
+  const combosById = new Map(
+    combos.map((combo) => [combo._id.toString(), describeComboOptions(combo, comboFoods)])
+  );
+  const stations = await KitchenStation.find({ restaurantId: restaurantDbId }).lean();
+
+  const lines = [];
+  const adjustments = [];
+
+  for (const item of items) {
+    const lineId = item.id || `${item.itemId}-${item.variantId}`;
+    const reject = (reason) =>
+      adjustments.push({ id: lineId, name: item.name, type: "rejected", reason });
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      reject("Invalid quantity");
+      continue;
+    }
+
+    // A combo is ordered as its own line plus one line per picked dish
+    if (item.comboId) {
+      const combo = combosById.get(String(item.comboId));
+      if (!combo) {
+        reject("Combo is no longer on the menu");
+        continue;
+      }
+      if (combo.isAvailable === false) {
+        reject("Combo is currently unavailable");
+        continue;
+      }
+
+      const { modifiers, picks, error: pickError } = resolveComboPicks(
+        combo,
+        (item.modifiers || []).map((modifier) => modifier.optionId)
+      );
+      if (pickError) {
+        reject(pickError);
+        continue;
+      }
+
+      const sentPrice = Number(item.variant?.price) + getModifiersTotal(item);
+      const unitPrice = combo.price + getModifiersTotal({ modifiers });
+      if (sentPrice !== unitPrice) {
+        adjustments.push({
+          id: lineId,
+          name: combo.name,
+          type: "repriced",
+          reason: "Price has changed",
+          oldPrice: Number.isFinite(sentPrice) ? sentPrice : null,
+          newPrice: unitPrice,
+          variantPrice: combo.price,
+          modifiers,
+        });
+      }
+
+      const instructions = sanitizeInstructions(item.instructions);
+      const parentLineId = new Types.ObjectId();
+      lines.push({
+        _id: parentLineId,
+        foodId: null,
+        comboId: combo._id,
+        name: combo.name,
+        foodType: combo.foodType,
+        imageUrl: combo.imageUrl || "",
+        variant: { label: COMBO_VARIANT_LABEL, price: combo.price },
+        modifiers,
+        quantity,
+        instructions,
+      });
+      for (const { slot, option } of picks) {
+        const station = findStationForFood(
+          { _id: option.foodId, category: option.category },
+          stations
+        );
+        lines.push({
+          foodId: option.foodId,
+          variantId: option.variantId,
+          parentLineId,
+          comboSlot: slot.name,
+          name: option.name,
+          foodType: option.foodType,
+          imageUrl: "",
+          variant: { label: option.variantLabel, price: 0 },
+          modifiers: [],
+          quantity,
+          instructions,
+          stationId: station?._id || null,
+          stationName: station?.name || "",
+        });
+      }
+      continue;
+    }
+
+    const food = foodsById.get(String(item.foodId || item.itemId || item._id));
+    if (!food) {
+      reject("Item is no longer on the menu");
+      continue;
+    }
+    if (food.isAvailable === false) {
+      reject("Item is currently unavailable");
+      continue;
+    }
+    const scheduleStatus = scheduleById.get(food._id.toString());
+    if (!scheduleStatus.availableNow) {
+      reject(describeAvailability(scheduleStatus));
+      continue;
+    }
+
+    const variantId = item.variantId || item.variant?._id;
+    const variant = food.variants?.find((v) =>
+      variantId ? v._id.toString() === String(variantId) : v.label === item.variant?.label
+    );
+    if (!variant) {
+      reject("Selected variant no longer exists");
+      continue;
+    }
+    if (variant.isAvailable === false) {
+      reject(`${variant.label} is currently unavailable`);
+      continue;
+    }
+
+    const { modifiers, error: modifierError } = resolveModifiers(
+      food,
+      (item.modifiers || []).map((modifier) => modifier.optionId)
+    );
+    if (modifierError) {
+      reject(modifierError);
+      continue;
+    }
+
+    const sentPrice = Number(item.variant?.price) + getModifiersTotal(item);
+    const unitPrice = getLineUnitPrice({ variant, modifiers });
+    if (sentPrice !== unitPrice) {
+      adjustments.push({
+        id: lineId,
+        name: food.name,
+        type: "repriced",
+        reason: "Price has changed",
+        oldPrice: Number.isFinite(sentPrice) ? sentPrice : null,
+        newPrice: unitPrice,
+        variantPrice: variant.price,
+        modifiers,
+      });
+    }
+
+    const station = findStationForFood(food, stations);
+    lines.push({
+      foodId: food._id,
+      name: food.name,
+      foodType: food.foodType,
+      imageUrl: food.imageUrl || "",
+      variant: {
+        label: variant.label,
+        price: variant.price,
+      },
+      variantId: variant._id,
+      modifiers,
+      quantity,
+      instructions: sanitizeInstructions(item.instructions),
+      stationId: station?._id || null,
+      stationName: station?.name || "",
+    });
+  }
+
+  return { lines, adjustments };
+}
+
+/**
+ * Builds a statusHistory entry
+ * @param {string|null} from - Previous order status
+ * @param {string} to - New order status
+ * @param {Object} by - { role: "customer" | "admin" | "system", name, phone }
+ * @param {string} reason - Why (required for cancellations)
+ * @returns {Object} History entry
+ */
+function historyEntry(from, to, by, reason = "") {
+  return { from, to, by, reason, at: new Date() };
+}
+
+/**
+ * Describes the logged-in admin for statusHistory
+ * @param {Object} admin - Session from getAdminSession
+ * @returns {Object} { role, name, phone }
+ */
+function adminActor(admin) {
+  return { role: "admin", name: admin.restaurantName || "", phone: admin.phone || "" };
+}
+
+/**
+ * Gives a cancelled order's coupon redemption back so it no longer
+ * counts against the coupon's usage limit
+ * @param {Object} order - Cancelled order
+ */
+async function releaseCoupon(order) {
+  if (!order.coupon?.couponId) return;
+  await Coupon.updateOne(
+    { _id: order.coupon.couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+}
+
+/**
+ * Recomputes an order's bill over its lines that are not voided
+ * @param {Object} order - Order before the change
+ * @param {Array} items - Order lines after the change
+ * @returns {Promise<Object>} $set fields for the new totals
+ */
+async function billWithoutVoidedLines(order, items) {
+  const restaurant = await RestaurantAuth.findOne({ restoId: order.restoCode })
+    .select("billing")
+    .lean();
+
+  // Keep the coupon, but never give more discount than it first granted
+  const coupon = order.coupon
+    ? { ...order.coupon, maxDiscount: order.coupon.discount }
+    : null;
+  const bill = calculateBill(
+    items.filter((item) => getItemStatus(item) !== "voided"),
+    coupon,
+    restaurant?.billing
+  );
+
+  const update = {
+    subtotal: bill.subtotal,
+    tax: bill.tax,
+    taxes: bill.taxes,
+    discount: bill.discount,
+    serviceCharge: bill.serviceCharge,
+    packagingFee: bill.packagingFee,
+    deliveryFee: bill.deliveryFee,
+    roundOff: bill.roundOff,
+    total: bill.total,
+  };
+  if (order.coupon) update["coupon.discount"] = bill.discount;
+  return update;
+}
+
+/**
+ * Sends an updated order to the customer and to the restaurant's admins
+ * @param {Object} order - Updated order (lean)
+ * @returns {Promise<Object>} Serialized order
+ */
+async function broadcastOrderChange(order) {
+  const serializedOrder = serializePlain(order);
+  const payload = {
+    orderId: order.orderId,
+    status: order.status,
+    order: serializedOrder,
+  };
+
+  await broadcastToCustomerAction(
+    order.restoId,
+    order.customerPhone,
+    WS_EVENTS.ORDER_STATUS_CHANGED,
+    payload
+  );
+  await broadcastToAdminAction(order.restoId, WS_EVENTS.ORDER_UPDATED, payload);
+
+  return serializedOrder;
+}
+
+/**
+ * Loads an order the customer may still change: their own, still
+ * "Placed" and inside the edit window
+ * @param {string} orderId - Order ID
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { order } or { error }
+ */
+async function findEditableOrder(orderId, customerPhone, restoId) {
+  const hasSession = await CustomerSession.exists({
+    phone: customerPhone,
+    restoId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!hasSession) {
+    return { error: "Please login again to change your order" };
+  }
+
+  const order = await Order.findOne({ orderId, customerPhone, restoId }).lean();
+  if (!order) {
+    return { error: "Order not found" };
+  }
+  if (order.status !== "Placed") {
+    return { error: `The restaurant has already ${order.status === "Cancelled" ? "cancelled" : "accepted"} this order` };
+  }
+  if (getEditSecondsLeft(order) === 0) {
+    return { error: "This order can no longer be changed" };
+  }
+  return { order };
+}
+
+/**
+ * Filter that only matches while the order is still in its edit window,
+ * so a change racing an accept (or the window closing) never applies
+ * @param {Object} order - Order loaded by findEditableOrder
+ * @returns {Object} Mongo filter
+ */
+function editableOrderFilter(order) {
+  return {
+    _id: order._id,
+    status: "Placed",
+    createdAt: { $gt: new Date(Date.now() - ORDER_EDIT_CONFIG.WINDOW_MINUTES * 60000) },
+  };
+}
+
+/**
+ * Tells the restaurant's admins that a customer changed their order
+ * @param {Object} order - Updated order (lean)
+ * @param {string} change - "cancelled" | "edited"
+ * @param {string} summary - What changed
+ * @returns {Promise<Object>} Serialized order
+ */
+async function notifyCustomerChange(order, change, summary) {
+  const serializedOrder = await broadcastOrderChange(order);
+  await broadcastToAdminAction(order.restoId, WS_EVENTS.ORDER_MODIFIED, {
+    orderId: order.orderId,
+    tableNumber: order.tableNumber,
+    change,
+    summary,
+    order: serializedOrder,
+  });
+  return serializedOrder;
+}
+
+/**
+ * Takes the lines of an order placed from the table's shared cart out of
+ * it (lines someone added to meanwhile keep the extra quantity) and tells
+ * every diner at the table
+ * @param {string} tableSessionId - Table session _id
+ * @param {Array} sharedLines - Shared cart lines that were ordered
+ * @param {string} customerPhone - Diner who placed the order
+ */
+async function takeFromSharedCart(tableSessionId, sharedLines, customerPhone) {
+  for (const line of sharedLines) {
+    const reduced = await TableSession.updateOne(
+      {
+        _id: tableSessionId,
+        sharedCart: { $elemMatch: { id: line.id, quantity: { $gt: line.quantity } } },
+      },
+      { $inc: { "sharedCart.$.quantity": -line.quantity } }
+    );
+    if (reduced.matchedCount === 0) {
+      await TableSession.updateOne(
+        { _id: tableSessionId },
+        { $pull: { sharedCart: { id: line.id } } }
+      );
+    }
+  }
+
+  const tableSession = await TableSession.findById(tableSessionId).lean();
+  const sharedCart = serializePlain(tableSession.sharedCart);
+  for (const diner of tableSession.diners) {
+    await broadcastToCustomerAction(
+      tableSession.restoId,
+      diner.phone,
+      WS_EVENTS.TABLE_CART_UPDATED,
+      { tableSessionId: tableSession._id.toString(), sharedCart, changedBy: customerPhone }
+    );
+  }
+}
+
 /* ---------------- PLACE ORDER ---------------- */
 export async function placeOrderAction(orderData) {
   try {
@@ -46,28 +486,137 @@ export async function placeOrderAction(orderData) {
 
     const {
       restoId,
-      restoCode,
-      restoName,
       customerPhone,
       customerName,
-      tableNumber,
-      items,
-      subtotal,
-      tax,
-      discount,
-      deliveryFee,
-      total,
+      couponCode,
       paymentMethod,
+      fromSharedCart,
+      instructions,
     } = orderData;
+    let { items } = orderData;
 
     // Validate required fields
-    if (!restoId || !customerPhone || !tableNumber || !items?.length) {
+    if (!restoId || !customerPhone || !(fromSharedCart || items?.length)) {
       return {
         success: false,
         error: "Missing required fields",
       };
     }
 
+    // Only a logged-in customer orders; the coupon's per-customer limits
+    // count against the phone their session verified
+    const session = await CustomerSession.findOne({
+      phone: customerPhone,
+      restoId,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    if (!session) {
+      return { success: false, error: "Please login again to place your order" };
+    }
+
+    const restaurant = await RestaurantAuth.findOne({
+      restoId: restoId.toUpperCase(),
+    }).lean();
+
+    if (!restaurant) {
+      return {
+        success: false,
+        error: "Restaurant not found",
+      };
+    }
+
+    // Put the order on the table's running tab; the shared cart needs it
+    const joined = await joinTableSessionAction(customerPhone, restoId);
+    const tableSession = joined.success ? joined.tableSession : null;
+    if (fromSharedCart) {
+      if (!tableSession) {
+        return { success: false, error: joined.error };
+      }
+      items = tableSession.sharedCart;
+      if (items.length === 0) {
+        return { success: false, error: "The table cart is empty" };
+      }
+    }
+
+    // Re-price every line from the menu; the client's prices are ignored
+    const { lines, adjustments } = await priceCartItems(restaurant._id, items);
+
+    if (adjustments.length > 0) {
+      // Keep the shared cart's prices current for the next attempt
+      if (fromSharedCart) {
+        for (const adj of adjustments.filter((a) => a.type === "repriced")) {
+          await TableSession.updateOne(
+            { _id: tableSession._id, "sharedCart.id": adj.id },
+            {
+              $set: {
+                "sharedCart.$.variant.price": adj.variantPrice,
+                "sharedCart.$.modifiers": adj.modifiers,
+              },
+            }
+          );
+        }
+      }
+      return {
+        success: false,
+        error: "Some items in your cart have changed. Please review your cart.",
+        adjustments,
+      };
+    }
+
+    // Re-check the coupon against the server-side subtotal
+    let coupon = null;
+    if (couponCode) {
+      const couponResult = await validateCouponAction(
+        restaurant.restoId,
+        session.phone,
+        couponCode,
+        calculateBill(lines).subtotal
+      );
+      if (!couponResult.success) {
+        return {
+          success: false,
+          error: couponResult.error,
+          couponRejected: true,
+        };
+      }
+      coupon = couponResult.coupon;
+    }
+
+    const bill = calculateBill(lines, coupon, restaurant.billing);
+
+    // Claim one redemption; the filter keeps the global limit race-free
+    if (coupon) {
+      const claimed = await Coupon.findOneAndUpdate(
+        {
+          _id: coupon._id,
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+          ],
+        },
+        { $inc: { usedCount: 1 } }
+      );
+      if (!claimed) {
+        return {
+          success: false,
+          error: "This coupon has been fully redeemed",
+          couponRejected: true,
+        };
+      }
+    }
+
+    // Take the stock of counted dishes; the last portions go to one order only
+    const stock = await reserveStock(restaurant, lines);
+    if (stock.error) {
+      if (coupon) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+      }
+      return {
+        success: false,
+        error: `${stock.error}. Please update your cart.`,
+      };
+    }
+
     // Generate unique order ID
     let orderId = generateOrderId();
     
@@ -82,37 +631,67 @@ export async function placeOrderAction(orderData) {
     const newOrder = await Order.create({
       orderId,
       restoId,
-      restoCode: restoCode || "",
-      restoName: restoName || "",
+      restoCode: restaurant.restoId,
+      restoName: restaurant.restaurantName || "",
       customerPhone,
       customerName: customerName || "",
-      tableNumber,
-      items: items.map((item) => ({
-        foodId: item.foodId || item._id,
-        name: item.name,
-        foodType: item.foodType,
-        imageUrl: item.imageUrl || "",
-        variant: {
-          label: item.variant.label,
-          price: item.variant.price,
-        },
-        quantity: item.quantity,
-      })),
-      subtotal,
-      tax: tax || 0,
-      discount: discount || 0,
-      deliveryFee: deliveryFee || 0,
-      total,
+      // The table the customer logged in at, checked against /admin/tables
+      tableNumber: tableSession?.tableName || session.tableNo,
+      tableSessionId: tableSession?._id || null,
+      items: lines,
+      stockReservations: stock.reservations,
+      ingredientUsage: [],
+      instructions: sanitizeInstructions(instructions, ORDER_INSTRUCTIONS_MAX_LENGTH),
+      subtotal: bill.subtotal,
+      tax: bill.tax,
+      taxes: bill.taxes,
+      pricesIncludeTax: bill.pricesIncludeTax,
+      discount: bill.discount,
+      serviceCharge: bill.serviceCharge,
+      packagingFee: bill.packagingFee,
+      deliveryFee: bill.deliveryFee,
+      roundOff: bill.roundOff,
+      total: bill.total,
+      coupon: coupon
+        ? {
+            couponId: coupon._id,
+            code: coupon.code,
+            type: coupon.type,
+            value: coupon.value,
+            discount: bill.discount,
+          }
+        : null,
       paymentMethod: paymentMethod || "Cash",
       status: "Placed",
+      statusHistory: [
+        historyEntry(null, "Placed", {
+          role: "customer",
+          name: customerName || "",
+          phone: customerPhone,
+        }),
+      ],
+    }).catch(async (error) => {
+      // Give the redemption and the stock back if the order could not be saved
+      if (coupon) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+      }
+      await moveStock(restaurant, stock.reservations, []);
+      throw error;
     });
 
+    // Book the ingredients the order's recipes use
+    await syncOrderIngredients(newOrder._id);
+
     // Update customer profile with order reference
     await CustomerProfile.findOneAndUpdate(
       { phone: customerPhone, restoId },
       { $push: { orders: newOrder._id }, updatedAt: new Date() }
     );
 
+    if (fromSharedCart) {
+      await takeFromSharedCart(tableSession._id, items, customerPhone);
+    }
+
     const serializedOrder = serializePlain(newOrder.toObject());
 
     // Broadcast new order to admin (real-time notification)
@@ -120,6 +699,11 @@ export async function placeOrderAction(orderData) {
       order: serializedOrder,
     });
 
+    // Kitchen tickets; a printer problem never fails the order
+    await queueKitchenTickets(newOrder.toObject(), restaurant._id).catch((error) =>
+      console.error("Kitchen Ticket Error:", error)
+    );
+
     return {
       success: true,
       order: serializedOrder,
@@ -159,12 +743,15 @@ export async function getCustomerOrdersAction(customerPhone, restoId) {
 }
 
 /* ---------------- GET ORDERS FOR RESTAURANT (ADMIN) ---------------- */
-export async function getRestaurantOrdersAction(restoId) {
+export async function getRestaurantOrdersAction() {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
     const orders = await Order.find({
-      restoId,
+      restoId: admin.restoCode,
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -183,13 +770,16 @@ export async function getRestaurantOrdersAction(restoId) {
 }
 
 /* ---------------- GET ACTIVE ORDERS FOR RESTAURANT ---------------- */
-export async function getActiveRestaurantOrdersAction(restoId) {
+export async function getActiveRestaurantOrdersAction() {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
     const orders = await Order.find({
-      restoId,
-      status: { $in: ["Placed", "Accepted", "Preparing"] },
+      restoId: admin.restoCode,
+      status: { $in: ["Placed", "Accepted", "Preparing", "Ready"] },
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -208,9 +798,19 @@ export async function getActiveRestaurantOrdersAction(restoId) {
 }
 
 /* ---------------- UPDATE ORDER STATUS ---------------- */
-export async function updateOrderStatusAction(orderId, newStatus) {
+/**
+ * Moves an order along ORDER_TRANSITIONS and records it in statusHistory
+ * @param {string} orderId - Order ID
+ * @param {string} newStatus - Requested status
+ * @param {string} reason - Required when cancelling
+ * @returns {Promise<Object>} { success, order } or { success: false, error }
+ */
+export async function updateOrderStatusAction(orderId, newStatus, reason = "") {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
     const validStatuses = ["Placed", "Accepted", "Preparing", "Served", "Cancelled"];
     if (!validStatuses.includes(newStatus)) {
@@ -220,76 +820,616 @@ export async function updateOrderStatusAction(orderId, newStatus) {
       };
     }
 
+    const cancelReason = String(reason || "").trim();
+    if (newStatus === "Cancelled" && !cancelReason) {
+      return {
+        success: false,
+        error: "Please give a reason for cancelling",
+      };
+    }
+    if (cancelReason.length > CANCEL_REASON_MAX_LENGTH) {
+      return {
+        success: false,
+        error: `Reason cannot exceed ${CANCEL_REASON_MAX_LENGTH} characters`,
+      };
+    }
+
+    const order = await Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+
+    if (!order) {
+      return {
+        success: false,
+        error: "Order not found",
+      };
+    }
+
+    if (!canTransitionOrder(order.status, newStatus)) {
+      return {
+        success: false,
+        error: `Order is ${order.status} and cannot be changed to ${newStatus}`,
+      };
+    }
+
+    if (newStatus === "Cancelled" && getRefundableAmount(order) > 0) {
+      return {
+        success: false,
+        error: "This order is paid. Refund it before cancelling.",
+      };
+    }
+
+    // Carry the order-level change down to its lines
+    const update = { status: newStatus };
+    order.items.forEach((item, index) => {
+      const itemStatus = cascadeItemStatus(newStatus, getItemStatus(item));
+      if (itemStatus) update[`items.${index}.status`] = itemStatus;
+    });
+    if (newStatus === "Cancelled") {
+      update.cancelReason = cancelReason;
+    }
+
+    // Matching the old status keeps concurrent updates from both applying
     const updatedOrder = await Order.findOneAndUpdate(
-      { orderId },
-      { status: newStatus },
+      { _id: order._id, status: order.status },
+      {
+        $set: update,
+        $push: {
+          statusHistory: historyEntry(
+            order.status,
+            newStatus,
+            adminActor(admin),
+            newStatus === "Cancelled" ? cancelReason : ""
+          ),
+        },
+      },
       { new: true }
     ).lean();
 
     if (!updatedOrder) {
+      return {
+        success: false,
+        error: "Order was just updated. Please refresh and try again.",
+      };
+    }
+
+    if (newStatus === "Cancelled") {
+      await releaseCoupon(updatedOrder);
+      await releaseOrderStock(updatedOrder._id);
+      await syncOrderIngredients(updatedOrder._id);
+    }
+
+    const serializedOrder = await broadcastOrderChange(updatedOrder);
+
+    return {
+      success: true,
+      order: serializedOrder,
+    };
+  } catch (error) {
+    console.error("Update Order Status Error:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/* ---------------- UPDATE ORDER ITEM STATUS ---------------- */
+/**
+ * Moves a single order line to a new preparation status and
+ * re-derives the order's overall status from its lines.
+ * A combo's line follows its dishes and can only be voided, which voids
+ * the dishes not yet served; a combo's dish cannot be voided on its own.
+ * @param {string} orderId - Order ID
+ * @param {string} itemId - Order line _id
+ * @param {string} newStatus - One of ITEM_STATUSES
+ * @returns {Promise<Object>} { success, order } or { success: false, error }
+ */
+export async function updateOrderItemStatusAction(orderId, itemId, newStatus) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    if (!ITEM_STATUSES.includes(newStatus)) {
+      return {
+        success: false,
+        error: "Invalid status",
+      };
+    }
+
+    const order = await Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+
+    if (!order) {
       return {
         success: false,
         error: "Order not found",
       };
     }
 
-    const serializedOrder = serializePlain(updatedOrder);
+    if (order.status === "Served" || order.status === "Cancelled") {
+      return {
+        success: false,
+        error: `Order is already ${order.status.toLowerCase()}`,
+      };
+    }
 
-    // Broadcast status change to customer (real-time notification)
-    await broadcastToCustomerAction(
-      updatedOrder.restoId,
-      updatedOrder.customerPhone,
-      WS_EVENTS.ORDER_STATUS_CHANGED,
-      {
-        orderId: updatedOrder.orderId,
-        status: newStatus,
-        order: serializedOrder,
-      }
+    const index = order.items.findIndex((item) => String(item._id) === String(itemId));
+    if (index === -1) {
+      return {
+        success: false,
+        error: "Item not found",
+      };
+    }
+
+    const line = order.items[index];
+    const currentStatus = getItemStatus(line);
+    if (!canChangeItemStatus(currentStatus, newStatus)) {
+      return {
+        success: false,
+        error: `${line.name} cannot go from ${currentStatus} to ${newStatus}`,
+      };
+    }
+
+    // A combo's dishes are cooked on their own, but it is voided as a whole
+    if (isComboComponent(line) && newStatus === "voided") {
+      return {
+        success: false,
+        error: `${line.name} is part of a combo. Void the whole combo instead.`,
+      };
+    }
+    if (isComboLine(line) && newStatus !== "voided") {
+      return {
+        success: false,
+        error: `${line.name} follows its dishes. Change their status instead.`,
+      };
+    }
+
+    let items = order.items.map((item, i) =>
+      i === index ||
+      (newStatus === "voided" &&
+        String(item.parentLineId) === String(line._id) &&
+        canChangeItemStatus(getItemStatus(item), "voided"))
+        ? { ...item, status: newStatus }
+        : item
+    );
+    const synced = syncComboStatuses(items);
+    items = items.map((item, i) => {
+      const sync = synced.find((entry) => entry.index === i);
+      return sync ? { ...item, status: sync.status } : item;
+    });
+    const changedIndexes = items.flatMap((item, i) =>
+      item.status !== order.items[i].status ? [i] : []
     );
 
-    // Also broadcast to all admins for this restaurant
-    await broadcastToAdminAction(
-      updatedOrder.restoId,
-      WS_EVENTS.ORDER_UPDATED,
+    const orderStatus = deriveOrderStatus(items, order.status);
+    if (orderStatus === "Cancelled" && getRefundableAmount(order) > 0) {
+      return {
+        success: false,
+        error: "This order is paid. Refund it before voiding its last items.",
+      };
+    }
+
+    const update = { status: orderStatus };
+    changedIndexes.forEach((i) => {
+      update[`items.${i}.status`] = items[i].status;
+    });
+
+    // A line change that moves the order is recorded like any other change
+    const changes = { $set: update };
+    if (orderStatus !== order.status) {
+      const autoReason = orderStatus === "Cancelled" ? "All items voided" : "";
+      if (orderStatus === "Cancelled") update.cancelReason = autoReason;
+      changes.$push = {
+        statusHistory: historyEntry(order.status, orderStatus, adminActor(admin), autoReason),
+      };
+    }
+
+    // Voided dishes come off the bill unless it has already been paid
+    if (newStatus === "voided" && order.paymentStatus !== "Paid") {
+      Object.assign(update, await billWithoutVoidedLines(order, items));
+    }
+
+    // Every changed line must still be where it was
+    const filter = { _id: order._id, status: order.status };
+    changedIndexes.forEach((i) => {
+      filter[`items.${i}.status`] = order.items[i].status ?? null;
+    });
+    // ...and the order must not have been paid since it was checked
+    if (orderStatus === "Cancelled") {
+      filter.paymentStatus = order.paymentStatus;
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(filter, changes, { new: true }).lean();
+
+    if (!updatedOrder) {
+      return {
+        success: false,
+        error: "Order was just updated. Please refresh and try again.",
+      };
+    }
+
+    // Voiding the last line cancels the order
+    if (updatedOrder.status === "Cancelled") {
+      await releaseCoupon(updatedOrder);
+    }
+    // Voided dishes give their stock back
+    if (newStatus === "voided") {
+      await releaseOrderStock(updatedOrder._id);
+      await syncOrderIngredients(updatedOrder._id);
+    }
+
+    const serializedOrder = await broadcastOrderChange(updatedOrder);
+
+    return {
+      success: true,
+      order: serializedOrder,
+    };
+  } catch (error) {
+    console.error("Update Order Item Status Error:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/* ---------------- UPDATE STATION ITEMS ---------------- */
+/**
+ * Moves every line a kitchen station has on an order one step on
+ * (queued → cooking, or cooking → ready) and re-derives the order's
+ * status, which turns Ready once the last station is done
+ * @param {string} orderId - Order ID
+ * @param {string} stationId - KitchenStation _id, or "all" for every line
+ * @param {string} newStatus - "cooking" | "ready"
+ * @returns {Promise<Object>} { success, order } or { success: false, error }
+ */
+export async function updateStationItemsAction(orderId, stationId, newStatus) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const fromStatus = { cooking: "queued", ready: "cooking" }[newStatus];
+    if (!fromStatus) {
+      return {
+        success: false,
+        error: "Invalid status",
+      };
+    }
+
+    const order = await Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+
+    if (!order) {
+      return {
+        success: false,
+        error: "Order not found",
+      };
+    }
+
+    if (order.status === "Served" || order.status === "Cancelled") {
+      return {
+        success: false,
+        error: `Order is already ${order.status.toLowerCase()}`,
+      };
+    }
+
+    const indexes = order.items.flatMap((item, index) =>
+      isStationItem(item, String(stationId)) && getItemStatus(item) === fromStatus ? [index] : []
+    );
+    if (indexes.length === 0) {
+      return {
+        success: false,
+        error: `No ${fromStatus} items for this station`,
+      };
+    }
+
+    let items = order.items.map((item, index) =>
+      indexes.includes(index) ? { ...item, status: newStatus } : item
+    );
+    // Combos move on with their dishes
+    const synced = syncComboStatuses(items);
+    items = items.map((item, index) => {
+      const sync = synced.find((entry) => entry.index === index);
+      return sync ? { ...item, status: sync.status } : item;
+    });
+    const orderStatus = deriveOrderStatus(items, order.status);
+
+    // Every line must still be where it was, as with single-line changes
+    const filter = { _id: order._id, status: order.status };
+    const update = { status: orderStatus };
+    [...indexes, ...synced.map((entry) => entry.index)].forEach((index) => {
+      filter[`items.${index}.status`] = order.items[index].status ?? null;
+      update[`items.${index}.status`] = items[index].status;
+    });
+
+    const changes = { $set: update };
+    if (orderStatus !== order.status) {
+      changes.$push = {
+        statusHistory: historyEntry(order.status, orderStatus, adminActor(admin)),
+      };
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(filter, changes, { new: true }).lean();
+
+    if (!updatedOrder) {
+      return {
+        success: false,
+        error: "Order was just updated. Please refresh and try again.",
+      };
+    }
+
+    const serializedOrder = await broadcastOrderChange(updatedOrder);
+
+    return {
+      success: true,
+      order: serializedOrder,
+    };
+  } catch (error) {
+    console.error("Update Station Items Error:", error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+}
+
+/* ---------------- CANCEL ORDER (CUSTOMER) ---------------- */
+/**
+ * Lets a customer cancel their own order inside the edit window
+ * @param {string} orderId - Order ID
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} reason - Optional reason from the customer
+ * @returns {Promise<Object>} { success, order } or { success: false, error }
+ */
+export async function cancelOrderByCustomerAction(orderId, customerPhone, restoId, reason = "") {
+  try {
+    await connectDB();
+
+    const cancelReason = String(reason || "").trim() || "Cancelled by customer";
+    if (cancelReason.length > CANCEL_REASON_MAX_LENGTH) {
+      return {
+        success: false,
+        error: `Reason cannot exceed ${CANCEL_REASON_MAX_LENGTH} characters`,
+      };
+    }
+
+    const { order, error } = await findEditableOrder(orderId, customerPhone, restoId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const update = { status: "Cancelled", cancelReason };
+    order.items.forEach((item, index) => {
+      const itemStatus = cascadeItemStatus("Cancelled", getItemStatus(item));
+      if (itemStatus) update[`items.${index}.status`] = itemStatus;
+    });
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      editableOrderFilter(order),
       {
-        orderId: updatedOrder.orderId,
-        status: newStatus,
-        order: serializedOrder,
+        $set: update,
+        $push: {
+          statusHistory: historyEntry(
+            "Placed",
+            "Cancelled",
+            { role: "customer", name: order.customerName || "", phone: customerPhone },
+            cancelReason
+          ),
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!updatedOrder) {
+      return {
+        success: false,
+        error: "This order can no longer be changed",
+      };
+    }
+
+    await releaseCoupon(updatedOrder);
+    await releaseOrderStock(updatedOrder._id);
+    await syncOrderIngredients(updatedOrder._id);
+
+    // A prepaid order is refunded in full; if that fails the restaurant
+    // can still refund it from the order detail
+    let cancelledOrder = updatedOrder;
+    if (getRefundableAmount(updatedOrder) > 0) {
+      const refunded = await refundOrder(
+        updatedOrder,
+        { reason: cancelReason },
+        { role: "customer", name: order.customerName || "", phone: customerPhone }
+      );
+      if (refunded.error) {
+        console.error("Refund On Customer Cancel Error:", refunded.error);
+      } else {
+        cancelledOrder = await Order.findById(updatedOrder._id).lean();
+      }
+    }
+
+    const serializedOrder = await notifyCustomerChange(cancelledOrder, "cancelled", cancelReason);
+
+    return {
+      success: true,
+      order: serializedOrder,
+    };
+  } catch (error) {
+    console.error("Cancel Order By Customer Error:", error);
+    return {
+      success: false,
+      error: "Could not cancel the order. Please try again.",
+    };
+  }
+}
+
+/* ---------------- MODIFY ORDER (CUSTOMER) ---------------- */
+/**
+ * Replaces the items on a customer's order inside the edit window.
+ * Lines are re-priced from the menu and the bill is recalculated.
+ * @param {string} orderId - Order ID
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @param {Array} items - New order lines ({ foodId, name, variant, quantity })
+ * @returns {Promise<Object>} { success, order } or { success: false, error, adjustments? }
+ */
+export async function modifyOrderByCustomerAction(orderId, customerPhone, restoId, items) {
+  try {
+    await connectDB();
+
+    if (!items?.length) {
+      return {
+        success: false,
+        error: "Your order needs at least one item. Cancel it instead.",
+      };
+    }
+
+    const { order, error } = await findEditableOrder(orderId, customerPhone, restoId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // A paid (or being paid) order keeps its items: the new total would
+    // never be charged or refunded
+    const paymentStarted = await Payment.exists({
+      order: order._id,
+      status: { $in: ["pending", "succeeded"] },
+    });
+    if (!canEditItems(order) || paymentStarted) {
+      return {
+        success: false,
+        error:
+          "This order has been paid, so its items can't be changed. You can still cancel it for a refund.",
+      };
+    }
+
+    const restaurant = await RestaurantAuth.findOne({ restoId: order.restoCode }).lean();
+    if (!restaurant) {
+      return {
+        success: false,
+        error: "Restaurant not found",
+      };
+    }
+
+    const { lines, adjustments } = await priceCartItems(restaurant._id, items);
+    if (adjustments.length > 0) {
+      return {
+        success: false,
+        error: "Some items have changed on the menu. Please review your changes.",
+        adjustments,
+      };
+    }
+
+    // Keep the coupon already redeemed on this order, re-checked against the new total
+    let coupon = null;
+    if (order.coupon) {
+      const saved = await Coupon.findById(order.coupon.couponId).lean();
+      coupon = {
+        type: order.coupon.type,
+        value: order.coupon.value,
+        minOrder: saved?.minOrder || 0,
+        maxDiscount: saved?.maxDiscount ?? null,
+      };
+      if (calculateBill(lines).subtotal < coupon.minOrder) {
+        return {
+          success: false,
+          error: `Coupon ${order.coupon.code} needs a minimum order of ₹${coupon.minOrder}`,
+        };
       }
+    }
+
+    // Take stock for added portions and give back what was taken off
+    const stock = await reserveStock(restaurant, lines, order.stockReservations);
+    if (stock.error) {
+      return { success: false, error: stock.error };
+    }
+
+    const bill = calculateBill(lines, coupon, restaurant.billing);
+    const summary = describeItemChanges(
+      order.items.filter((item) => getItemStatus(item) !== "voided"),
+      lines
     );
 
+    const update = {
+      items: lines,
+      stockReservations: stock.reservations,
+      subtotal: bill.subtotal,
+      tax: bill.tax,
+      taxes: bill.taxes,
+      pricesIncludeTax: bill.pricesIncludeTax,
+      discount: bill.discount,
+      serviceCharge: bill.serviceCharge,
+      packagingFee: bill.packagingFee,
+      deliveryFee: bill.deliveryFee,
+      roundOff: bill.roundOff,
+      total: bill.total,
+    };
+    if (order.coupon) update["coupon.discount"] = bill.discount;
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      { ...editableOrderFilter(order), paymentStatus: { $ne: "Paid" } },
+      {
+        $set: update,
+        $push: {
+          statusHistory: historyEntry(
+            "Placed",
+            "Placed",
+            { role: "customer", name: order.customerName || "", phone: customerPhone },
+            `Order edited: ${summary}`
+          ),
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!updatedOrder) {
+      await moveStock(restaurant, stock.reservations, order.stockReservations || []);
+      return {
+        success: false,
+        error: "This order can no longer be changed",
+      };
+    }
+
+    await syncOrderIngredients(updatedOrder._id);
+
+    const serializedOrder = await notifyCustomerChange(updatedOrder, "edited", summary);
+
     return {
       success: true,
       order: serializedOrder,
     };
   } catch (error) {
-    console.error("Update Order Status Error:", error);
+    console.error("Modify Order By Customer Error:", error);
     return {
       success: false,
-      error: error.message,
+      error: "Could not update the order. Please try again.",
     };
   }
 }
 
 /* ---------------- GET ORDER STATS FOR RESTAURANT ---------------- */
-export async function getOrderStatsAction(restoId) {
+export async function getOrderStatsAction() {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     // Get today's orders
     const todayOrders = await Order.find({
-      restoId,
+      restoId: admin.restoCode,
       createdAt: { $gte: today },
     }).lean();
 
     // Calculate stats
     const sessionOrders = todayOrders.length;
-    const sessionRevenue = todayOrders.reduce((sum, o) => sum + (o.total || 0), 0);
+    const sessionRevenue = todayOrders.reduce((sum, o) => sum + getNetTotal(o), 0);
     const activeOrders = todayOrders.filter(
-      (o) => ["Placed", "Accepted", "Preparing"].includes(o.status)
+      (o) => ["Placed", "Accepted", "Preparing", "Ready"].includes(o.status)
     ).length;
     const servedOrders = todayOrders.filter((o) => o.status === "Served").length;
 
@@ -312,9 +1452,12 @@ export async function getOrderStatsAction(restoId) {
 }
 
 /* ---------------- GET DASHBOARD STATS FOR RESTAURANT ---------------- */
-export async function getDashboardStatsAction(restoId) {
+export async function getDashboardStatsAction() {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -329,7 +1472,7 @@ export async function getDashboardStatsAction(restoId) {
     monthAgo.setMonth(monthAgo.getMonth() - 1);
 
     // Get all orders for restaurant
-    const allOrders = await Order.find({ restoId }).lean();
+    const allOrders = await Order.find({ restoId: admin.restoCode }).lean();
     
     // Today's orders
     const todayOrders = allOrders.filter(o => new Date(o.createdAt) >= today);
@@ -349,30 +1492,30 @@ export async function getDashboardStatsAction(restoId) {
     // Calculate stats
     const todayStats = {
       orders: todayOrders.length,
-      revenue: todayOrders.reduce((sum, o) => sum + (o.total || 0), 0),
-      activeOrders: todayOrders.filter(o => ["Placed", "Accepted", "Preparing"].includes(o.status)).length,
+      revenue: todayOrders.reduce((sum, o) => sum + getNetTotal(o), 0),
+      activeOrders: todayOrders.filter(o => ["Placed", "Accepted", "Preparing", "Ready"].includes(o.status)).length,
       servedOrders: todayOrders.filter(o => o.status === "Served").length,
       cancelledOrders: todayOrders.filter(o => o.status === "Cancelled").length,
     };
     
     const yesterdayStats = {
       orders: yesterdayOrders.length,
-      revenue: yesterdayOrders.reduce((sum, o) => sum + (o.total || 0), 0),
+      revenue: yesterdayOrders.reduce((sum, o) => sum + getNetTotal(o), 0),
     };
     
     const weekStats = {
       orders: weekOrders.length,
-      revenue: weekOrders.reduce((sum, o) => sum + (o.total || 0), 0),
+      revenue: weekOrders.reduce((sum, o) => sum + getNetTotal(o), 0),
     };
     
     const monthStats = {
       orders: monthOrders.length,
-      revenue: monthOrders.reduce((sum, o) => sum + (o.total || 0), 0),
+      revenue: monthOrders.reduce((sum, o) => sum + getNetTotal(o), 0),
     };
     
     const allTimeStats = {
       orders: allOrders.length,
-      revenue: allOrders.reduce((sum, o) => sum + (o.total || 0), 0),
+      revenue: allOrders.reduce((sum, o) => sum + getNetTotal(o), 0),
     };
 
     // Get recent orders (last 5)
@@ -385,6 +1528,7 @@ export async function getDashboardStatsAction(restoId) {
       placed: todayOrders.filter(o => o.status === "Placed").length,
       accepted: todayOrders.filter(o => o.status === "Accepted").length,
       preparing: todayOrders.filter(o => o.status === "Preparing").length,
+      ready: todayOrders.filter(o => o.status === "Ready").length,
       served: todayOrders.filter(o => o.status === "Served").length,
       cancelled: todayOrders.filter(o => o.status === "Cancelled").length,
     };
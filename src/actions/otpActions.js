@@ -0,0 +1,173 @@
+"use server";
+
+import { randomInt } from "crypto";
+import bcrypt from "bcryptjs";
+import { connectDB } from "@/src/lib/db";
+import { OTP_CONFIG } from "@/src/lib/constants";
+import { getSmsProvider } from "@/src/lib/sms";
+import CustomerOtp from "@/src/models/CustomerOtpModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+
+/* ---------------- HELPERS ---------------- */
+function generateOtpCode() {
+  const max = 10 ** OTP_CONFIG.LENGTH;
+  return randomInt(0, max).toString().padStart(OTP_CONFIG.LENGTH, "0");
+}
+
+function isValidPhone(phone) {
+  return /^\d{10}$/.test(phone || "");
+}
+
+/* ---------------- SEND / RESEND OTP ---------------- */
+export async function sendOtpAction(phone, restoId) {
+  try {
+    await connectDB();
+
+    if (!isValidPhone(phone) || !restoId) {
+      return {
+        success: false,
+        error: "Please enter a valid 10-digit phone number.",
+      };
+    }
+
+    const restoCode = restoId.toUpperCase();
+    const restaurant = await RestaurantAuth.findOne({ restoId: restoCode }).lean();
+    if (!restaurant) {
+      return {
+        success: false,
+        error: "Invalid Restaurant ID. Please check and try again.",
+      };
+    }
+
+    // Enforce resend cooldown based on the latest code sent
+    const lastOtp = await CustomerOtp.findOne({ phone, restoId: restoCode })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (lastOtp) {
+      const elapsed = (Date.now() - new Date(lastOtp.createdAt).getTime()) / 1000;
+      if (elapsed < OTP_CONFIG.RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(OTP_CONFIG.RESEND_COOLDOWN_SECONDS - elapsed);
+        return {
+          success: false,
+          error: `Please wait ${retryAfter}s before requesting a new OTP.`,
+          retryAfter,
+        };
+      }
+    }
+
+    // A new code replaces any unused codes for this phone
+    await CustomerOtp.deleteMany({ phone, restoId: restoCode, consumedAt: null });
+
+    const code = generateOtpCode();
+    const now = Date.now();
+    const expiresAt = new Date(now + OTP_CONFIG.TTL_SECONDS * 1000);
+
+    await CustomerOtp.create({
+      phone,
+      restoId: restoCode,
+      codeHash: await bcrypt.hash(code, 10),
+      expiresAt,
+      purgeAt: new Date(expiresAt.getTime() + 60 * 60 * 1000),
+    });
+
+    const minutes = Math.round(OTP_CONFIG.TTL_SECONDS / 60);
+    const sent = await getSmsProvider().send({
+      to: `+91${phone}`,
+      message: `${code} is your ${restaurant.restaurantName} login code. It expires in ${minutes} minutes.`,
+    });
+
+    if (!sent.success) {
+      await CustomerOtp.deleteMany({ phone, restoId: restoCode, consumedAt: null });
+      return {
+        success: false,
+        error: "Could not send OTP. Please try again.",
+      };
+    }
+
+    return {
+      success: true,
+      expiresIn: OTP_CONFIG.TTL_SECONDS,
+      resendIn: OTP_CONFIG.RESEND_COOLDOWN_SECONDS,
+    };
+  } catch (error) {
+    console.error("Send OTP Error:", error);
+    return {
+      success: false,
+      error: "Could not send OTP. Please try again.",
+    };
+  }
+}
+
+/* ---------------- VERIFY OTP ---------------- */
+export async function verifyOtpAction(phone, restoId, code) {
+  try {
+    await connectDB();
+
+    if (!isValidPhone(phone) || !restoId || !/^\d+$/.test(code || "")) {
+      return {
+        success: false,
+        error: "Please enter a valid 6-digit OTP.",
+      };
+    }
+
+    const restoCode = restoId.toUpperCase();
+    const otp = await CustomerOtp.findOne({
+      phone,
+      restoId: restoCode,
+      verifiedAt: null,
+      consumedAt: null,
+    }).sort({ createdAt: -1 });
+
+    if (!otp || otp.expiresAt < new Date()) {
+      return {
+        success: false,
+        error: "OTP has expired. Please request a new one.",
+      };
+    }
+
+    if (otp.attempts >= OTP_CONFIG.MAX_ATTEMPTS) {
+      return {
+        success: false,
+        error: "Too many incorrect attempts. Please request a new OTP.",
+      };
+    }
+
+    // Count the attempt before comparing so parallel guesses can't skip it
+    const counted = await CustomerOtp.findOneAndUpdate(
+      { _id: otp._id, attempts: { $lt: OTP_CONFIG.MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!counted) {
+      return {
+        success: false,
+        error: "Too many incorrect attempts. Please request a new OTP.",
+      };
+    }
+
+    const isMatch = await bcrypt.compare(code, otp.codeHash);
+    if (!isMatch) {
+      const remaining = OTP_CONFIG.MAX_ATTEMPTS - counted.attempts;
+      return {
+        success: false,
+        error:
+          remaining > 0
+            ? `Invalid OTP. ${remaining} attempt${remaining === 1 ? "" : "s"} left.`
+            : "Too many incorrect attempts. Please request a new OTP.",
+        attemptsLeft: remaining,
+      };
+    }
+
+    await CustomerOtp.updateOne({ _id: otp._id }, { verifiedAt: new Date() });
+
+    return { success: true };
+  } catch (error) {
+    console.error("Verify OTP Error:", error);
+    return {
+      success: false,
+      error: "Verification failed. Please try again.",
+    };
+  }
+}
@@ -0,0 +1,209 @@
+"use server";
+
+import { connectDB } from "@/src/lib/db";
+import { getPaymentProvider } from "@/src/lib/payments";
+import { recordPaymentOutcome } from "@/src/lib/payments/recordOutcome";
+import Payment from "@/src/models/PaymentModel";
+import Order from "@/src/models/OrderModel";
+import CustomerSession from "@/src/models/CustomerSessionModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ---------------- HELPERS ---------------- */
+/**
+ * Loads a customer's own order that still needs paying online
+ * @param {string} orderId - Order ID
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { order } or { error }
+ */
+async function findPayableOrder(orderId, customerPhone, restoId) {
+  const hasSession = await CustomerSession.exists({
+    phone: customerPhone,
+    restoId,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!hasSession) {
+    return { error: "Please login again to pay" };
+  }
+
+  const order = await Order.findOne({ orderId, customerPhone, restoId }).lean();
+  if (!order) {
+    return { error: "Order not found" };
+  }
+  if (order.status === "Cancelled") {
+    return { error: "This order was cancelled" };
+  }
+  if (order.paymentStatus === "Paid") {
+    return { error: "This order is already paid" };
+  }
+  return { order };
+}
+
+/** Fields of a payment the customer's screen needs */
+function toClientPayment(payment, nextAction = null) {
+  return {
+    _id: payment._id.toString(),
+    orderId: payment.orderId,
+    method: payment.method,
+    amount: payment.amount,
+    status: payment.status,
+    failureReason: payment.failureReason,
+    nextAction,
+  };
+}
+
+/* ---------------- CREATE PAYMENT (CUSTOMER) ---------------- */
+/**
+ * Starts an online payment for an order with the active provider
+ * @param {string} orderId - Order ID
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} method - "UPI" | "Card" | "Wallet"
+ * @returns {Promise<Object>} { success, payment } or { success: false, error }
+ */
+export async function createPaymentAction(orderId, customerPhone, restoId, method) {
+  try {
+    await connectDB();
+
+    const { order, error } = await findPayableOrder(orderId, customerPhone, restoId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider.methods.includes(method)) {
+      return { success: false, error: `${method} payments are not available` };
+    }
+
+    const intent = await provider.createIntent({
+      amount: order.total,
+      currency: "INR",
+      method,
+      reference: order.orderId,
+    });
+    if (!intent.success) {
+      return { success: false, error: intent.error || "Could not start the payment" };
+    }
+
+    const payment = await Payment.create({
+      order: order._id,
+      orderId: order.orderId,
+      restoId: order.restoId,
+      customerPhone,
+      provider: provider.name,
+      providerRef: intent.providerRef,
+      method,
+      amount: order.total,
+    });
+
+    // Remember the chosen method on the order, as the cart page sent it
+    if (order.paymentMethod !== method) {
+      await Order.updateOne({ _id: order._id }, { paymentMethod: method });
+    }
+
+    return { success: true, payment: toClientPayment(payment, intent.nextAction) };
+  } catch (error) {
+    console.error("Create Payment Error:", error);
+    return { success: false, error: "Could not start the payment. Please try again." };
+  }
+}
+
+/* ---------------- CONFIRM PAYMENT (CUSTOMER) ---------------- */
+/**
+ * Completes a payment with the UPI ID / card details the customer entered
+ * @param {string} paymentId - Payment _id from createPaymentAction
+ * @param {string} customerPhone - Customer phone
+ * @param {Object} details - { vpa } for UPI, { cardNumber, expiry, cvv } for cards
+ * @returns {Promise<Object>} { success, payment, order } or { success: false, error }
+ *   (a declined payment is success: true with payment.status "failed")
+ */
+export async function confirmPaymentAction(paymentId, customerPhone, details = {}) {
+  try {
+    await connectDB();
+
+    const payment = await Payment.findOne({ _id: paymentId, customerPhone }).lean();
+    if (!payment) {
+      return { success: false, error: "Payment not found" };
+    }
+    if (payment.status === "succeeded" || payment.status === "failed") {
+      return { success: false, error: "This payment is already complete" };
+    }
+
+    const provider = getPaymentProvider();
+    if (provider.name !== payment.provider) {
+      return { success: false, error: "This payment can no longer be completed" };
+    }
+
+    // The order was edited after the payment started: the customer pays
+    // the new total instead of being charged and refunded the old one
+    // (recordPaymentOutcome checks again as it marks the order Paid)
+    const order = await Order.findById(payment.order).select("total").lean();
+    if (!order || order.total !== payment.amount) {
+      await Payment.updateOne(
+        { _id: payment._id, status: { $in: ["created", "pending"] } },
+        { status: "failed", failureReason: "Order total changed" }
+      );
+      return {
+        success: false,
+        error: "Your order changed since this payment started. Please pay again.",
+      };
+    }
+
+    const result = await provider.confirm({
+      providerRef: payment.providerRef,
+      method: payment.method,
+      details,
+    });
+    if (!result.success) {
+      return { success: false, error: result.error || "Could not reach the payment provider" };
+    }
+
+    const outcome = await recordPaymentOutcome(
+      payment.providerRef,
+      result.status,
+      result.failureReason
+    );
+
+    return {
+      success: true,
+      payment: toClientPayment(outcome.payment),
+      order: outcome.order,
+    };
+  } catch (error) {
+    console.error("Confirm Payment Error:", error);
+    return { success: false, error: "Payment could not be completed. Please try again." };
+  }
+}
+
+/* ---------------- PAY AT COUNTER (CUSTOMER) ---------------- */
+/**
+ * Switches an unpaid order to cash, paid at the counter
+ * @param {string} orderId - Order ID
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { success, order } or { success: false, error }
+ */
+export async function payAtCounterAction(orderId, customerPhone, restoId) {
+  try {
+    await connectDB();
+
+    const { order, error } = await findPayableOrder(orderId, customerPhone, restoId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $ne: "Paid" } },
+      { paymentMethod: "Cash", paymentStatus: "Pending" },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      return { success: false, error: "This order is already paid" };
+    }
+
+    return { success: true, order: serializePlain(updated) };
+  } catch (error) {
+    console.error("Pay At Counter Error:", error);
+    return { success: false, error: "Could not update the order. Please try again." };
+  }
+}
@@ -0,0 +1,302 @@
+"use server";
+
+import { getAdminSession } from "@/src/lib/adminSession";
+import { addPrinterSchema, editPrinterSchema } from "@/src/schema/printerSchema";
+import { queueKitchenTickets } from "@/src/lib/printing";
+import { buildTestTicket } from "@/src/lib/printing/kot";
+import { enqueuePrintJob, processPrintQueue } from "@/src/lib/printing/queue";
+import Printer from "@/src/models/PrinterModel";
+import PrintJob from "@/src/models/PrintJobModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import KitchenStation from "@/src/models/KitchenStationModel";
+import Order from "@/src/models/OrderModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ---------------- HELPERS ---------------- */
+// Print jobs listed on the printers page
+const RECENT_JOBS_LIMIT = 50;
+
+/* ================= GET PRINTERS (ADMIN) ================= */
+/**
+ * Lists the restaurant's kitchen printers and the stations / menu
+ * categories they can be given
+ * @returns {Promise<Object>} { success, data, stations, categories }
+ *   or { success: false, error }
+ */
+export async function getPrintersAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const [printers, stations, categories] = await Promise.all([
+      Printer.find({ restaurantId: admin.restaurantDbId }).sort({ name: 1 }).lean(),
+      KitchenStation.find({ restaurantId: admin.restaurantDbId })
+        .select("name")
+        .sort({ name: 1 })
+        .lean(),
+      RestaurantFood.distinct("category", { restaurantId: admin.restaurantDbId }),
+    ]);
+
+    return {
+      success: true,
+      data: serializePlain(printers),
+      stations: serializePlain(stations),
+      categories: categories.sort(),
+    };
+  } catch (err) {
+    console.error("getPrintersAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET PRINTER BY ID (ADMIN) ================= */
+export async function getPrinterByIdAction(printerId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const printer = await Printer.findOne({
+      _id: printerId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+
+    if (!printer) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: serializePlain(printer) };
+  } catch (err) {
+    console.error("getPrinterByIdAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD PRINTER - POST ================= */
+export async function addPrinterAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = addPrinterSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    await Printer.create({ ...parsed.data, restaurantId: admin.restaurantDbId });
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A printer with this name already exists"] } };
+    }
+    console.error("addPrinterAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE PRINTER - PATCH ================= */
+export async function updatePrinterAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = editPrinterSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { _id, ...fields } = parsed.data;
+    const updated = await Printer.findOneAndUpdate(
+      { _id, restaurantId: admin.restaurantDbId },
+      fields,
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A printer with this name already exists"] } };
+    }
+    console.error("updatePrinterAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= DELETE PRINTER - DELETE ================= */
+export async function deletePrinterAction(printerId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const deleted = await Printer.findOneAndDelete({
+      _id: printerId,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    if (!deleted) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    // Its waiting tickets have nowhere to go
+    await PrintJob.updateMany(
+      { printer: deleted._id, status: "queued" },
+      { status: "failed", lastError: "Printer was removed" }
+    );
+
+    return { success: true, id: printerId };
+  } catch (err) {
+    console.error("deletePrinterAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= TEST PRINTER (ADMIN) ================= */
+/**
+ * Queues a test page for a printer
+ * @param {string} printerId - Printer _id
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function testPrinterAction(printerId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const printer = await Printer.findOne({
+      _id: printerId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+    if (!printer) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    const station = printer.stationId
+      ? await KitchenStation.findById(printer.stationId).select("name").lean()
+      : null;
+
+    await enqueuePrintJob({
+      restaurantId: admin.restaurantDbId,
+      printer,
+      kind: "test",
+      data: buildTestTicket(printer, station?.name),
+    });
+
+    return { success: true };
+  } catch (err) {
+    console.error("testPrinterAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET PRINT JOBS (ADMIN) ================= */
+/**
+ * Lists the latest print jobs, newest first. Also starts the queue, in
+ * case the server restarted with tickets still waiting.
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export async function getPrintJobsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    processPrintQueue();
+
+    const jobs = await PrintJob.find({ restaurantId: admin.restaurantDbId })
+      .select("-data")
+      .sort({ createdAt: -1 })
+      .limit(RECENT_JOBS_LIMIT)
+      .lean();
+
+    return { success: true, data: serializePlain(jobs) };
+  } catch (err) {
+    console.error("getPrintJobsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= RETRY PRINT JOB (ADMIN) ================= */
+/**
+ * Sends a failed job again, with a fresh set of attempts
+ * @param {string} jobId - PrintJob _id
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function retryPrintJobAction(jobId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const job = await PrintJob.findOneAndUpdate(
+      { _id: jobId, restaurantId: admin.restaurantDbId, status: "failed" },
+      { status: "queued", attempts: 0, lastError: "", nextAttemptAt: new Date() }
+    );
+    if (!job) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    processPrintQueue();
+
+    return { success: true };
+  } catch (err) {
+    console.error("retryPrintJobAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= REPRINT ORDER TICKETS (ADMIN) ================= */
+/**
+ * Prints an order's kitchen tickets again, marked as a reprint
+ * @param {string} orderId - Order ID
+ * @param {string|null} printerId - Only this printer's ticket (all when null)
+ * @returns {Promise<Object>} { success, count } or { success: false, error }
+ */
+export async function reprintOrderAction(orderId, printerId = null) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const order = await Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+    if (!order) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    const jobs = await queueKitchenTickets(order, admin.restaurantDbId, {
+      reprint: true,
+      printerId,
+    });
+    if (jobs.length === 0) {
+      return { success: false, error: "No active printer takes this order's dishes" };
+    }
+
+    return { success: true, count: jobs.length };
+  } catch (err) {
+    console.error("reprintOrderAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
@@ -0,0 +1,90 @@
+"use server";
+
+import { getAdminSession } from "@/src/lib/adminSession";
+import { refundOrder } from "@/src/lib/payments/refundOrder";
+import { refundSchema } from "@/src/schema/refundSchema";
+import Order from "@/src/models/OrderModel";
+import Payment from "@/src/models/PaymentModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ================= GET ORDER DETAIL (ADMIN) ================= */
+/**
+ * Gets one of the restaurant's orders with its online payments
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { success, order, payments }
+ */
+export async function getOrderDetailAction(orderId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const order = await Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+    if (!order) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    const payments = await Payment.find({ order: order._id })
+      .sort({ createdAt: -1 })
+      .select("provider providerRef method amount status failureReason paidAt createdAt")
+      .lean();
+
+    return {
+      success: true,
+      order: serializePlain(order),
+      payments: serializePlain(payments),
+    };
+  } catch (err) {
+    console.error("getOrderDetailAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ISSUE REFUND (ADMIN) ================= */
+/**
+ * Refunds a paid order in full or by line, through the payment provider
+ * when it was paid online
+ * @param {string} orderId - Order ID
+ * @param {Object} data - { type: "full" | "partial", items: [{ itemId, quantity }], reason }
+ * @returns {Promise<Object>} { success, order, refund } or { success: false, error | errors }
+ */
+export async function issueRefundAction(orderId, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = refundSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const order = await Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+    if (!order) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+    if (order.paymentStatus !== "Paid") {
+      return { success: false, error: "Only paid orders can be refunded" };
+    }
+
+    const { type, items, reason } = parsed.data;
+    const result = await refundOrder(
+      order,
+      { lines: type === "full" ? null : items, reason },
+      { role: "admin", name: admin.restaurantName || "", phone: admin.phone || "" }
+    );
+    if (result.error) {
+      return { success: false, error: result.error };
+    }
+
+    return { success: true, order: result.order, refund: result.refund };
+  } catch (err) {
+    console.error("issueRefundAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
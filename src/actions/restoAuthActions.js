@@ -9,6 +9,7 @@ import { signCookie } from "@/app/lib/auth";
 import RestaurantAuth from "@/app/models/RestaurantAuthModel";
 import Session from "@/app/models/RestaurantSessionModel";
 import { registerSchema, loginSchema } from "@/app/schema/restoAuthSchema";
+import { serializePlain } from "@/src/lib/serialize";
 
 /* ---------------- GET CURRENT RESTAURANT ---------------- */
 export async function getCurrentRestaurant() {
@@ -49,25 +50,6 @@ export async function getCurrentRestaurant() {
   }
 }
 
-/* ---------------- HELPERS ---------------- */
-
-function serializePlain(value) {
-  if (value == null) return value;
-  if (Array.isArray(value)) return value.map(serializePlain);
-  if (value instanceof Date) return value.toISOString();
-  if (typeof value === "object") {
-    if (typeof value.toHexString === "function") {
-      return value.toHexString();
-    }
-    const out = {};
-    for (const [k, v] of Object.entries(value)) {
-      out[k] = serializePlain(v);
-    }
-    return out;
-  }
-  return value;
-}
-
 /* ---------------- GET RESTAURANTS ---------------- */
 export async function getAllRestaurants() {
   try {
@@ -1,10 +1,31 @@
 "use server";
 
-import { cookies } from "next/headers";
+import { Types } from "mongoose";
 import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
 import { addFoodItemSchema, editFoodItemSchema } from "@/src/schema/restoFoodItemSchema";
 import RestaurantFood from "@/src/models/AdminFoodModel";
 import RestaurantAuth from "@/src/models/AdminAuthModel";
+import {
+  resolveAvailabilitySettings,
+  getAvailabilityStatus,
+  describeAvailability,
+} from "@/src/lib/availability";
+import {
+  exportMenu,
+  getDishChanges,
+  mergeDish,
+  nameKey,
+  parseMenuFile,
+  toTransferDish,
+} from "@/src/lib/menuTransfer";
+import { broadcastToRestaurantAction } from "./broadcastActions";
+
+// WebSocket event constants (inline to avoid importing objects in server actions)
+const WS_EVENTS = {
+  MENU_ITEM_UPDATED: "menu:item_updated",
+  MENU_ITEM_REMOVED: "menu:item_removed",
+};
 
 function formDataToObject(formData) {
   // If it's already a plain object, return it directly
@@ -18,6 +39,42 @@ function formDataToObject(formData) {
   return obj;
 }
 
+/**
+ * A menu item as diners get it: plain ids and dates, plus whether its
+ * schedule allows ordering it now
+ * @param {Object} item - Menu item (lean)
+ * @param {Object} availability - From resolveAvailabilitySettings
+ * @param {Date} now - Moment to check the schedule at
+ * @returns {Object}
+ */
+function serializeMenuItem(item, availability, now) {
+  // Out-of-schedule dishes stay listed with when they can be ordered
+  const status = getAvailabilityStatus(item, availability, now);
+  return {
+    ...item,
+    _id: item._id.toString(),
+    restaurantId: item.restaurantId.toString(),
+    createdAt: item.createdAt?.toISOString(),
+    updatedAt: item.updatedAt?.toISOString(),
+    tags: item.tags || [],
+    variants: item.variants?.map((v) => ({
+      ...v,
+      _id: v._id?.toString(),
+    })),
+    modifierGroups: (item.modifierGroups || []).map((group) => ({
+      ...group,
+      _id: group._id?.toString(),
+      options: group.options.map((option) => ({
+        ...option,
+        _id: option._id?.toString(),
+      })),
+    })),
+    availableNow: status.availableNow,
+    availableFrom: status.availableFrom,
+    availabilityNote: describeAvailability(status),
+  };
+}
+
 /* ----- GET ALL RESTAURANT FOOD ITEMS BY RESTO CODE (6-char code) ------- */
 export async function getAllFoodItemsByRestoCode(restoCode) {
   try {
@@ -49,19 +106,11 @@ export async function getAllFoodItemsByRestoCode(restoCode) {
 
     console.log("Food items found:", foodItems.length);
 
+    const availability = resolveAvailabilitySettings(restaurant.availability);
+    const now = new Date();
+
     // Serialize MongoDB documents to plain objects
-    const serializedItems = foodItems.map((item) => ({
-      ...item,
-      _id: item._id.toString(),
-      restaurantId: item.restaurantId.toString(),
-      createdAt: item.createdAt?.toISOString(),
-      updatedAt: item.updatedAt?.toISOString(),
-      tags: item.tags || [],
-      variants: item.variants?.map((v) => ({
-        ...v,
-        _id: v._id?.toString(),
-      })),
-    }));
+    const serializedItems = foodItems.map((item) => serializeMenuItem(item, availability, now));
 
     return {
       success: true,
@@ -107,6 +156,14 @@ export async function getAllFoodItemsCorrespondingToRestaurantId(restaurantId) {
         ...v,
         _id: v._id?.toString(),
       })),
+      modifierGroups: (item.modifierGroups || []).map((group) => ({
+        ...group,
+        _id: group._id?.toString(),
+        options: group.options.map((option) => ({
+          ...option,
+          _id: option._id?.toString(),
+        })),
+      })),
     }));
 
     return {
@@ -148,10 +205,13 @@ export async function getRestaurantIdByRestoCode(restoCode) {
 /* ================= ADD FOOD ITEM - POST================= */
 export async function addFoodItemAction(_, rawData) {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
-    // ✅ Convert FormData to normal object
-    const data = formDataToObject(rawData);
+    // ✅ Convert FormData to normal object; restaurant always comes from the session
+    const data = { ...formDataToObject(rawData), restaurantId: admin.restaurantDbId };
 
     const parsed = addFoodItemSchema.safeParse(data);
     console.log("Parsed data:", parsed.data);
@@ -176,16 +236,26 @@ export async function addFoodItemAction(_, rawData) {
 
 export async function deleteFoodItemAction(foodItemId) {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
     const deleted = await RestaurantFood.findOneAndDelete({
       _id: foodItemId,
+      restaurantId: admin.restaurantDbId,
     });
 
     if (!deleted) {
       return { success: false, error: "NOT_FOUND" };
     }
 
+    // Diners on /menu drop it and their carts flag it
+    await broadcastToRestaurantAction(admin.restoCode, WS_EVENTS.MENU_ITEM_REMOVED, {
+      foodId: deleted._id.toString(),
+      name: deleted.name,
+    });
+
     return { success: true, id: foodItemId };
   } catch (err) {
     console.error("deleteFoodItemAction error:", err);
@@ -196,10 +266,13 @@ export async function deleteFoodItemAction(foodItemId) {
 /* ================= UPDATE FOOD ITEM - PATCH ================= */
 export async function updateFoodItemAction(_, rawData) {
   try {
-    await connectDB();
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
 
-    // ✅ Convert FormData to normal object
-    const data = formDataToObject(rawData);
+    // ✅ Convert FormData to normal object; restaurant always comes from the session
+    const data = { ...formDataToObject(rawData), restaurantId: admin.restaurantDbId };
     console.log("Raw data received for update:", data);
 
     const parsed = editFoodItemSchema.safeParse(data);
@@ -212,22 +285,287 @@ export async function updateFoodItemAction(_, rawData) {
       };
     }
 
-    // -------- UPDATE --------
-    const updatedFood = await RestaurantFood.findOneAndUpdate(
-      {
-        _id: rawData._id,
-      },
-      parsed.data,
-      { new: true }
-    );
+    const saved = await RestaurantFood.findOne({
+      _id: parsed.data._id,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
 
-    if (!updatedFood) {
+    if (!saved) {
       return { error: "FOOD_NOT_FOUND" };
     }
 
+    // -------- UPDATE --------
+    // Restocks go first so a dish restocked and switched on in one save
+    // is no longer held off by its old 0
+    const { restock, ...dish } = parsed.data;
+    await RestaurantFood.bulkWrite([
+      ...restockWrites(saved, restock),
+      ...dishUpdateWrites(saved, dish),
+    ]);
+    const updatedFood = await RestaurantFood.findById(saved._id).lean();
+
+    // Diners on /menu see the change (a switch-off, restock or new price)
+    // straight away and their carts flag lines it breaks
+    const restaurant = await RestaurantAuth.findById(admin.restaurantDbId)
+      .select("availability")
+      .lean();
+    await broadcastToRestaurantAction(admin.restoCode, WS_EVENTS.MENU_ITEM_UPDATED, {
+      item: serializeMenuItem(
+        updatedFood,
+        resolveAvailabilitySettings(restaurant?.availability),
+        new Date()
+      ),
+    });
+
     return { success: true };
   } catch (err) {
     console.error("updateFoodItemAction error:", err);
     return { error: "SERVER_ERROR" };
   }
 }
+
+/**
+ * Writes that set the counts an admin changed on the edit form. Each is
+ * its own update, so the rest of the dish never carries a count back.
+ * @param {Object} saved - Saved menu item (lean)
+ * @param {Array} restock - [{ variantId, stock }], no variantId = the dish's count
+ * @returns {Array} bulkWrite operations
+ */
+function restockWrites(saved, restock) {
+  const filter = { _id: saved._id, restaurantId: saved.restaurantId };
+  return restock.map(({ variantId, stock }) => ({
+    updateOne: variantId
+      ? {
+          filter: { ...filter, "variants._id": new Types.ObjectId(variantId) },
+          update: { $set: { "variants.$.stock": stock } },
+        }
+      : { filter, update: { $set: { stock } } },
+  }));
+}
+
+/**
+ * Writes that lay an edit or import over a saved dish. Stock counts are
+ * never written and variants are changed in place by id, so portions
+ * orders reserve meanwhile are not overwritten; switching a dish or
+ * variant on only applies while it is not sold out at 0. Fields the dish
+ * leaves out stay as they are.
+ * @param {Object} saved - Saved menu item (lean)
+ * @param {Object} dish - Validated edit or import (addFoodItemSchema fields)
+ * @returns {Array} bulkWrite operations, run in order
+ */
+function dishUpdateWrites(saved, dish) {
+  const filter = { _id: saved._id, restaurantId: saved.restaurantId };
+  const {
+    variants,
+    isAvailable,
+    stock: _stock,
+    restaurantId: _restaurantId,
+    _id: _dishId,
+    ...fields
+  } = dish;
+
+  const set = { ...fields };
+  const arrayFilters = [];
+  const added = [];
+  variants?.forEach((variant, index) => {
+    if (!variant._id) {
+      // A new variant has no orders yet, so its count is taken as given
+      added.push({
+        label: variant.label,
+        price: variant.price,
+        isAvailable: variant.isAvailable,
+        stock: variant.stock ?? null,
+      });
+      return;
+    }
+    const variantId = new Types.ObjectId(variant._id);
+    set[`variants.$[v${index}].label`] = variant.label;
+    set[`variants.$[v${index}].price`] = variant.price;
+    arrayFilters.push({ [`v${index}._id`]: variantId });
+    if (variant.isAvailable) {
+      set[`variants.$[on${index}].isAvailable`] = true;
+      arrayFilters.push({ [`on${index}._id`]: variantId, [`on${index}.stock`]: { $ne: 0 } });
+    } else {
+      set[`variants.$[v${index}].isAvailable`] = false;
+    }
+  });
+  if (isAvailable === false) set.isAvailable = false;
+
+  const keptIds = (variants || []).filter((v) => v._id).map((v) => String(v._id));
+  const removedIds = variants
+    ? saved.variants.filter((v) => !keptIds.includes(String(v._id))).map((v) => v._id)
+    : [];
+
+  const writes = [
+    {
+      updateOne: {
+        filter,
+        update: { $set: set },
+        ...(arrayFilters.length > 0 && { arrayFilters }),
+      },
+    },
+  ];
+  if (isAvailable === true) {
+    writes.push({
+      updateOne: {
+        filter: { ...filter, stock: { $ne: 0 } },
+        update: { $set: { isAvailable: true } },
+      },
+    });
+  }
+  if (removedIds.length > 0) {
+    writes.push({
+      updateOne: { filter, update: { $pull: { variants: { _id: { $in: removedIds } } } } },
+    });
+  }
+  if (added.length > 0) {
+    writes.push({
+      updateOne: { filter, update: { $push: { variants: { $each: added } } } },
+    });
+  }
+  return writes;
+}
+
+/* ================= EXPORT MENU (ADMIN) ================= */
+/**
+ * The restaurant's whole menu as an import file, to copy to another branch
+ * @param {string} format - "csv" | "json"
+ * @returns {Promise<Object>} { success, content, filename } or { success: false, error }
+ */
+export async function exportMenuAction(format) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const foods = await RestaurantFood.find({ restaurantId: admin.restaurantDbId })
+      .sort({ category: 1, name: 1 })
+      .lean();
+
+    const type = format === "json" ? "json" : "csv";
+    return {
+      success: true,
+      content: exportMenu(foods, type),
+      filename: `menu-${admin.restoCode}.${type}`,
+    };
+  } catch (err) {
+    console.error("exportMenuAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= IMPORT MENU (ADMIN) ================= */
+/**
+ * Checks every dish of an import file against addFoodItemSchema and what
+ * is on the menu, and (unless dryRun) adds the new dishes and updates the
+ * known ones by name. Nothing is written while any row has errors.
+ * @param {Object} data - { text, format: "csv" | "json", dryRun }
+ * @returns {Promise<Object>} { success, applied, summary, rows: [{ row, name,
+ *   action: "create" | "update" | "unchanged" | "error", changes, errors }] }
+ *   or { success: false, errors | error }
+ */
+export async function importMenuAction(data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const file = parseMenuFile(String(data?.text ?? ""), data?.format);
+    if (file.error) {
+      return { success: false, errors: { file: [file.error] } };
+    }
+
+    const foods = await RestaurantFood.find({ restaurantId: admin.restaurantDbId }).lean();
+    const foodsByName = new Map(foods.map((food) => [nameKey(food.name), food]));
+    const seen = new Set();
+
+    const rows = file.rows.map(({ row, data: dish, errors }) => {
+      const key = nameKey(dish.name);
+      const saved = foodsByName.get(key) || null;
+      const rowErrors = [...errors];
+
+      const parsed = addFoodItemSchema.safeParse({
+        ...mergeDish(saved, dish),
+        restaurantId: admin.restaurantDbId,
+      });
+      if (!parsed.success) {
+        const { formErrors, fieldErrors } = parsed.error.flatten();
+        rowErrors.push(
+          ...formErrors,
+          ...Object.entries(fieldErrors).map(([field, messages]) => `${field}: ${messages[0]}`)
+        );
+      } else if (parsed.data.variants.length === 0) {
+        rowErrors.push("variants: Add at least one variant");
+      }
+      if (key && seen.has(key)) {
+        rowErrors.push("name: Listed more than once in the file");
+      }
+      seen.add(key);
+
+      const name = typeof dish.name === "string" ? dish.name : "";
+      if (rowErrors.length > 0) {
+        return { row, name, action: "error", errors: rowErrors };
+      }
+      if (!saved) {
+        return { row, name, action: "create", dish: parsed.data };
+      }
+      const changes = getDishChanges(toTransferDish(saved), toTransferDish(parsed.data));
+      return {
+        row,
+        name,
+        action: changes.length > 0 ? "update" : "unchanged",
+        changes,
+        saved,
+        dish: parsed.data,
+      };
+    });
+
+    const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+    rows.forEach((row) => {
+      summary[row.action] += 1;
+    });
+    const report = rows.map(({ dish: _dish, saved: _saved, ...row }) => row);
+
+    if (data?.dryRun || summary.error > 0) {
+      return { success: summary.error === 0, applied: false, summary, rows: report };
+    }
+
+    const writes = rows.flatMap((row) => {
+      if (row.action === "create") return [{ insertOne: { document: row.dish } }];
+      if (row.action === "update") return dishUpdateWrites(row.saved, row.dish);
+      return [];
+    });
+
+    if (writes.length > 0) {
+      await RestaurantFood.bulkWrite(writes);
+
+      // Diners on /menu pick up the new and changed dishes straight away
+      const changedNames = rows
+        .filter((row) => row.action === "create" || row.action === "update")
+        .map((row) => row.dish.name);
+      const [changed, restaurant] = await Promise.all([
+        RestaurantFood.find({
+          restaurantId: admin.restaurantDbId,
+          name: { $in: changedNames },
+        }).lean(),
+        RestaurantAuth.findById(admin.restaurantDbId).select("availability").lean(),
+      ]);
+      const availability = resolveAvailabilitySettings(restaurant?.availability);
+      const now = new Date();
+      await Promise.all(
+        changed.map((item) =>
+          broadcastToRestaurantAction(admin.restoCode, WS_EVENTS.MENU_ITEM_UPDATED, {
+            item: serializeMenuItem(item, availability, now),
+          })
+        )
+      );
+    }
+
+    return { success: true, applied: true, summary, rows: report };
+  } catch (err) {
+    console.error("importMenuAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
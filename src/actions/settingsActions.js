@@ -0,0 +1,316 @@
+"use server";
+
+import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { resolveBillingSettings } from "@/src/lib/billing";
+import { billingSettingsSchema } from "@/src/schema/billingSettingsSchema";
+import { invoiceSettingsSchema } from "@/src/schema/invoiceSettingsSchema";
+import { instructionChipsSchema } from "@/src/schema/instructionChipsSchema";
+import { availabilitySettingsSchema } from "@/src/schema/availabilitySchema";
+import { resolveAvailabilitySettings } from "@/src/lib/availability";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+
+/* ---------------- GET BILLING SETTINGS (CUSTOMER) ---------------- */
+/**
+ * Returns the billing settings the cart needs to show the bill
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { success, billing } or { success: false, error }
+ */
+export async function getBillingSettingsAction(restoId) {
+  try {
+    await connectDB();
+
+    if (!restoId) {
+      return { success: false, error: "Restaurant not found" };
+    }
+
+    const restaurant = await RestaurantAuth.findOne({
+      restoId: restoId.toUpperCase(),
+    })
+      .select("billing")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "Restaurant not found" };
+    }
+
+    return { success: true, billing: resolveBillingSettings(restaurant.billing) };
+  } catch (error) {
+    console.error("Get Billing Settings Error:", error);
+    return { success: false, error: "Failed to load billing settings" };
+  }
+}
+
+/* ================= GET BILLING SETTINGS (ADMIN) ================= */
+export async function getAdminBillingSettingsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const restaurant = await RestaurantAuth.findById(admin.restaurantDbId)
+      .select("billing")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: resolveBillingSettings(restaurant.billing) };
+  } catch (err) {
+    console.error("getAdminBillingSettingsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE BILLING SETTINGS - PATCH ================= */
+export async function updateBillingSettingsAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = billingSettingsSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const updated = await RestaurantAuth.findByIdAndUpdate(
+      admin.restaurantDbId,
+      { billing: parsed.data },
+      { new: true, runValidators: true }
+    )
+      .select("billing")
+      .lean();
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: resolveBillingSettings(updated.billing) };
+  } catch (err) {
+    console.error("updateBillingSettingsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/** Invoice settings with defaults for restaurants that never saved them */
+function resolveInvoiceSettings(invoice) {
+  return {
+    legalName: invoice?.legalName || "",
+    address: invoice?.address || "",
+    gstin: invoice?.gstin || "",
+    prefix: invoice?.prefix || "INV",
+    footerNote: invoice?.footerNote || "",
+  };
+}
+
+/* ================= GET INVOICE SETTINGS (ADMIN) ================= */
+export async function getInvoiceSettingsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const restaurant = await RestaurantAuth.findById(admin.restaurantDbId)
+      .select("invoice")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: resolveInvoiceSettings(restaurant.invoice) };
+  } catch (err) {
+    console.error("getInvoiceSettingsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE INVOICE SETTINGS - PATCH ================= */
+export async function updateInvoiceSettingsAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = invoiceSettingsSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const updated = await RestaurantAuth.findByIdAndUpdate(
+      admin.restaurantDbId,
+      { invoice: parsed.data },
+      { new: true, runValidators: true }
+    )
+      .select("invoice")
+      .lean();
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: resolveInvoiceSettings(updated.invoice) };
+  } catch (err) {
+    console.error("updateInvoiceSettingsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ---------------- GET INSTRUCTION CHIPS (CUSTOMER) ---------------- */
+/**
+ * Returns the quick-pick special instructions the menu offers per category
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { success, instructionChips } or { success: false, error }
+ */
+export async function getInstructionChipsAction(restoId) {
+  try {
+    await connectDB();
+
+    if (!restoId) {
+      return { success: false, error: "Restaurant not found" };
+    }
+
+    const restaurant = await RestaurantAuth.findOne({
+      restoId: restoId.toUpperCase(),
+    })
+      .select("instructionChips")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "Restaurant not found" };
+    }
+
+    return { success: true, instructionChips: restaurant.instructionChips || [] };
+  } catch (error) {
+    console.error("Get Instruction Chips Error:", error);
+    return { success: false, error: "Failed to load instruction chips" };
+  }
+}
+
+/* ================= GET INSTRUCTION CHIPS (ADMIN) ================= */
+export async function getAdminInstructionChipsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const restaurant = await RestaurantAuth.findById(admin.restaurantDbId)
+      .select("instructionChips")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: restaurant.instructionChips || [] };
+  } catch (err) {
+    console.error("getAdminInstructionChipsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE INSTRUCTION CHIPS - PATCH ================= */
+export async function updateInstructionChipsAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = instructionChipsSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const updated = await RestaurantAuth.findByIdAndUpdate(
+      admin.restaurantDbId,
+      { instructionChips: parsed.data.instructionChips },
+      { new: true, runValidators: true }
+    )
+      .select("instructionChips")
+      .lean();
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: updated.instructionChips };
+  } catch (err) {
+    console.error("updateInstructionChipsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET AVAILABILITY SETTINGS (ADMIN) ================= */
+export async function getAdminAvailabilitySettingsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const restaurant = await RestaurantAuth.findById(admin.restaurantDbId)
+      .select("availability")
+      .lean();
+
+    if (!restaurant) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: resolveAvailabilitySettings(restaurant.availability) };
+  } catch (err) {
+    console.error("getAdminAvailabilitySettingsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE AVAILABILITY SETTINGS - PATCH ================= */
+export async function updateAvailabilitySettingsAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = availabilitySettingsSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const updated = await RestaurantAuth.findByIdAndUpdate(
+      admin.restaurantDbId,
+      { availability: parsed.data },
+      { new: true, runValidators: true }
+    )
+      .select("availability")
+      .lean();
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: resolveAvailabilitySettings(updated.availability) };
+  } catch (err) {
+    console.error("updateAvailabilitySettingsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
@@ -0,0 +1,271 @@
+"use server";
+
+import { getAdminSession } from "@/src/lib/adminSession";
+import { toPaise } from "@/src/lib/billing";
+import {
+  SPLIT_METHODS,
+  dinerLabel,
+  getPaidOrderIds,
+  splitByDiner,
+  splitEqually,
+} from "@/src/lib/tableSession";
+import Settlement from "@/src/models/SettlementModel";
+import TableSession from "@/src/models/TableSessionModel";
+import Order from "@/src/models/OrderModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+const PAYMENT_METHODS = ["UPI", "Card", "Cash", "Wallet"];
+
+/* ---------------- HELPERS ---------------- */
+/**
+ * Orders on a table's tab that still have to be paid, oldest first
+ * @param {ObjectId|string} tableSessionId - Table session _id
+ * @returns {Promise<Array>} Lean orders
+ */
+async function findUnpaidOrders(tableSessionId) {
+  return Order.find({
+    tableSessionId,
+    status: { $ne: "Cancelled" },
+    paymentStatus: { $ne: "Paid" },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+/**
+ * Builds the splits of a bill
+ * @param {string} method - One of SPLIT_METHODS
+ * @param {Object} options - { count } for "equal", { splits: [{ label, amount }] } for "custom"
+ * @param {Array} orders - Orders being billed, oldest first
+ * @param {number} total - Bill total
+ * @returns {Object} { splits } or { error }
+ */
+function buildSplits(method, options, orders, total) {
+  if (method === "equal") {
+    const count = Number(options?.count);
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      return { error: "Split between 1 and 50 people" };
+    }
+    return {
+      splits: splitEqually(total, count).map((amount, index) => ({
+        label: `Share ${index + 1} of ${count}`,
+        amount,
+      })),
+    };
+  }
+
+  if (method === "items") {
+    return {
+      splits: splitByDiner(orders).map((share) => ({
+        label: dinerLabel(share.phone, ""),
+        phone: share.phone,
+        amount: share.amount,
+        orderIds: share.orderIds,
+      })),
+    };
+  }
+
+  const custom = Array.isArray(options?.splits) ? options.splits : [];
+  if (custom.length === 0) {
+    return { error: "Add at least one amount" };
+  }
+  const splits = [];
+  for (const [index, split] of custom.entries()) {
+    const amount = toPaise(Number(split.amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return { error: `Share ${index + 1} needs an amount above ₹0` };
+    }
+    splits.push({
+      label: String(split.label || "").trim().slice(0, 40) || `Share ${index + 1}`,
+      amount,
+    });
+  }
+  const splitTotal = toPaise(splits.reduce((sum, split) => sum + split.amount, 0));
+  if (splitTotal !== total) {
+    return { error: `The amounts add up to ₹${splitTotal}, but the bill is ₹${total}` };
+  }
+  return { splits };
+}
+
+/* ================= GET TABLE BILL (ADMIN) ================= */
+/**
+ * Gets what a table still owes: its open bill if one was made, and the
+ * unpaid orders on its tab
+ * @param {string} tableSessionId - Table session _id
+ * @returns {Promise<Object>} { success, tableSession, orders, settlement }
+ */
+export async function getTableBillAction(tableSessionId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const tableSession = await TableSession.findOne({
+      _id: tableSessionId,
+      restaurantId: admin.restaurantDbId,
+    })
+      .select("-sharedCart")
+      .lean();
+    if (!tableSession) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    const [orders, settlement] = await Promise.all([
+      findUnpaidOrders(tableSession._id),
+      Settlement.findOne({ tableSessionId: tableSession._id, status: "open" }).lean(),
+    ]);
+
+    return {
+      success: true,
+      tableSession: serializePlain(tableSession),
+      orders: serializePlain(orders),
+      settlement: serializePlain(settlement),
+    };
+  } catch (err) {
+    console.error("getTableBillAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= SETTLE TABLE (ADMIN) ================= */
+/**
+ * Combines every unpaid order on a table's tab into one bill and splits
+ * it. An open bill nobody has paid towards yet is replaced, so the split
+ * can be changed (or new orders added) until the first payment.
+ * @param {string} tableSessionId - Table session _id
+ * @param {string} method - "equal" | "items" | "custom"
+ * @param {Object} options - { count } for "equal", { splits: [{ label, amount }] } for "custom"
+ * @returns {Promise<Object>} { success, settlement } or { success: false, error }
+ */
+export async function settleTableAction(tableSessionId, method, options = {}) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+    if (!SPLIT_METHODS.includes(method)) {
+      return { success: false, error: "Choose how to split the bill" };
+    }
+
+    const tableSession = await TableSession.findOne({
+      _id: tableSessionId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+    if (!tableSession) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    const openBill = await Settlement.findOne({
+      tableSessionId: tableSession._id,
+      status: "open",
+    }).lean();
+    if (openBill?.splits.some((split) => split.status === "Paid")) {
+      return { success: false, error: "Payments have been taken on this bill. Collect the rest first." };
+    }
+
+    const orders = await findUnpaidOrders(tableSession._id);
+    if (orders.length === 0) {
+      return { success: false, error: "Nothing left to pay on this table" };
+    }
+    const total = toPaise(orders.reduce((sum, order) => sum + order.total, 0));
+
+    const { splits, error } = buildSplits(method, options, orders, total);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // Replace the unpaid bill only if nobody has paid towards it meanwhile
+    if (openBill) {
+      const removed = await Settlement.deleteOne({
+        _id: openBill._id,
+        "splits.status": { $ne: "Paid" },
+      });
+      if (removed.deletedCount === 0) {
+        return { success: false, error: "Payments have been taken on this bill. Collect the rest first." };
+      }
+    }
+
+    const settlement = await Settlement.create({
+      restaurantId: admin.restaurantDbId,
+      tableSessionId: tableSession._id,
+      tableName: tableSession.tableName,
+      orderIds: orders.map((order) => order._id),
+      total,
+      method,
+      splits,
+    });
+
+    return { success: true, settlement: serializePlain(settlement.toObject()) };
+  } catch (err) {
+    console.error("settleTableAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= RECORD SPLIT PAYMENT (ADMIN) ================= */
+/**
+ * Marks one split of a table bill as paid, then marks the orders it
+ * covers as Paid. The bill closes once every split is paid.
+ * @param {string} settlementId - Settlement _id
+ * @param {string} splitId - Split _id
+ * @param {string} paymentMethod - "UPI" | "Card" | "Cash" | "Wallet"
+ * @returns {Promise<Object>} { success, settlement } or { success: false, error }
+ */
+export async function recordSplitPaymentAction(settlementId, splitId, paymentMethod) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return { success: false, error: "Choose how this share was paid" };
+    }
+
+    // Filter on the split still being unpaid so a double tap can't pay twice
+    let settlement = await Settlement.findOneAndUpdate(
+      {
+        _id: settlementId,
+        restaurantId: admin.restaurantDbId,
+        status: "open",
+        splits: { $elemMatch: { _id: splitId, status: "Pending" } },
+      },
+      {
+        $set: {
+          "splits.$.status": "Paid",
+          "splits.$.paymentMethod": paymentMethod,
+          "splits.$.paidAt": new Date(),
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!settlement) {
+      return { success: false, error: "This share is already paid" };
+    }
+
+    const orders = await Order.find({ _id: { $in: settlement.orderIds } })
+      .sort({ createdAt: 1 })
+      .lean();
+    await Order.updateMany(
+      {
+        _id: { $in: getPaidOrderIds(orders, settlement.splits) },
+        status: { $ne: "Cancelled" },
+        paymentStatus: { $ne: "Paid" },
+      },
+      { paymentStatus: "Paid" }
+    );
+
+    if (settlement.splits.every((split) => split.status === "Paid")) {
+      settlement = (await Settlement.findOneAndUpdate(
+        { _id: settlement._id, status: "open" },
+        { status: "paid" },
+        { new: true }
+      ).lean()) || settlement;
+    }
+
+    return { success: true, settlement: serializePlain(settlement) };
+  } catch (err) {
+    console.error("recordSplitPaymentAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
@@ -0,0 +1,175 @@
+"use server";
+
+import { getAdminSession } from "@/src/lib/adminSession";
+import { addStationSchema, editStationSchema } from "@/src/schema/stationSchema";
+import KitchenStation from "@/src/models/KitchenStationModel";
+import Printer from "@/src/models/PrinterModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ---------------- HELPERS ---------------- */
+/**
+ * Takes a station's categories and dishes away from the restaurant's
+ * other stations, so each one belongs to a single station
+ * @param {Object} station - Saved station
+ */
+async function claimForStation(station) {
+  await KitchenStation.updateMany(
+    { restaurantId: station.restaurantId, _id: { $ne: station._id } },
+    { $pull: { categories: { $in: station.categories }, foodIds: { $in: station.foodIds } } }
+  );
+}
+
+/* ================= GET STATIONS (ADMIN) ================= */
+/**
+ * Lists the kitchen stations with the menu they can be given
+ * @returns {Promise<Object>} { success, data, categories, foods }
+ *   or { success: false, error }
+ */
+export async function getStationsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const [stations, foods] = await Promise.all([
+      KitchenStation.find({ restaurantId: admin.restaurantDbId }).sort({ name: 1 }).lean(),
+      RestaurantFood.find({ restaurantId: admin.restaurantDbId })
+        .select("name category")
+        .sort({ category: 1, name: 1 })
+        .lean(),
+    ]);
+
+    return {
+      success: true,
+      data: serializePlain(stations),
+      categories: [...new Set(foods.map((food) => food.category))],
+      foods: serializePlain(foods),
+    };
+  } catch (err) {
+    console.error("getStationsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET STATION BY ID (ADMIN) ================= */
+export async function getStationByIdAction(stationId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const station = await KitchenStation.findOne({
+      _id: stationId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+
+    if (!station) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: serializePlain(station) };
+  } catch (err) {
+    console.error("getStationByIdAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD STATION - POST ================= */
+export async function addStationAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = addStationSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const station = await KitchenStation.create({
+      ...parsed.data,
+      restaurantId: admin.restaurantDbId,
+    });
+    await claimForStation(station);
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A station with this name already exists"] } };
+    }
+    console.error("addStationAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE STATION - PATCH ================= */
+export async function updateStationAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = editStationSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { _id, ...fields } = parsed.data;
+    const updated = await KitchenStation.findOneAndUpdate(
+      { _id, restaurantId: admin.restaurantDbId },
+      fields,
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+    await claimForStation(updated);
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A station with this name already exists"] } };
+    }
+    console.error("updateStationAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= DELETE STATION - DELETE ================= */
+export async function deleteStationAction(stationId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const deleted = await KitchenStation.findOneAndDelete({
+      _id: stationId,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    if (!deleted) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    // Its printers go back to printing by category
+    await Printer.updateMany({ stationId: deleted._id }, { stationId: null });
+
+    return { success: true, id: stationId };
+  } catch (err) {
+    console.error("deleteStationAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
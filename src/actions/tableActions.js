@@ -0,0 +1,187 @@
+"use server";
+
+import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { normalizeTableName, verifyTableSignature } from "@/src/lib/tableLink";
+import { addTableSchema, editTableSchema } from "@/src/schema/tableSchema";
+import Table from "@/src/models/TableModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+import { serializePlain } from "@/src/lib/serialize";
+
+/* ---------------- VERIFY TABLE QR LINK (CUSTOMER) ---------------- */
+/**
+ * Checks the restaurant + table carried by a scanned QR code so /auth
+ * can pre-fill them
+ * @param {string} restoId - 6-char restaurant code from the link
+ * @param {string} tableName - Table name from the link
+ * @param {string} signature - Signature from the link
+ * @returns {Promise<Object>} { success, restaurantName, restaurantId, tableName }
+ *   or { success: false, error }
+ */
+export async function verifyTableLinkAction(restoId, tableName, signature) {
+  try {
+    if (!verifyTableSignature(restoId, tableName, signature)) {
+      return { success: false, error: "This QR code is not valid. Please ask the staff for help." };
+    }
+
+    await connectDB();
+
+    const restaurant = await RestaurantAuth.findOne({
+      restoId: restoId.toUpperCase(),
+    }).lean();
+    if (!restaurant) {
+      return { success: false, error: "Restaurant not found" };
+    }
+
+    const table = await Table.findOne({
+      restaurantId: restaurant._id,
+      name: normalizeTableName(tableName),
+    }).lean();
+    if (!table || table.status === "inactive") {
+      return { success: false, error: "This table is not taking orders right now." };
+    }
+
+    return {
+      success: true,
+      restaurantName: restaurant.restaurantName,
+      restaurantId: restaurant._id.toString(),
+      tableName: table.name,
+    };
+  } catch (error) {
+    console.error("Verify Table Link Error:", error);
+    return { success: false, error: "Could not read this QR code. Please try again." };
+  }
+}
+
+/* ================= GET TABLES (ADMIN) ================= */
+export async function getTablesAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const tables = await Table.find({ restaurantId: admin.restaurantDbId })
+      .sort({ area: 1, name: 1 })
+      .collation({ locale: "en", numericOrdering: true })
+      .lean();
+
+    return { success: true, data: serializePlain(tables), restoCode: admin.restoCode };
+  } catch (err) {
+    console.error("getTablesAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= GET TABLE BY ID (ADMIN) ================= */
+export async function getTableByIdAction(tableId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const table = await Table.findOne({
+      _id: tableId,
+      restaurantId: admin.restaurantDbId,
+    }).lean();
+
+    if (!table) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, data: serializePlain(table) };
+  } catch (err) {
+    console.error("getTableByIdAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= ADD TABLE - POST ================= */
+export async function addTableAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = addTableSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    await Table.create({ ...parsed.data, restaurantId: admin.restaurantDbId });
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A table with this name already exists"] } };
+    }
+    console.error("addTableAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= UPDATE TABLE - PATCH ================= */
+export async function updateTableAction(_, data) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const parsed = editTableSchema.safeParse(data);
+    if (!parsed.success) {
+      return {
+        success: false,
+        errors: parsed.error.flatten().fieldErrors,
+      };
+    }
+
+    const { _id, ...fields } = parsed.data;
+    const updated = await Table.findOneAndUpdate(
+      { _id, restaurantId: admin.restaurantDbId },
+      fields,
+      { new: true }
+    );
+
+    if (!updated) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true };
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, errors: { name: ["A table with this name already exists"] } };
+    }
+    console.error("updateTableAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= DELETE TABLE - DELETE ================= */
+export async function deleteTableAction(tableId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const deleted = await Table.findOneAndDelete({
+      _id: tableId,
+      restaurantId: admin.restaurantDbId,
+    });
+
+    if (!deleted) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    return { success: true, id: tableId };
+  } catch (err) {
+    console.error("deleteTableAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
@@ -0,0 +1,515 @@
+"use server";
+
+import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { getTabTotals } from "@/src/lib/tableSession";
+import { getModifierKey, resolveModifiers } from "@/src/lib/modifiers";
+import { getInstructionsKey, sanitizeInstructions } from "@/src/lib/instructions";
+import {
+  COMBO_VARIANT_LABEL,
+  describeComboOptions,
+  resolveComboPicks,
+} from "@/src/lib/combos";
+import TableSession from "@/src/models/TableSessionModel";
+import CustomerSession from "@/src/models/CustomerSessionModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import Combo from "@/src/models/ComboModel";
+import Table from "@/src/models/TableModel";
+import Order from "@/src/models/OrderModel";
+import { broadcastToCustomerAction } from "./broadcastActions";
+import { serializePlain } from "@/src/lib/serialize";
+
+// WebSocket event constants (inline to avoid importing objects in server actions)
+const WS_EVENTS = {
+  TABLE_CART_UPDATED: "table:cart_updated",
+  TABLE_CLOSED: "table:closed",
+};
+
+/* ---------------- HELPERS ---------------- */
+/**
+ * Finds the open session for the table a customer is logged in at and
+ * adds the customer as a diner if needed
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @param {boolean} open - Open a session if the table has none; reads pass
+ *   false so a page left open after the table closes doesn't reopen it
+ * @returns {Promise<Object>} { tableSession } (lean, null if none) or { error }
+ */
+async function joinOpenSession(customerPhone, restoId, open = true) {
+  const session = await CustomerSession.findOne({
+    phone: customerPhone,
+    restoId,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!session) {
+    return { error: "Please login again to continue" };
+  }
+
+  const restaurant = await RestaurantAuth.findOne({
+    restoId: String(restoId).toUpperCase(),
+  })
+    .select("_id restoId")
+    .lean();
+  if (!restaurant) {
+    return { error: "Restaurant not found" };
+  }
+
+  const filter = { restoId: restaurant.restoId, tableName: session.tableNo, status: "open" };
+  let tableSession = await TableSession.findOne(filter).lean();
+  if (!tableSession && !open) {
+    return { tableSession: null };
+  }
+  if (!tableSession) {
+    try {
+      tableSession = await TableSession.create({
+        restaurantId: restaurant._id,
+        restoId: restaurant.restoId,
+        tableName: session.tableNo,
+      });
+      tableSession = tableSession.toObject();
+    } catch (err) {
+      // Another diner opened the table at the same moment
+      if (err.code !== 11000) throw err;
+      tableSession = await TableSession.findOne(filter).lean();
+    }
+  }
+
+  // First diner marks the table as occupied
+  if (tableSession.diners.length === 0) {
+    await Table.updateOne(
+      { restaurantId: restaurant._id, name: session.tableNo, status: "available" },
+      { status: "occupied" }
+    );
+  }
+
+  if (!tableSession.diners.some((diner) => diner.phone === customerPhone)) {
+    // Guarded so a double join never lists the same phone twice
+    await TableSession.updateOne(
+      { _id: tableSession._id, "diners.phone": { $ne: customerPhone } },
+      { $push: { diners: { phone: customerPhone, joinedAt: new Date() } } }
+    );
+    tableSession = await TableSession.findById(tableSession._id).lean();
+  }
+
+  return { tableSession };
+}
+
+/**
+ * Loads the orders on a table session's tab
+ * @param {Object} tableSession - Table session (lean)
+ * @returns {Promise<Object>} { orders, totals }
+ */
+async function loadTab(tableSession) {
+  const orders = await Order.find({ tableSessionId: tableSession._id })
+    .sort({ createdAt: 1 })
+    .lean();
+  return { orders: serializePlain(orders), totals: getTabTotals(orders) };
+}
+
+/**
+ * Sends an event to every diner at a table
+ * @param {Object} tableSession - Table session (lean)
+ * @param {string} event - Event name
+ * @param {any} data - Event data
+ */
+async function broadcastToDiners(tableSession, event, data) {
+  for (const diner of tableSession.diners) {
+    await broadcastToCustomerAction(tableSession.restoId, diner.phone, event, data);
+  }
+}
+
+/**
+ * Tells every diner at the table that the shared cart changed
+ * @param {Object} tableSession - Table session after the change (lean)
+ * @param {string} changedBy - Phone of the diner who changed it
+ * @returns {Promise<Array>} Serialized shared cart
+ */
+async function broadcastSharedCart(tableSession, changedBy) {
+  const sharedCart = serializePlain(tableSession.sharedCart);
+  await broadcastToDiners(tableSession, WS_EVENTS.TABLE_CART_UPDATED, {
+    tableSessionId: tableSession._id.toString(),
+    sharedCart,
+    changedBy,
+  });
+  return sharedCart;
+}
+
+/**
+ * Builds a shared cart line from the menu: a dish + variant with its
+ * add-ons, or a combo with one pick per slot
+ * @param {ObjectId} restaurantDbId - RestaurantAuth _id that owns the menu
+ * @param {Object} line - { itemId, variantId } or { comboId }, with optionIds and instructions
+ * @returns {Promise<Object>} { entry } (without quantity / addedBy) or { error }
+ */
+async function buildSharedCartLine(restaurantDbId, line) {
+  const instructions = sanitizeInstructions(line.instructions);
+  const lineKey = (modifiers) =>
+    [getModifierKey({ modifiers }), getInstructionsKey({ instructions })]
+      .filter(Boolean)
+      .map((key) => `-${key}`)
+      .join("");
+
+  if (line.comboId) {
+    const combo = /^[a-f\d]{24}$/i.test(String(line.comboId))
+      ? await Combo.findOne({ _id: line.comboId, restaurantId: restaurantDbId }).lean()
+      : null;
+    if (!combo) {
+      return { error: "Combo is no longer on the menu" };
+    }
+    if (combo.isAvailable === false) {
+      return { error: `${combo.name} is currently unavailable` };
+    }
+
+    const foods = await RestaurantFood.find({
+      _id: { $in: combo.slots.flatMap((slot) => slot.options.map((option) => option.foodId)) },
+      restaurantId: restaurantDbId,
+    })
+      .select("name category foodType isAvailable variants")
+      .lean();
+    const { modifiers, error } = resolveComboPicks(
+      describeComboOptions(combo, foods),
+      line.optionIds || []
+    );
+    if (error) {
+      return { error };
+    }
+
+    return {
+      entry: {
+        id: `combo-${combo._id}${lineKey(modifiers)}`,
+        foodId: null,
+        comboId: combo._id,
+        name: combo.name,
+        image: combo.imageUrl || "",
+        foodType: combo.foodType,
+        variant: { label: COMBO_VARIANT_LABEL, price: combo.price },
+        modifiers,
+        instructions,
+      },
+    };
+  }
+
+  if (!/^[a-f\d]{24}$/i.test(String(line.itemId || ""))) {
+    return { error: "Item is no longer on the menu" };
+  }
+
+  const food = await RestaurantFood.findOne({
+    _id: line.itemId,
+    restaurantId: restaurantDbId,
+  }).lean();
+  const variant = food?.variants?.find((v) => v._id.toString() === String(line.variantId));
+  if (!food || !variant) {
+    return { error: "Item is no longer on the menu" };
+  }
+  if (food.isAvailable === false || variant.isAvailable === false) {
+    return { error: `${food.name} is currently unavailable` };
+  }
+
+  const { modifiers, error } = resolveModifiers(food, line.optionIds || []);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    entry: {
+      id: `${food._id}-${variant._id}${lineKey(modifiers)}`,
+      foodId: food._id,
+      variantId: variant._id.toString(),
+      name: food.name,
+      image: food.imageUrl || "",
+      foodType: food.foodType,
+      variant: { label: variant.label, price: variant.price },
+      modifiers,
+      instructions,
+    },
+  };
+}
+
+/* ---------------- JOIN TABLE SESSION (CUSTOMER) ---------------- */
+/**
+ * Joins the open session at the customer's table (opening it if they are
+ * the first to sit down). Also used by placeOrderAction to put orders on
+ * the table's tab.
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { success, tableSession } or { success: false, error }
+ */
+export async function joinTableSessionAction(customerPhone, restoId) {
+  try {
+    await connectDB();
+
+    const { tableSession, error } = await joinOpenSession(customerPhone, restoId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    return { success: true, tableSession: serializePlain(tableSession) };
+  } catch (error) {
+    console.error("Join Table Session Error:", error);
+    return { success: false, error: "Could not join your table. Please try again." };
+  }
+}
+
+/* ---------------- GET TABLE SESSION & TAB (CUSTOMER) ---------------- */
+/**
+ * Gets the customer's table session with its shared cart and running tab.
+ * Never opens a session, so tableSession and tab are null once the
+ * restaurant has closed the table.
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @returns {Promise<Object>} { success, tableSession, tab: { orders, totals } }
+ *   or { success: false, error }
+ */
+export async function getTableSessionAction(customerPhone, restoId) {
+  try {
+    await connectDB();
+
+    const { tableSession, error } = await joinOpenSession(customerPhone, restoId, false);
+    if (error) {
+      return { success: false, error };
+    }
+
+    return {
+      success: true,
+      tableSession: serializePlain(tableSession),
+      tab: tableSession ? await loadTab(tableSession) : null,
+    };
+  } catch (error) {
+    console.error("Get Table Session Error:", error);
+    return { success: false, error: "Could not load your table. Please try again." };
+  }
+}
+
+/* ---------------- ADD TO SHARED CART (CUSTOMER) ---------------- */
+/**
+ * Adds a dish or combo to the table's shared cart (or adds to its quantity).
+ * Name, image, add-ons and prices come from the menu, not the client.
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @param {Object} line - { itemId, variantId, optionIds, instructions, quantity },
+ *   or { comboId, optionIds: one pick per slot, instructions, quantity }
+ * @returns {Promise<Object>} { success, sharedCart } or { success: false, error }
+ */
+export async function addToSharedCartAction(customerPhone, restoId, line) {
+  try {
+    await connectDB();
+
+    const quantity = Number(line?.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { success: false, error: "Invalid quantity" };
+    }
+
+    const { tableSession, error } = await joinOpenSession(customerPhone, restoId);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const { entry, error: lineError } = await buildSharedCartLine(tableSession.restaurantId, line);
+    if (lineError) {
+      return { success: false, error: lineError };
+    }
+
+    const lineId = entry.id;
+    const bumpQuantity = () =>
+      TableSession.findOneAndUpdate(
+        { _id: tableSession._id, status: "open", "sharedCart.id": lineId },
+        { $inc: { "sharedCart.$.quantity": quantity } },
+        { new: true }
+      ).lean();
+
+    // Add to an existing line, otherwise push a new one (guarded so two
+    // diners adding the same dish at once can't create duplicate lines)
+    let updated =
+      (await bumpQuantity()) ||
+      (await TableSession.findOneAndUpdate(
+        { _id: tableSession._id, status: "open", "sharedCart.id": { $ne: lineId } },
+        {
+          $push: {
+            sharedCart: { ...entry, quantity, addedBy: customerPhone },
+          },
+        },
+        { new: true }
+      ).lean()) ||
+      (await bumpQuantity());
+
+    if (!updated) {
+      return { success: false, error: "This table has been closed" };
+    }
+
+    const sharedCart = await broadcastSharedCart(updated, customerPhone);
+    return { success: true, sharedCart };
+  } catch (error) {
+    console.error("Add To Shared Cart Error:", error);
+    return { success: false, error: "Could not add to the table cart. Please try again." };
+  }
+}
+
+/* ---------------- UPDATE SHARED CART LINE (CUSTOMER) ---------------- */
+/**
+ * Changes the quantity of a shared cart line; 0 removes it
+ * @param {string} customerPhone - Customer phone
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} lineId - Shared cart line id
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} { success, sharedCart } or { success: false, error }
+ */
+export async function updateSharedCartLineAction(customerPhone, restoId, lineId, quantity) {
+  try {
+    await connectDB();
+
+    quantity = Number(quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return { success: false, error: "Invalid quantity" };
+    }
+
+    const { tableSession, error } = await joinOpenSession(customerPhone, restoId, false);
+    if (error || !tableSession) {
+      return { success: false, error: error || "This table has been closed" };
+    }
+
+    const updated =
+      quantity === 0
+        ? await TableSession.findOneAndUpdate(
+            { _id: tableSession._id, status: "open" },
+            { $pull: { sharedCart: { id: lineId } } },
+            { new: true }
+          ).lean()
+        : await TableSession.findOneAndUpdate(
+            { _id: tableSession._id, status: "open", "sharedCart.id": lineId },
+            { $set: { "sharedCart.$.quantity": quantity } },
+            { new: true }
+          ).lean();
+
+    if (!updated) {
+      return { success: false, error: "This item is no longer in the table cart" };
+    }
+
+    const sharedCart = await broadcastSharedCart(updated, customerPhone);
+    return { success: true, sharedCart };
+  } catch (error) {
+    console.error("Update Shared Cart Error:", error);
+    return { success: false, error: "Could not update the table cart. Please try again." };
+  }
+}
+
+/* ---------------- CLEAR SHARED CART (CUSTOMER) ---------------- */
+export async function clearSharedCartAction(customerPhone, restoId) {
+  try {
+    await connectDB();
+
+    const { tableSession, error } = await joinOpenSession(customerPhone, restoId, false);
+    if (error || !tableSession) {
+      return { success: false, error: error || "This table has been closed" };
+    }
+
+    const updated = await TableSession.findOneAndUpdate(
+      { _id: tableSession._id, status: "open" },
+      { $set: { sharedCart: [] } },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      return { success: false, error: "This table has been closed" };
+    }
+
+    await broadcastSharedCart(updated, customerPhone);
+    return { success: true, sharedCart: [] };
+  } catch (error) {
+    console.error("Clear Shared Cart Error:", error);
+    return { success: false, error: "Could not clear the table cart. Please try again." };
+  }
+}
+
+/* ================= GET OPEN TABLE SESSIONS (ADMIN) ================= */
+/**
+ * Lists the restaurant's open tables with their diners and running tab
+ * @returns {Promise<Object>} { success, data: [{ ...tableSession, totals }] }
+ */
+export async function getOpenTableSessionsAction() {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const sessions = await TableSession.find({
+      restaurantId: admin.restaurantDbId,
+      status: "open",
+    })
+      .select("-sharedCart")
+      .lean();
+
+    const orders = await Order.find({
+      tableSessionId: { $in: sessions.map((s) => s._id) },
+    })
+      .select("tableSessionId status paymentStatus total")
+      .lean();
+
+    const data = sessions.map((tableSession) => ({
+      ...serializePlain(tableSession),
+      totals: getTabTotals(
+        orders.filter((order) => order.tableSessionId.equals(tableSession._id))
+      ),
+    }));
+
+    return { success: true, data };
+  } catch (err) {
+    console.error("getOpenTableSessionsAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
+
+/* ================= CLOSE TABLE SESSION (ADMIN) ================= */
+/**
+ * Closes a table's tab once every order on it is served or cancelled.
+ * The next diner to sit down starts a new session.
+ * @param {string} tableSessionId - Table session _id
+ * @returns {Promise<Object>} { success } or { success: false, error }
+ */
+export async function closeTableSessionAction(tableSessionId) {
+  try {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return { success: false, error: "UNAUTHORIZED" };
+    }
+
+    const inProgress = await Order.exists({
+      tableSessionId,
+      restoCode: admin.restoCode,
+      status: { $in: ["Placed", "Accepted", "Preparing", "Ready"] },
+    });
+    if (inProgress) {
+      return { success: false, error: "Serve or cancel this table's open orders before closing it" };
+    }
+
+    const closed = await TableSession.findOneAndUpdate(
+      { _id: tableSessionId, restaurantId: admin.restaurantDbId, status: "open" },
+      {
+        status: "closed",
+        closedAt: new Date(),
+        closedBy: admin.restaurantName || "",
+        sharedCart: [],
+      },
+      { new: true }
+    ).lean();
+
+    if (!closed) {
+      return { success: false, error: "NOT_FOUND" };
+    }
+
+    await Table.updateOne(
+      { restaurantId: admin.restaurantDbId, name: closed.tableName, status: "occupied" },
+      { status: "available" }
+    );
+
+    await broadcastToDiners(closed, WS_EVENTS.TABLE_CLOSED, {
+      tableSessionId: closed._id.toString(),
+      tableName: closed.tableName,
+    });
+
+    return { success: true };
+  } catch (err) {
+    console.error("closeTableSessionAction error:", err);
+    return { success: false, error: "SERVER_ERROR" };
+  }
+}
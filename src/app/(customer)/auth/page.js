@@ -9,17 +9,23 @@
  * 1. Customer enters 6-character Restaurant ID (restoId)
  * 2. System verifies restaurant exists in database
  * 3. If valid, shows restaurant name and proceeds to Step 2
+ * (Skipped when opened from a table QR code: /auth?r=&t=&s= carries a
+ *  signed restaurant + table, checked by verifyTableLinkAction)
  * 
  * STEP 2 - Phone & OTP Verification:
  * 1. Customer enters 10-digit phone number
- * 2. System sends OTP (simulated - use "111111" for testing)
- * 3. Customer enters 6-digit OTP
+ * 2. System sends OTP via sendOtpAction (hashed, expiring, single-use;
+ *    the dev SMS provider prints the code in the server console)
+ * 3. Customer enters 6-digit OTP, checked by verifyOtpAction
+ *    (limited attempts; resend has a server-enforced cooldown)
  * 4. On valid OTP, shows table number popup
  * 
  * STEP 3 - Table Assignment:
- * 1. Customer enters table number (1-50)
+ * 1. Customer enters a table set up on /admin/tables
+ *    (pre-filled and locked when they scanned a table QR code)
  * 2. System creates/gets customer profile
  * 3. Creates session with restaurant, phone, and table
+ *    (server refuses unless the phone's OTP was verified)
  * 4. Saves to localStorage and redirects to menu
  * 
  * STATE MANAGEMENT:
@@ -30,6 +36,7 @@
  * - showTablePopup: Table number popup visibility
  * - tableNo: Selected table number
  * - restaurantName/restaurantDbId: Verified restaurant info
+ * - tableFromQr: Table came from a verified QR code
  * 
  * FEATURES:
  * - Two-step verification (restaurant + phone)
@@ -48,8 +55,8 @@
 
 "use client";
 
-import React, { useState, useEffect, useCallback } from "react";
-import { useRouter } from "next/navigation";
+import React, { useState, useEffect, useCallback, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
 import "./auth.css";
 import {
   checkCustomerSession,
@@ -57,13 +64,16 @@ import {
   createCustomerSession,
 } from "@/src/actions/customerAuthActions";
 import { verifyRestoIdAction } from "@/src/actions/adminAuthActions";
+import { sendOtpAction, verifyOtpAction } from "@/src/actions/otpActions";
+import { verifyTableLinkAction } from "@/src/actions/tableActions";
 
 // =========================================================================
 // MAIN COMPONENT
 // =========================================================================
 
-function AdminAuthPage() {
+function CustomerAuthContent() {
   const router = useRouter();
+  const searchParams = useSearchParams();
 
   // -----------------------------------------------------------------------
   // STATE VARIABLES
@@ -114,6 +124,9 @@ function AdminAuthPage() {
   /** Restaurant MongoDB ID */
   const [restaurantDbId, setRestaurantDbId] = useState("");
 
+  /** Table was pre-filled from a verified QR code */
+  const [tableFromQr, setTableFromQr] = useState(false);
+
   // -----------------------------------------------------------------------
   // EFFECTS
   // -----------------------------------------------------------------------
@@ -126,6 +139,34 @@ function AdminAuthPage() {
     checkExistingSession();
   }, []);
 
+  /**
+   * Effect: Pre-fill restaurant and table from a table QR code
+   * Skips restaurant verification when the signed link checks out
+   */
+  const qrRestoId = searchParams.get("r");
+  const qrTable = searchParams.get("t");
+  const qrSignature = searchParams.get("s");
+
+  useEffect(() => {
+    if (!qrRestoId || !qrTable || !qrSignature) return;
+
+    const applyTableLink = async () => {
+      const result = await verifyTableLinkAction(qrRestoId, qrTable, qrSignature);
+      if (result.success) {
+        setRestoId(qrRestoId.toUpperCase());
+        setRestaurantName(result.restaurantName);
+        setRestaurantDbId(result.restaurantId);
+        setTableNo(result.tableName);
+        setTableFromQr(true);
+        setStep(2);
+      } else {
+        setError(result.error);
+      }
+    };
+
+    applyTableLink();
+  }, [qrRestoId, qrTable, qrSignature]);
+
   /**
    * Effect: Countdown timer for OTP resend button
    * Decrements every second when resendTimer > 0
@@ -203,7 +244,6 @@ function AdminAuthPage() {
 
   /**
    * Sends OTP to the entered phone number
-   * Currently simulated - use "111111" for testing
    */
   const handleSendOtp = useCallback(async () => {
     if (phone.length !== 10) {
@@ -214,13 +254,25 @@ function AdminAuthPage() {
     setError("");
     setLoading(true);
 
-    // Simulate OTP sending
-    await new Promise((resolve) => setTimeout(resolve, 1000));
+    try {
+      const result = await sendOtpAction(phone, restoId);
+
+      if (result.success) {
+        setOtpSent(true);
+        setResendTimer(result.resendIn);
+      } else {
+        setError(result.error);
+        if (result.retryAfter) {
+          setOtpSent(true);
+          setResendTimer(result.retryAfter);
+        }
+      }
+    } catch (err) {
+      setError("Could not send OTP. Please try again.");
+    }
 
-    setOtpSent(true);
-    setResendTimer(30); // 30 seconds cooldown
     setLoading(false);
-  }, [phone]);
+  }, [phone, restoId]);
 
   /**
    * Resends OTP after cooldown period
@@ -232,12 +284,23 @@ function AdminAuthPage() {
     setLoading(true);
     setOtp("");
 
-    // Simulate OTP resending
-    await new Promise((resolve) => setTimeout(resolve, 800));
+    try {
+      const result = await sendOtpAction(phone, restoId);
+
+      if (result.success) {
+        setResendTimer(result.resendIn);
+      } else {
+        setError(result.error);
+        if (result.retryAfter) {
+          setResendTimer(result.retryAfter);
+        }
+      }
+    } catch (err) {
+      setError("Could not send OTP. Please try again.");
+    }
 
-    setResendTimer(30);
     setLoading(false);
-  }, [resendTimer]);
+  }, [resendTimer, phone, restoId]);
 
   /**
    * Verifies entered OTP and shows table popup on success
@@ -253,6 +316,7 @@ function AdminAuthPage() {
 
     if (!otpSent) {
       setError("Please send OTP first.");
+      return;
     }
 
     if (!otp || otp.length !== 6) {
@@ -262,11 +326,14 @@ function AdminAuthPage() {
 
     setLoading(true);
 
-    // Simulate OTP verification
-    await new Promise((resolve) => setTimeout(resolve, 1000));
+    let verifyResult;
+    try {
+      verifyResult = await verifyOtpAction(phone, restoId, otp);
+    } catch (err) {
+      verifyResult = { success: false, error: "Verification failed. Please try again." };
+    }
 
-    // Mock verification - use "111111" as test OTP
-    if (otp === "111111") {
+    if (verifyResult.success) {
       // Check if session already exists
       const existingSession = localStorage.getItem("customerSession");
       
@@ -290,7 +357,7 @@ function AdminAuthPage() {
       setShowTablePopup(true);
       
     } else {
-      setError("Invalid OTP. Please try again.");
+      setError(verifyResult.error || "Invalid OTP. Please try again.");
     }
 
     setLoading(false);
@@ -298,6 +365,10 @@ function AdminAuthPage() {
 
   const handleBack = () => {
     setStep(1);
+    if (tableFromQr) {
+      setTableFromQr(false);
+      setTableNo("");
+    }
     setPhone("");
     setOtp("");
     setOtpSent(false);
@@ -385,7 +456,7 @@ function AdminAuthPage() {
         profileId: userId,
         phone: phoneNumber,
         restoId: restaurantId,
-        tableNo: table,
+        tableNo: sessionResult.session.tableNo,
         loginTime: sessionResult.session.createdAt,
         expiresAt: sessionResult.session.expiresAt,
       };
@@ -415,7 +486,7 @@ function AdminAuthPage() {
   // Handle closing table popup (cancel)
   const handleTablePopupClose = () => {
     setShowTablePopup(false);
-    setTableNo("");
+    if (!tableFromQr) setTableNo("");
     setTableError("");
   };
 
@@ -429,7 +500,11 @@ function AdminAuthPage() {
               <i className="fa fa-cutlery"></i>
             </div>
             <h3 className="auth-modal-title">Enter Table Number</h3>
-            <p className="auth-modal-text">Please enter your table number to continue ordering.</p>
+            <p className="auth-modal-text">
+              {tableFromQr
+                ? "Confirm the table from the QR code you scanned."
+                : "Please enter your table number to continue ordering."}
+            </p>
             
             <form onSubmit={handleTableSubmit}>
               <div className="auth-input-group" style={{ marginBottom: '15px' }}>
@@ -442,6 +517,7 @@ function AdminAuthPage() {
                   placeholder="Enter Table Number (e.g., T1, 5, A2)"
                   value={tableNo}
                   onChange={(e) => setTableNo(e.target.value)}
+                  readOnly={tableFromQr}
                   autoFocus
                   required
                 />
@@ -770,4 +846,12 @@ function AdminAuthPage() {
   );
 }
 
-export default AdminAuthPage;
+function CustomerAuthPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <CustomerAuthContent />
+    </Suspense>
+  );
+}
+
+export default CustomerAuthPage;
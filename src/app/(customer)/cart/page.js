@@ -7,24 +7,41 @@
  * 1. On mount, load cart items from localStorage
  * 2. Display cart items with quantity controls and remove option
  * 3. User can apply coupon codes for discounts
- * 4. Select payment method (UPI/Card/Cash/Wallet)
+ * 4. Add an optional note for the kitchen on the whole order, and select
+ *    payment method (UPI/Card/Cash/Wallet)
  * 5. "Place Order" validates session, creates order via server action
- * 6. On success, clear cart and redirect to order tracking page
+ * 6. On success, clear cart; online methods (UPI/Card/Wallet) then open
+ *    the payment sheet, and the customer lands on order tracking once
+ *    they pay (or choose to pay later / at the counter)
+ * 7. The "Table Cart" tab shows the table's shared cart: every diner at
+ *    the table can add to it, and anyone can place it as one order
  * 
  * STATE MANAGEMENT:
  * - cart: Items in cart (synced with localStorage)
+ * - sharedCart: The table's shared cart (kept live over SSE)
+ * - activeCart: Which cart is shown and checked out ("mine" | "table")
  * - selectedPayment: Currently selected payment method
  * - couponCode: Input field value for coupon
+ * - orderInstructions: Note for the kitchen on the whole order
  * - appliedCoupon: Successfully applied coupon details
  * - isProcessing: Loading state during checkout
+ * - paymentOrder: Placed order waiting to be paid online (payment sheet)
+ * - adjustments: Lines repriced or rejected at checkout or by menu changes
+ * - billingSettings: Restaurant's tax / charge rules for the bill
  * 
  * FEATURES:
  * - Quantity adjustment (+/- buttons)
+ * - Each line's special instructions (set on the menu) shown under it
  * - Item removal from cart
  * - Clear all cart items
  * - Coupon code validation and application
- * - Real-time price calculations (subtotal, tax, discount, delivery)
- * - Multiple payment method selection
+ * - Real-time price calculations (subtotal, discount, service charge,
+ *   taxes, packaging, delivery, round off) using the restaurant's billing
+ *   settings and the shared billing module (same math as the server)
+ * - Repriced/unavailable lines flagged when the server rejects checkout,
+ *   and live as the admin edits or deletes dishes (src/lib/menuUpdates.js)
+ * - Multiple payment method selection, with online payment through the
+ *   payment provider (src/lib/payments) right after checkout
  * - Session validation before checkout
  * - Order creation via server action
  * 
@@ -39,9 +56,23 @@ import Header1 from "@/src/_components/customerComponents/Header1";
 import Header2 from "@/src/_components/customerComponents/Header2";
 import Header3 from "@/src/_components/customerComponents/Header3";
 import { useSession } from "@/src/contexts/SessionContext";
+import { useWebSocket } from "@/src/contexts/WebSocketContext";
 import { placeOrderAction } from "@/src/actions/orderActions";
+import {
+  getTableSessionAction,
+  updateSharedCartLineAction,
+  clearSharedCartAction,
+} from "@/src/actions/tableSessionActions";
+import { validateCouponAction } from "@/src/actions/couponActions";
+import { getBillingSettingsAction } from "@/src/actions/settingsActions";
+import { calculateBill, formatAmount } from "@/src/lib/billing";
+import { dinerLabel } from "@/src/lib/tableSession";
+import { formatModifiers, getLineUnitPrice } from "@/src/lib/modifiers";
+import { ORDER_INSTRUCTIONS_MAX_LENGTH } from "@/src/lib/instructions";
+import { checkCartLinesForFood } from "@/src/lib/menuUpdates";
 import styles from "./cart.module.css";
 import RequireAuth from "@/src/_components/customerComponents/RequireAuth";
+import PaymentSheet from "@/src/_components/customerComponents/PaymentSheet";
 
 
 // =========================================================================
@@ -90,6 +121,7 @@ const saveCartToStorage = (cart) => {
 function CartPage() {
   const router = useRouter();
   const session = useSession();
+  const { connect, disconnect, subscribe, isConnected, WS_EVENTS } = useWebSocket();
 
   // -----------------------------------------------------------------------
   // STATE VARIABLES
@@ -97,6 +129,12 @@ function CartPage() {
 
   /** Cart items array */
   const [cart, setCart] = useState([]);
+
+  /** The table's shared cart lines */
+  const [sharedCart, setSharedCart] = useState([]);
+
+  /** Cart being shown and checked out: "mine" or "table" */
+  const [activeCart, setActiveCart] = useState("mine");
   
   /** Selected payment method ID */
   const [selectedPayment, setSelectedPayment] = useState("UPI");
@@ -104,12 +142,24 @@ function CartPage() {
   /** Coupon input field value */
   const [couponCode, setCouponCode] = useState("");
   
+  /** Note for the kitchen on the whole order */
+  const [orderInstructions, setOrderInstructions] = useState("");
+
   /** Applied coupon details object */
   const [appliedCoupon, setAppliedCoupon] = useState(null);
   
   /** Loading state during order placement */
   const [isProcessing, setIsProcessing] = useState(false);
 
+  /** Placed order awaiting online payment (shows the payment sheet) */
+  const [paymentOrder, setPaymentOrder] = useState(null);
+
+  /** Server adjustments keyed by cart line id ({ type, reason, oldPrice, newPrice }) */
+  const [adjustments, setAdjustments] = useState({});
+
+  /** Restaurant billing settings (null until loaded; defaults apply meanwhile) */
+  const [billingSettings, setBillingSettings] = useState(null);
+
   // -----------------------------------------------------------------------
   // EFFECTS
   // -----------------------------------------------------------------------
@@ -122,6 +172,127 @@ function CartPage() {
     setCart(savedCart);
   }, []);
 
+  /**
+   * Effect: Load the restaurant's billing settings for the bill
+   */
+  useEffect(() => {
+    if (!session.restaurantId) return;
+
+    const loadBillingSettings = async () => {
+      const result = await getBillingSettingsAction(session.restaurantId);
+      if (result.success) {
+        setBillingSettings(result.billing);
+      }
+    };
+
+    loadBillingSettings();
+  }, [session.restaurantId]);
+
+  /**
+   * Effect: Load the table's shared cart and listen for changes to it
+   */
+  useEffect(() => {
+    if (!session.restaurantId || !session.customerPhone) return;
+
+    const loadSharedCart = async () => {
+      const result = await getTableSessionAction(session.customerPhone, session.restaurantId);
+      if (result.success) {
+        setSharedCart(result.tableSession?.sharedCart || []);
+      }
+    };
+
+    loadSharedCart();
+    connect({
+      restaurantId: session.restaurantId,
+      type: "customer",
+      customerPhone: session.customerPhone,
+    });
+
+    return () => disconnect();
+  }, [session.restaurantId, session.customerPhone, connect, disconnect]);
+
+  /**
+   * Effect: Apply shared cart changes made by other diners
+   */
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const unsubCartUpdated = subscribe(WS_EVENTS.TABLE_CART_UPDATED, (data) => {
+      if (data?.sharedCart) {
+        setSharedCart(data.sharedCart);
+      }
+    });
+    const unsubTableClosed = subscribe(WS_EVENTS.TABLE_CLOSED, () => {
+      setSharedCart([]);
+    });
+
+    return () => {
+      unsubCartUpdated();
+      unsubTableClosed();
+    };
+  }, [isConnected, subscribe, WS_EVENTS]);
+
+  /**
+   * Effect: Flag lines of the shown cart that dishes the admin edits or
+   * deletes break. Own lines take the new price right away; the shared
+   * cart is repriced by the server at checkout, so only rejects show there.
+   */
+  useEffect(() => {
+    if (!isConnected) return;
+
+    const applyMenuChange = (foodId, food) => {
+      const lines = activeCart === "table" ? sharedCart : cart;
+      const changes = checkCartLinesForFood(lines, foodId, food);
+      if (changes.length === 0) return;
+
+      setAdjustments((prev) => {
+        const next = { ...prev };
+        changes.forEach(({ id, adjustment }) => {
+          if (adjustment && (activeCart === "mine" || adjustment.type === "rejected")) {
+            next[id] = adjustment;
+          } else {
+            delete next[id];
+          }
+        });
+        return next;
+      });
+
+      if (activeCart !== "mine") return;
+      const repriced = new Map(
+        changes
+          .filter(({ adjustment }) => adjustment?.type === "repriced")
+          .map(({ id, adjustment }) => [id, adjustment])
+      );
+      if (repriced.size === 0) return;
+
+      setCart((prevCart) => {
+        const updatedCart = prevCart.map((item) => {
+          const adj = repriced.get(item.id);
+          if (!adj) return item;
+          return {
+            ...item,
+            variant: { ...item.variant, price: adj.variantPrice },
+            modifiers: adj.modifiers,
+          };
+        });
+        saveCartToStorage(updatedCart);
+        return updatedCart;
+      });
+    };
+
+    const unsubItemUpdated = subscribe(WS_EVENTS.MENU_ITEM_UPDATED, (data) => {
+      if (data?.item?._id) applyMenuChange(data.item._id, data.item);
+    });
+    const unsubItemRemoved = subscribe(WS_EVENTS.MENU_ITEM_REMOVED, (data) => {
+      if (data?.foodId) applyMenuChange(data.foodId, null);
+    });
+
+    return () => {
+      unsubItemUpdated();
+      unsubItemRemoved();
+    };
+  }, [isConnected, subscribe, WS_EVENTS, activeCart, cart, sharedCart]);
+
   // -----------------------------------------------------------------------
   // CART MANAGEMENT FUNCTIONS
   // -----------------------------------------------------------------------
@@ -132,8 +303,13 @@ function CartPage() {
    * @param {string} itemId - Unique item identifier
    * @param {number} newQuantity - New quantity value
    */
-  const updateQuantity = (itemId, newQuantity) => {
+  const updateQuantity = async (itemId, newQuantity) => {
     if (newQuantity < 1) return;
+
+    if (activeCart === "table") {
+      await updateSharedLine(itemId, newQuantity);
+      return;
+    }
     
     setCart((prevCart) => {
       const updatedCart = prevCart.map((item) =>
@@ -148,11 +324,19 @@ function CartPage() {
    * Removes a specific item from the cart
    * @param {string} itemId - Unique item identifier to remove
    */
-  const removeItem = (itemId) => {
-    setCart((prevCart) => {
-      const updatedCart = prevCart.filter((item) => item.id !== itemId);
-      saveCartToStorage(updatedCart);
-      return updatedCart;
+  const removeItem = async (itemId) => {
+    if (activeCart === "table") {
+      await updateSharedLine(itemId, 0);
+    } else {
+      setCart((prevCart) => {
+        const updatedCart = prevCart.filter((item) => item.id !== itemId);
+        saveCartToStorage(updatedCart);
+        return updatedCart;
+      });
+    }
+    setAdjustments((prev) => {
+      const { [itemId]: _removed, ...rest } = prev;
+      return rest;
     });
   };
 
@@ -162,6 +346,91 @@ function CartPage() {
   const clearCart = () => {
     setCart([]);
     saveCartToStorage([]);
+    setAdjustments({});
+  };
+
+  /**
+   * Changes a line of the table's shared cart on the server (0 removes it)
+   * @param {string} lineId - Shared cart line id
+   * @param {number} quantity - New quantity
+   */
+  const updateSharedLine = async (lineId, quantity) => {
+    const result = await updateSharedCartLineAction(
+      session.customerPhone,
+      session.restaurantId,
+      lineId,
+      quantity
+    );
+    if (result.success) {
+      setSharedCart(result.sharedCart);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  /**
+   * Clears whichever cart is shown
+   */
+  const handleClearAll = async () => {
+    if (activeCart === "mine") {
+      clearCart();
+      return;
+    }
+    if (!confirm("Clear the table cart for everyone at your table?")) return;
+
+    const result = await clearSharedCartAction(session.customerPhone, session.restaurantId);
+    if (result.success) {
+      setSharedCart([]);
+      setAdjustments({});
+    } else {
+      alert(result.error);
+    }
+  };
+
+  /**
+   * Switches between the customer's own cart and the table's shared cart
+   * @param {string} cartName - "mine" | "table"
+   */
+  const switchCart = (cartName) => {
+    setActiveCart(cartName);
+    setAdjustments({});
+  };
+
+  /**
+   * Applies the repriced/rejected lines returned by placeOrderAction.
+   * Repriced lines take the server price; rejected lines stay in the
+   * cart, flagged, until the customer removes them.
+   * @param {Array} serverAdjustments - Adjustments from the server
+   */
+  const applyServerAdjustments = async (serverAdjustments) => {
+    const byId = {};
+    serverAdjustments.forEach((adj) => {
+      byId[adj.id] = adj;
+    });
+    setAdjustments(byId);
+
+    // The server already saved the new prices to the shared cart
+    if (activeCart === "table") {
+      const result = await getTableSessionAction(session.customerPhone, session.restaurantId);
+      if (result.success) {
+        setSharedCart(result.tableSession?.sharedCart || []);
+      }
+      return;
+    }
+
+    setCart((prevCart) => {
+      const updatedCart = prevCart.map((item) => {
+        const adj = byId[item.id];
+        if (adj?.type !== "repriced") return item;
+        return {
+          ...item,
+          variant: { ...item.variant, price: adj.variantPrice },
+          modifiers: adj.modifiers,
+        };
+      });
+      saveCartToStorage(updatedCart);
+      return updatedCart;
+    });
   };
 
   // -----------------------------------------------------------------------
@@ -169,25 +438,28 @@ function CartPage() {
   // -----------------------------------------------------------------------
 
   /**
-   * Validates and applies entered coupon code
-   * Checks minimum order requirement before applying
+   * Validates entered coupon code with the restaurant's coupons
+   * (validity, minimum order, usage limits) and applies it
    */
-  const applyCoupon = () => {
-    const validCoupons = {
-      SAVE10: { type: "percent", value: 10, minOrder: 200 },
-      FLAT50: { type: "flat", value: 50, minOrder: 300 },
-      WELCOME20: { type: "percent", value: 20, minOrder: 0 },
-    };
+  const applyCoupon = async () => {
+    if (!couponCode.trim()) return;
 
-    const coupon = validCoupons[couponCode.toUpperCase()];
-    if (coupon) {
-      if (subtotal >= coupon.minOrder) {
-        setAppliedCoupon({ code: couponCode.toUpperCase(), ...coupon });
+    try {
+      const result = await validateCouponAction(
+        session.restaurantId,
+        session.customerPhone,
+        couponCode,
+        subtotal
+      );
+
+      if (result.success) {
+        setAppliedCoupon(result.coupon);
       } else {
-        alert(`Minimum order of ₹${coupon.minOrder} required for this coupon`);
+        alert(result.error || "Invalid coupon code");
       }
-    } else {
-      alert("Invalid coupon code");
+    } catch (error) {
+      console.error("Coupon error:", error);
+      alert("Could not apply coupon. Please try again.");
     }
   };
 
@@ -203,35 +475,32 @@ function CartPage() {
   // COMPUTED VALUES (MEMOS)
   // -----------------------------------------------------------------------
 
-  /**
-   * Calculates subtotal of all cart items
-   */
-  const subtotal = useMemo(() => {
-    return cart.reduce(
-      (total, item) => total + item.variant.price * item.quantity,
-      0
-    );
-  }, [cart]);
+  /** Lines of the cart being shown */
+  const activeLines = activeCart === "table" ? sharedCart : cart;
 
   /**
-   * Calculates discount amount based on applied coupon
+   * Calculates the bill with the restaurant's settings and the
+   * same billing module placeOrderAction uses
    */
-  const discount = useMemo(() => {
-    if (!appliedCoupon) return 0;
-    if (appliedCoupon.type === "percent") {
-      return Math.round((subtotal * appliedCoupon.value) / 100);
-    }
-    return appliedCoupon.value;
-  }, [subtotal, appliedCoupon]);
+  const {
+    subtotal,
+    discount,
+    serviceCharge,
+    taxes,
+    packagingFee,
+    deliveryFee,
+    roundOff,
+    total,
+    pricesIncludeTax,
+  } = useMemo(
+    () => calculateBill(activeLines, appliedCoupon, billingSettings),
+    [activeLines, appliedCoupon, billingSettings]
+  );
 
-  /** Delivery fee (free for orders above ₹500) */
-  const deliveryFee = subtotal > 500 ? 0 : 40;
-  
-  /** GST tax at 5% */
-  const tax = Math.round(subtotal * 0.05);
-  
-  /** Final total amount */
-  const total = subtotal - discount + deliveryFee + tax;
+  /** Whether any cart line is flagged as unavailable by the server */
+  const hasRejectedItems = Object.values(adjustments).some(
+    (adj) => adj.type === "rejected"
+  );
 
   // -----------------------------------------------------------------------
   // CHECKOUT HANDLER
@@ -243,14 +512,20 @@ function CartPage() {
    * 2. Validates session has required info (restaurant, phone, table)
    * 3. Creates order via server action
    * 4. Stores order locally for immediate display
-   * 5. Clears cart and redirects to order page
+   * 5. Clears cart, then opens the payment sheet for online methods or
+   *    redirects to order page for cash
    */
   const handleCheckout = async () => {
-    if (cart.length === 0) {
+    if (activeLines.length === 0) {
       alert("Your cart is empty!");
       return;
     }
 
+    if (hasRejectedItems) {
+      alert("Please remove unavailable items before placing your order.");
+      return;
+    }
+
     // Check if session is complete
     if (!session.restaurantId || !session.customerPhone || !session.tableNumber) {
       alert("Please complete your session details first!");
@@ -269,13 +544,12 @@ function CartPage() {
         customerPhone: session.customerPhone,
         customerName: session.customerName || "",
         tableNumber: session.tableNumber,
-        items: cart,
-        subtotal: subtotal,
-        tax: tax,
-        discount: discount,
-        deliveryFee: deliveryFee,
-        total: total,
+        // The table cart is read on the server so nobody's lines are missed
+        items: activeCart === "table" ? [] : cart,
+        fromSharedCart: activeCart === "table",
+        couponCode: appliedCoupon?.code || "",
         paymentMethod: selectedPayment,
+        instructions: orderInstructions,
       };
       
       // Call backend action
@@ -285,12 +559,17 @@ function CartPage() {
         // Store order locally for immediate display
         const localOrderData = {
           orderId: result.order.orderId,
-          items: cart,
-          subtotal: subtotal,
-          tax: tax,
-          discount: discount,
-          deliveryFee: deliveryFee,
-          total: total,
+          items: result.order.items,
+          subtotal: result.order.subtotal,
+          tax: result.order.tax,
+          taxes: result.order.taxes,
+          pricesIncludeTax: result.order.pricesIncludeTax,
+          discount: result.order.discount,
+          serviceCharge: result.order.serviceCharge,
+          packagingFee: result.order.packagingFee,
+          deliveryFee: result.order.deliveryFee,
+          roundOff: result.order.roundOff,
+          total: result.order.total,
           paymentMethod: selectedPayment,
           status: "Placed",
           tableNumber: session.tableNumber,
@@ -307,11 +586,25 @@ function CartPage() {
         // Save orders to localStorage
         localStorage.setItem("foodie_pie_orders", JSON.stringify(updatedOrders));
         
-        // Clear the cart
-        clearCart();
+        // Clear the cart (the server takes ordered lines out of the table cart)
+        if (activeCart === "mine") {
+          clearCart();
+        }
         
-        // Redirect to order page
-        router.push("/order");
+        // Online methods are paid right away; cash is settled at the counter
+        if (selectedPayment === "Cash") {
+          router.push("/order");
+        } else {
+          setPaymentOrder(result.order);
+        }
+      } else if (result.couponRejected) {
+        // Coupon is no longer valid for this order
+        removeCoupon();
+        alert(result.error);
+      } else if (result.adjustments?.length) {
+        // Prices or availability changed since the items were added
+        applyServerAdjustments(result.adjustments);
+        alert(result.error);
       } else {
         alert(result.error || "Failed to place order. Please try again.");
       }
@@ -361,7 +654,7 @@ function CartPage() {
                       <div className="breadcomb-ctn">
                         <h2>Your Cart</h2>
                         <p>
-                          {cart.length} {cart.length === 1 ? "item" : "items"} in cart
+                          {activeLines.length} {activeLines.length === 1 ? "item" : "items"} in cart
                         </p>
                       </div>
                     </div>
@@ -389,11 +682,31 @@ function CartPage() {
             {/* Cart Items Section */}
             <div className="col-lg-8 col-md-7 col-sm-12">
               <div className={styles.cartItemsSection}>
-                {cart.length === 0 ? (
+                {/* Cart Tabs */}
+                <div className={styles.cartTabs}>
+                  <button
+                    className={activeCart === "mine" ? styles.activeTab : ""}
+                    onClick={() => switchCart("mine")}
+                  >
+                    My Cart ({cart.length})
+                  </button>
+                  <button
+                    className={activeCart === "table" ? styles.activeTab : ""}
+                    onClick={() => switchCart("table")}
+                  >
+                    Table Cart ({sharedCart.length})
+                  </button>
+                </div>
+
+                {activeLines.length === 0 ? (
                   <div className={styles.emptyCart}>
                     <div className={styles.emptyCartIcon}>🛒</div>
-                    <h3>Your cart is empty</h3>
-                    <p>Looks like you haven't added anything to your cart yet</p>
+                    <h3>{activeCart === "table" ? "The table cart is empty" : "Your cart is empty"}</h3>
+                    <p>
+                      {activeCart === "table"
+                        ? "Pick \"Whole table\" when adding a dish to share it with everyone at your table"
+                        : "Looks like you haven't added anything to your cart yet"}
+                    </p>
                     <button
                       className={styles.shopNowBtn}
                       onClick={() => router.push("/admin/menu")}
@@ -404,15 +717,27 @@ function CartPage() {
                 ) : (
                   <>
                     <div className={styles.cartHeader}>
-                      <h3>Cart Items</h3>
-                      <button className={styles.clearCartBtn} onClick={clearCart}>
+                      <h3>{activeCart === "table" ? "Shared With Your Table" : "Cart Items"}</h3>
+                      <button className={styles.clearCartBtn} onClick={handleClearAll}>
                         Clear All
                       </button>
                     </div>
 
+                    {Object.keys(adjustments).length > 0 && (
+                      <div className={styles.cartNotice}>
+                        Some items in your cart have changed. Please review
+                        the highlighted items before placing your order.
+                      </div>
+                    )}
+
                     <div className={styles.cartItemsList}>
-                      {cart.map((item) => (
-                        <div key={item.id} className={styles.cartItem}>
+                      {activeLines.map((item) => (
+                        <div
+                          key={item.id}
+                          className={`${styles.cartItem} ${
+                            adjustments[item.id]?.type === "rejected" ? styles.rejectedItem : ""
+                          }`}
+                        >
                           <div className={styles.itemImage}>
                             <img
                               src={item.image}
@@ -432,7 +757,28 @@ function CartPage() {
                           <div className={styles.itemDetails}>
                             <h4 className={styles.itemName}>{item.name}</h4>
                             <p className={styles.itemVariant}>{item.variant.label}</p>
-                            <p className={styles.itemPrice}>₹{item.variant.price}</p>
+                            {item.modifiers?.length > 0 && (
+                              <p className={styles.itemVariant}>+ {formatModifiers(item)}</p>
+                            )}
+                            {item.instructions && (
+                              <p className={styles.itemInstructions}>📝 {item.instructions}</p>
+                            )}
+                            <p className={styles.itemPrice}>₹{getLineUnitPrice(item)}</p>
+                            {item.addedBy && (
+                              <p className={styles.itemAddedBy}>
+                                Added by {dinerLabel(item.addedBy, session.customerPhone)}
+                              </p>
+                            )}
+                            {adjustments[item.id]?.type === "repriced" && (
+                              <p className={styles.itemAdjustment}>
+                                Price updated from ₹{adjustments[item.id].oldPrice} to ₹{adjustments[item.id].newPrice}
+                              </p>
+                            )}
+                            {adjustments[item.id]?.type === "rejected" && (
+                              <p className={styles.itemAdjustment}>
+                                {adjustments[item.id].reason}. Please remove it.
+                              </p>
+                            )}
                           </div>
 
                           <div className={styles.quantityControl}>
@@ -452,7 +798,7 @@ function CartPage() {
                           </div>
 
                           <div className={styles.itemTotal}>
-                            <p>₹{item.variant.price * item.quantity}</p>
+                            <p>₹{getLineUnitPrice(item) * item.quantity}</p>
                           </div>
 
                           <button
@@ -493,9 +839,19 @@ function CartPage() {
                       <button onClick={applyCoupon}>Apply</button>
                     </div>
                   )}
-                  <div className={styles.availableCoupons}>
-                    <p>Try: <span onClick={() => setCouponCode("SAVE10")}>SAVE10</span>, <span onClick={() => setCouponCode("FLAT50")}>FLAT50</span></p>
-                  </div>
+                </div>
+
+                {/* Order Note */}
+                <div className={styles.couponSection}>
+                  <h4>Note for the Kitchen</h4>
+                  <textarea
+                    className={styles.orderInstructions}
+                    value={orderInstructions}
+                    onChange={(e) => setOrderInstructions(e.target.value)}
+                    maxLength={ORDER_INSTRUCTIONS_MAX_LENGTH}
+                    rows={2}
+                    placeholder="e.g. Serve the starters first"
+                  />
                 </div>
 
                 {/* Bill Details */}
@@ -504,42 +860,75 @@ function CartPage() {
                   
                   <div className={styles.billRow}>
                     <span>Item Total</span>
-                    <span>₹{subtotal}</span>
+                    <span>₹{formatAmount(subtotal)}</span>
                   </div>
                   
                   {appliedCoupon && (
                     <div className={`${styles.billRow} ${styles.discount}`}>
                       <span>Discount ({appliedCoupon.code})</span>
-                      <span>-₹{discount}</span>
+                      <span>-₹{formatAmount(discount)}</span>
+                    </div>
+                  )}
+
+                  {serviceCharge > 0 && (
+                    <div className={styles.billRow}>
+                      <span>Service Charge ({billingSettings.serviceChargeRate}%)</span>
+                      <span>₹{formatAmount(serviceCharge)}</span>
+                    </div>
+                  )}
+
+                  {packagingFee > 0 && (
+                    <div className={styles.billRow}>
+                      <span>Packaging</span>
+                      <span>₹{formatAmount(packagingFee)}</span>
                     </div>
                   )}
                   
-                  <div className={styles.billRow}>
-                    <span>Delivery Fee</span>
-                    <span>
-                      {deliveryFee === 0 ? (
-                        <span className={styles.freeDelivery}>FREE</span>
-                      ) : (
-                        `₹${deliveryFee}`
-                      )}
-                    </span>
-                  </div>
+                  {billingSettings?.deliveryFee > 0 && (
+                    <div className={styles.billRow}>
+                      <span>Delivery Fee</span>
+                      <span>
+                        {deliveryFee === 0 ? (
+                          <span className={styles.freeDelivery}>FREE</span>
+                        ) : (
+                          `₹${formatAmount(deliveryFee)}`
+                        )}
+                      </span>
+                    </div>
+                  )}
                   
-                  <div className={styles.billRow}>
-                    <span>GST (5%)</span>
-                    <span>₹{tax}</span>
-                  </div>
+                  {taxes.map((t) => (
+                    <div key={t.name} className={styles.billRow}>
+                      <span>
+                        {t.name} ({t.rate}%){pricesIncludeTax && " incl."}
+                      </span>
+                      <span>₹{formatAmount(t.amount)}</span>
+                    </div>
+                  ))}
+
+                  {roundOff !== 0 && (
+                    <div className={styles.billRow}>
+                      <span>Round Off</span>
+                      <span>
+                        {roundOff > 0 ? "+" : "-"}₹{formatAmount(Math.abs(roundOff))}
+                      </span>
+                    </div>
+                  )}
                   
                   <div className={styles.billDivider}></div>
                   
                   <div className={`${styles.billRow} ${styles.totalRow}`}>
                     <span>To Pay</span>
-                    <span>₹{total}</span>
+                    <span>₹{formatAmount(total)}</span>
                   </div>
 
+                  {pricesIncludeTax && (
+                    <p className={styles.taxNote}>Menu prices include taxes</p>
+                  )}
+
                   {discount > 0 && (
                     <div className={styles.savingsBadge}>
-                      🎉 You're saving ₹{discount} on this order!
+                      🎉 You're saving ₹{formatAmount(discount)} on this order!
                     </div>
                   )}
                 </div>
@@ -576,13 +965,13 @@ function CartPage() {
                 <button
                   className={styles.checkoutBtn}
                   onClick={handleCheckout}
-                  disabled={cart.length === 0 || isProcessing}
+                  disabled={activeLines.length === 0 || isProcessing || hasRejectedItems}
                 >
                   {isProcessing ? (
                     <>Processing...</>
                   ) : (
                     <>
-                      Place Order • ₹{total}
+                      Place Order • ₹{formatAmount(total)}
                     </>
                   )}
                 </button>
@@ -596,6 +985,16 @@ function CartPage() {
         </div>
       </div>
 
+      {paymentOrder && (
+        <PaymentSheet
+          order={paymentOrder}
+          customerPhone={session.customerPhone}
+          restoId={session.restaurantId}
+          onPaid={() => router.push("/order")}
+          onClose={() => router.push("/order")}
+        />
+      )}
+
       <Footer />
     </RequireAuth>
   );
@@ -9,7 +9,8 @@
  * 3. Fetch all completed orders (Served/Cancelled) from database
  * 4. Display statistics: completed, cancelled, total spent
  * 5. Show orders with filter tabs (All/Completed/Cancelled)
- * 6. Each order card shows items, total, status, and timestamp
+ * 6. Each order card shows items, total, status, and timestamp, plus
+ *    any refunds the restaurant issued on it
  * 
  * STATE MANAGEMENT:
  * - orders: Array of completed orders from database
@@ -17,7 +18,8 @@
  * - filter: Current filter tab ("all", "served", "cancelled")
  * 
  * FEATURES:
- * - Statistics cards (completed count, cancelled count, total spent)
+ * - Statistics cards (completed count, cancelled count, total spent
+ *   net of refunds)
  * - Filter tabs for order status
  * - Order cards with item details
  * - Timestamp formatting (date + time)
@@ -36,6 +38,10 @@ import Header3 from "@/src/_components/customerComponents/Header3";
 import Footer from "@/src/_components/customerComponents/Footer";
 import { useSession } from "@/src/contexts/SessionContext";
 import { getCustomerOrdersAction } from "@/src/actions/orderActions";
+import { formatAmount } from "@/src/lib/billing";
+import { formatModifiers, getLineUnitPrice } from "@/src/lib/modifiers";
+import { getNetTotal } from "@/src/lib/refunds";
+import { isComboComponent } from "@/src/lib/combos";
 import styles from "./history.module.css";
 import RequireAuth from "@/src/_components/customerComponents/RequireAuth";
 
@@ -153,10 +159,10 @@ function CustomerHistoryPage() {
   /** Count of cancelled orders */
   const cancelledCount = orders.filter((o) => o.status === "Cancelled").length;
   
-  /** Total amount spent on served orders */
+  /** Total amount spent on served orders, less refunds */
   const totalSpent = orders
     .filter((o) => o.status === "Served")
-    .reduce((sum, o) => sum + o.total, 0);
+    .reduce((sum, o) => sum + getNetTotal(o), 0);
 
   // -----------------------------------------------------------------------
   // CONDITIONAL RENDERS
@@ -306,7 +312,7 @@ function CustomerHistoryPage() {
 
                     {/* Order Items */}
                     <div className={styles.orderItems}>
-                      {order.items.map((item, idx) => (
+                      {order.items.filter((item) => !isComboComponent(item)).map((item, idx) => (
                         <div key={idx} className={styles.orderItem}>
                           <div className={styles.itemLeft}>
                             <span
@@ -321,14 +327,36 @@ function CustomerHistoryPage() {
                             <span className={styles.itemQty}>{item.quantity}×</span>
                             <span className={styles.itemName}>{item.name}</span>
                             <span className={styles.itemVariant}>({item.variant.label})</span>
+                            {item.modifiers?.length > 0 && (
+                              <span className={styles.itemVariant}>+ {formatModifiers(item)}</span>
+                            )}
                           </div>
                           <span className={styles.itemPrice}>
-                            ₹{item.variant.price * item.quantity}
+                            ₹{getLineUnitPrice(item) * item.quantity}
                           </span>
                         </div>
                       ))}
                     </div>
 
+                    {/* Refunds */}
+                    {order.refunds?.length > 0 && (
+                      <div className={styles.refunds}>
+                        {order.refunds.map((refund) => (
+                          <div key={refund._id} className={styles.refundRow}>
+                            <span>
+                              <i className="fa fa-undo" /> Refunded ₹{formatAmount(refund.amount)}
+                              {refund.type === "partial" &&
+                                ` for ${refund.items
+                                  .map((item) => `${item.quantity}× ${item.name}`)
+                                  .join(", ")}`}
+                              <span className={styles.refundReason}>{refund.reason}</span>
+                            </span>
+                            <span className={styles.date}>{formatDate(refund.at)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Order Footer */}
                     <div className={styles.orderFooter}>
                       <div className={styles.footerLeft}>
@@ -7,9 +7,18 @@
  * 1. On mount, fetch all menu items for the restaurant from server
  * 2. Display items in a grid layout with category sidebar filter
  * 3. User can filter items by category
- * 4. Clicking an item opens a modal to select variant and quantity
- * 5. "Add to Cart" saves selected item to localStorage cart
+ * 4. Clicking an item opens a modal to select variant, add-ons and quantity
+ *    (each add-on group's min / max picks must be met before adding), with
+ *    an optional note for the kitchen and the category's quick-pick chips
+ * 5. "Add to Cart" saves selected item to localStorage cart, or to the
+ *    table's shared cart when "Whole table" is picked (table session)
  * 6. Floating cart button shows cart count and navigates to cart page
+ * 7. Combos are listed above the dishes; tapping one walks the diner
+ *    through a dish per slot, then a summary before adding it to a cart
+ * 8. Stock counts arrive live over SSE as orders are placed / cancelled:
+ *    dishes running low show "Only N left", sold-out ones can't be added
+ * 9. Dishes the admin edits or deletes are swapped in / dropped live
+ *    (menu:item_updated / menu:item_removed, see src/lib/menuUpdates.js)
  * 
  * =========================================================================
  */
@@ -23,7 +32,31 @@ import Header2 from "@/src/_components/customerComponents/Header2";
 import Header3 from "@/src/_components/customerComponents/Header3";
 import { DEFAULT_CATEGORIES } from "@/src/lib/constants";
 import { getAllFoodItemsByRestoCode } from "@/src/actions/restoItemActions";
+import {
+  getTableSessionAction,
+  addToSharedCartAction,
+} from "@/src/actions/tableSessionActions";
+import { getInstructionChipsAction } from "@/src/actions/settingsActions";
+import { getCombosByRestoCode } from "@/src/actions/comboActions";
 import { useSession } from "@/src/contexts/SessionContext";
+import {
+  resolveModifiers,
+  getModifierKey,
+  getLineUnitPrice,
+  describeModifierGroup,
+} from "@/src/lib/modifiers";
+import {
+  LINE_INSTRUCTIONS_MAX_LENGTH,
+  getCategoryChips,
+  getInstructionsKey,
+  hasInstructionChip,
+  sanitizeInstructions,
+  toggleInstructionChip,
+} from "@/src/lib/instructions";
+import { COMBO_VARIANT_LABEL } from "@/src/lib/combos";
+import { describeStock } from "@/src/lib/stock";
+import { useWebSocket } from "@/src/contexts/WebSocketContext";
+import ComboPicker from "@/src/_components/customerComponents/ComboPicker";
 import styles from "./menu.module.css";
 import RequireAuth from "@/src/_components/customerComponents/RequireAuth";
 
@@ -64,6 +97,20 @@ const saveCartToStorage = (cart) => {
   }
 };
 
+/**
+ * Applies a live stock update (menu:stock_updated) to a menu item
+ */
+const applyStockUpdate = (item, update) => ({
+  ...item,
+  isAvailable: update.isAvailable,
+  stock: update.stock,
+  lowStockThreshold: update.lowStockThreshold,
+  variants: item.variants?.map((variant) => {
+    const live = update.variants.find((v) => v._id === variant._id);
+    return live ? { ...variant, isAvailable: live.isAvailable, stock: live.stock } : variant;
+  }),
+});
+
 // =========================================================================
 // MAIN COMPONENT
 // =========================================================================
@@ -71,6 +118,7 @@ const saveCartToStorage = (cart) => {
 function CustomerMenuPage() {
   const router = useRouter();
   const session = useSession();
+  const { connect, disconnect, subscribe, isConnected, WS_EVENTS } = useWebSocket();
 
   // -----------------------------------------------------------------------
   // STATE VARIABLES
@@ -93,12 +141,36 @@ function CustomerMenuPage() {
   
   /** Selected variant in the modal */
   const [selectedVariant, setSelectedVariant] = useState(null);
+
+  /** Add-on option _ids picked in the modal */
+  const [selectedOptions, setSelectedOptions] = useState([]);
   
   /** Quantity for add to cart */
   const [quantity, setQuantity] = useState(1);
+
+  /** Note for the kitchen typed in the modal */
+  const [instructions, setInstructions] = useState("");
+
+  /** Restaurant's quick-pick notes per category [{ category, chips }] */
+  const [instructionChips, setInstructionChips] = useState([]);
   
   /** Cart items */
   const [cart, setCart] = useState([]);
+
+  /** Combos on offer, with each slot's dishes */
+  const [combos, setCombos] = useState([]);
+
+  /** Combo open in the picker */
+  const [selectedCombo, setSelectedCombo] = useState(null);
+
+  /** Where "Add to Cart" puts the item: "me" (own cart) or "table" (shared cart) */
+  const [addTo, setAddTo] = useState("me");
+
+  /** Items in the table's shared cart */
+  const [sharedCartCount, setSharedCartCount] = useState(0);
+
+  /** Adding to the shared cart in progress */
+  const [addingToTable, setAddingToTable] = useState(false);
   
   /** Trigger to refetch items */
   const [refetchTrigger, setRefetchTrigger] = useState(0);
@@ -175,7 +247,140 @@ function CustomerMenuPage() {
   useEffect(() => {
     setCart(getCartFromStorage());
   }, []);
+
+  /**
+   * Effect: Count the table's shared cart
+   */
+  useEffect(() => {
+    if (!session?.restaurantId || !session?.customerPhone) return;
+
+    const loadTableSession = async () => {
+      const result = await getTableSessionAction(session.customerPhone, session.restaurantId);
+      if (result.success && result.tableSession) {
+        setSharedCartCount(
+          result.tableSession.sharedCart.reduce((sum, line) => sum + line.quantity, 0)
+        );
+      }
+    };
+
+    loadTableSession();
+  }, [session?.restaurantId, session?.customerPhone]);
+
+  /**
+   * Effect: Load the quick-pick special instructions
+   */
+  useEffect(() => {
+    if (!session?.restaurantId) return;
+
+    const loadInstructionChips = async () => {
+      const result = await getInstructionChipsAction(session.restaurantId);
+      if (result.success) {
+        setInstructionChips(result.instructionChips);
+      }
+    };
+
+    loadInstructionChips();
+  }, [session?.restaurantId]);
   
+  /**
+   * Effect: Load the combos on offer
+   */
+  useEffect(() => {
+    if (!session?.restaurantId) return;
+
+    const loadCombos = async () => {
+      const result = await getCombosByRestoCode(session.restaurantId);
+      if (result.success) {
+        setCombos(result.data);
+      }
+    };
+
+    loadCombos();
+  }, [session?.restaurantId, refetchTrigger]);
+
+  /**
+   * Effect: Connect to the restaurant's live updates
+   */
+  useEffect(() => {
+    if (!session?.restaurantId) return;
+
+    connect({
+      restaurantId: session.restaurantId,
+      type: "customer",
+      customerPhone: session.customerPhone,
+    });
+
+    return () => disconnect();
+  }, [session?.restaurantId, session?.customerPhone, connect, disconnect]);
+
+  /** Item open in the modal, for live changes to it */
+  const openItemId = selectedItem?._id;
+
+  /**
+   * Effect: Apply menu changes live: stock taken and given back by orders,
+   * and dishes the admin edits or deletes
+   */
+  useEffect(() => {
+    if (!isConnected) return;
+
+    // Combos list only the dishes still available in each slot
+    const reloadCombos = async () => {
+      const result = await getCombosByRestoCode(session.restaurantId);
+      if (result.success) {
+        setCombos(result.data);
+      }
+    };
+
+    const unsubStockUpdated = subscribe(WS_EVENTS.MENU_STOCK_UPDATED, (data) => {
+      if (!data?.foodId) return;
+
+      const patch = (item) => (item?._id === data.foodId ? applyStockUpdate(item, data) : item);
+      setItems((prev) => prev.map(patch));
+      setSelectedItem(patch);
+      setSelectedVariant((prev) => {
+        const live = prev && data.variants.find((v) => v._id === prev._id);
+        return live ? { ...prev, isAvailable: live.isAvailable, stock: live.stock } : prev;
+      });
+      reloadCombos();
+    });
+
+    const unsubItemUpdated = subscribe(WS_EVENTS.MENU_ITEM_UPDATED, (data) => {
+      const item = data?.item;
+      if (!item?._id) return;
+
+      setItems((prev) =>
+        prev.some((i) => i._id === item._id)
+          ? prev.map((i) => (i._id === item._id ? item : i))
+          : [item, ...prev]
+      );
+      if (item._id === openItemId) {
+        const optionIds = (item.modifierGroups || []).flatMap((g) => g.options.map((o) => o._id));
+        setSelectedItem(item);
+        setSelectedVariant((prev) => item.variants.find((v) => v._id === prev?._id) || null);
+        setSelectedOptions((prev) => prev.filter((id) => optionIds.includes(id)));
+      }
+      reloadCombos();
+    });
+
+    const unsubItemRemoved = subscribe(WS_EVENTS.MENU_ITEM_REMOVED, (data) => {
+      if (!data?.foodId) return;
+
+      setItems((prev) => prev.filter((i) => i._id !== data.foodId));
+      if (data.foodId === openItemId) {
+        setSelectedItem(null);
+        setSelectedVariant(null);
+        alert(`${data.name} was just taken off the menu`);
+      }
+      reloadCombos();
+    });
+
+    return () => {
+      unsubStockUpdated();
+      unsubItemUpdated();
+      unsubItemRemoved();
+    };
+  }, [isConnected, subscribe, WS_EVENTS, session?.restaurantId, openItemId]);
+
   /**
    * Handler to retry fetching items
    */
@@ -193,7 +398,9 @@ function CustomerMenuPage() {
   const openModal = (item) => {
     setSelectedItem(item);
     setSelectedVariant(item.variants?.[0] || null);
+    setSelectedOptions([]);
     setQuantity(1);
+    setInstructions("");
   };
 
   /**
@@ -202,7 +409,25 @@ function CustomerMenuPage() {
   const closeModal = () => {
     setSelectedItem(null);
     setSelectedVariant(null);
+    setSelectedOptions([]);
     setQuantity(1);
+    setInstructions("");
+  };
+
+  /**
+   * Picks or unpicks an add-on. A group allowing one pick behaves like
+   * radio buttons; otherwise picks stop at the group's maximum.
+   */
+  const toggleOption = (group, option) => {
+    const groupIds = group.options.map((o) => o._id);
+    setSelectedOptions((prev) => {
+      if (prev.includes(option._id)) return prev.filter((id) => id !== option._id);
+      if (group.maxSelect === 1) {
+        return [...prev.filter((id) => !groupIds.includes(id)), option._id];
+      }
+      const pickedInGroup = prev.filter((id) => groupIds.includes(id)).length;
+      return pickedInGroup < group.maxSelect ? [...prev, option._id] : prev;
+    });
   };
 
   // -----------------------------------------------------------------------
@@ -212,11 +437,38 @@ function CustomerMenuPage() {
   /**
    * Adds item to cart
    */
-  const handleAddToCart = () => {
-    if (!selectedItem || !selectedVariant) return;
+  const handleAddToCart = async () => {
+    if (!selectedItem || !selectedVariant || !modifierSelection.modifiers) return;
+    const note = sanitizeInstructions(instructions);
+
+    if (addTo === "table") {
+      setAddingToTable(true);
+      const result = await addToSharedCartAction(session.customerPhone, session.restaurantId, {
+        itemId: selectedItem._id,
+        variantId: selectedVariant._id,
+        optionIds: selectedOptions,
+        instructions: note,
+        quantity,
+      });
+      setAddingToTable(false);
 
+      if (result.success) {
+        setSharedCartCount(result.sharedCart.reduce((sum, line) => sum + line.quantity, 0));
+        closeModal();
+      } else {
+        alert(result.error);
+      }
+      return;
+    }
+
+    const { modifiers } = modifierSelection;
+    const lineKey = [getModifierKey({ modifiers }), getInstructionsKey({ instructions: note })]
+      .filter(Boolean)
+      .map((key) => `-${key}`)
+      .join("");
     const cartItem = {
-      id: `${selectedItem._id}-${selectedVariant._id}`,
+      // Same dish with different add-ons or notes makes a separate line
+      id: `${selectedItem._id}-${selectedVariant._id}${lineKey}`,
       itemId: selectedItem._id,
       variantId: selectedVariant._id,
       name: selectedItem.name,
@@ -225,6 +477,8 @@ function CustomerMenuPage() {
         label: selectedVariant.label,
         price: selectedVariant.price,
       },
+      modifiers,
+      instructions: note,
       quantity: quantity,
       image: selectedItem.imageUrl,
       foodType: selectedItem.foodType,
@@ -245,10 +499,81 @@ function CustomerMenuPage() {
     closeModal();
   };
 
+  /**
+   * Adds the combo built in the picker to a cart; its picks are the line's
+   * modifiers, so the same picks and note add up on one line
+   */
+  const handleAddCombo = async (picked) => {
+    const { optionIds, modifiers } = picked;
+    const note = sanitizeInstructions(picked.instructions);
+
+    if (picked.addTo === "table") {
+      setAddingToTable(true);
+      const result = await addToSharedCartAction(session.customerPhone, session.restaurantId, {
+        comboId: selectedCombo._id,
+        optionIds,
+        instructions: note,
+        quantity: picked.quantity,
+      });
+      setAddingToTable(false);
+
+      if (result.success) {
+        setSharedCartCount(result.sharedCart.reduce((sum, line) => sum + line.quantity, 0));
+        setSelectedCombo(null);
+      } else {
+        alert(result.error);
+      }
+      return;
+    }
+
+    const lineKey = [getModifierKey({ modifiers }), getInstructionsKey({ instructions: note })]
+      .filter(Boolean)
+      .map((key) => `-${key}`)
+      .join("");
+    const cartItem = {
+      id: `combo-${selectedCombo._id}${lineKey}`,
+      comboId: selectedCombo._id,
+      name: selectedCombo.name,
+      variant: { label: COMBO_VARIANT_LABEL, price: selectedCombo.price },
+      modifiers,
+      instructions: note,
+      quantity: picked.quantity,
+      image: selectedCombo.imageUrl,
+      foodType: selectedCombo.foodType,
+    };
+
+    const existing = cart.find((item) => item.id === cartItem.id);
+    const newCart = existing
+      ? cart.map((item) =>
+          item.id === cartItem.id ? { ...item, quantity: item.quantity + picked.quantity } : item
+        )
+      : [...cart, cartItem];
+
+    setCart(newCart);
+    saveCartToStorage(newCart);
+    setSelectedCombo(null);
+  };
+
   // -----------------------------------------------------------------------
   // COMPUTED VALUES
   // -----------------------------------------------------------------------
 
+  /**
+   * Add-ons picked in the modal, checked against the item's groups
+   * ({ modifiers } or { error } naming the group still to complete)
+   */
+  const modifierSelection = useMemo(
+    () => (selectedItem ? resolveModifiers(selectedItem, selectedOptions) : { modifiers: [] }),
+    [selectedItem, selectedOptions]
+  );
+
+  /**
+   * Price of one of the item as configured in the modal
+   */
+  const unitPrice = selectedVariant
+    ? getLineUnitPrice({ variant: selectedVariant, modifiers: modifierSelection.modifiers })
+    : 0;
+
   /**
    * Filters items based on selected category
    */
@@ -287,8 +612,8 @@ function CustomerMenuPage() {
    * Total cart count
    */
   const cartCount = useMemo(() => {
-    return cart.reduce((sum, item) => sum + item.quantity, 0);
-  }, [cart]);
+    return cart.reduce((sum, item) => sum + item.quantity, 0) + sharedCartCount;
+  }, [cart, sharedCartCount]);
 
   // -----------------------------------------------------------------------
   // RENDER
@@ -428,6 +753,28 @@ function CustomerMenuPage() {
                       </div>
                     )}
 
+                    {/* Combos */}
+                    {!loading && !error && filter === "All" && combos.length > 0 && (
+                      <div className={styles.comboStrip}>
+                        <h5 className={styles.sectionTitle}>Combos</h5>
+                        <div className={styles.comboList}>
+                          {combos.map((combo) => (
+                            <div
+                              key={combo._id}
+                              className={styles.comboCard}
+                              onClick={() => setSelectedCombo(combo)}
+                            >
+                              <span className={styles.comboName}>{combo.name}</span>
+                              <span className={styles.comboSlots}>
+                                {combo.slots.map((slot) => slot.name).join(" + ")}
+                              </span>
+                              <span className={styles.comboPrice}>₹{combo.price}</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
                     {/* Menu Items */}
                     {!loading && !error && (
                       <>
@@ -438,7 +785,9 @@ function CustomerMenuPage() {
                               key={item._id}
                             >
                               <div 
-                                className={styles.foodCard}
+                                className={`${styles.foodCard} ${
+                                  item.availableNow === false ? styles.offSchedule : ""
+                                }`}
                                 onClick={() => openModal(item)}
                               >
                                 {/* Image Section */}
@@ -459,6 +808,18 @@ function CustomerMenuPage() {
                                   <span className={styles.priceBadge}>
                                     ₹{item.variants?.[0]?.price || "N/A"}
                                   </span>
+                                  {/* Stock Badge */}
+                                  {describeStock(item) && (
+                                    <span className={styles.stockBadge}>
+                                      {describeStock(item)}
+                                    </span>
+                                  )}
+                                  {/* Schedule Badge */}
+                                  {item.availableNow === false && (
+                                    <span className={styles.scheduleBadge}>
+                                      <i className="fa fa-clock-o"></i> {item.availabilityNote}
+                                    </span>
+                                  )}
                                 </div>
 
                                 {/* Content Section */}
@@ -596,10 +957,16 @@ function CustomerMenuPage() {
                         <span className={styles.variantName}>
                           {variant.label}
                         </span>
-                        {!variant.isAvailable && (
+                        {!variant.isAvailable ? (
                           <span className={styles.outOfStock}>
                             Out of Stock
                           </span>
+                        ) : (
+                          describeStock(selectedItem, variant) && (
+                            <span className={styles.outOfStock}>
+                              {describeStock(selectedItem, variant)}
+                            </span>
+                          )
                         )}
                       </div>
                       <span className={styles.variantPrice}>
@@ -610,6 +977,68 @@ function CustomerMenuPage() {
                 </div>
               </div>
 
+              {/* Add-On Groups */}
+              {selectedItem.modifierGroups?.map((group) => (
+                <div key={group._id} className={styles.variantsSection}>
+                  <h5 className={styles.sectionTitle}>
+                    {group.name}
+                    <span className={styles.groupHint}>{describeModifierGroup(group)}</span>
+                  </h5>
+                  <div className={styles.variantsList}>
+                    {group.options.map((option) => (
+                      <div
+                        key={option._id}
+                        className={`${styles.variantLabel} ${
+                          selectedOptions.includes(option._id) ? styles.selected : ""
+                        } ${!option.isAvailable ? styles.disabled : ""}`}
+                        onClick={() => option.isAvailable && toggleOption(group, option)}
+                      >
+                        <div className={styles.variantLeft}>
+                          <span className={styles.variantName}>{option.label}</span>
+                          {!option.isAvailable && (
+                            <span className={styles.outOfStock}>Out of Stock</span>
+                          )}
+                        </div>
+                        <span className={styles.variantPrice}>
+                          {option.price > 0 ? `+₹${option.price}` : "Free"}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              {/* Special Instructions */}
+              <div className={styles.quantitySection}>
+                <h5 className={styles.sectionTitle}>
+                  Special Instructions
+                  <span className={styles.groupHint}>Optional</span>
+                </h5>
+                {getCategoryChips(instructionChips, selectedItem.category).length > 0 && (
+                  <div className={styles.instructionChips}>
+                    {getCategoryChips(instructionChips, selectedItem.category).map((chip) => (
+                      <button
+                        key={chip}
+                        className={
+                          hasInstructionChip(instructions, chip) ? styles.instructionChipActive : ""
+                        }
+                        onClick={() => setInstructions((prev) => toggleInstructionChip(prev, chip))}
+                      >
+                        {chip}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <textarea
+                  className={styles.instructionsInput}
+                  value={instructions}
+                  onChange={(e) => setInstructions(e.target.value)}
+                  maxLength={LINE_INSTRUCTIONS_MAX_LENGTH}
+                  rows={2}
+                  placeholder="e.g. No onion, less oil"
+                />
+              </div>
+
               {/* Quantity Selector */}
               <div className={styles.quantitySection}>
                 <h5 className={styles.sectionTitle}>Quantity</h5>
@@ -630,20 +1059,67 @@ function CustomerMenuPage() {
                 </div>
               </div>
 
+              {/* Cart Choice: own cart or the table's shared cart */}
+              <div className={styles.quantitySection}>
+                <h5 className={styles.sectionTitle}>Add For</h5>
+                <div className={styles.addToToggle}>
+                  <button
+                    className={addTo === "me" ? styles.addToActive : ""}
+                    onClick={() => setAddTo("me")}
+                  >
+                    <i className="fa fa-user"></i> Just me
+                  </button>
+                  <button
+                    className={addTo === "table" ? styles.addToActive : ""}
+                    onClick={() => setAddTo("table")}
+                  >
+                    <i className="fa fa-users"></i> Whole table
+                  </button>
+                </div>
+              </div>
+
               {/* Add to Cart Button */}
+              {modifierSelection.error && (
+                <p className={styles.modifierError}>{modifierSelection.error}</p>
+              )}
+              {selectedItem.isAvailable === false && (
+                <p className={styles.modifierError}>
+                  {selectedItem.stock === 0 ? "Sold out" : "This item is currently unavailable"}
+                </p>
+              )}
+              {selectedItem.availableNow === false && (
+                <p className={styles.modifierError}>{selectedItem.availabilityNote}</p>
+              )}
               <button 
                 className={styles.addToCartBtn}
                 onClick={handleAddToCart}
-                disabled={!selectedVariant || !selectedVariant.isAvailable}
+                disabled={
+                  !selectedVariant ||
+                  !selectedVariant.isAvailable ||
+                  selectedItem.isAvailable === false ||
+                  selectedItem.availableNow === false ||
+                  !!modifierSelection.error ||
+                  addingToTable
+                }
               >
                 <i className="fa fa-cart-plus"></i>
-                Add to Cart - ₹{selectedVariant ? selectedVariant.price * quantity : 0}
+                {addTo === "table" ? "Add to Table Cart" : "Add to Cart"} - ₹{unitPrice * quantity}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* Combo Picker */}
+      {selectedCombo && (
+        <ComboPicker
+          combo={selectedCombo}
+          adding={addingToTable}
+          onAdd={handleAddCombo}
+          onClose={() => setSelectedCombo(null)}
+        />
+      )}
+
       {/* Floating Cart Button */}
       {cartCount > 0 && (
         <div className={styles.floatingCart} onClick={() => router.push("/cart")}>
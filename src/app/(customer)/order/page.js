@@ -8,15 +8,30 @@
  * 2. Fetch orders from database using customer phone and restaurant ID
  * 3. Fall back to localStorage if session unavailable or fetch fails
  * 4. Display orders with expandable cards showing:
- *    - Order status progress (Placed → Accepted → Preparing → Served)
- *    - Order items with quantities and prices
- *    - Bill summary
- * 5. Auto-refresh orders every 15 seconds for live updates
+ *    - Order status progress (Placed → Accepted → Preparing → Ready → Served)
+ *    - Order items with quantities, prices and per-dish progress
+ *    - Bill summary (amounts as billed by the shared billing module,
+ *      with the tax split and any service / packaging / delivery charges)
+ *    - Order timeline from statusHistory, with the reason if cancelled
+ * 5. While an order is still "Placed" and inside the grace window
+ *    (ORDER_EDIT_CONFIG), the customer can cancel it or change its items;
+ *    the restaurant is notified live and accepting closes the window
+ * 6. Auto-refresh orders every 15 seconds for live updates
+ * 7. The table's running tab lists every order placed at the table
+ *    (by any diner) until the restaurant closes the table
+ * 8. Orders placed with an online method that are still unpaid (or whose
+ *    payment failed) show "Pay Now", which opens the payment sheet
+ * 9. Every order that isn't cancelled links to its GST receipt
+ *    (/api/invoices), as a printable page or a PDF
  * 
  * STATE MANAGEMENT:
  * - orders: Array of order objects from database/localStorage
  * - expandedOrder: Currently expanded order ID for accordion
  * - loading: Loading state during data fetch
+ * - editingOrder: Order ID open in the OrderEditor
+ * - now: Current time, ticking each second while an order is editable
+ * - tableTab: { tableSession, tab } for the customer's table (null if none)
+ * - payingOrder: Order open in the PaymentSheet
  * 
  * FEATURES:
  * - Real-time status updates (polls every 15 seconds)
@@ -25,6 +40,7 @@
  * - Time ago display for order timestamps
  * - Live indicator showing real-time updates
  * - Fallback to localStorage for offline access
+ * - Cancel / edit a just-placed order with a live countdown
  * 
  * =========================================================================
  */
@@ -38,7 +54,20 @@ import Header2 from "@/src/_components/customerComponents/Header2";
 import Header3 from "@/src/_components/customerComponents/Header3";
 import { useSession } from "@/src/contexts/SessionContext";
 import { useWebSocket } from "@/src/contexts/WebSocketContext";
-import { getCustomerOrdersAction } from "@/src/actions/orderActions";
+import {
+  getCustomerOrdersAction,
+  cancelOrderByCustomerAction,
+  modifyOrderByCustomerAction,
+} from "@/src/actions/orderActions";
+import { getTableSessionAction } from "@/src/actions/tableSessionActions";
+import OrderEditor from "@/src/_components/customerComponents/OrderEditor";
+import TableTab from "@/src/_components/customerComponents/TableTab";
+import PaymentSheet from "@/src/_components/customerComponents/PaymentSheet";
+import { formatAmount } from "@/src/lib/billing";
+import { ITEM_STATUS_LABELS, getItemStatus } from "@/src/lib/orderStatus";
+import { formatModifiers, getLineUnitPrice } from "@/src/lib/modifiers";
+import { canEditItems, getEditSecondsLeft } from "@/src/lib/orderEdit";
+import { isComboComponent } from "@/src/lib/combos";
 import styles from "./order.module.css";
 import RequireAuth from "@/src/_components/customerComponents/RequireAuth";
 
@@ -51,6 +80,7 @@ const ORDER_STATUSES = [
   { id: "Placed", label: "Placed", icon: "🕐" },
   { id: "Accepted", label: "Accepted", icon: "✓" },
   { id: "Preparing", label: "Preparing", icon: "👨‍🍳" },
+  { id: "Ready", label: "Ready", icon: "🔔" },
   { id: "Served", label: "Served", icon: "🍽️" },
 ];
 
@@ -84,6 +114,24 @@ const getTimeAgo = (createdAt) => {
   }
 };
 
+/**
+ * Formats a timestamp as HH:MM for the order timeline
+ * @param {string|Date} dateStr - Timestamp
+ * @returns {string} Formatted time
+ */
+const formatTime = (dateStr) =>
+  new Date(dateStr).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Lines the customer ordered; a combo's dishes are shown through its picks
+ * @param {Object} order - Order
+ * @returns {Array} Order lines without a combo's dishes
+ */
+const getOrderedItems = (order) => order.items.filter((item) => !isComboComponent(item));
+
 /**
  * Gets the index of a status in the ORDER_STATUSES array
  * Used for progress indicator calculation
@@ -116,10 +164,32 @@ function OrderPage() {
   /** Loading state during initial data fetch */
   const [loading, setLoading] = useState(true);
 
+  /** Order ID open in the editor */
+  const [editingOrder, setEditingOrder] = useState(null);
+
+  /** Current time for the edit window countdown */
+  const [now, setNow] = useState(() => Date.now());
+
+  /** The table's session and running tab */
+  const [tableTab, setTableTab] = useState(null);
+
+  /** Order being paid online */
+  const [payingOrder, setPayingOrder] = useState(null);
+
   // -----------------------------------------------------------------------
   // DATA FETCHING
   // -----------------------------------------------------------------------
 
+  /**
+   * Fetches the running tab for the customer's table
+   */
+  const fetchTableTab = useCallback(async () => {
+    if (!session.customerPhone || !session.restaurantId) return;
+
+    const result = await getTableSessionAction(session.customerPhone, session.restaurantId);
+    setTableTab(result.success ? { tableSession: result.tableSession, tab: result.tab } : null);
+  }, [session.customerPhone, session.restaurantId]);
+
   /**
    * Fetches orders from backend or falls back to localStorage
    * Called on mount and every POLL_INTERVAL for live updates
@@ -186,6 +256,7 @@ function OrderPage() {
   useEffect(() => {
     if (session.isLoaded) {
       fetchOrders();
+      fetchTableTab();
 
       // Connect to WebSocket for real-time updates
       if (session.restaurantId && session.customerPhone) {
@@ -198,7 +269,7 @@ function OrderPage() {
 
       return () => disconnect();
     }
-  }, [session.isLoaded, session.restaurantId, session.customerPhone, fetchOrders, connect, disconnect]);
+  }, [session.isLoaded, session.restaurantId, session.customerPhone, fetchOrders, fetchTableTab, connect, disconnect]);
 
   /**
    * Effect: Subscribe to WebSocket events
@@ -213,22 +284,102 @@ function OrderPage() {
         setOrders((prev) =>
           prev.map((order) =>
             order.orderId === data.orderId
-              ? { ...order, status: data.status }
+              ? data.order || { ...order, status: data.status }
               : order
           )
         );
       }
     });
 
+    // Someone at the table ordered the shared cart, or the table was closed
+    const unsubTableCart = subscribe(WS_EVENTS.TABLE_CART_UPDATED, fetchTableTab);
+    const unsubTableClosed = subscribe(WS_EVENTS.TABLE_CLOSED, fetchTableTab);
+
     return () => {
       unsubStatusChange();
+      unsubTableCart();
+      unsubTableClosed();
     };
-  }, [isConnected, subscribe, WS_EVENTS]);
+  }, [isConnected, subscribe, WS_EVENTS, fetchTableTab]);
+
+  /** Whether any order can still be cancelled or edited */
+  const hasEditableOrder = orders.some((order) => getEditSecondsLeft(order, now) > 0);
+
+  /**
+   * Effect: Tick the edit window countdown once a second
+   * Stops once no order is editable any more
+   */
+  useEffect(() => {
+    if (!hasEditableOrder) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasEditableOrder]);
 
   // -----------------------------------------------------------------------
   // EVENT HANDLERS
   // -----------------------------------------------------------------------
 
+  /**
+   * Replaces one order in the list with the server's copy
+   * @param {Object} updatedOrder - Order returned by the action
+   */
+  const replaceOrder = (updatedOrder) => {
+    setOrders((prev) =>
+      prev.map((order) => (order.orderId === updatedOrder.orderId ? updatedOrder : order))
+    );
+  };
+
+  /**
+   * Cancels an order inside the grace window
+   * @param {Object} order - Order to cancel
+   */
+  const handleCancelOrder = async (order) => {
+    const reason = prompt("Cancel this order? Tell the restaurant why (optional):");
+    if (reason === null) return;
+
+    const result = await cancelOrderByCustomerAction(
+      order.orderId,
+      session.customerPhone,
+      session.restaurantId,
+      reason
+    );
+    if (result.success) {
+      replaceOrder(result.order);
+      setEditingOrder(null);
+    } else {
+      alert(result.error);
+    }
+  };
+
+  /**
+   * Saves the edited items of an order
+   * @param {string} orderId - Order being edited
+   * @param {Array} items - New order lines
+   * @returns {Promise<Object>} Action result (errors are shown by the editor)
+   */
+  const handleSaveEdit = async (orderId, items) => {
+    const result = await modifyOrderByCustomerAction(
+      orderId,
+      session.customerPhone,
+      session.restaurantId,
+      items
+    );
+    if (result.success) {
+      replaceOrder(result.order);
+      setEditingOrder(null);
+    }
+    return result;
+  };
+
+  /**
+   * Closes the payment sheet, keeping any change it made to the order
+   * @param {Object|null} updatedOrder - Order returned by the payment action
+   */
+  const handlePaymentDone = (updatedOrder) => {
+    if (updatedOrder) replaceOrder(updatedOrder);
+    setPayingOrder(null);
+  };
+
   /**
    * Toggles the expanded state of an order card
    * @param {string} orderId - Order ID to toggle
@@ -261,8 +412,8 @@ function OrderPage() {
     );
   }
 
-  // Empty state
-  if (orders.length === 0) {
+  // Empty state (orders placed by others at the table still show the tab)
+  if (orders.length === 0 && !tableTab?.tab?.orders.length) {
     return (
       <RequireAuth>
         <Header1 />
@@ -326,9 +477,20 @@ function OrderPage() {
       {/* Orders List */}
       <div className={styles.orderArea}>
         <div className="container">
+          {/* Table's running tab */}
+          {tableTab?.tab?.orders.length > 0 && (
+            <TableTab
+              tableSession={tableTab.tableSession}
+              tab={tableTab.tab}
+              myPhone={session.customerPhone}
+            />
+          )}
+
           {orders.map((order) => {
             const currentStatusIndex = getStatusIndex(order.status);
             const isExpanded = expandedOrder === order.orderId;
+            const editSecondsLeft = getEditSecondsLeft(order, now);
+            const isEditing = editingOrder === order.orderId && canEditItems(order, now);
 
             return (
               <div key={order.orderId} className={styles.orderCard}>
@@ -341,7 +503,7 @@ function OrderPage() {
                     <div className={styles.orderIdBadge}>#{order.orderId}</div>
                     <div className={styles.orderCardMeta}>
                       <span className={styles.orderCardItems}>
-                        {order.items.length} item{order.items.length > 1 ? 's' : ''}
+                        {getOrderedItems(order).length} item{getOrderedItems(order).length > 1 ? 's' : ''}
                       </span>
                       <span className={styles.orderCardTime}>{getTimeAgo(order.createdAt)}</span>
                     </div>
@@ -389,6 +551,13 @@ function OrderPage() {
                       </div>
                     </div>
 
+                    {/* Cancellation Reason */}
+                    {order.status === "Cancelled" && order.cancelReason && (
+                      <div className={styles.cancelNotice}>
+                        Cancelled: {order.cancelReason}
+                      </div>
+                    )}
+
                     {/* Order Info */}
                     <div className={styles.infoSection}>
                       <div className={styles.infoItem}>
@@ -401,14 +570,97 @@ function OrderPage() {
                       </div>
                       <div className={styles.infoItem}>
                         <span className={styles.infoIcon}>💳</span>
-                        <span>{order.paymentMethod}</span>
+                        <span>
+                          {order.paymentMethod}
+                          {order.paymentStatus && ` • ${order.paymentStatus}`}
+                        </span>
                       </div>
+                      {order._id && order.status !== "Cancelled" && (
+                        <div className={styles.infoItem}>
+                          <span className={styles.infoIcon}>🧾</span>
+                          <a
+                            href={`/api/invoices/${order.orderId}?layout=80mm&phone=${session.customerPhone}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            Receipt
+                          </a>
+                          <a
+                            href={`/api/invoices/${order.orderId}?format=pdf&phone=${session.customerPhone}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                          >
+                            PDF
+                          </a>
+                        </div>
+                      )}
                     </div>
 
+                    {/* Online Payment Due */}
+                    {order.paymentMethod !== "Cash" &&
+                      order.paymentStatus &&
+                      order.paymentStatus !== "Paid" &&
+                      order.status !== "Cancelled" && (
+                        <div className={styles.paymentDue}>
+                          <span>
+                            {order.paymentStatus === "Failed"
+                              ? "Your last payment didn't go through."
+                              : "This order hasn't been paid yet."}
+                          </span>
+                          <button
+                            className={styles.editSaveBtn}
+                            onClick={() => setPayingOrder(order)}
+                          >
+                            Pay Now
+                          </button>
+                        </div>
+                      )}
+
+                    {/* Grace Window Actions */}
+                    {editSecondsLeft > 0 && !isEditing && (
+                      <div className={styles.editWindow}>
+                        <span>
+                          You can {canEditItems(order, now) ? "change or cancel" : "cancel"} this
+                          order for{" "}
+                          <strong>
+                            {Math.floor(editSecondsLeft / 60)}:
+                            {String(editSecondsLeft % 60).padStart(2, "0")}
+                          </strong>
+                        </span>
+                        <div className={styles.editActions}>
+                          {canEditItems(order, now) && (
+                            <button
+                              className={styles.editSaveBtn}
+                              onClick={() => setEditingOrder(order.orderId)}
+                            >
+                              Edit
+                            </button>
+                          )}
+                          <button
+                            className={styles.editDiscardBtn}
+                            onClick={() => handleCancelOrder(order)}
+                          >
+                            Cancel Order
+                          </button>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Order Editor */}
+                    {isEditing && (
+                      <OrderEditor
+                        order={order}
+                        restoCode={session.restaurantId}
+                        secondsLeft={editSecondsLeft}
+                        onSave={(items) => handleSaveEdit(order.orderId, items)}
+                        onClose={() => setEditingOrder(null)}
+                      />
+                    )}
+
                     {/* Order Items */}
                     <div className={styles.itemsSection}>
                       <h5 className={styles.itemsSectionTitle}>Order Items</h5>
-                      {order.items.map((item, index) => (
+                      {getOrderedItems(order).map((item, index) => (
                         <div key={index} className={styles.orderItem}>
                           <div className={styles.itemLeft}>
                             <span
@@ -421,34 +673,113 @@ function OrderPage() {
                               <span className={styles.itemVariant}>
                                 {item.variant.label} × {item.quantity}
                               </span>
+                              {item.modifiers?.length > 0 && (
+                                <span className={styles.itemVariant}>+ {formatModifiers(item)}</span>
+                              )}
+                              {item.instructions && (
+                                <span className={styles.itemInstructions}>📝 {item.instructions}</span>
+                              )}
+                              {item.status && (
+                                <span
+                                  className={`${styles.itemStatus} ${
+                                    styles[`item_${getItemStatus(item)}`]
+                                  }`}
+                                >
+                                  {ITEM_STATUS_LABELS[getItemStatus(item)]}
+                                </span>
+                              )}
                             </div>
                           </div>
                           <span className={styles.itemPrice}>
-                            ₹{item.variant.price * item.quantity}
+                            ₹{getLineUnitPrice(item) * item.quantity}
                           </span>
                         </div>
                       ))}
+                      {order.instructions && (
+                        <p className={styles.orderInstructions}>📝 {order.instructions}</p>
+                      )}
                     </div>
 
+                    {/* Order Timeline */}
+                    {order.statusHistory?.length > 0 && (
+                      <div className={styles.timelineSection}>
+                        <h5 className={styles.itemsSectionTitle}>Order Timeline</h5>
+                        {order.statusHistory.map((entry, index) => (
+                          <div key={index} className={styles.timelineEntry}>
+                            <span className={styles.timelineTime}>{formatTime(entry.at)}</span>
+                            <div className={styles.timelineDetails}>
+                              <span className={styles.timelineStatus}>
+                                {entry.from === entry.to ? "Edited" : entry.to}
+                              </span>
+                              <span className={styles.timelineBy}>
+                                by {entry.by?.role === "customer" ? "you" : "the restaurant"}
+                              </span>
+                              {entry.reason && (
+                                <span className={styles.timelineReason}>{entry.reason}</span>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Bill Summary */}
                     <div className={styles.billSummary}>
                       <div className={styles.billRow}>
                         <span>Subtotal</span>
-                        <span>₹{order.subtotal}</span>
-                      </div>
-                      <div className={styles.billRow}>
-                        <span>Taxes</span>
-                        <span>₹{order.tax}</span>
+                        <span>₹{formatAmount(order.subtotal)}</span>
                       </div>
                       {order.discount > 0 && (
                         <div className={`${styles.billRow} ${styles.discountRow}`}>
-                          <span>Discount</span>
-                          <span>-₹{order.discount}</span>
+                          <span>Discount{order.coupon?.code && ` (${order.coupon.code})`}</span>
+                          <span>-₹{formatAmount(order.discount)}</span>
+                        </div>
+                      )}
+                      {order.serviceCharge > 0 && (
+                        <div className={styles.billRow}>
+                          <span>Service Charge</span>
+                          <span>₹{formatAmount(order.serviceCharge)}</span>
+                        </div>
+                      )}
+                      {order.packagingFee > 0 && (
+                        <div className={styles.billRow}>
+                          <span>Packaging</span>
+                          <span>₹{formatAmount(order.packagingFee)}</span>
                         </div>
                       )}
+                      {order.deliveryFee > 0 && (
+                        <div className={styles.billRow}>
+                          <span>Delivery Fee</span>
+                          <span>₹{formatAmount(order.deliveryFee)}</span>
+                        </div>
+                      )}
+                      {/* Orders placed before the tax split only have the tax total */}
+                      {order.taxes?.length > 0 ? (
+                        order.taxes.map((t) => (
+                          <div key={t.name} className={styles.billRow}>
+                            <span>
+                              {t.name} ({t.rate}%){order.pricesIncludeTax && " incl."}
+                            </span>
+                            <span>₹{formatAmount(t.amount)}</span>
+                          </div>
+                        ))
+                      ) : (
+                        <div className={styles.billRow}>
+                          <span>Taxes</span>
+                          <span>₹{formatAmount(order.tax)}</span>
+                        </div>
+                      )}
+                      {order.roundOff ? (
+                        <div className={styles.billRow}>
+                          <span>Round Off</span>
+                          <span>
+                            {order.roundOff > 0 ? "+" : "-"}₹{formatAmount(Math.abs(order.roundOff))}
+                          </span>
+                        </div>
+                      ) : null}
                       <div className={styles.billTotal}>
                         <span>Total</span>
-                        <span className={styles.totalAmount}>₹{order.total}</span>
+                        <span className={styles.totalAmount}>₹{formatAmount(order.total)}</span>
                       </div>
                     </div>
                   </div>
@@ -469,6 +800,16 @@ function OrderPage() {
         </button>
       </div>
 
+      {payingOrder && (
+        <PaymentSheet
+          order={payingOrder}
+          customerPhone={session.customerPhone}
+          restoId={session.restaurantId}
+          onPaid={handlePaymentDone}
+          onClose={handlePaymentDone}
+        />
+      )}
+
       <Footer />
     </RequireAuth>
   );
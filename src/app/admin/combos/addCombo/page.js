@@ -0,0 +1,125 @@
+// Add Combo Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { addComboAction, getCombosAction } from "@/src/actions/comboActions";
+import ComboForm from "@/src/_components/adminComponents/ComboForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function Page() {
+  const router = useRouter();
+  const [foods, setFoods] = useState([]);
+  const [showSuccessModal, setShowSuccessModal] = useState(false);
+  // Bumped to remount (and so reset) the form for "Add Another"
+  const [formKey, setFormKey] = useState(0);
+
+  // Menu dishes the combo's slots can offer
+  useEffect(() => {
+    const loadFoods = async () => {
+      const result = await getCombosAction();
+      if (result.success) {
+        setFoods(result.foods);
+      }
+    };
+
+    loadFoods();
+  }, []);
+
+  const handleSubmit = async (comboData) => {
+    const result = await addComboAction(null, comboData);
+    if (result.success) {
+      setShowSuccessModal(true);
+    }
+    return result;
+  };
+
+  const handleAddAnother = () => {
+    setShowSuccessModal(false);
+    setFormKey((key) => key + 1);
+  };
+
+  const handleGoToCombos = () => {
+    setShowSuccessModal(false);
+    router.push("/admin/combos");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-menus" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Add Combo Meal</h2>
+                <p>Dishes from your menu bundled at one price</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/combos")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Combos
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            <ComboForm
+              key={formKey}
+              foods={foods}
+              submitLabel="Add Combo"
+              submittingLabel="Adding..."
+              onSubmit={handleSubmit}
+              onCancel={() => router.push("/admin/combos")}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessModal && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modalContent}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Combo Added Successfully!</h3>
+            <p className={styles.modalText}>
+              Diners can now pick this combo from the menu.
+            </p>
+            <div className={styles.modalActions}>
+              <button onClick={handleAddAnother} className={styles.modalPrimaryBtn}>
+                Add Another Combo
+              </button>
+              <button onClick={handleGoToCombos} className={styles.modalSecondaryBtn}>
+                Go to Combos
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default Page;
@@ -0,0 +1,148 @@
+// Edit Combo Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import {
+  getComboByIdAction,
+  getCombosAction,
+  updateComboAction,
+} from "@/src/actions/comboActions";
+import ComboForm from "@/src/_components/adminComponents/ComboForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function EditComboContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const comboId = searchParams.get("id");
+
+  const [combo, setCombo] = useState(null);
+  const [foods, setFoods] = useState([]);
+  const [error, setError] = useState("");
+  const [showSuccessPopup, setShowSuccessPopup] = useState(false);
+
+  // Load combo and the menu dishes from the server
+  useEffect(() => {
+    if (!comboId) return;
+
+    const loadCombo = async () => {
+      const [result, combosResult] = await Promise.all([
+        getComboByIdAction(comboId),
+        getCombosAction(),
+      ]);
+      if (combosResult.success) {
+        setFoods(combosResult.foods);
+      }
+      if (result.success) {
+        setCombo(result.data);
+      } else {
+        setError("Combo not found.");
+      }
+    };
+
+    loadCombo();
+  }, [comboId]);
+
+  const handleSubmit = async (comboData) => {
+    const result = await updateComboAction(null, { ...comboData, _id: comboId });
+    if (result.success) {
+      setShowSuccessPopup(true);
+    }
+    return result;
+  };
+
+  const handleSuccessClose = () => {
+    setShowSuccessPopup(false);
+    router.push("/admin/combos");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-menus" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Edit Combo Meal</h2>
+                <p>Orders already placed keep the price and dishes they were ordered with</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/combos")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Combos
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            {error && (
+              <div className={styles.errorMessage}>
+                <span>❌</span> {error}
+              </div>
+            )}
+
+            {combo && (
+              <ComboForm
+                initialCombo={combo}
+                foods={foods}
+                submitLabel="Update Combo"
+                submittingLabel="Updating..."
+                onSubmit={handleSubmit}
+                onCancel={() => router.push("/admin/combos")}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessPopup && (
+        <div className={styles.modalOverlay} onClick={handleSuccessClose}>
+          <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Update Successful!</h3>
+            <p className={styles.modalText}>Your combo has been updated successfully.</p>
+            <div className={styles.modalActions}>
+              <button onClick={handleSuccessClose} className={styles.modalPrimaryBtn}>
+                Go to Combos
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function EditComboPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <EditComboContent />
+    </Suspense>
+  );
+}
+
+export default EditComboPage;
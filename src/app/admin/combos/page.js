@@ -0,0 +1,192 @@
+/**
+ * =========================================================================
+ * ADMIN COMBOS PAGE - Combo Meals
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, fetch the restaurant's combos with their slot dishes
+ * 2. Display each combo with its bundle price, slots and availability
+ * 3. Admin can add, edit or delete a combo
+ * 4. Diners pick one dish per slot on /menu; the order shows the combo
+ *    with its dishes underneath, each going to its own kitchen station
+ *
+ * STATE MANAGEMENT:
+ * - combos: Combos from database, options described with dish names
+ * - loading: Loading state during data fetch
+ *
+ * FEATURES:
+ * - Combos with a slot no available dish can fill are hidden from diners
+ * - Dishes deleted from the menu drop out of their slots
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import { getCombosAction, deleteComboAction } from "@/src/actions/comboActions";
+import { getComboOptionLabel } from "@/src/lib/combos";
+import styles from "./combos.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function AdminCombosPage() {
+  const router = useRouter();
+
+  const [combos, setCombos] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    const fetchCombos = async () => {
+      const result = await getCombosAction();
+      if (result.success) {
+        setCombos(result.data);
+      }
+      setLoading(false);
+    };
+
+    fetchCombos();
+  }, []);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const handleDelete = async (combo) => {
+    if (!confirm(`Delete combo ${combo.name}? Orders already placed keep it.`)) {
+      return;
+    }
+
+    const result = await deleteComboAction(combo._id);
+    if (result.success) {
+      setCombos((prev) => prev.filter((c) => c._id !== combo._id));
+    } else {
+      alert("Failed to delete combo");
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.combosArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-cutlery" /> Combo Meals
+            </h2>
+            <button
+              className={styles.addBtn}
+              onClick={() => router.push("/admin/combos/addCombo")}
+            >
+              <i className="fa fa-plus" /> Add Combo
+            </button>
+          </div>
+
+          {/* Combos List */}
+          <div className={styles.combosSection}>
+            <div className={styles.sectionHeader}>
+              <h3>All Combos</h3>
+              <span className={styles.count}>{combos.length} combos</span>
+            </div>
+
+            {loading ? (
+              <div className={styles.loading}>Loading combos...</div>
+            ) : combos.length === 0 ? (
+              <div className={styles.empty}>
+                <i className="fa fa-cutlery" />
+                <p>No combos yet</p>
+                <span>Bundle a starter, main and drink at one price.</span>
+              </div>
+            ) : (
+              <div className={styles.combosTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Combo</th>
+                      <th>Price</th>
+                      <th>Slots</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {combos.map((combo) => (
+                      <tr key={combo._id}>
+                        <td>
+                          <span className={styles.comboName}>{combo.name}</span>
+                        </td>
+                        <td>₹{combo.price}</td>
+                        <td className={styles.muted}>
+                          {combo.slots.map((slot) => (
+                            <div key={slot._id}>
+                              <strong>{slot.name}:</strong>{" "}
+                              {slot.options.length
+                                ? slot.options
+                                    .map((option) =>
+                                      option.surcharge > 0
+                                        ? `${getComboOptionLabel(option)} (+₹${option.surcharge})`
+                                        : getComboOptionLabel(option)
+                                    )
+                                    .join(", ")
+                                : "No dishes left"}
+                            </div>
+                          ))}
+                        </td>
+                        <td>
+                          <span
+                            className={`${styles.statusBadge} ${combo.isAvailable ? styles.available : ""}`}
+                          >
+                            {combo.isAvailable ? "Available" : "Not Available"}
+                          </span>
+                        </td>
+                        <td>
+                          <div className={styles.actions}>
+                            <button
+                              className={styles.editBtn}
+                              onClick={() => router.push(`/admin/combos/editCombo?id=${combo._id}`)}
+                            >
+                              Edit
+                            </button>
+                            <button
+                              className={styles.deleteBtn}
+                              onClick={() => handleDelete(combo)}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default AdminCombosPage;
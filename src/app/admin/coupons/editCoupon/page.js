@@ -0,0 +1,136 @@
+// Edit Coupon Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { getCouponByIdAction, updateCouponAction } from "@/src/actions/couponActions";
+import CouponForm from "@/src/_components/adminComponents/CouponForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function EditCouponContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const couponId = searchParams.get("id");
+
+  const [coupon, setCoupon] = useState(null);
+  const [error, setError] = useState("");
+  const [showSuccessPopup, setShowSuccessPopup] = useState(false);
+
+  // Load coupon from the server
+  useEffect(() => {
+    if (!couponId) return;
+
+    const loadCoupon = async () => {
+      const result = await getCouponByIdAction(couponId);
+      if (result.success) {
+        setCoupon(result.data);
+      } else {
+        setError("Coupon not found.");
+      }
+    };
+
+    loadCoupon();
+  }, [couponId]);
+
+  const handleSubmit = async (couponData) => {
+    const result = await updateCouponAction(null, { ...couponData, _id: couponId });
+    if (result.success) {
+      setShowSuccessPopup(true);
+    }
+    return result;
+  };
+
+  const handleSuccessClose = () => {
+    setShowSuccessPopup(false);
+    router.push("/admin/coupons");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-edit" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Edit Coupon</h2>
+                <p>Update the discount, limits or validity of this coupon</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/coupons")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Coupons
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            {error && (
+              <div className={styles.errorMessage}>
+                <span>❌</span> {error}
+              </div>
+            )}
+
+            {coupon && (
+              <CouponForm
+                initialCoupon={coupon}
+                submitLabel="Update Coupon"
+                submittingLabel="Updating..."
+                onSubmit={handleSubmit}
+                onCancel={() => router.push("/admin/coupons")}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessPopup && (
+        <div className={styles.modalOverlay} onClick={handleSuccessClose}>
+          <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Update Successful!</h3>
+            <p className={styles.modalText}>Your coupon has been updated successfully.</p>
+            <div className={styles.modalActions}>
+              <button onClick={handleSuccessClose} className={styles.modalPrimaryBtn}>
+                Go to Coupons
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function EditCouponPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <EditCouponContent />
+    </Suspense>
+  );
+}
+
+export default EditCouponPage;
@@ -0,0 +1,276 @@
+/**
+ * =========================================================================
+ * ADMIN COUPONS PAGE - Discount Code Management
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, fetch all coupons for the logged-in restaurant
+ * 2. Display coupons in a table with discount, limits, validity and usage
+ * 3. Admin can pause/resume a coupon by clicking its status badge
+ * 4. Admin can edit a coupon or delete it after confirmation
+ *
+ * STATE MANAGEMENT:
+ * - coupons: Coupons from database
+ * - loading: Loading state during data fetch
+ *
+ * FEATURES:
+ * - Usage count against the total limit
+ * - Expired / scheduled coupons flagged in the status column
+ * - Add, edit, pause and delete coupons
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import {
+  getCouponsAction,
+  setCouponActiveAction,
+  deleteCouponAction,
+} from "@/src/actions/couponActions";
+import styles from "./coupons.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// HELPER FUNCTIONS
+// =========================================================================
+
+/**
+ * Formats date to "DD Mon YYYY" format
+ * @param {string|Date} dateStr - Date to format
+ * @returns {string} Formatted date string
+ */
+const formatDate = (dateStr) => {
+  const date = new Date(dateStr);
+  return date.toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+};
+
+/**
+ * Describes a coupon's discount, e.g. "10% off (max ₹100)" or "₹50 off"
+ * @param {Object} coupon - Coupon
+ * @returns {string} Discount label
+ */
+const formatDiscount = (coupon) => {
+  const base =
+    coupon.type === "percent" ? `${coupon.value}% off` : `₹${coupon.value} off`;
+  return coupon.maxDiscount != null ? `${base} (max ₹${coupon.maxDiscount})` : base;
+};
+
+/**
+ * Describes the validity window of a coupon
+ * @param {Object} coupon - Coupon
+ * @returns {string} Validity label
+ */
+const formatValidity = (coupon) => {
+  if (!coupon.validFrom && !coupon.validUntil) return "Always";
+  if (!coupon.validUntil) return `From ${formatDate(coupon.validFrom)}`;
+  if (!coupon.validFrom) return `Until ${formatDate(coupon.validUntil)}`;
+  return `${formatDate(coupon.validFrom)} – ${formatDate(coupon.validUntil)}`;
+};
+
+/**
+ * Works out the status shown for a coupon
+ * @param {Object} coupon - Coupon
+ * @returns {string} "Active", "Paused", "Scheduled", "Expired" or "Used Up"
+ */
+const getCouponStatus = (coupon) => {
+  const now = new Date();
+  if (!coupon.isActive) return "Paused";
+  if (coupon.validUntil && new Date(coupon.validUntil) < now) return "Expired";
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) return "Used Up";
+  if (coupon.validFrom && new Date(coupon.validFrom) > now) return "Scheduled";
+  return "Active";
+};
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function AdminCouponsPage() {
+  const router = useRouter();
+
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    const fetchCoupons = async () => {
+      const result = await getCouponsAction();
+      if (result.success) {
+        setCoupons(result.data);
+      }
+      setLoading(false);
+    };
+
+    fetchCoupons();
+  }, []);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const handleToggleActive = async (coupon) => {
+    const result = await setCouponActiveAction(coupon._id, !coupon.isActive);
+    if (result.success) {
+      setCoupons((prev) =>
+        prev.map((c) => (c._id === coupon._id ? { ...c, isActive: !c.isActive } : c))
+      );
+    } else {
+      alert("Failed to update coupon");
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    if (!confirm(`Delete coupon ${coupon.code}?`)) return;
+
+    const result = await deleteCouponAction(coupon._id);
+    if (result.success) {
+      setCoupons((prev) => prev.filter((c) => c._id !== coupon._id));
+    } else {
+      alert("Failed to delete coupon");
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.couponsArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-ticket" /> Coupons
+            </h2>
+            <button
+              className={styles.addBtn}
+              onClick={() => router.push("/admin/coupons/addCoupon")}
+            >
+              <i className="fa fa-plus" /> Add Coupon
+            </button>
+          </div>
+
+          {/* Coupons List */}
+          <div className={styles.couponsSection}>
+            <div className={styles.sectionHeader}>
+              <h3>All Coupons</h3>
+              <span className={styles.couponCount}>{coupons.length} coupons</span>
+            </div>
+
+            {loading ? (
+              <div className={styles.loadingCoupons}>Loading coupons...</div>
+            ) : coupons.length === 0 ? (
+              <div className={styles.noCoupons}>
+                <i className="fa fa-ticket" />
+                <p>No coupons yet</p>
+              </div>
+            ) : (
+              <div className={styles.couponsTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Code</th>
+                      <th>Discount</th>
+                      <th>Min Order</th>
+                      <th>Validity</th>
+                      <th>Used</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {coupons.map((coupon) => {
+                      const status = getCouponStatus(coupon);
+                      return (
+                        <tr key={coupon._id}>
+                          <td>
+                            <span className={styles.code}>{coupon.code}</span>
+                            {coupon.description && (
+                              <span className={styles.description}>{coupon.description}</span>
+                            )}
+                          </td>
+                          <td className={styles.discount}>
+                            {formatDiscount(coupon)}
+                            {coupon.firstOrderOnly && (
+                              <span className={styles.description}>First order only</span>
+                            )}
+                          </td>
+                          <td>{coupon.minOrder ? `₹${coupon.minOrder}` : "—"}</td>
+                          <td className={styles.muted}>{formatValidity(coupon)}</td>
+                          <td>
+                            {coupon.usedCount}
+                            {coupon.usageLimit != null && ` / ${coupon.usageLimit}`}
+                            {coupon.perCustomerLimit != null && (
+                              <span className={styles.description}>
+                                {coupon.perCustomerLimit} per customer
+                              </span>
+                            )}
+                          </td>
+                          <td>
+                            <button
+                              className={`${styles.statusBadge} ${
+                                status === "Active"
+                                  ? styles.activeBadge
+                                  : status === "Paused"
+                                  ? styles.pausedBadge
+                                  : styles.expiredBadge
+                              }`}
+                              title={coupon.isActive ? "Click to pause" : "Click to resume"}
+                              onClick={() => handleToggleActive(coupon)}
+                            >
+                              {status}
+                            </button>
+                          </td>
+                          <td>
+                            <div className={styles.actions}>
+                              <button
+                                className={styles.editBtn}
+                                onClick={() =>
+                                  router.push(`/admin/coupons/editCoupon?id=${coupon._id}`)
+                                }
+                              >
+                                Edit
+                              </button>
+                              <button
+                                className={styles.deleteBtn}
+                                onClick={() => handleDelete(coupon)}
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default AdminCouponsPage;
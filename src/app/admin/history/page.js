@@ -8,8 +8,10 @@
  * 2. If not authenticated, show login prompt
  * 3. Fetch all completed orders (Served/Cancelled) from database
  * 4. Display statistics: served count, cancelled count, total revenue
+ *    (net of refunds) and amount refunded
  * 5. Show orders with filter tabs (Status + Date range)
  * 6. Table view with order details, items, and totals
+ * 7. Clicking an order ID opens its detail page, where it can be refunded
  * 
  * STATE MANAGEMENT:
  * - orders: Array of completed orders from database
@@ -30,12 +32,15 @@
 
 "use client";
 import React, { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
 import Header1 from "@/src/_components/adminComponents/Header1";
 import Header2 from "@/src/_components/adminComponents/Header2";
 import Header3 from "@/src/_components/adminComponents/Header3";
 import Footer from "@/src/_components/adminComponents/Footer";
 import { useAdminSession } from "@/src/contexts/AdminSessionContext";
 import { getRestaurantOrdersAction } from "@/src/actions/orderActions";
+import { getNetTotal } from "@/src/lib/refunds";
+import { isComboComponent } from "@/src/lib/combos";
 import styles from "./history.module.css";
 import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
 
@@ -105,7 +110,7 @@ function AdminHistoryPage() {
     if (!restaurantId) return;
 
     try {
-      const ordersResult = await getRestaurantOrdersAction(restaurantId);
+      const ordersResult = await getRestaurantOrdersAction();
 
       if (ordersResult.success) {
         // Show all orders (not just completed)
@@ -183,10 +188,13 @@ function AdminHistoryPage() {
   /** Count of cancelled orders (after filtering) */
   const cancelledCount = filteredOrders.filter((o) => o.status === "Cancelled").length;
   
-  /** Total revenue from served orders (after filtering) */
+  /** Total revenue from served orders, less refunds (after filtering) */
   const totalRevenue = filteredOrders
     .filter((o) => o.status === "Served")
-    .reduce((sum, o) => sum + o.total, 0);
+    .reduce((sum, o) => sum + getNetTotal(o), 0);
+
+  /** Total refunded on any order (after filtering) */
+  const totalRefunded = filteredOrders.reduce((sum, o) => sum + (o.refundedAmount || 0), 0);
 
   if (!isLoaded) {
     return (
@@ -263,6 +271,15 @@ function AdminHistoryPage() {
                 <p>Total Revenue</p>
               </div>
             </div>
+            <div className={styles.statCard}>
+              <div className={styles.statIcon} style={{ backgroundColor: "#fff3cd" }}>
+                <i className="fa fa-undo" style={{ color: "#856404" }} />
+              </div>
+              <div className={styles.statContent}>
+                <h3>₹{totalRefunded.toLocaleString()}</h3>
+                <p>Refunded</p>
+              </div>
+            </div>
           </div>
 
           {/* Filters */}
@@ -278,6 +295,7 @@ function AdminHistoryPage() {
                 <option value="placed">Placed</option>
                 <option value="accepted">Accepted</option>
                 <option value="preparing">Preparing</option>
+                <option value="ready">Ready</option>
                 <option value="served">Served</option>
                 <option value="cancelled">Cancelled</option>
               </select>
@@ -329,7 +347,11 @@ function AdminHistoryPage() {
                   <tbody>
                     {filteredOrders.map((order) => (
                       <tr key={order.orderId}>
-                        <td className={styles.orderId}>#{order.orderId}</td>
+                        <td className={styles.orderId}>
+                          <Link href={`/admin/orders/orderDetail?orderId=${order.orderId}`}>
+                            #{order.orderId}
+                          </Link>
+                        </td>
                         <td className={styles.dateTime}>
                           <span className={styles.date}>{formatDate(order.createdAt)}</span>
                           <span className={styles.time}>{formatTime(order.createdAt)}</span>
@@ -338,7 +360,7 @@ function AdminHistoryPage() {
                         <td className={styles.customer}>{order.customerPhone}</td>
                         <td className={styles.items}>
                           <div className={styles.itemsList}>
-                            {order.items.map((item, idx) => (
+                            {order.items.filter((item) => !isComboComponent(item)).map((item, idx) => (
                               <span key={idx} className={styles.itemTag}>
                                 <span
                                   className={`${styles.foodDot} ${
@@ -354,7 +376,14 @@ function AdminHistoryPage() {
                             ))}
                           </div>
                         </td>
-                        <td className={styles.total}>₹{order.total.toLocaleString()}</td>
+                        <td className={styles.total}>
+                          ₹{order.total.toLocaleString()}
+                          {order.refundedAmount > 0 && (
+                            <span className={styles.refunded}>
+                              −₹{order.refundedAmount.toLocaleString()} refunded
+                            </span>
+                          )}
+                        </td>
                         <td className={styles.payment}>{order.paymentMethod}</td>
                         <td>
                           <span
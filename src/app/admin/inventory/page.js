@@ -0,0 +1,772 @@
+/**
+ * =========================================================================
+ * ADMIN INVENTORY PAGE - Ingredients, Recipes & Food Cost
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, fetch the ingredients, the food cost of every dish variant
+ *    and the latest purchases
+ * 2. Food Cost tab: price, recipe cost, margin and food cost % per dish
+ *    variant; each row opens its recipe for editing
+ * 3. Ingredients tab: add / edit / delete ingredients and record a
+ *    physical count of what is on the shelf
+ * 4. Stock-In tab: book purchases in and see the purchase log
+ * 5. Variance tab: per ingredient, what orders should have used against
+ *    what counts found missing over a period
+ *
+ * STATE MANAGEMENT:
+ * - ingredients: Ingredients with their expected stock
+ * - costing: One row per dish variant (see getFoodCosting)
+ * - purchases: Latest stock-in entries
+ * - variance: Rows of the last variance report loaded
+ *
+ * FEATURES:
+ * - Orders use their dishes' recipes when placed and give them back when
+ *   cancelled, voided or edited (see src/lib/recipes.js)
+ * - A purchase sets the ingredient's cost to the price paid, so food costs
+ *   follow the latest prices
+ * - Food cost above HIGH_FOOD_COST_PERCENT is highlighted
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, useMemo } from "react";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import RecipeEditor from "@/src/_components/adminComponents/RecipeEditor";
+import {
+  getInventoryAction,
+  addIngredientAction,
+  updateIngredientAction,
+  deleteIngredientAction,
+  addStockInAction,
+  recordStockCountAction,
+  getVarianceReportAction,
+} from "@/src/actions/ingredientActions";
+import { INGREDIENT_UNITS } from "@/src/lib/constants";
+import styles from "./inventory.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+/** Food cost share of the price above which a dish is highlighted */
+const HIGH_FOOD_COST_PERCENT = 35;
+
+const TABS = [
+  { id: "cost", label: "Food Cost", icon: "fa-line-chart" },
+  { id: "ingredients", label: "Ingredients", icon: "fa-cubes" },
+  { id: "stockIn", label: "Stock-In", icon: "fa-truck" },
+  { id: "variance", label: "Variance", icon: "fa-balance-scale" },
+];
+
+const EMPTY_INGREDIENT = { name: "", unit: INGREDIENT_UNITS[0], costPerUnit: "", stock: "" };
+
+const EMPTY_STOCK_IN = { ingredientId: "", quantity: "", unitCost: "", note: "" };
+
+// =========================================================================
+// HELPER FUNCTIONS
+// =========================================================================
+
+/**
+ * First message of a failed action's result
+ * @param {Object} result - { errors } or { error }
+ * @returns {string}
+ */
+const getErrorMessage = (result) =>
+  result.errors ? Object.values(result.errors).flat()[0] : "Something went wrong. Please try again.";
+
+/**
+ * "YYYY-MM-DD" of a date some days ago
+ * @param {number} daysAgo - 0 = today
+ * @returns {string}
+ */
+const getDateKey = (daysAgo) => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+};
+
+/** Formats a signed quantity, e.g. "+2.5 kg" */
+const formatChange = (quantity, unit) => `${quantity > 0 ? "+" : ""}${quantity} ${unit}`;
+
+/**
+ * Formats a timestamp as DD/MM/YYYY HH:MM
+ * @param {string} dateStr - ISO date
+ * @returns {string}
+ */
+const formatDateTime = (dateStr) =>
+  new Date(dateStr).toLocaleString("en-GB", {
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function AdminInventoryPage() {
+  const [activeTab, setActiveTab] = useState("cost");
+  const [loading, setLoading] = useState(true);
+
+  /** Trigger to refetch everything after a change */
+  const [refetchTrigger, setRefetchTrigger] = useState(0);
+
+  const [ingredients, setIngredients] = useState([]);
+  const [costing, setCosting] = useState([]);
+  const [purchases, setPurchases] = useState([]);
+
+  /** Dish variant whose recipe is open ("foodId:variantId") */
+  const [openRecipe, setOpenRecipe] = useState(null);
+
+  /** Ingredient form: new ingredient, or the one being edited (has _id) */
+  const [ingredientForm, setIngredientForm] = useState(EMPTY_INGREDIENT);
+  const [ingredientError, setIngredientError] = useState("");
+
+  /** Counted quantities typed per ingredient _id */
+  const [counts, setCounts] = useState({});
+
+  const [stockInForm, setStockInForm] = useState(EMPTY_STOCK_IN);
+  const [stockInError, setStockInError] = useState("");
+
+  const [period, setPeriod] = useState(() => ({ from: getDateKey(7), to: getDateKey(0) }));
+  const [variance, setVariance] = useState(null);
+  const [varianceError, setVarianceError] = useState("");
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    const fetchInventory = async () => {
+      const result = await getInventoryAction();
+      if (result.success) {
+        setIngredients(result.ingredients);
+        setCosting(result.costing);
+        setPurchases(result.purchases);
+      }
+      setLoading(false);
+    };
+
+    fetchInventory();
+  }, [refetchTrigger]);
+
+  const ingredientsById = useMemo(
+    () => new Map(ingredients.map((ingredient) => [ingredient._id, ingredient])),
+    [ingredients]
+  );
+
+  /** Dish variants with a recipe and their average food cost % */
+  const costSummary = useMemo(() => {
+    const costed = costing.filter((row) => row.foodCostPercent !== null);
+    const average = costed.length
+      ? costed.reduce((sum, row) => sum + row.foodCostPercent, 0) / costed.length
+      : 0;
+    return { costed: costed.length, average: Math.round(average * 10) / 10 };
+  }, [costing]);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  /** Closes the recipe and reloads the costs */
+  const handleRecipeSaved = () => {
+    setOpenRecipe(null);
+    setRefetchTrigger((prev) => prev + 1);
+  };
+
+  const handleIngredientSubmit = async (e) => {
+    e.preventDefault();
+    setIngredientError("");
+
+    const result = ingredientForm._id
+      ? await updateIngredientAction(null, ingredientForm)
+      : await addIngredientAction(null, ingredientForm);
+
+    if (!result.success) {
+      setIngredientError(getErrorMessage(result));
+      return;
+    }
+    setIngredientForm(EMPTY_INGREDIENT);
+    // Costs of every recipe using it may have changed
+    setRefetchTrigger((prev) => prev + 1);
+  };
+
+  const handleDeleteIngredient = async (ingredient) => {
+    if (!confirm(`Delete ${ingredient.name}? It is taken out of every recipe.`)) {
+      return;
+    }
+
+    const result = await deleteIngredientAction(ingredient._id);
+    if (result.success) {
+      setRefetchTrigger((prev) => prev + 1);
+    } else {
+      alert("Failed to delete ingredient");
+    }
+  };
+
+  const handleCount = async (ingredient) => {
+    const result = await recordStockCountAction(null, {
+      ingredientId: ingredient._id,
+      counted: counts[ingredient._id],
+      note: "Shelf count",
+    });
+
+    if (result.success) {
+      setIngredients((prev) => prev.map((i) => (i._id === ingredient._id ? result.data : i)));
+      setCounts((prev) => ({ ...prev, [ingredient._id]: "" }));
+    } else {
+      alert(getErrorMessage(result));
+    }
+  };
+
+  const handleStockIn = async (e) => {
+    e.preventDefault();
+    setStockInError("");
+
+    const result = await addStockInAction(null, stockInForm);
+    if (!result.success) {
+      setStockInError(getErrorMessage(result));
+      return;
+    }
+    setStockInForm(EMPTY_STOCK_IN);
+    setRefetchTrigger((prev) => prev + 1);
+  };
+
+  const handleLoadVariance = async (e) => {
+    e.preventDefault();
+    setVarianceError("");
+
+    const result = await getVarianceReportAction(period);
+    if (result.success) {
+      setVariance(result.data);
+    } else {
+      setVarianceError(getErrorMessage(result));
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.inventoryArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-cubes" /> Inventory & Food Cost
+            </h2>
+          </div>
+
+          {/* Tabs */}
+          <div className={styles.tabs}>
+            {TABS.map((tab) => (
+              <button
+                key={tab.id}
+                className={`${styles.tab} ${activeTab === tab.id ? styles.activeTab : ""}`}
+                onClick={() => setActiveTab(tab.id)}
+              >
+                <i className={`fa ${tab.icon}`} /> {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className={styles.inventorySection}>
+              <div className={styles.loading}>Loading inventory...</div>
+            </div>
+          ) : (
+            <>
+              {/* Food Cost */}
+              {activeTab === "cost" && (
+                <div className={styles.inventorySection}>
+                  <div className={styles.sectionHeader}>
+                    <h3>Food Cost & Margin</h3>
+                    <span className={styles.count}>{costing.length} dishes</span>
+                  </div>
+                  <div className={styles.summary}>
+                    <span>
+                      Recipes: <strong>{costSummary.costed}</strong> of {costing.length}
+                    </span>
+                    <span>
+                      Average food cost: <strong>{costSummary.average}%</strong>
+                    </span>
+                  </div>
+
+                  {costing.length === 0 ? (
+                    <div className={styles.empty}>
+                      <i className="fa fa-line-chart" />
+                      <p>No dishes on the menu yet</p>
+                    </div>
+                  ) : (
+                    <div className={styles.inventoryTable}>
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Dish</th>
+                            <th>Price</th>
+                            <th>Food Cost</th>
+                            <th>Margin</th>
+                            <th>Food Cost %</th>
+                            <th>Recipe</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {costing.map((row) => {
+                            const key = `${row.foodId}:${row.variantId}`;
+                            return (
+                              <React.Fragment key={key}>
+                                <tr>
+                                  <td>
+                                    <span className={styles.itemName}>{row.name}</span>{" "}
+                                    <span className={styles.muted}>
+                                      {row.variantLabel} · {row.category}
+                                    </span>
+                                  </td>
+                                  <td>₹{row.price}</td>
+                                  <td>{row.cost === null ? "—" : `₹${row.cost}`}</td>
+                                  <td className={row.margin < 0 ? styles.negative : ""}>
+                                    {row.margin === null ? "—" : `₹${row.margin}`}
+                                  </td>
+                                  <td
+                                    className={
+                                      row.foodCostPercent > HIGH_FOOD_COST_PERCENT
+                                        ? styles.negative
+                                        : ""
+                                    }
+                                  >
+                                    {row.foodCostPercent === null ? "—" : `${row.foodCostPercent}%`}
+                                  </td>
+                                  <td>
+                                    <button
+                                      className={styles.editBtn}
+                                      onClick={() => setOpenRecipe(openRecipe === key ? null : key)}
+                                    >
+                                      {row.recipe ? "Edit Recipe" : "Add Recipe"}
+                                    </button>
+                                  </td>
+                                </tr>
+                                {openRecipe === key && (
+                                  <tr className={styles.recipeRow}>
+                                    <td colSpan={6}>
+                                      <RecipeEditor
+                                        row={row}
+                                        ingredients={ingredients}
+                                        onSaved={handleRecipeSaved}
+                                        onCancel={() => setOpenRecipe(null)}
+                                      />
+                                    </td>
+                                  </tr>
+                                )}
+                              </React.Fragment>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Ingredients */}
+              {activeTab === "ingredients" && (
+                <div className={styles.inventorySection}>
+                  <div className={styles.sectionHeader}>
+                    <h3>{ingredientForm._id ? `Edit ${ingredientForm.name}` : "Ingredients"}</h3>
+                    <span className={styles.count}>{ingredients.length} ingredients</span>
+                  </div>
+
+                  <form className={styles.inlineForm} onSubmit={handleIngredientSubmit}>
+                    <label>
+                      Name
+                      <input
+                        value={ingredientForm.name}
+                        onChange={(e) =>
+                          setIngredientForm((prev) => ({ ...prev, name: e.target.value }))
+                        }
+                        placeholder="e.g. Paneer"
+                        required
+                      />
+                    </label>
+                    <label>
+                      Unit
+                      <select
+                        value={ingredientForm.unit}
+                        onChange={(e) =>
+                          setIngredientForm((prev) => ({ ...prev, unit: e.target.value }))
+                        }
+                      >
+                        {INGREDIENT_UNITS.map((unit) => (
+                          <option key={unit} value={unit}>
+                            {unit}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Cost per {ingredientForm.unit} (₹)
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={ingredientForm.costPerUnit}
+                        onChange={(e) =>
+                          setIngredientForm((prev) => ({ ...prev, costPerUnit: e.target.value }))
+                        }
+                        required
+                      />
+                    </label>
+                    {!ingredientForm._id && (
+                      <label>
+                        Opening stock
+                        <input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={ingredientForm.stock}
+                          onChange={(e) =>
+                            setIngredientForm((prev) => ({ ...prev, stock: e.target.value }))
+                          }
+                          placeholder="0"
+                        />
+                      </label>
+                    )}
+                    <button type="submit" className={styles.addBtn}>
+                      <i className={`fa ${ingredientForm._id ? "fa-check" : "fa-plus"}`} />{" "}
+                      {ingredientForm._id ? "Update" : "Add Ingredient"}
+                    </button>
+                    {ingredientForm._id && (
+                      <button
+                        type="button"
+                        className={styles.deleteBtn}
+                        onClick={() => setIngredientForm(EMPTY_INGREDIENT)}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {ingredientError && <span className={styles.formError}>{ingredientError}</span>}
+                  </form>
+
+                  {ingredients.length === 0 ? (
+                    <div className={styles.empty}>
+                      <i className="fa fa-cubes" />
+                      <p>No ingredients yet</p>
+                      <span>Add what your recipes use, e.g. paneer in kg or buns in pcs.</span>
+                    </div>
+                  ) : (
+                    <div className={styles.inventoryTable}>
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Ingredient</th>
+                            <th>Cost</th>
+                            <th>Expected Stock</th>
+                            <th>Count</th>
+                            <th>Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {ingredients.map((ingredient) => (
+                            <tr key={ingredient._id}>
+                              <td>
+                                <span className={styles.itemName}>{ingredient.name}</span>
+                              </td>
+                              <td>
+                                ₹{ingredient.costPerUnit} / {ingredient.unit}
+                              </td>
+                              <td className={ingredient.stock < 0 ? styles.negative : ""}>
+                                {ingredient.stock} {ingredient.unit}
+                              </td>
+                              <td>
+                                <div className={styles.actions}>
+                                  <input
+                                    type="number"
+                                    min="0"
+                                    step="any"
+                                    className={styles.countInput}
+                                    value={counts[ingredient._id] ?? ""}
+                                    onChange={(e) =>
+                                      setCounts((prev) => ({
+                                        ...prev,
+                                        [ingredient._id]: e.target.value,
+                                      }))
+                                    }
+                                    placeholder={ingredient.unit}
+                                  />
+                                  <button
+                                    className={styles.editBtn}
+                                    onClick={() => handleCount(ingredient)}
+                                    disabled={!counts[ingredient._id]}
+                                  >
+                                    Save Count
+                                  </button>
+                                </div>
+                              </td>
+                              <td>
+                                <div className={styles.actions}>
+                                  <button
+                                    className={styles.editBtn}
+                                    onClick={() =>
+                                      setIngredientForm({
+                                        _id: ingredient._id,
+                                        name: ingredient.name,
+                                        unit: ingredient.unit,
+                                        costPerUnit: ingredient.costPerUnit,
+                                      })
+                                    }
+                                  >
+                                    Edit
+                                  </button>
+                                  <button
+                                    className={styles.deleteBtn}
+                                    onClick={() => handleDeleteIngredient(ingredient)}
+                                  >
+                                    Delete
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Stock-In */}
+              {activeTab === "stockIn" && (
+                <div className={styles.inventorySection}>
+                  <div className={styles.sectionHeader}>
+                    <h3>Stock-In Log</h3>
+                    <span className={styles.count}>Latest {purchases.length}</span>
+                  </div>
+
+                  <form className={styles.inlineForm} onSubmit={handleStockIn}>
+                    <label>
+                      Ingredient
+                      <select
+                        value={stockInForm.ingredientId}
+                        onChange={(e) =>
+                          setStockInForm((prev) => ({
+                            ...prev,
+                            ingredientId: e.target.value,
+                            unitCost: ingredientsById.get(e.target.value)?.costPerUnit ?? "",
+                          }))
+                        }
+                        required
+                      >
+                        <option value="">Pick an ingredient</option>
+                        {ingredients.map((ingredient) => (
+                          <option key={ingredient._id} value={ingredient._id}>
+                            {ingredient.name}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      Quantity ({ingredientsById.get(stockInForm.ingredientId)?.unit || "unit"})
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={stockInForm.quantity}
+                        onChange={(e) =>
+                          setStockInForm((prev) => ({ ...prev, quantity: e.target.value }))
+                        }
+                        required
+                      />
+                    </label>
+                    <label>
+                      Price per unit (₹)
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={stockInForm.unitCost}
+                        onChange={(e) =>
+                          setStockInForm((prev) => ({ ...prev, unitCost: e.target.value }))
+                        }
+                        required
+                      />
+                    </label>
+                    <label>
+                      Supplier / note
+                      <input
+                        value={stockInForm.note}
+                        onChange={(e) =>
+                          setStockInForm((prev) => ({ ...prev, note: e.target.value }))
+                        }
+                        maxLength={100}
+                      />
+                    </label>
+                    <button type="submit" className={styles.addBtn}>
+                      <i className="fa fa-truck" /> Book In
+                    </button>
+                    {stockInError && <span className={styles.formError}>{stockInError}</span>}
+                  </form>
+
+                  {purchases.length === 0 ? (
+                    <div className={styles.empty}>
+                      <i className="fa fa-truck" />
+                      <p>No purchases booked in yet</p>
+                    </div>
+                  ) : (
+                    <div className={styles.inventoryTable}>
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Date</th>
+                            <th>Ingredient</th>
+                            <th>Quantity</th>
+                            <th>Price</th>
+                            <th>Total</th>
+                            <th>Note</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {purchases.map((purchase) => (
+                            <tr key={purchase._id}>
+                              <td className={styles.muted}>{formatDateTime(purchase.createdAt)}</td>
+                              <td>
+                                <span className={styles.itemName}>{purchase.ingredientName}</span>
+                              </td>
+                              <td>
+                                {purchase.quantity} {purchase.unit}
+                              </td>
+                              <td>₹{purchase.unitCost}</td>
+                              <td>
+                                ₹{Math.round(purchase.quantity * purchase.unitCost * 100) / 100}
+                              </td>
+                              <td className={styles.muted}>{purchase.note}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Variance */}
+              {activeTab === "variance" && (
+                <div className={styles.inventorySection}>
+                  <div className={styles.sectionHeader}>
+                    <h3>Ingredient Variance</h3>
+                  </div>
+
+                  <form className={styles.inlineForm} onSubmit={handleLoadVariance}>
+                    <label>
+                      From
+                      <input
+                        type="date"
+                        value={period.from}
+                        onChange={(e) => setPeriod((prev) => ({ ...prev, from: e.target.value }))}
+                        required
+                      />
+                    </label>
+                    <label>
+                      To
+                      <input
+                        type="date"
+                        value={period.to}
+                        onChange={(e) => setPeriod((prev) => ({ ...prev, to: e.target.value }))}
+                        required
+                      />
+                    </label>
+                    <button type="submit" className={styles.addBtn}>
+                      <i className="fa fa-balance-scale" /> Show Report
+                    </button>
+                    {varianceError && <span className={styles.formError}>{varianceError}</span>}
+                  </form>
+
+                  {variance === null ? (
+                    <div className={styles.empty}>
+                      <i className="fa fa-balance-scale" />
+                      <p>Pick a period</p>
+                      <span>
+                        Used is what orders should have taken by their recipes; variance is
+                        what shelf counts found missing (−) or extra (+).
+                      </span>
+                    </div>
+                  ) : variance.length === 0 ? (
+                    <div className={styles.empty}>
+                      <i className="fa fa-balance-scale" />
+                      <p>No ingredients yet</p>
+                    </div>
+                  ) : (
+                    <div className={styles.inventoryTable}>
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Ingredient</th>
+                            <th>Purchased</th>
+                            <th>Used (recipes)</th>
+                            <th>Variance</th>
+                            <th>Variance Cost</th>
+                            <th>% of Used</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {variance.map((row) => (
+                            <tr key={row.ingredientId}>
+                              <td>
+                                <span className={styles.itemName}>{row.name}</span>
+                              </td>
+                              <td>
+                                {row.purchased} {row.unit}
+                              </td>
+                              <td>
+                                {row.used} {row.unit}
+                              </td>
+                              <td
+                                className={
+                                  row.variance < 0
+                                    ? styles.negative
+                                    : row.variance > 0
+                                      ? styles.positive
+                                      : ""
+                                }
+                              >
+                                {formatChange(row.variance, row.unit)}
+                              </td>
+                              <td className={row.varianceCost < 0 ? styles.negative : ""}>
+                                ₹{row.varianceCost}
+                              </td>
+                              <td className={styles.muted}>
+                                {row.variancePercent === null ? "—" : `${row.variancePercent}%`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default AdminInventoryPage;
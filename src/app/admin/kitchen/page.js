@@ -0,0 +1,630 @@
+/**
+ * =========================================================================
+ * ADMIN KITCHEN PAGE - Kitchen Display System (KDS)
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. Connect to the admin SSE stream for ORDER_PLACED / ORDER_UPDATED
+ * 2. Once connected, fetch active orders (Placed / Accepted / Preparing / Ready)
+ * 3. Show one large ticket per order, oldest first, with a running timer
+ * 4. Cooks bump a ticket to its next status with its bump bar or by
+ *    keyboard; served / cancelled tickets leave the screen
+ * 5. Tapping a dish advances just that dish (Queued → Cooking → Ready → Served)
+ * 6. New orders play an audible alert (once sound is enabled)
+ * 7. Picking a station (?station=<id>) shows only that station's dishes;
+ *    its bump starts them all cooking, then marks them all ready, and the
+ *    ticket leaves that screen once the station is done with it
+ *
+ * STATE MANAGEMENT:
+ * - tickets: Active orders (all stations)
+ * - stations: Kitchen stations for the station picker
+ * - now: Current time, ticking every second for the age timers
+ * - selectedIndex: Ticket focused for keyboard bumping
+ * - bumping: Order IDs with a bump in flight
+ * - soundEnabled: Whether new orders play the alert
+ *
+ * KEYBOARD:
+ * - ← / → (or ↑ / ↓): Move the focused ticket
+ * - Enter / Space: Bump the focused ticket
+ * - 1-9: Bump the Nth ticket
+ *
+ * FEATURES:
+ * - Age colour escalation (KDS_CONFIG warn / late thresholds)
+ * - "All-day" count of every dish still queued or cooking (at this station)
+ * - Customer notes ("no onion") highlighted under each dish and ticket
+ * - A combo is cooked as its dishes, each tagged with its combo and slot
+ * - Full-screen toggle for wall-mounted screens
+ * - Re-syncs with the server whenever the stream reconnects
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, useCallback, useMemo, useRef, Suspense } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useAdminSession } from "@/src/contexts/AdminSessionContext";
+import { useWebSocket } from "@/src/contexts/WebSocketContext";
+import {
+  getActiveRestaurantOrdersAction,
+  updateOrderStatusAction,
+  updateOrderItemStatusAction,
+  updateStationItemsAction,
+} from "@/src/actions/orderActions";
+import { getStationsAction } from "@/src/actions/stationActions";
+import {
+  NEXT_ITEM_STATUS,
+  ITEM_STATUS_LABELS,
+  getItemStatus,
+} from "@/src/lib/orderStatus";
+import { hasStationWork, isStationItem } from "@/src/lib/kitchenStations";
+import { isComboComponent } from "@/src/lib/combos";
+import { formatModifiers } from "@/src/lib/modifiers";
+import { KDS_CONFIG } from "@/src/lib/constants";
+import styles from "./kitchen.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+/** Status a ticket moves to when bumped */
+const NEXT_STATUS = {
+  Placed: "Accepted",
+  Accepted: "Preparing",
+  Preparing: "Served",
+  Ready: "Served",
+};
+
+/** Bump button label for each status */
+const BUMP_LABELS = {
+  Placed: "Accept",
+  Accepted: "Start Cooking",
+  Preparing: "Ready to Serve",
+  Ready: "Serve",
+};
+
+/** Orders that stay on the kitchen screen */
+const ACTIVE_STATUSES = Object.keys(NEXT_STATUS);
+
+// =========================================================================
+// HELPER FUNCTIONS
+// =========================================================================
+
+/**
+ * Formats a ticket age as m:ss (or h:mm:ss past an hour)
+ * @param {number} ms - Age in milliseconds
+ * @returns {string} Timer text
+ */
+const formatAge = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Picks the ticket colour for its age
+ * @param {number} ms - Age in milliseconds
+ * @returns {string} "fresh", "warn" or "late"
+ */
+const getAgeLevel = (ms) => {
+  const minutes = ms / 60000;
+  if (minutes >= KDS_CONFIG.LATE_AFTER_MINUTES) return "late";
+  if (minutes >= KDS_CONFIG.WARN_AFTER_MINUTES) return "warn";
+  return "fresh";
+};
+
+/**
+ * Sorts tickets oldest first
+ * @param {Array} orders - Orders
+ * @returns {Array} Sorted copy
+ */
+const sortTickets = (orders) =>
+  [...orders].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+/**
+ * Name of the combo a dish was ordered in
+ * @param {Object} ticket - Order
+ * @param {Object} item - Child line of a combo
+ * @returns {string}
+ */
+const getComboName = (ticket, item) =>
+  ticket.items.find((line) => line._id === item.parentLineId)?.name || "Combo";
+
+/**
+ * Picks what a station's bump does to a ticket: start its queued dishes,
+ * or once all are cooking, mark them ready
+ * @param {Object} ticket - Order
+ * @param {string} stationId - Station _id
+ * @returns {Object} { status, label }
+ */
+const getStationBump = (ticket, stationId) =>
+  ticket.items.some(
+    (item) => isStationItem(item, stationId) && getItemStatus(item) === "queued"
+  )
+    ? { status: "cooking", label: "Start Cooking" }
+    : { status: "ready", label: "Done" };
+
+/**
+ * Plays a short two-tone chime for a new order
+ * @param {AudioContext} audioContext - Unlocked audio context
+ */
+const playChime = (audioContext) => {
+  [0, 0.3].forEach((offset, index) => {
+    const start = audioContext.currentTime + offset;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = index === 0 ? 880 : 1320;
+    gain.gain.setValueAtTime(0.4, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.25);
+  });
+};
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function KitchenContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const station = searchParams.get("station") || "all";
+  const { restaurantId, restaurantName, isLoaded } = useAdminSession();
+  const { connect, disconnect, subscribe, isConnected, WS_EVENTS } = useWebSocket();
+
+  // -----------------------------------------------------------------------
+  // STATE VARIABLES
+  // -----------------------------------------------------------------------
+
+  const [tickets, setTickets] = useState([]);
+  const [stations, setStations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(() => Date.now());
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [bumping, setBumping] = useState([]);
+  const [soundEnabled, setSoundEnabled] = useState(false);
+
+  /** Audio context, created on the tap that enables sound (browser autoplay rules) */
+  const audioContextRef = useRef(null);
+
+  // -----------------------------------------------------------------------
+  // EFFECTS
+  // -----------------------------------------------------------------------
+
+  /**
+   * Effect: Connect to the admin SSE stream
+   */
+  useEffect(() => {
+    if (isLoaded && restaurantId) {
+      connect({ restaurantId, type: "admin" });
+      return () => disconnect();
+    }
+  }, [isLoaded, restaurantId, connect, disconnect]);
+
+  /**
+   * Effect: Load the stations for the station picker
+   */
+  useEffect(() => {
+    const loadStations = async () => {
+      const result = await getStationsAction();
+      if (result.success) {
+        setStations(result.data);
+      }
+    };
+
+    loadStations();
+  }, []);
+
+  /**
+   * Effect: Re-sync and subscribe to order events once connected
+   */
+  useEffect(() => {
+    if (!isConnected) return;
+
+    // Pick up anything that changed while the stream was down
+    const loadTickets = async () => {
+      const result = await getActiveRestaurantOrdersAction();
+      if (result.success) {
+        setTickets(sortTickets(result.orders));
+      }
+      setLoading(false);
+    };
+
+    loadTickets();
+
+    const unsubOrderPlaced = subscribe(WS_EVENTS.ORDER_PLACED, (data) => {
+      if (!data?.order) return;
+      setTickets((prev) =>
+        prev.some((t) => t.orderId === data.order.orderId)
+          ? prev
+          : sortTickets([...prev, data.order])
+      );
+      if (audioContextRef.current) {
+        playChime(audioContextRef.current);
+      }
+    });
+
+    const unsubOrderUpdated = subscribe(WS_EVENTS.ORDER_UPDATED, (data) => {
+      if (!data?.order) return;
+      setTickets((prev) => {
+        const others = prev.filter((t) => t.orderId !== data.order.orderId);
+        return ACTIVE_STATUSES.includes(data.order.status)
+          ? sortTickets([...others, data.order])
+          : others;
+      });
+    });
+
+    return () => {
+      unsubOrderPlaced();
+      unsubOrderUpdated();
+    };
+  }, [isConnected, subscribe, WS_EVENTS]);
+
+  /**
+   * Effect: Tick the age timers every second
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  /**
+   * Moves a ticket to its next status, or at a station, moves that
+   * station's dishes on
+   * @param {Object} ticket - Order to bump
+   */
+  const bumpTicket = useCallback(
+    async (ticket) => {
+      const nextStatus = NEXT_STATUS[ticket.status];
+      if (!nextStatus || bumping.includes(ticket.orderId)) return;
+
+      setBumping((prev) => [...prev, ticket.orderId]);
+      const result =
+        station === "all"
+          ? await updateOrderStatusAction(ticket.orderId, nextStatus)
+          : await updateStationItemsAction(
+              ticket.orderId,
+              station,
+              getStationBump(ticket, station).status
+            );
+      setBumping((prev) => prev.filter((id) => id !== ticket.orderId));
+
+      if (!result.success) {
+        alert(result.error || "Failed to update order status");
+        return;
+      }
+
+      setTickets((prev) => {
+        const others = prev.filter((t) => t.orderId !== ticket.orderId);
+        return ACTIVE_STATUSES.includes(result.order.status)
+          ? sortTickets([...others, result.order])
+          : others;
+      });
+    },
+    [bumping, station]
+  );
+
+  /**
+   * Advances one dish on a ticket to its next status
+   * @param {Object} ticket - Order the dish belongs to
+   * @param {Object} item - Order line
+   */
+  const advanceItem = async (ticket, item) => {
+    const nextStatus = NEXT_ITEM_STATUS[getItemStatus(item)];
+    if (!nextStatus || !item._id) return;
+
+    const result = await updateOrderItemStatusAction(ticket.orderId, item._id, nextStatus);
+    if (!result.success) {
+      alert(result.error || "Failed to update item status");
+      return;
+    }
+
+    setTickets((prev) => {
+      const others = prev.filter((t) => t.orderId !== ticket.orderId);
+      return ACTIVE_STATUSES.includes(result.order.status)
+        ? sortTickets([...others, result.order])
+        : others;
+    });
+  };
+
+  /**
+   * Shows another station's screen
+   * @param {string} stationId - Station _id or "all"
+   */
+  const changeStation = (stationId) => {
+    setSelectedIndex(0);
+    router.replace(stationId === "all" ? "/admin/kitchen" : `/admin/kitchen?station=${stationId}`);
+  };
+
+  /** Tickets on this screen: at a station, those it still has dishes to make for */
+  const visibleTickets = useMemo(
+    () =>
+      station === "all" ? tickets : tickets.filter((ticket) => hasStationWork(ticket, station)),
+    [tickets, station]
+  );
+
+  /** Focused ticket index, kept inside the list as tickets leave */
+  const focusedIndex = Math.min(selectedIndex, Math.max(visibleTickets.length - 1, 0));
+
+  /**
+   * Effect: Keyboard bumping for kitchens with a bump bar / keyboard
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.("input, textarea, select") || visibleTickets.length === 0) return;
+
+      if (e.key === "ArrowRight" || e.key === "ArrowDown") {
+        e.preventDefault();
+        setSelectedIndex(Math.min(focusedIndex + 1, visibleTickets.length - 1));
+      } else if (e.key === "ArrowLeft" || e.key === "ArrowUp") {
+        e.preventDefault();
+        setSelectedIndex(Math.max(focusedIndex - 1, 0));
+      } else if (e.key === "Enter" || e.key === " ") {
+        e.preventDefault();
+        bumpTicket(visibleTickets[focusedIndex]);
+      } else if (/^[1-9]$/.test(e.key) && visibleTickets[Number(e.key) - 1]) {
+        setSelectedIndex(Number(e.key) - 1);
+        bumpTicket(visibleTickets[Number(e.key) - 1]);
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [visibleTickets, focusedIndex, bumpTicket]);
+
+  /**
+   * Turns the new-order alert on or off
+   * The audio context must be created inside a user gesture
+   */
+  const toggleSound = () => {
+    if (soundEnabled) {
+      audioContextRef.current?.close();
+      audioContextRef.current = null;
+      setSoundEnabled(false);
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      alert("This browser cannot play sounds");
+      return;
+    }
+    audioContextRef.current = new AudioContextClass();
+    playChime(audioContextRef.current);
+    setSoundEnabled(true);
+  };
+
+  /**
+   * Enters or leaves browser full-screen mode
+   */
+  const toggleFullScreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen?.();
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // COMPUTED VALUES (MEMOS)
+  // -----------------------------------------------------------------------
+
+  /** Total quantity of each dish (name + variant) across the queue */
+  const allDayCounts = useMemo(() => {
+    const counts = new Map();
+    visibleTickets.forEach((ticket) => {
+      ticket.items.forEach((item) => {
+        const status = getItemStatus(item);
+        if (!isStationItem(item, station) || (status !== "queued" && status !== "cooking")) {
+          return;
+        }
+
+        const key = `${item.name}|${item.variant.label}`;
+        const entry = counts.get(key) || {
+          key,
+          name: item.name,
+          variant: item.variant.label,
+          quantity: 0,
+        };
+        entry.quantity += item.quantity;
+        counts.set(key, entry);
+      });
+    });
+    return [...counts.values()].sort((a, b) => b.quantity - a.quantity);
+  }, [visibleTickets, station]);
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <div className={styles.kitchenScreen}>
+        {/* Top Bar */}
+        <header className={styles.topBar}>
+          <div className={styles.topLeft}>
+            <Link href="/admin/orders" className={styles.backLink}>
+              ← Orders
+            </Link>
+            <h1 className={styles.title}>Kitchen{restaurantName && ` · ${restaurantName}`}</h1>
+            <span className={`${styles.liveBadge} ${isConnected ? "" : styles.offline}`}>
+              <span className={styles.liveDot}></span> {isConnected ? "LIVE" : "OFFLINE"}
+            </span>
+          </div>
+          <div className={styles.topRight}>
+            <select
+              className={styles.stationSelect}
+              value={station}
+              onChange={(e) => changeStation(e.target.value)}
+            >
+              <option value="all">All stations</option>
+              {stations.map((s) => (
+                <option key={s._id} value={s._id}>
+                  {s.name}
+                </option>
+              ))}
+            </select>
+            <span className={styles.clock}>
+              {new Date(now).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" })}
+            </span>
+            <button
+              className={`${styles.topButton} ${soundEnabled ? styles.topButtonActive : ""}`}
+              onClick={toggleSound}
+            >
+              {soundEnabled ? "🔔 Sound On" : "🔕 Enable Sound"}
+            </button>
+            <button className={styles.topButton} onClick={toggleFullScreen}>
+              ⛶ Full Screen
+            </button>
+          </div>
+        </header>
+
+        <div className={styles.body}>
+          {/* Tickets */}
+          <main className={styles.ticketGrid}>
+            {loading ? (
+              <p className={styles.emptyState}>Loading orders...</p>
+            ) : visibleTickets.length === 0 ? (
+              <p className={styles.emptyState}>No orders in the queue 🎉</p>
+            ) : (
+              visibleTickets.map((ticket, index) => {
+                const age = now - new Date(ticket.createdAt).getTime();
+                const level = getAgeLevel(age);
+                const isBumping = bumping.includes(ticket.orderId);
+                const bumpLabel =
+                  station === "all"
+                    ? BUMP_LABELS[ticket.status]
+                    : getStationBump(ticket, station).label;
+
+                return (
+                  <div
+                    key={ticket.orderId}
+                    className={`${styles.ticket} ${styles[level]} ${
+                      index === focusedIndex ? styles.focused : ""
+                    }`}
+                    onClick={() => setSelectedIndex(index)}
+                  >
+                    <div className={styles.ticketHeader}>
+                      <span className={styles.ticketNumber}>{index + 1}</span>
+                      <span className={styles.ticketTable}>Table {ticket.tableNumber}</span>
+                      <span className={styles.ticketTimer}>{formatAge(age)}</span>
+                    </div>
+                    <div className={styles.ticketMeta}>
+                      <span>#{ticket.orderId}</span>
+                      <span className={styles.ticketStatus}>{ticket.status}</span>
+                    </div>
+
+                    <ul className={styles.ticketItems}>
+                      {ticket.items.map((item, idx) => {
+                        if (!isStationItem(item, station)) return null;
+                        const itemStatus = getItemStatus(item);
+                        return (
+                          <li key={item._id || idx}>
+                            <button
+                              type="button"
+                              className={`${styles.ticketItem} ${styles[`item_${itemStatus}`]}`}
+                              onClick={() => advanceItem(ticket, item)}
+                              disabled={!NEXT_ITEM_STATUS[itemStatus] || isBumping}
+                            >
+                              <span className={styles.itemQty}>{item.quantity}×</span>
+                              <span className={styles.itemName}>
+                                {item.name}
+                                {item.variant.label !== "Regular" && (
+                                  <span className={styles.itemVariant}> ({item.variant.label})</span>
+                                )}
+                                {item.modifiers?.length > 0 && (
+                                  <span className={styles.itemAddOns}>+ {formatModifiers(item)}</span>
+                                )}
+                                {isComboComponent(item) && (
+                                  <span className={styles.itemCombo}>
+                                    {getComboName(ticket, item)} · {item.comboSlot}
+                                  </span>
+                                )}
+                                {item.instructions && (
+                                  <span className={styles.itemInstructions}>
+                                    ⚠ {item.instructions}
+                                  </span>
+                                )}
+                                {station === "all" && item.stationName && (
+                                  <span className={styles.itemStation}>{item.stationName}</span>
+                                )}
+                              </span>
+                              <span className={styles.itemStatusLabel}>
+                                {ITEM_STATUS_LABELS[itemStatus]}
+                              </span>
+                            </button>
+                          </li>
+                        );
+                      })}
+                    </ul>
+
+                    {ticket.instructions && (
+                      <p className={styles.ticketInstructions}>⚠ {ticket.instructions}</p>
+                    )}
+
+                    <button
+                      type="button"
+                      className={styles.bumpButton}
+                      onClick={() => {
+                        setSelectedIndex(index);
+                        bumpTicket(ticket);
+                      }}
+                      disabled={isBumping}
+                    >
+                      {isBumping ? "Updating..." : `${bumpLabel} →`}
+                    </button>
+                  </div>
+                );
+              })
+            )}
+          </main>
+
+          {/* All-Day Counts */}
+          <aside className={styles.allDay}>
+            <h2 className={styles.allDayTitle}>All Day</h2>
+            {allDayCounts.length === 0 ? (
+              <p className={styles.allDayEmpty}>Nothing queued</p>
+            ) : (
+              <ul className={styles.allDayList}>
+                {allDayCounts.map((dish) => (
+                  <li key={dish.key} className={styles.allDayItem}>
+                    <span className={styles.allDayQty}>{dish.quantity}</span>
+                    <span>
+                      {dish.name}
+                      {dish.variant !== "Regular" && (
+                        <span className={styles.itemVariant}> ({dish.variant})</span>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <p className={styles.keyHint}>
+              Tap a dish to advance it · Bump a ticket with its bar, 1-9, or ←/→ then Enter
+            </p>
+          </aside>
+        </div>
+      </div>
+    </RequireAdminAuth>
+  );
+}
+
+function KitchenPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <KitchenContent />
+    </Suspense>
+  );
+}
+
+export default KitchenPage;
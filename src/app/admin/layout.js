@@ -17,6 +17,8 @@
  * - /admin/auth - Login/Signup
  * - /admin/menu - Menu management
  * - /admin/orders - Active orders
+ * - /admin/kitchen - Kitchen display (KDS)
+ * - /admin/tables - Tables & QR codes
  * - /admin/history - Order history
  * - /admin/profile - Restaurant profile
  * - /admin/settings - Settings page
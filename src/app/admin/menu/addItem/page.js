@@ -14,7 +14,11 @@ import {
 } from "@/src/lib/constants";
 import { addFoodItemAction, getRestaurantIdByRestoCode } from "@/src/actions/restoItemActions";
 import { useAdminSession } from "@/src/contexts/AdminSessionContext";
-import styles from "../formStyles.module.css";
+import ModifierGroupsEditor from "@/src/_components/adminComponents/ModifierGroupsEditor";
+import ScheduleEditor from "@/src/_components/adminComponents/ScheduleEditor";
+import { EMPTY_SCHEDULE } from "@/src/lib/availability";
+import { DEFAULT_LOW_STOCK_THRESHOLD } from "@/src/lib/stock";
+import styles from "../../formStyles.module.css";
 import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
 
 function Page() {
@@ -54,6 +58,11 @@ function Page() {
   const [variants, setVariants] = useState([
     { label: "Regular", price: 1, in_stock: true },
   ]);
+  const [modifierGroups, setModifierGroups] = useState([]);
+  const [schedule, setSchedule] = useState(EMPTY_SCHEDULE);
+  // Empty = stock not counted for the whole dish
+  const [stock, setStock] = useState("");
+  const [lowStockThreshold, setLowStockThreshold] = useState(DEFAULT_LOW_STOCK_THRESHOLD);
 
   const addVariant = () => {
     setVariants((prev) => [...prev, { label: "", price: 1, in_stock: true }]);
@@ -94,6 +103,10 @@ function Page() {
       foodType: type,
       imageUrl: imageUrl,
       variants,
+      modifierGroups,
+      schedule,
+      stock,
+      lowStockThreshold,
       isAvailable: availability,
       tags,
       restaurantId: mongoRestaurantId,
@@ -101,7 +114,15 @@ function Page() {
     console.log("Submitting food data:", foodData);
     const result = await addFoodItemAction(null, foodData);
     if (!result.success) {
-      setError("Failed to add food item. Please try again.");
+      setError(
+        result.errors?.modifierGroups
+          ? `Add-ons: ${result.errors.modifierGroups[0]}`
+          : result.errors?.schedule
+            ? `Schedule: ${result.errors.schedule[0]}`
+            : result.errors?.stock || result.errors?.variants
+              ? `Stock: ${(result.errors.stock || result.errors.variants)[0]}`
+            : "Failed to add food item. Please try again."
+      );
     } else {
       setShowSuccessModal(true);
     }
@@ -118,6 +139,10 @@ function Page() {
     setAvailability(true);
     setTags([]);
     setVariants([{ label: "Regular", price: 1, in_stock: true }]);
+    setModifierGroups([]);
+    setSchedule(EMPTY_SCHEDULE);
+    setStock("");
+    setLowStockThreshold(DEFAULT_LOW_STOCK_THRESHOLD);
     setError("");
   };
 
@@ -263,6 +288,35 @@ function Page() {
                 </div>
               </div>
 
+              {/* Stock Row */}
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel}>Stock (all variants)</label>
+                  <input
+                    type="number"
+                    className={styles.formInput}
+                    value={stock}
+                    onChange={(e) => setStock(e.target.value)}
+                    placeholder="Not counted"
+                    min="0"
+                  />
+                  <small>
+                    Leave empty to not count, or count each variant below. At 0 the item is
+                    switched off; switch it back on after restocking.
+                  </small>
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel}>Low-Stock Alert At</label>
+                  <input
+                    type="number"
+                    className={styles.formInput}
+                    value={lowStockThreshold}
+                    onChange={(e) => setLowStockThreshold(e.target.value)}
+                    min="0"
+                  />
+                </div>
+              </div>
+
               {/* Tags Section */}
               <div className={styles.tagsSection}>
                 <label className={styles.tagsLabel}>Tags</label>
@@ -310,6 +364,24 @@ function Page() {
                         required
                       />
                     </div>
+                    <label
+                      className={styles.selectLimit}
+                      title="Portions left of this variant (empty = not counted)"
+                    >
+                      Stock
+                      <input
+                        type="number"
+                        value={variant.stock ?? ""}
+                        onChange={(e) =>
+                          updateVariant(
+                            index,
+                            "stock",
+                            e.target.value === "" ? null : Number(e.target.value)
+                          )
+                        }
+                        min="0"
+                      />
+                    </label>
                     {variants.length > 1 && (
                       <button
                         type="button"
@@ -323,6 +395,12 @@ function Page() {
                 ))}
               </div>
 
+              {/* Modifier Groups Section */}
+              <ModifierGroupsEditor groups={modifierGroups} onChange={setModifierGroups} />
+
+              {/* Schedule Section */}
+              <ScheduleEditor schedule={schedule} onChange={setSchedule} />
+
               {/* Form Actions */}
               <div className={styles.formActions}>
                 <button type="submit" className={styles.submitBtn} disabled={loading}>
@@ -14,7 +14,11 @@ import {
 } from "@/src/lib/constants";
 import { deleteFoodItemAction, updateFoodItemAction, getRestaurantIdByRestoCode } from "@/src/actions/restoItemActions";
 import { useAdminSession } from "@/src/contexts/AdminSessionContext";
-import styles from "../formStyles.module.css";
+import ModifierGroupsEditor from "@/src/_components/adminComponents/ModifierGroupsEditor";
+import ScheduleEditor from "@/src/_components/adminComponents/ScheduleEditor";
+import { EMPTY_SCHEDULE } from "@/src/lib/availability";
+import { DEFAULT_LOW_STOCK_THRESHOLD } from "@/src/lib/stock";
+import styles from "../../formStyles.module.css";
 import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
 
 function EditItemContent() {
@@ -39,6 +43,14 @@ function EditItemContent() {
   const [variants, setVariants] = useState([
     { label: "Regular", price: 1, isAvailable: true },
   ]);
+  const [modifierGroups, setModifierGroups] = useState([]);
+  const [schedule, setSchedule] = useState(EMPTY_SCHEDULE);
+  // Empty = stock not counted for the whole dish
+  const [stock, setStock] = useState("");
+  const [lowStockThreshold, setLowStockThreshold] = useState(DEFAULT_LOW_STOCK_THRESHOLD);
+  // Counts as loaded: only the ones the admin changes are saved, so orders
+  // taking stock while the form is open are not undone
+  const [loadedStock, setLoadedStock] = useState({ stock: "", variants: {} });
 
   // Get MongoDB restaurant ID from restoCode
   useEffect(() => {
@@ -79,6 +91,16 @@ function EditItemContent() {
           setVariants(
             item.variants || [{ label: "Regular", price: 1, isAvailable: true }]
           );
+          setModifierGroups(item.modifierGroups || []);
+          setSchedule(item.schedule || EMPTY_SCHEDULE);
+          setStock(item.stock ?? "");
+          setLoadedStock({
+            stock: item.stock ?? "",
+            variants: Object.fromEntries(
+              (item.variants || []).map((v) => [v._id, v.stock ?? null])
+            ),
+          });
+          setLowStockThreshold(item.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD);
         }
       }
     }
@@ -120,6 +142,13 @@ function EditItemContent() {
     
     setLoading(true);
 
+    const restock = variants
+      .filter((v) => v._id && (v.stock ?? null) !== (loadedStock.variants[v._id] ?? null))
+      .map((v) => ({ variantId: v._id, stock: v.stock ?? null }));
+    if (String(stock) !== String(loadedStock.stock)) {
+      restock.unshift({ stock });
+    }
+
     const updatedFoodData = {
       _id: itemId,
       name,
@@ -128,6 +157,10 @@ function EditItemContent() {
       foodType: type,
       imageUrl: imageUrl,
       variants,
+      modifierGroups,
+      schedule,
+      restock,
+      lowStockThreshold,
       isAvailable: availability,
       tags,
       restaurantId: mongoRestaurantId,
@@ -137,7 +170,15 @@ function EditItemContent() {
     console.log("Submitting food data:", updatedFoodData);
     const result = await updateFoodItemAction(null, updatedFoodData);
     if (!result.success) {
-      setError("Failed to update food item. Please try again.");
+      setError(
+        result.errors?.modifierGroups
+          ? `Add-ons: ${result.errors.modifierGroups[0]}`
+          : result.errors?.schedule
+            ? `Schedule: ${result.errors.schedule[0]}`
+            : result.errors?.restock || result.errors?.variants
+              ? `Stock: ${(result.errors.restock || result.errors.variants)[0]}`
+            : "Failed to update food item. Please try again."
+      );
       setLoading(false);
       return;
     }
@@ -293,6 +334,35 @@ function EditItemContent() {
                 </div>
               </div>
 
+              {/* Stock Row */}
+              <div className={styles.formRow}>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel}>Stock (all variants)</label>
+                  <input
+                    type="number"
+                    className={styles.formInput}
+                    value={stock}
+                    onChange={(e) => setStock(e.target.value)}
+                    placeholder="Not counted"
+                    min="0"
+                  />
+                  <small>
+                    Leave empty to not count, or count each variant below. At 0 the item is
+                    switched off; switch it back on after restocking.
+                  </small>
+                </div>
+                <div className={styles.formGroup}>
+                  <label className={styles.formLabel}>Low-Stock Alert At</label>
+                  <input
+                    type="number"
+                    className={styles.formInput}
+                    value={lowStockThreshold}
+                    onChange={(e) => setLowStockThreshold(e.target.value)}
+                    min="0"
+                  />
+                </div>
+              </div>
+
               {/* Tags Section */}
               <div className={styles.tagsSection}>
                 <label className={styles.tagsLabel}>Tags</label>
@@ -340,6 +410,24 @@ function EditItemContent() {
                         required
                       />
                     </div>
+                    <label
+                      className={styles.selectLimit}
+                      title="Portions left of this variant (empty = not counted)"
+                    >
+                      Stock
+                      <input
+                        type="number"
+                        value={variant.stock ?? ""}
+                        onChange={(e) =>
+                          updateVariant(
+                            index,
+                            "stock",
+                            e.target.value === "" ? null : Number(e.target.value)
+                          )
+                        }
+                        min="0"
+                      />
+                    </label>
                     {variants.length > 1 && (
                       <button
                         type="button"
@@ -353,6 +441,12 @@ function EditItemContent() {
                 ))}
               </div>
 
+              {/* Modifier Groups Section */}
+              <ModifierGroupsEditor groups={modifierGroups} onChange={setModifierGroups} />
+
+              {/* Schedule Section */}
+              <ScheduleEditor schedule={schedule} onChange={setSchedule} />
+
               {/* Form Actions */}
               <div className={styles.formActions}>
                 <button type="submit" className={styles.submitBtn} disabled={loading}>
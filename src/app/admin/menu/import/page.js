@@ -0,0 +1,355 @@
+/**
+ * =========================================================================
+ * ADMIN MENU IMPORT PAGE - Bulk Menu Import & Export
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. Export downloads the whole menu as CSV or JSON, e.g. to load into
+ *    another branch
+ * 2. The admin picks a CSV or JSON file; the format follows its extension
+ * 3. "Preview" checks it on the server without saving: every row is
+ *    validated like the add item form and matched to the menu by name
+ * 4. The preview lists each row as new, updated (with what changes),
+ *    unchanged or in error
+ * 5. "Import" saves it once no row has errors
+ *
+ * STATE MANAGEMENT:
+ * - format: Format of the picked file ("csv" | "json")
+ * - file: { name, text } of the picked file
+ * - report: Last preview / import result (summary and rows)
+ * - error: File-level problem (not valid JSON, unknown column...)
+ * - busy: Action in progress ("preview" | "import" | "export")
+ *
+ * FEATURES:
+ * - Upsert by dish name; fields missing from the file are left as they are
+ *   (see src/lib/menuTransfer.js)
+ * - Stock counts stay with each branch and are not exported
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState } from "react";
+import { useRouter } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import { exportMenuAction, importMenuAction } from "@/src/actions/restoItemActions";
+import {
+  MENU_CSV_COLUMNS,
+  MENU_IMPORT_MAX_ROWS,
+  MENU_TRANSFER_FORMATS,
+} from "@/src/lib/menuTransfer";
+import styles from "./import.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+const ACTION_LABELS = {
+  create: "New",
+  update: "Update",
+  unchanged: "Unchanged",
+  error: "Error",
+};
+
+const FIELD_LABELS = {
+  name: "Name",
+  description: "Description",
+  category: "Category",
+  foodType: "Food type",
+  variants: "Variants",
+  modifierGroups: "Add-ons",
+  schedule: "Schedule",
+  tags: "Tags",
+  imageUrl: "Image",
+  isAvailable: "Availability",
+  lowStockThreshold: "Low-stock alert",
+};
+
+const MIME_TYPES = {
+  csv: "text/csv",
+  json: "application/json",
+};
+
+// =========================================================================
+// HELPER FUNCTIONS
+// =========================================================================
+
+/**
+ * Saves text as a file through the browser
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function Page() {
+  const router = useRouter();
+
+  // -----------------------------------------------------------------------
+  // STATE VARIABLES
+  // -----------------------------------------------------------------------
+
+  const [format, setFormat] = useState("csv");
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(null);
+
+  // -----------------------------------------------------------------------
+  // HANDLERS
+  // -----------------------------------------------------------------------
+
+  /**
+   * Downloads the menu as an import file
+   * @param {string} exportFormat - "csv" | "json"
+   */
+  const handleExport = async (exportFormat) => {
+    setBusy("export");
+    const result = await exportMenuAction(exportFormat);
+    if (result.success) {
+      downloadFile(result.content, result.filename, MIME_TYPES[exportFormat]);
+    } else {
+      alert("Failed to export the menu. Please try again.");
+    }
+    setBusy(null);
+  };
+
+  /**
+   * Reads the picked file; a previous preview no longer applies
+   */
+  const handleFileChange = async (e) => {
+    const picked = e.target.files?.[0];
+    setReport(null);
+    setError("");
+    if (!picked) {
+      setFile(null);
+      return;
+    }
+
+    const extension = picked.name.split(".").pop().toLowerCase();
+    if (MENU_TRANSFER_FORMATS.includes(extension)) {
+      setFormat(extension);
+    }
+    setFile({ name: picked.name, text: await picked.text() });
+  };
+
+  /**
+   * Checks the file on the server, and saves it unless dryRun
+   * @param {boolean} dryRun - Only preview the changes
+   */
+  const runImport = async (dryRun) => {
+    if (!file) return;
+    setError("");
+    setBusy(dryRun ? "preview" : "import");
+
+    const result = await importMenuAction({ text: file.text, format, dryRun });
+    if (result.rows) {
+      setReport(result);
+    } else {
+      setReport(null);
+      setError(
+        result.errors
+          ? Object.values(result.errors).flat()[0]
+          : "Failed to read the file. Please try again."
+      );
+    }
+    setBusy(null);
+  };
+
+  const pendingChanges = report ? report.summary.create + report.summary.update : 0;
+  const canImport = report && !report.applied && report.summary.error === 0 && pendingChanges > 0;
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.importArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-exchange" /> Import & Export Menu
+            </h2>
+            <button className={styles.secondaryBtn} onClick={() => router.push("/admin/menu")}>
+              <i className="fa fa-arrow-left" /> Back to Menu
+            </button>
+          </div>
+
+          {/* Export */}
+          <div className={styles.importSection}>
+            <div className={styles.sectionHeader}>
+              <h3>Export</h3>
+            </div>
+            <div className={styles.sectionBody}>
+              <button
+                className={styles.secondaryBtn}
+                onClick={() => handleExport("csv")}
+                disabled={busy !== null}
+              >
+                <i className="fa fa-download" /> Export CSV
+              </button>
+              <button
+                className={styles.secondaryBtn}
+                onClick={() => handleExport("json")}
+                disabled={busy !== null}
+              >
+                <i className="fa fa-download" /> Export JSON
+              </button>
+            </div>
+            <p className={styles.hint}>
+              JSON carries everything, add-ons and schedules included; CSV holds one dish per
+              row. Stock counts are not exported.
+            </p>
+          </div>
+
+          {/* Import */}
+          <div className={styles.importSection}>
+            <div className={styles.sectionHeader}>
+              <h3>Import</h3>
+            </div>
+            <div className={styles.sectionBody}>
+              <input
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={handleFileChange}
+              />
+              <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                {MENU_TRANSFER_FORMATS.map((option) => (
+                  <option key={option} value={option}>
+                    {option.toUpperCase()}
+                  </option>
+                ))}
+              </select>
+              <button
+                className={styles.secondaryBtn}
+                onClick={() => runImport(true)}
+                disabled={!file || busy !== null}
+              >
+                <i className="fa fa-eye" /> {busy === "preview" ? "Checking..." : "Preview"}
+              </button>
+              <button
+                className={styles.primaryBtn}
+                onClick={() => runImport(false)}
+                disabled={!canImport || busy !== null}
+              >
+                <i className="fa fa-upload" />{" "}
+                {busy === "import" ? "Importing..." : `Import ${pendingChanges || ""} Dishes`}
+              </button>
+              {error && <div className={styles.formError}>{error}</div>}
+              {report?.applied && (
+                <div className={styles.success}>
+                  Menu updated: {report.summary.create} added, {report.summary.update} updated.
+                </div>
+              )}
+            </div>
+            <p className={styles.hint}>
+              Dishes are matched by name: new names are added, existing ones updated, and
+              columns left out stay as they are. CSV columns:{" "}
+              <code>{MENU_CSV_COLUMNS.join(",")}</code>. Variants are written{" "}
+              <code>Half:120 | Full:220</code>, tags <code>Spicy | Bestseller</code> and
+              isAvailable yes / no. Up to {MENU_IMPORT_MAX_ROWS} dishes per file.
+            </p>
+          </div>
+
+          {/* Preview */}
+          {report && (
+            <div className={styles.importSection}>
+              <div className={styles.sectionHeader}>
+                <h3>{report.applied ? "Imported" : "Preview"}</h3>
+              </div>
+              <div className={styles.summary}>
+                <span>
+                  New: <strong>{report.summary.create}</strong>
+                </span>
+                <span>
+                  Updated: <strong>{report.summary.update}</strong>
+                </span>
+                <span>
+                  Unchanged: <strong>{report.summary.unchanged}</strong>
+                </span>
+                <span className={report.summary.error > 0 ? styles.errorText : ""}>
+                  Errors: <strong>{report.summary.error}</strong>
+                </span>
+              </div>
+              <div className={styles.previewTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Dish</th>
+                      <th>Result</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        <td>
+                          <span className={styles.itemName}>{row.name || "—"}</span>
+                        </td>
+                        <td>
+                          <span className={`${styles.badge} ${styles[row.action]}`}>
+                            {ACTION_LABELS[row.action]}
+                          </span>
+                        </td>
+                        <td>
+                          {row.action === "error" && (
+                            <ul className={styles.errorText}>
+                              {row.errors.map((message) => (
+                                <li key={message}>{message}</li>
+                              ))}
+                            </ul>
+                          )}
+                          {row.action === "update" && (
+                            <ul>
+                              {row.changes.map((change) => (
+                                <li key={change.field}>
+                                  <strong>{FIELD_LABELS[change.field]}:</strong>{" "}
+                                  <span className={styles.removed}>{change.from || "—"}</span>{" "}
+                                  → {change.to || "—"}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          {row.action === "create" && (
+                            <span className={styles.muted}>Added as a new dish</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default Page;
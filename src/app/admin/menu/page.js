@@ -24,6 +24,7 @@
  * - Item detail modal with variants
  * - Edit item navigation
  * - Delete item with confirmation
+ * - Bulk import / export of the menu (/admin/menu/import)
  * - localStorage sync for edit page
  * 
  * =========================================================================
@@ -37,6 +38,8 @@ import Header1 from "@/src/_components/adminComponents/Header1";
 import Header2 from "@/src/_components/adminComponents/Header2";
 import Header3 from "@/src/_components/adminComponents/Header3";
 import { DEFAULT_CATEGORIES } from "@/src/lib/constants";
+import { hasSchedule, formatSchedule } from "@/src/lib/availability";
+import { summarizeStock } from "@/src/lib/stock";
 import { getAllFoodItemsByRestoCode, deleteFoodItemAction } from "@/src/actions/restoItemActions";
 import { useAdminSession } from "@/src/contexts/AdminSessionContext";
 import styles from "./menu.module.css";
@@ -341,6 +344,15 @@ function Page() {
                         >
                           <i className="notika-icon notika-draft" /> Add
                         </button>
+                        <button
+                          data-toggle="tooltip"
+                          data-placement="left"
+                          title="Import or Export the Menu"
+                          className="btn"
+                          onClick={() => router.push("/admin/menu/import")}
+                        >
+                          <i className="fa fa-exchange" /> Import / Export
+                        </button>
                       </div>
                     </div>
                   </div>
@@ -530,6 +542,20 @@ function Page() {
                                 <span className={styles.categoryBadge}>
                                   {item.category}
                                 </span>
+                                {hasSchedule(item.schedule) && (
+                                  <span className={styles.categoryBadge}>
+                                    <i className="fa fa-clock-o" /> {formatSchedule(item.schedule)}
+                                  </span>
+                                )}
+                                {summarizeStock(item).label && (
+                                  <span
+                                    className={`${styles.categoryBadge} ${
+                                      summarizeStock(item).low ? styles.lowStockBadge : ""
+                                    }`}
+                                  >
+                                    <i className="fa fa-cubes" /> {summarizeStock(item).label}
+                                  </span>
+                                )}
                               </div>
 
                               {/* Tags */}
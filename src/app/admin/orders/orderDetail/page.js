@@ -0,0 +1,470 @@
+/**
+ * =========================================================================
+ * ADMIN ORDER DETAIL PAGE - One Order, Its Payments & Refunds
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. /admin/orders/orderDetail?orderId=<orderId> loads the order and its
+ *    online payments (getOrderDetailAction)
+ * 2. Shows the order's lines, bill, payments and every refund issued
+ * 3. A paid order can be refunded in full or by line, with a reason;
+ *    orders paid online are refunded through the payment provider,
+ *    orders paid at the counter are recorded as refunded by hand
+ * 4. The order's GST invoice opens as a printable page or PDF, on A4 or
+ *    as a 80mm / 58mm thermal receipt (/api/invoices)
+ * 5. Its kitchen tickets (KOTs) can be sent to the kitchen printers again
+ *
+ * STATE MANAGEMENT:
+ * - detail: { order, payments } from getOrderDetailAction
+ * - refundType: "full" | "partial"
+ * - refundQty: Quantity to refund per line (partial refunds)
+ * - reason: Why the order is being refunded
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, useMemo, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import { getOrderDetailAction, issueRefundAction } from "@/src/actions/refundActions";
+import { reprintOrderAction } from "@/src/actions/printerActions";
+import { formatAmount } from "@/src/lib/billing";
+import { getItemStatus } from "@/src/lib/orderStatus";
+import { formatModifiers, getLineUnitPrice } from "@/src/lib/modifiers";
+import { isComboComponent } from "@/src/lib/combos";
+import { INVOICE_LAYOUTS } from "@/src/lib/invoice";
+import {
+  REFUND_REASON_MAX_LENGTH,
+  getNetTotal,
+  getRefundableAmount,
+  getRefundableQuantity,
+  priceRefund,
+} from "@/src/lib/refunds";
+import styles from "../orders.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// HELPER FUNCTIONS
+// =========================================================================
+
+/**
+ * Formats a timestamp as "DD Mon, HH:MM"
+ * @param {string|Date} dateStr - Timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatDateTime = (dateStr) =>
+  new Date(dateStr).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * Names who issued a refund
+ * @param {Object} issuedBy - { role, name, phone }
+ * @returns {string} Display name
+ */
+const issuerLabel = (issuedBy) =>
+  issuedBy?.role === "customer" ? "Customer (cancelled)" : issuedBy?.name || issuedBy?.role;
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function OrderDetailContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const orderId = searchParams.get("orderId");
+
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState("");
+  const [refundType, setRefundType] = useState("full");
+  const [refundQty, setRefundQty] = useState({});
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    if (!orderId) return;
+
+    const loadOrder = async () => {
+      const result = await getOrderDetailAction(orderId);
+      if (result.success) {
+        setDetail(result);
+      } else {
+        setError("Order not found.");
+      }
+    };
+
+    loadOrder();
+  }, [orderId]);
+
+  // -----------------------------------------------------------------------
+  // COMPUTED VALUES
+  // -----------------------------------------------------------------------
+
+  const order = detail?.order;
+  const refundable = order ? getRefundableAmount(order) : 0;
+
+  /** What the refund being set up would give back */
+  const preview = useMemo(() => {
+    if (!order || refundable <= 0) return null;
+    if (refundType === "full") return priceRefund(order);
+    const lines = Object.entries(refundQty)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity }));
+    return lines.length ? priceRefund(order, lines) : null;
+  }, [order, refundable, refundType, refundQty]);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const handleRefund = async () => {
+    setError("");
+    if (!preview || preview.error) {
+      setError(preview?.error || "Choose at least one item to refund");
+      return;
+    }
+    if (!confirm(`Refund ₹${formatAmount(preview.amount)} on order #${order.orderId}?`)) {
+      return;
+    }
+
+    setSaving(true);
+    const result = await issueRefundAction(order.orderId, {
+      type: refundType,
+      items: (preview.items || []).map(({ itemId, quantity }) => ({ itemId, quantity })),
+      reason,
+    });
+    setSaving(false);
+
+    if (result.success) {
+      setDetail((prev) => ({ ...prev, order: result.order }));
+      setRefundQty({});
+      setReason("");
+    } else if (result.errors) {
+      setError(Object.values(result.errors).flat()[0]);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleReprint = async () => {
+    const result = await reprintOrderAction(order.orderId);
+    if (result.success) {
+      alert(`Sent ${result.count} ticket${result.count === 1 ? "" : "s"} to the kitchen`);
+    } else {
+      alert(result.error === "NOT_FOUND" ? "Order not found" : result.error);
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.ordersArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.restoHeader}>
+            <div className={styles.restoInfo}>
+              <h2 className={styles.restoName}>Order #{orderId}</h2>
+              {order && (
+                <span className={styles.restoCode}>
+                  {formatDateTime(order.createdAt)} · Table {order.tableNumber} ·{" "}
+                  {order.customerPhone}
+                </span>
+              )}
+            </div>
+            <div className={styles.headerActions}>
+              {order && (
+                <button className={styles.backBtn} onClick={handleReprint}>
+                  <i className="fa fa-print" /> Reprint KOT
+                </button>
+              )}
+              <button className={styles.backBtn} onClick={() => router.push("/admin/history")}>
+                ← Back to History
+              </button>
+            </div>
+          </div>
+
+          {error && <div className={styles.detailError}>{error}</div>}
+
+          {!order ? (
+            <div className={styles.noOrders}>{error ? "" : "Loading order..."}</div>
+          ) : (
+            <div className={styles.ordersList}>
+              {/* Order */}
+              <div className={styles.orderCard}>
+                <div className={styles.orderHeader}>
+                  <div className={styles.orderIdSection}>
+                    <span className={styles.orderId}>#{order.orderId}</span>
+                    <span className={styles.statusBadge}>{order.status}</span>
+                  </div>
+                  <span className={styles.orderTime}>
+                    {order.paymentMethod} · {order.paymentStatus}
+                  </span>
+                </div>
+
+                {order.cancelReason && (
+                  <div className={styles.tableInfo}>
+                    <span className={styles.timelineReason}>Cancelled: {order.cancelReason}</span>
+                  </div>
+                )}
+
+                {order.instructions && (
+                  <div className={styles.orderInstructions}>📝 {order.instructions}</div>
+                )}
+
+                <div className={styles.orderItems}>
+                  {order.items.map((item) => {
+                    const voided = getItemStatus(item) === "voided";
+                    const maxQty = getRefundableQuantity(item);
+                    // A combo's dishes are billed and refunded through the combo
+                    const inCombo = isComboComponent(item);
+                    return (
+                      <div
+                        key={item._id}
+                        className={`${styles.orderItem} ${inCombo ? styles.comboComponent : ""}`}
+                      >
+                        <div className={styles.itemLeft}>
+                          <span
+                            className={`${styles.foodDot} ${
+                              item.foodType === "Veg"
+                                ? styles.vegDot
+                                : item.foodType === "Non-Veg"
+                                ? styles.nonVegDot
+                                : styles.eggDot
+                            }`}
+                          />
+                          <span className={styles.itemQty}>{item.quantity}×</span>
+                          <span className={styles.itemName}>
+                            {voided ? <s>{item.name}</s> : item.name}
+                          </span>
+                          <span className={styles.itemVariant}>
+                            ({inCombo ? `${item.comboSlot} · ${item.variant.label}` : item.variant.label})
+                          </span>
+                          {item.modifiers?.length > 0 && (
+                            <span className={styles.itemAddOns}>+ {formatModifiers(item)}</span>
+                          )}
+                          {item.instructions && (
+                            <span className={styles.itemInstructions}>📝 {item.instructions}</span>
+                          )}
+                          {item.refundedQuantity > 0 && (
+                            <span className={styles.refundedTag}>
+                              {item.refundedQuantity} refunded
+                            </span>
+                          )}
+                        </div>
+                        <div className={styles.itemRight}>
+                          {refundable > 0 && refundType === "partial" && maxQty > 0 && (
+                            <input
+                              type="number"
+                              min="0"
+                              max={maxQty}
+                              className={styles.refundQtyInput}
+                              value={refundQty[item._id] || ""}
+                              placeholder="0"
+                              onChange={(e) =>
+                                setRefundQty((prev) => ({
+                                  ...prev,
+                                  [item._id]: Math.min(Math.max(Number(e.target.value) || 0, 0), maxQty),
+                                }))
+                              }
+                            />
+                          )}
+                          {!inCombo && (
+                            <span className={styles.itemPrice}>
+                              ₹{formatAmount(getLineUnitPrice(item) * item.quantity)}
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className={styles.orderTotal}>
+                  <span>Total</span>
+                  <span className={styles.totalAmount}>₹{formatAmount(order.total)}</span>
+                </div>
+                {order.refundedAmount > 0 && (
+                  <div className={styles.orderTotal}>
+                    <span>
+                      Refunded ₹{formatAmount(order.refundedAmount)} · Net
+                    </span>
+                    <span className={styles.totalAmount}>₹{formatAmount(getNetTotal(order))}</span>
+                  </div>
+                )}
+
+                {/* Invoice */}
+                {(order.status !== "Cancelled" || order.invoice) && (
+                  <div className={styles.invoiceLinks}>
+                    <span>
+                      <i className="fa fa-file-text-o" /> Invoice
+                      {order.invoice && ` ${order.invoice.number}`}
+                    </span>
+                    {Object.entries(INVOICE_LAYOUTS).map(([id, layout]) => (
+                      <span key={id}>
+                        {layout.label}:{" "}
+                        <a
+                          href={`/api/invoices/${order.orderId}?layout=${id}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          Print
+                        </a>{" "}
+                        ·{" "}
+                        <a
+                          href={`/api/invoices/${order.orderId}?layout=${id}&format=pdf`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          PDF
+                        </a>
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              {/* Refund Form */}
+              {refundable > 0 && (
+                <div className={styles.orderCard}>
+                  <div className={styles.orderHeader}>
+                    <span className={styles.orderId}>Issue a Refund</span>
+                    <span className={styles.orderTime}>
+                      Up to ₹{formatAmount(refundable)}
+                    </span>
+                  </div>
+                  <div className={styles.refundForm}>
+                    <div className={styles.refundOptions}>
+                      <label>
+                        <input
+                          type="radio"
+                          name="refundType"
+                          checked={refundType === "full"}
+                          onChange={() => setRefundType("full")}
+                        />{" "}
+                        Full refund
+                      </label>
+                      <label>
+                        <input
+                          type="radio"
+                          name="refundType"
+                          checked={refundType === "partial"}
+                          onChange={() => setRefundType("partial")}
+                        />{" "}
+                        Selected items (set quantities above)
+                      </label>
+                    </div>
+                    <textarea
+                      className={styles.refundReason}
+                      placeholder="Reason for the refund"
+                      maxLength={REFUND_REASON_MAX_LENGTH}
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                    />
+                    <button
+                      className={styles.cancelBtn}
+                      onClick={handleRefund}
+                      disabled={saving || !preview || !!preview.error || !reason.trim()}
+                    >
+                      {saving
+                        ? "Refunding..."
+                        : preview?.amount
+                          ? `Refund ₹${formatAmount(preview.amount)}`
+                          : "Refund"}
+                    </button>
+                    {preview?.error && <span className={styles.timelineReason}>{preview.error}</span>}
+                  </div>
+                </div>
+              )}
+
+              {/* Payments */}
+              {detail.payments.length > 0 && (
+                <div className={styles.orderCard}>
+                  <div className={styles.orderHeader}>
+                    <span className={styles.orderId}>Online Payments</span>
+                  </div>
+                  <ul className={styles.refundList}>
+                    {detail.payments.map((payment) => (
+                      <li key={payment._id} className={styles.timelineEntry}>
+                        <span className={styles.timelineTime}>{formatDateTime(payment.createdAt)}</span>
+                        <span className={styles.timelineStatus}>
+                          {payment.method} ₹{formatAmount(payment.amount)} · {payment.status}
+                        </span>
+                        <span className={styles.timelineBy}>
+                          {payment.provider} {payment.providerRef}
+                        </span>
+                        {payment.failureReason && (
+                          <span className={styles.timelineReason}>{payment.failureReason}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Refunds */}
+              {order.refunds?.length > 0 && (
+                <div className={styles.orderCard}>
+                  <div className={styles.orderHeader}>
+                    <span className={styles.orderId}>Refunds</span>
+                  </div>
+                  <ul className={styles.refundList}>
+                    {order.refunds.map((refund) => (
+                      <li key={refund._id} className={styles.timelineEntry}>
+                        <span className={styles.timelineTime}>{formatDateTime(refund.at)}</span>
+                        <span className={styles.timelineStatus}>
+                          ₹{formatAmount(refund.amount)} · {refund.type === "full" ? "Full" : "Partial"}
+                        </span>
+                        <span className={styles.timelineBy}>
+                          by {issuerLabel(refund.issuedBy)} ·{" "}
+                          {refund.provider ? `${refund.provider} ${refund.refundRef}` : "refunded by hand"}
+                        </span>
+                        {refund.type === "partial" && (
+                          <span className={styles.timelineBy}>
+                            {refund.items
+                              .map((item) => `${item.quantity}× ${item.name}`)
+                              .join(", ")}
+                          </span>
+                        )}
+                        <span className={styles.timelineReason}>{refund.reason}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function OrderDetailPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <OrderDetailContent />
+    </Suspense>
+  );
+}
+
+export default OrderDetailPage;
@@ -10,27 +10,41 @@
  * 4. Display stats cards (session orders, revenue, active, served)
  * 5. Show active orders list with action buttons
  * 6. Admin can update order status: Placed → Accepted → Preparing → Served
- * 7. Admin can cancel orders at any stage with confirmation
+ *    (orders turn Ready by themselves once every kitchen station is done)
+ * 7. Admin can cancel orders at any stage before Served, giving a reason
+ * 8. Each dish can be advanced (Queued → Cooking → Ready → Served) or
+ *    voided on its own; the order status follows its dishes
+ * 9. Each card can show its status timeline (who changed what and when)
+ * 10. Customer cancellations / edits (within their grace window) arrive
+ *     over SSE and show as dismissible notices above the stats
+ * 11. Dishes whose stock drops to their low-stock threshold show as
+ *     dismissible notices too
  * 8. Auto-refresh every 10 seconds for real-time updates
  * 
  * STATE MANAGEMENT:
  * - orders: Array of all orders for the restaurant
  * - stats: Order statistics (counts and revenue)
  * - loading: Loading state during data fetch
- * - expandedOrder: Currently expanded order (for details)
+ * - expandedOrder: Order whose status timeline is open
+ * - customerChanges: Notices for orders the customer cancelled or edited
+ * - lowStockAlerts: Notices for dishes running out of stock
  * 
  * FEATURES:
  * - Real-time order updates (polls every 10 seconds)
  * - Statistics dashboard with key metrics
  * - Order status progression (Accept → Prepare → Serve)
- * - Cancel order functionality at any stage
+ * - Cancel order functionality at any stage (reason required)
+ * - Status timeline per order from order.statusHistory
+ * - Item-level preparation status with advance / void per dish
+ * - Combos listed with their dishes underneath; the combo is voided as a whole
  * - Time ago display for order timestamps
  * - Live indicator showing real-time updates
  * 
  * ORDER STATUS FLOW:
- * Placed → Accepted → Preparing → Served
- *    ↓        ↓           ↓
+ * Placed → Accepted → Preparing → (Ready) → Served
+ *    ↓        ↓           ↓          ↓
  * Cancelled (can happen at any stage before Served)
+ * Allowed moves are declared in ORDER_TRANSITIONS (src/lib/orderStatus.js)
  * 
  * =========================================================================
  */
@@ -48,7 +62,16 @@ import {
   getRestaurantOrdersAction,
   getOrderStatsAction,
   updateOrderStatusAction,
+  updateOrderItemStatusAction,
 } from "@/src/actions/orderActions";
+import {
+  NEXT_ITEM_STATUS,
+  ITEM_STATUS_LABELS,
+  CANCEL_REASON_MAX_LENGTH,
+  getItemStatus,
+} from "@/src/lib/orderStatus";
+import { formatModifiers, getLineUnitPrice } from "@/src/lib/modifiers";
+import { isComboComponent, isComboLine } from "@/src/lib/combos";
 import styles from "./orders.module.css";
 import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
 
@@ -89,6 +112,17 @@ const formatDate = (dateStr) => {
   });
 };
 
+/**
+ * Formats a timestamp as HH:MM for the status timeline
+ * @param {string|Date} dateStr - Timestamp
+ * @returns {string} Formatted time
+ */
+const formatTime = (dateStr) =>
+  new Date(dateStr).toLocaleTimeString("en-IN", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
 // =========================================================================
 // MAIN COMPONENT
 // =========================================================================
@@ -119,9 +153,15 @@ function AdminOrdersPage() {
   /** Active tab selection (unused but kept for future tabs) */
   const [activeTab, setActiveTab] = useState("orders");
   
-  /** Currently expanded order ID */
+  /** Order ID whose status timeline is open */
   const [expandedOrder, setExpandedOrder] = useState(null);
 
+  /** Notices for customer cancellations / edits, newest first */
+  const [customerChanges, setCustomerChanges] = useState([]);
+
+  /** Notices for dishes at or below their low-stock threshold, newest first */
+  const [lowStockAlerts, setLowStockAlerts] = useState([]);
+
   // -----------------------------------------------------------------------
   // DATA FETCHING
   // -----------------------------------------------------------------------
@@ -135,8 +175,8 @@ function AdminOrdersPage() {
 
     try {
       const [ordersResult, statsResult] = await Promise.all([
-        getRestaurantOrdersAction(restaurantId),
-        getOrderStatsAction(restaurantId),
+        getRestaurantOrdersAction(),
+        getOrderStatsAction(),
       ]);
 
       if (ordersResult.success) {
@@ -203,17 +243,34 @@ function AdminOrdersPage() {
           prev.map((o) => (o.orderId === data.orderId ? data.order : o))
         );
         // Refresh stats when order status changes
-        getOrderStatsAction(restaurantId).then((result) => {
+        getOrderStatsAction().then((result) => {
           if (result.success) setStats(result.stats);
         });
       }
     });
 
+    // Handle customer cancelling or editing their order
+    // (the order itself arrives through ORDER_UPDATED)
+    const unsubOrderModified = subscribe(WS_EVENTS.ORDER_MODIFIED, (data) => {
+      if (data?.orderId) {
+        setCustomerChanges((prev) => [{ ...data, at: Date.now() }, ...prev].slice(0, 5));
+      }
+    });
+
+    // Handle a dish's stock dropping to its low-stock threshold
+    const unsubStockLow = subscribe(WS_EVENTS.STOCK_LOW, (data) => {
+      if (data?.foodId) {
+        setLowStockAlerts((prev) => [{ ...data, at: Date.now() }, ...prev].slice(0, 5));
+      }
+    });
+
     return () => {
       unsubOrderPlaced();
       unsubOrderUpdated();
+      unsubOrderModified();
+      unsubStockLow();
     };
-  }, [isConnected, subscribe, WS_EVENTS, restaurantId]);
+  }, [isConnected, subscribe, WS_EVENTS]);
 
   // -----------------------------------------------------------------------
   // EVENT HANDLERS
@@ -223,24 +280,23 @@ function AdminOrdersPage() {
    * Updates order status and refreshes statistics
    * @param {string} orderId - Order ID to update
    * @param {string} newStatus - New status to set
+   * @param {string} reason - Cancellation reason
    */
-  const handleStatusUpdate = async (orderId, newStatus) => {
+  const handleStatusUpdate = async (orderId, newStatus, reason = "") => {
     try {
-      const result = await updateOrderStatusAction(orderId, newStatus);
+      const result = await updateOrderStatusAction(orderId, newStatus, reason);
       if (result.success) {
         // Update local state immediately for responsiveness
         setOrders((prev) =>
-          prev.map((order) =>
-            order.orderId === orderId ? { ...order, status: newStatus } : order
-          )
+          prev.map((order) => (order.orderId === orderId ? result.order : order))
         );
         // Refresh stats to reflect changes
-        const statsResult = await getOrderStatsAction(restaurantId);
+        const statsResult = await getOrderStatsAction();
         if (statsResult.success) {
           setStats(statsResult.stats);
         }
       } else {
-        alert("Failed to update order status");
+        alert(result.error || "Failed to update order status");
       }
     } catch (error) {
       console.error("Error updating status:", error);
@@ -248,6 +304,45 @@ function AdminOrdersPage() {
     }
   };
 
+  /**
+   * Asks for a cancellation reason and cancels the order
+   * @param {string} orderId - Order ID to cancel
+   */
+  const handleCancelOrder = (orderId) => {
+    const reason = prompt("Reason for cancelling this order?");
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert("Please give a reason for cancelling");
+      return;
+    }
+    if (reason.trim().length > CANCEL_REASON_MAX_LENGTH) {
+      alert(`Reason cannot exceed ${CANCEL_REASON_MAX_LENGTH} characters`);
+      return;
+    }
+    handleStatusUpdate(orderId, "Cancelled", reason.trim());
+  };
+
+  /**
+   * Moves one dish to a new status; the order status is re-derived on the server
+   * @param {string} orderId - Order ID
+   * @param {Object} item - Order line
+   * @param {string} newStatus - New line status
+   */
+  const handleItemStatusUpdate = async (orderId, item, newStatus) => {
+    if (newStatus === "voided" && !confirm(`Void ${item.name}? It will be removed from the bill.`)) {
+      return;
+    }
+
+    const result = await updateOrderItemStatusAction(orderId, item._id, newStatus);
+    if (result.success) {
+      setOrders((prev) =>
+        prev.map((order) => (order.orderId === orderId ? result.order : order))
+      );
+    } else {
+      alert(result.error || "Failed to update item status");
+    }
+  };
+
   // -----------------------------------------------------------------------
   // COMPUTED VALUES
   // -----------------------------------------------------------------------
@@ -305,6 +400,52 @@ function AdminOrdersPage() {
       <div className={styles.ordersArea}>
         <div className="container">
 
+          {/* Customer Change Notices */}
+          {customerChanges.map((notice) => (
+            <div
+              key={`${notice.orderId}-${notice.at}`}
+              className={`${styles.changeNotice} ${
+                notice.change === "cancelled" ? styles.changeCancelled : ""
+              }`}
+            >
+              <i className={`fa ${notice.change === "cancelled" ? "fa-ban" : "fa-pencil"}`} />
+              <span>
+                <strong>
+                  Table {notice.tableNumber} {notice.change} order #{notice.orderId}
+                </strong>
+                {notice.summary && ` — ${notice.summary}`}
+              </span>
+              <button
+                className={styles.changeDismiss}
+                onClick={() =>
+                  setCustomerChanges((prev) => prev.filter((n) => n !== notice))
+                }
+              >
+                <i className="fa fa-times" />
+              </button>
+            </div>
+          ))}
+
+          {/* Low-Stock Notices */}
+          {lowStockAlerts.map((alert) => (
+            <div
+              key={`${alert.foodId}-${alert.at}`}
+              className={`${styles.changeNotice} ${alert.stock === 0 ? styles.changeCancelled : ""}`}
+            >
+              <i className="fa fa-cubes" />
+              <span>
+                <strong>Low stock: {alert.name}</strong>
+                {alert.stock === 0 ? " — sold out, switched off" : ` — ${alert.stock} left`}
+              </span>
+              <button
+                className={styles.changeDismiss}
+                onClick={() => setLowStockAlerts((prev) => prev.filter((a) => a !== alert))}
+              >
+                <i className="fa fa-times" />
+              </button>
+            </div>
+          ))}
+
           {/* Stats Cards */}
           <div className={styles.statsGrid}>
             <div className={styles.statCard}>
@@ -405,31 +546,119 @@ function AdminOrdersPage() {
                       <span className={styles.customerPhone}>{order.customerPhone}</span>
                     </div>
 
+                    {/* Order Note */}
+                    {order.instructions && (
+                      <div className={styles.orderInstructions}>📝 {order.instructions}</div>
+                    )}
+
                     {/* Order Items */}
                     <div className={styles.orderItems}>
-                      {order.items.map((item, idx) => (
-                        <div key={idx} className={styles.orderItem}>
-                          <div className={styles.itemLeft}>
-                            <span
-                              className={`${styles.foodDot} ${
-                                item.foodType === "Veg"
-                                  ? styles.vegDot
-                                  : item.foodType === "Non-Veg"
-                                  ? styles.nonVegDot
-                                  : styles.eggDot
-                              }`}
-                            />
-                            <span className={styles.itemQty}>{item.quantity}×</span>
-                            <span className={styles.itemName}>{item.name}</span>
-                            <span className={styles.itemVariant}>({item.variant.label})</span>
+                      {order.items.map((item, idx) => {
+                        const itemStatus = getItemStatus(item);
+                        // A combo follows its dishes, which are voided with it
+                        const isCombo = isComboLine(item);
+                        const inCombo = isComboComponent(item);
+                        const nextItemStatus = isCombo ? null : NEXT_ITEM_STATUS[itemStatus];
+                        return (
+                          <div
+                            key={item._id || idx}
+                            className={`${styles.orderItem} ${itemStatus === "voided" ? styles.voidedItem : ""} ${
+                              inCombo ? styles.comboComponent : ""
+                            }`}
+                          >
+                            <div className={styles.itemLeft}>
+                              <span
+                                className={`${styles.foodDot} ${
+                                  item.foodType === "Veg"
+                                    ? styles.vegDot
+                                    : item.foodType === "Non-Veg"
+                                    ? styles.nonVegDot
+                                    : styles.eggDot
+                                }`}
+                              />
+                              <span className={styles.itemQty}>{item.quantity}×</span>
+                              <span className={styles.itemName}>{item.name}</span>
+                              <span className={styles.itemVariant}>
+                                ({inCombo ? `${item.comboSlot} · ${item.variant.label}` : item.variant.label})
+                              </span>
+                              {item.modifiers?.length > 0 && (
+                                <span className={styles.itemAddOns}>+ {formatModifiers(item)}</span>
+                              )}
+                              {item.instructions && (
+                                <span className={styles.itemInstructions}>📝 {item.instructions}</span>
+                              )}
+                              {item.stationName && (
+                                <span className={styles.itemStation}>{item.stationName}</span>
+                              )}
+                            </div>
+                            <div className={styles.itemRight}>
+                              <span className={`${styles.itemStatus} ${styles[`item_${itemStatus}`]}`}>
+                                {ITEM_STATUS_LABELS[itemStatus]}
+                              </span>
+                              {item._id && nextItemStatus && (
+                                <button
+                                  className={styles.itemAdvanceBtn}
+                                  title={`Mark ${ITEM_STATUS_LABELS[nextItemStatus]}`}
+                                  onClick={() => handleItemStatusUpdate(order.orderId, item, nextItemStatus)}
+                                >
+                                  {ITEM_STATUS_LABELS[nextItemStatus]} →
+                                </button>
+                              )}
+                              {item._id && !inCombo && itemStatus !== "served" && itemStatus !== "voided" && (
+                                <button
+                                  className={styles.itemVoidBtn}
+                                  title={isCombo ? "Void combo" : "Void item"}
+                                  onClick={() => handleItemStatusUpdate(order.orderId, item, "voided")}
+                                >
+                                  <i className="fa fa-times" />
+                                </button>
+                              )}
+                              {!inCombo && (
+                                <span className={styles.itemPrice}>
+                                  ₹{getLineUnitPrice(item) * item.quantity}
+                                </span>
+                              )}
+                            </div>
                           </div>
-                          <span className={styles.itemPrice}>
-                            ₹{item.variant.price * item.quantity}
-                          </span>
-                        </div>
-                      ))}
+                        );
+                      })}
                     </div>
 
+                    {/* Status Timeline */}
+                    {order.statusHistory?.length > 0 && (
+                      <div className={styles.timeline}>
+                        <button
+                          className={styles.timelineToggle}
+                          onClick={() =>
+                            setExpandedOrder(expandedOrder === order.orderId ? null : order.orderId)
+                          }
+                        >
+                          <i className="fa fa-history" />
+                          {expandedOrder === order.orderId ? "Hide timeline" : "Show timeline"}
+                        </button>
+                        {expandedOrder === order.orderId && (
+                          <ul className={styles.timelineList}>
+                            {order.statusHistory.map((entry, idx) => (
+                              <li key={idx} className={styles.timelineEntry}>
+                                <span className={styles.timelineTime}>{formatTime(entry.at)}</span>
+                                <span className={styles.timelineStatus}>
+                                  {entry.from && entry.from !== entry.to
+                                    ? `${entry.from} → ${entry.to}`
+                                    : entry.to}
+                                </span>
+                                <span className={styles.timelineBy}>
+                                  {entry.by?.role === "customer" ? "Customer" : entry.by?.name || entry.by?.role}
+                                </span>
+                                {entry.reason && (
+                                  <span className={styles.timelineReason}>{entry.reason}</span>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    )}
+
                     {/* Order Total */}
                     <div className={styles.orderTotal}>
                       <span>Total</span>
@@ -448,11 +677,7 @@ function AdminOrdersPage() {
                           </button>
                           <button
                             className={styles.rejectBtn}
-                            onClick={() => {
-                              if (confirm("Are you sure you want to cancel this order?")) {
-                                handleStatusUpdate(order.orderId, "Cancelled");
-                              }
-                            }}
+                            onClick={() => handleCancelOrder(order.orderId)}
                           >
                             <i className="fa fa-times" />
                           </button>
@@ -468,17 +693,13 @@ function AdminOrdersPage() {
                           </button>
                           <button
                             className={styles.cancelBtn}
-                            onClick={() => {
-                              if (confirm("Are you sure you want to cancel this order?")) {
-                                handleStatusUpdate(order.orderId, "Cancelled");
-                              }
-                            }}
+                            onClick={() => handleCancelOrder(order.orderId)}
                           >
                             Cancel
                           </button>
                         </>
                       )}
-                      {order.status === "Preparing" && (
+                      {(order.status === "Preparing" || order.status === "Ready") && (
                         <>
                           <button
                             className={styles.serveBtn}
@@ -488,11 +709,7 @@ function AdminOrdersPage() {
                           </button>
                           <button
                             className={styles.cancelBtn}
-                            onClick={() => {
-                              if (confirm("Are you sure you want to cancel this order?")) {
-                                handleStatusUpdate(order.orderId, "Cancelled");
-                              }
-                            }}
+                            onClick={() => handleCancelOrder(order.orderId)}
                           >
                             Cancel
                           </button>
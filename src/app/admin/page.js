@@ -47,7 +47,7 @@ export default function AdminDashboard() {
       setLoading(true);
       try {
         // Fetch order stats
-        const statsResult = await getDashboardStatsAction(restaurantId);
+        const statsResult = await getDashboardStatsAction();
         if (statsResult.success) {
           setStats(statsResult.data);
         }
@@ -375,6 +375,15 @@ export default function AdminDashboard() {
                             {stats?.statusBreakdown?.preparing || 0}
                           </span>
                         </div>
+                        <div className={styles.statusItem}>
+                          <span className={styles.statusLabel}>
+                            <span className={`${styles.statusDot} ${styles.ready}`}></span>
+                            Ready
+                          </span>
+                          <span className={styles.statusValue}>
+                            {stats?.statusBreakdown?.ready || 0}
+                          </span>
+                        </div>
                         <div className={styles.statusItem}>
                           <span className={styles.statusLabel}>
                             <span className={`${styles.statusDot} ${styles.served}`}></span>
@@ -0,0 +1,128 @@
+// Add Printer Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { addPrinterAction, getPrintersAction } from "@/src/actions/printerActions";
+import PrinterForm from "@/src/_components/adminComponents/PrinterForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function Page() {
+  const router = useRouter();
+  const [stations, setStations] = useState([]);
+  const [menuCategories, setMenuCategories] = useState([]);
+  const [showSuccessModal, setShowSuccessModal] = useState(false);
+  // Bumped to remount (and so reset) the form for "Add Another"
+  const [formKey, setFormKey] = useState(0);
+
+  // Stations and menu categories a printer can be given
+  useEffect(() => {
+    const loadOptions = async () => {
+      const result = await getPrintersAction();
+      if (result.success) {
+        setStations(result.stations);
+        setMenuCategories(result.categories);
+      }
+    };
+
+    loadOptions();
+  }, []);
+
+  const handleSubmit = async (printerData) => {
+    const result = await addPrinterAction(null, printerData);
+    if (result.success) {
+      setShowSuccessModal(true);
+    }
+    return result;
+  };
+
+  const handleAddAnother = () => {
+    setShowSuccessModal(false);
+    setFormKey((key) => key + 1);
+  };
+
+  const handleGoToPrinters = () => {
+    setShowSuccessModal(false);
+    router.push("/admin/printers");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-print" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Add Kitchen Printer</h2>
+                <p>A network thermal printer that prints order tickets</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/printers")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Printers
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            <PrinterForm
+              key={formKey}
+              stations={stations}
+              menuCategories={menuCategories}
+              submitLabel="Add Printer"
+              submittingLabel="Adding..."
+              onSubmit={handleSubmit}
+              onCancel={() => router.push("/admin/printers")}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessModal && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modalContent}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Printer Added Successfully!</h3>
+            <p className={styles.modalText}>
+              Send it a test print from the printers page to check it is reachable.
+            </p>
+            <div className={styles.modalActions}>
+              <button onClick={handleAddAnother} className={styles.modalPrimaryBtn}>
+                Add Another Printer
+              </button>
+              <button onClick={handleGoToPrinters} className={styles.modalSecondaryBtn}>
+                Go to Printers
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default Page;
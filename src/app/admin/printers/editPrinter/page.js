@@ -0,0 +1,151 @@
+// Edit Printer Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import {
+  getPrinterByIdAction,
+  getPrintersAction,
+  updatePrinterAction,
+} from "@/src/actions/printerActions";
+import PrinterForm from "@/src/_components/adminComponents/PrinterForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function EditPrinterContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const printerId = searchParams.get("id");
+
+  const [printer, setPrinter] = useState(null);
+  const [stations, setStations] = useState([]);
+  const [menuCategories, setMenuCategories] = useState([]);
+  const [error, setError] = useState("");
+  const [showSuccessPopup, setShowSuccessPopup] = useState(false);
+
+  // Load printer, stations and menu categories from the server
+  useEffect(() => {
+    if (!printerId) return;
+
+    const loadPrinter = async () => {
+      const [result, printersResult] = await Promise.all([
+        getPrinterByIdAction(printerId),
+        getPrintersAction(),
+      ]);
+      if (printersResult.success) {
+        setStations(printersResult.stations);
+        setMenuCategories(printersResult.categories);
+      }
+      if (result.success) {
+        setPrinter(result.data);
+      } else {
+        setError("Printer not found.");
+      }
+    };
+
+    loadPrinter();
+  }, [printerId]);
+
+  const handleSubmit = async (printerData) => {
+    const result = await updatePrinterAction(null, { ...printerData, _id: printerId });
+    if (result.success) {
+      setShowSuccessPopup(true);
+    }
+    return result;
+  };
+
+  const handleSuccessClose = () => {
+    setShowSuccessPopup(false);
+    router.push("/admin/printers");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-print" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Edit Kitchen Printer</h2>
+                <p>Tickets waiting to retry go to the new address</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/printers")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Printers
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            {error && (
+              <div className={styles.errorMessage}>
+                <span>❌</span> {error}
+              </div>
+            )}
+
+            {printer && (
+              <PrinterForm
+                initialPrinter={printer}
+                stations={stations}
+                menuCategories={menuCategories}
+                submitLabel="Update Printer"
+                submittingLabel="Updating..."
+                onSubmit={handleSubmit}
+                onCancel={() => router.push("/admin/printers")}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessPopup && (
+        <div className={styles.modalOverlay} onClick={handleSuccessClose}>
+          <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Update Successful!</h3>
+            <p className={styles.modalText}>Your printer has been updated successfully.</p>
+            <div className={styles.modalActions}>
+              <button onClick={handleSuccessClose} className={styles.modalPrimaryBtn}>
+                Go to Printers
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function EditPrinterPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <EditPrinterContent />
+    </Suspense>
+  );
+}
+
+export default EditPrinterPage;
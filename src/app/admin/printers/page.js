@@ -0,0 +1,352 @@
+/**
+ * =========================================================================
+ * ADMIN PRINTERS PAGE - Kitchen Printers & Print Jobs
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, fetch the restaurant's kitchen printers and latest print jobs
+ * 2. Display printers with their address, paper, categories and status
+ * 3. Admin can send a test print, edit or delete a printer
+ * 4. Every new order queues one kitchen order ticket (KOT) per printer
+ *    with that printer's dishes; the jobs list shows how each one went
+ * 5. Failed jobs can be retried; order tickets can be reprinted
+ *
+ * STATE MANAGEMENT:
+ * - printers: Printers from database
+ * - stationNames: Kitchen station names keyed by _id
+ * - jobs: Latest print jobs, newest first
+ * - loading: Loading state during data fetch
+ *
+ * FEATURES:
+ * - Printers are reached over raw TCP (ESC/POS, usually port 9100)
+ * - Unreachable printers are retried automatically a few times before
+ *   the job is marked failed
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import {
+  getPrintersAction,
+  getPrintJobsAction,
+  deletePrinterAction,
+  testPrinterAction,
+  retryPrintJobAction,
+  reprintOrderAction,
+} from "@/src/actions/printerActions";
+import styles from "./printers.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+const JOB_BADGES = {
+  queued: { label: "Waiting", className: "queuedBadge" },
+  printing: { label: "Printing", className: "printingBadge" },
+  printed: { label: "Printed", className: "printedBadge" },
+  failed: { label: "Failed", className: "failedBadge" },
+};
+
+const JOB_KINDS = {
+  kot: "KOT",
+  reprint: "Reprint",
+  test: "Test print",
+};
+
+/**
+ * Formats a timestamp as "DD Mon, HH:MM"
+ * @param {string} dateStr - Timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatDateTime = (dateStr) =>
+  new Date(dateStr).toLocaleString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function AdminPrintersPage() {
+  const router = useRouter();
+
+  const [printers, setPrinters] = useState([]);
+  const [stationNames, setStationNames] = useState({});
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  const fetchJobs = useCallback(async () => {
+    const result = await getPrintJobsAction();
+    if (result.success) {
+      setJobs(result.data);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchPrinters = async () => {
+      const [result] = await Promise.all([getPrintersAction(), fetchJobs()]);
+      if (result.success) {
+        setPrinters(result.data);
+        setStationNames(Object.fromEntries(result.stations.map((s) => [s._id, s.name])));
+      }
+      setLoading(false);
+    };
+
+    fetchPrinters();
+  }, [fetchJobs]);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const handleDelete = async (printer) => {
+    if (!confirm(`Delete printer ${printer.name}? Its waiting tickets will not print.`)) return;
+
+    const result = await deletePrinterAction(printer._id);
+    if (result.success) {
+      setPrinters((prev) => prev.filter((p) => p._id !== printer._id));
+      fetchJobs();
+    } else {
+      alert("Failed to delete printer");
+    }
+  };
+
+  const handleTest = async (printer) => {
+    const result = await testPrinterAction(printer._id);
+    if (!result.success) {
+      alert("Failed to send a test print");
+    }
+    fetchJobs();
+  };
+
+  const handleRetry = async (job) => {
+    const result = await retryPrintJobAction(job._id);
+    if (!result.success) {
+      alert("This job can no longer be retried");
+    }
+    fetchJobs();
+  };
+
+  const handleReprint = async (job) => {
+    const result = await reprintOrderAction(job.orderId, job.printer);
+    if (!result.success) {
+      alert(result.error === "NOT_FOUND" ? "Order not found" : result.error);
+    }
+    fetchJobs();
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.printersArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-print" /> Kitchen Printers
+            </h2>
+            <div className={styles.headerActions}>
+              <button
+                className={styles.linkBtn}
+                onClick={() => router.push("/admin/stations")}
+              >
+                <i className="fa fa-fire" /> Kitchen Stations
+              </button>
+              <button
+                className={styles.addBtn}
+                onClick={() => router.push("/admin/printers/addPrinter")}
+              >
+                <i className="fa fa-plus" /> Add Printer
+              </button>
+            </div>
+          </div>
+
+          {/* Printers List */}
+          <div className={styles.printersSection}>
+            <div className={styles.sectionHeader}>
+              <h3>All Printers</h3>
+              <span className={styles.count}>{printers.length} printers</span>
+            </div>
+
+            {loading ? (
+              <div className={styles.loading}>Loading printers...</div>
+            ) : printers.length === 0 ? (
+              <div className={styles.empty}>
+                <i className="fa fa-print" />
+                <p>No printers yet</p>
+                <span>Orders print in the kitchen once a printer is added here.</span>
+              </div>
+            ) : (
+              <div className={styles.printersTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Printer</th>
+                      <th>Address</th>
+                      <th>Paper</th>
+                      <th>Prints</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {printers.map((printer) => (
+                      <tr key={printer._id}>
+                        <td>
+                          <span className={styles.printerName}>{printer.name}</span>
+                        </td>
+                        <td className={styles.mono}>
+                          {printer.host}:{printer.port}
+                        </td>
+                        <td>{printer.paperWidth}</td>
+                        <td className={styles.muted}>
+                          {printer.stationId
+                            ? `${stationNames[printer.stationId] || "—"} station`
+                            : printer.categories.length
+                              ? printer.categories.join(", ")
+                              : "Everything else"}
+                        </td>
+                        <td>
+                          <span
+                            className={`${styles.statusBadge} ${
+                              printer.isActive ? styles.printedBadge : styles.offBadge
+                            }`}
+                          >
+                            {printer.isActive ? "On" : "Off"}
+                          </span>
+                        </td>
+                        <td>
+                          <div className={styles.actions}>
+                            <button className={styles.testBtn} onClick={() => handleTest(printer)}>
+                              Test
+                            </button>
+                            <button
+                              className={styles.editBtn}
+                              onClick={() =>
+                                router.push(`/admin/printers/editPrinter?id=${printer._id}`)
+                              }
+                            >
+                              Edit
+                            </button>
+                            <button
+                              className={styles.deleteBtn}
+                              onClick={() => handleDelete(printer)}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Print Jobs */}
+          <div className={styles.printersSection}>
+            <div className={styles.sectionHeader}>
+              <h3>Recent Print Jobs</h3>
+              <button className={styles.testBtn} onClick={fetchJobs}>
+                <i className="fa fa-refresh" /> Refresh
+              </button>
+            </div>
+
+            {jobs.length === 0 ? (
+              <div className={styles.empty}>
+                <p>Nothing printed yet</p>
+              </div>
+            ) : (
+              <div className={styles.printersTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Ticket</th>
+                      <th>Printer</th>
+                      <th>Status</th>
+                      <th>Tries</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {jobs.map((job) => {
+                      const badge = JOB_BADGES[job.status] || JOB_BADGES.queued;
+                      return (
+                        <tr key={job._id}>
+                          <td className={styles.muted}>{formatDateTime(job.createdAt)}</td>
+                          <td>
+                            {JOB_KINDS[job.kind]}
+                            {job.orderId && (
+                              <span className={styles.orderId}> #{job.orderId}</span>
+                            )}
+                          </td>
+                          <td>{job.printerName}</td>
+                          <td>
+                            <span className={`${styles.statusBadge} ${styles[badge.className]}`}>
+                              {badge.label}
+                            </span>
+                            {job.lastError && job.status !== "printed" && (
+                              <div className={styles.jobError}>{job.lastError}</div>
+                            )}
+                          </td>
+                          <td>{job.attempts}</td>
+                          <td>
+                            <div className={styles.actions}>
+                              {job.status === "failed" && (
+                                <button
+                                  className={styles.editBtn}
+                                  onClick={() => handleRetry(job)}
+                                >
+                                  Retry
+                                </button>
+                              )}
+                              {job.orderId && (
+                                <button
+                                  className={styles.testBtn}
+                                  onClick={() => handleReprint(job)}
+                                >
+                                  Reprint
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default AdminPrintersPage;
@@ -1,11 +1,870 @@
-import React from 'react'
+/**
+ * =========================================================================
+ * ADMIN SETTINGS PAGE - Billing, Invoices, Special Instructions & Menu Schedules
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, load the restaurant's billing settings
+ * 2. Admin edits taxes, tax-inclusive pricing, service charge,
+ *    packaging / delivery fees and the rounding rule
+ * 3. A sample bill previews the settings with the shared billing module
+ * 4. "Save Settings" validates and stores them on the restaurant record;
+ *    the cart, placeOrderAction and order invoices use them from then on
+ * 5. "Invoice Details" holds the legal name, address and GSTIN printed on
+ *    tax invoices, and the prefix of their invoice numbers
+ * 6. "Special Instructions" sets the quick-pick notes ("No onion") the
+ *    menu offers for each category
+ * 7. "Menu Schedules" sets the restaurant's timezone, when each category
+ *    is served (e.g. Breakfast 07:00 - 11:00) and holidays that close the
+ *    menu or follow another weekday's schedules
+ *
+ * STATE MANAGEMENT:
+ * - settings: Billing settings being edited
+ * - fieldErrors: Validation errors from the server, keyed by field
+ * - loading / saving: Fetch and save states
+ * - invoiceSettings / invoiceErrors / invoiceStatus: The invoice form
+ * - chipInputs / chipStatus: Comma-separated chips per category
+ * - availability / availabilityErrors / availabilityStatus: The schedules form,
+ *   one schedule per category
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, useMemo } from "react";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import {
+  getAdminBillingSettingsAction,
+  updateBillingSettingsAction,
+  getInvoiceSettingsAction,
+  updateInvoiceSettingsAction,
+  getAdminInstructionChipsAction,
+  updateInstructionChipsAction,
+  getAdminAvailabilitySettingsAction,
+  updateAvailabilitySettingsAction,
+} from "@/src/actions/settingsActions";
+import { calculateBill, formatAmount } from "@/src/lib/billing";
+import { INVOICE_PREFIX_MAX_LENGTH, formatInvoiceNumber, getFinancialYear } from "@/src/lib/invoice";
+import { DEFAULT_CATEGORIES } from "@/src/lib/constants";
+import {
+  INSTRUCTION_CHIP_MAX_LENGTH,
+  INSTRUCTION_CHIPS_PER_CATEGORY,
+} from "@/src/lib/instructions";
+import { WEEKDAYS, EMPTY_SCHEDULE } from "@/src/lib/availability";
+import ScheduleEditor from "@/src/_components/adminComponents/ScheduleEditor";
+import formStyles from "../formStyles.module.css";
+import styles from "./settings.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+const ROUNDING_OPTIONS = [
+  { id: "nearest", label: "Round to nearest ₹1" },
+  { id: "up", label: "Round up to ₹1" },
+  { id: "down", label: "Round down to ₹1" },
+  { id: "none", label: "No rounding (show paise)" },
+];
+
+/** Two plates of a ₹500 dish, used for the sample bill */
+const SAMPLE_ITEMS = [{ variant: { price: 500 }, quantity: 2 }];
+
+/** Converts an input value to a number for the preview ("" counts as 0) */
+const toNumber = (value) => Number(value) || 0;
+
+/** Saved chips as one comma-separated input per category */
+const toChipInputs = (instructionChips) => {
+  const inputs = Object.fromEntries(DEFAULT_CATEGORIES.map((category) => [category, ""]));
+  instructionChips.forEach((entry) => {
+    inputs[entry.category] = entry.chips.join(", ");
+  });
+  return inputs;
+};
+
+/** Saved availability settings with a schedule for every category */
+const toAvailabilityForm = (availability) => {
+  const schedules = Object.fromEntries(
+    DEFAULT_CATEGORIES.map((category) => [category, EMPTY_SCHEDULE])
+  );
+  availability.categorySchedules.forEach(({ category, days, windows }) => {
+    schedules[category] = { days, windows };
+  });
+  return { timezone: availability.timezone, schedules, holidays: availability.holidays };
+};
+
+const EMPTY_HOLIDAY = { date: "", name: "", closed: true, actsAsDay: 0 };
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function SettingsPage() {
+  const [settings, setSettings] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [invoiceSettings, setInvoiceSettings] = useState(null);
+  const [invoiceErrors, setInvoiceErrors] = useState({});
+  const [invoiceStatus, setInvoiceStatus] = useState(null);
+  const [savingInvoice, setSavingInvoice] = useState(false);
+  const [chipInputs, setChipInputs] = useState(null);
+  const [chipStatus, setChipStatus] = useState(null);
+  const [savingChips, setSavingChips] = useState(false);
+  const [availability, setAvailability] = useState(null);
+  const [availabilityErrors, setAvailabilityErrors] = useState({});
+  const [availabilityStatus, setAvailabilityStatus] = useState(null);
+  const [savingAvailability, setSavingAvailability] = useState(false);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      const result = await getAdminBillingSettingsAction();
+      if (result.success) {
+        setSettings({
+          ...result.data,
+          freeDeliveryAbove: result.data.freeDeliveryAbove ?? "",
+        });
+      } else {
+        setError("Failed to load settings. Please refresh the page.");
+      }
+    };
+
+    const loadInvoiceSettings = async () => {
+      const result = await getInvoiceSettingsAction();
+      if (result.success) {
+        setInvoiceSettings(result.data);
+      }
+    };
+
+    const loadInstructionChips = async () => {
+      const result = await getAdminInstructionChipsAction();
+      if (result.success) {
+        setChipInputs(toChipInputs(result.data));
+      }
+    };
+
+    const loadAvailability = async () => {
+      const result = await getAdminAvailabilitySettingsAction();
+      if (result.success) {
+        setAvailability(toAvailabilityForm(result.data));
+      }
+    };
+
+    loadSettings();
+    loadInvoiceSettings();
+    loadInstructionChips();
+    loadAvailability();
+  }, []);
+
+  // -----------------------------------------------------------------------
+  // FORM HANDLERS
+  // -----------------------------------------------------------------------
+
+  const setField = (field, value) => {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+    setSuccess("");
+  };
+
+  const addTax = () => {
+    setField("taxes", [...settings.taxes, { name: "", rate: 0 }]);
+  };
+
+  const removeTax = (index) => {
+    setField("taxes", settings.taxes.filter((_, i) => i !== index));
+  };
+
+  const updateTax = (index, field, value) => {
+    setField(
+      "taxes",
+      settings.taxes.map((t, i) => (i === index ? { ...t, [field]: value } : t))
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+    setFieldErrors({});
+    setSaving(true);
+
+    const result = await updateBillingSettingsAction(null, settings);
+    if (result.success) {
+      setSettings({
+        ...result.data,
+        freeDeliveryAbove: result.data.freeDeliveryAbove ?? "",
+      });
+      setSuccess("Billing settings saved. New orders will use them.");
+    } else {
+      setFieldErrors(result.errors || {});
+      setError(
+        result.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save settings. Please try again."
+      );
+    }
+    setSaving(false);
+  };
+
+  const setInvoiceField = (field, value) => {
+    setInvoiceSettings((prev) => ({ ...prev, [field]: value }));
+    setInvoiceStatus(null);
+  };
+
+  const handleInvoiceSubmit = async (e) => {
+    e.preventDefault();
+    setInvoiceErrors({});
+    setInvoiceStatus(null);
+    setSavingInvoice(true);
+
+    const result = await updateInvoiceSettingsAction(null, invoiceSettings);
+    if (result.success) {
+      setInvoiceSettings(result.data);
+      setInvoiceStatus({ ok: true, text: "Invoice details saved." });
+    } else {
+      setInvoiceErrors(result.errors || {});
+      setInvoiceStatus({
+        ok: false,
+        text: result.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save invoice details. Please try again.",
+      });
+    }
+    setSavingInvoice(false);
+  };
+
+  const setChipInput = (category, value) => {
+    setChipInputs((prev) => ({ ...prev, [category]: value }));
+    setChipStatus(null);
+  };
+
+  const handleChipsSubmit = async (e) => {
+    e.preventDefault();
+    setChipStatus(null);
+    setSavingChips(true);
+
+    const instructionChips = Object.entries(chipInputs).map(([category, value]) => ({
+      category,
+      chips: value
+        .split(",")
+        .map((chip) => chip.trim())
+        .filter(Boolean),
+    }));
+    const result = await updateInstructionChipsAction(null, { instructionChips });
+    if (result.success) {
+      setChipInputs(toChipInputs(result.data));
+      setChipStatus({ ok: true, text: "Special instructions saved." });
+    } else {
+      setChipStatus({
+        ok: false,
+        text:
+          result.errors?.instructionChips?.[0] ||
+          "Failed to save special instructions. Please try again.",
+      });
+    }
+    setSavingChips(false);
+  };
+
+  const setAvailabilityField = (field, value) => {
+    setAvailability((prev) => ({ ...prev, [field]: value }));
+    setAvailabilityStatus(null);
+  };
+
+  const updateHoliday = (index, changes) => {
+    setAvailabilityField(
+      "holidays",
+      availability.holidays.map((h, i) => (i === index ? { ...h, ...changes } : h))
+    );
+  };
+
+  const handleAvailabilitySubmit = async (e) => {
+    e.preventDefault();
+    setAvailabilityErrors({});
+    setAvailabilityStatus(null);
+    setSavingAvailability(true);
+
+    const result = await updateAvailabilitySettingsAction(null, {
+      timezone: availability.timezone,
+      categorySchedules: Object.entries(availability.schedules).map(([category, schedule]) => ({
+        category,
+        ...schedule,
+      })),
+      holidays: availability.holidays,
+    });
+    if (result.success) {
+      setAvailability(toAvailabilityForm(result.data));
+      setAvailabilityStatus({ ok: true, text: "Menu schedules saved." });
+    } else {
+      setAvailabilityErrors(result.errors || {});
+      setAvailabilityStatus({
+        ok: false,
+        text: result.errors
+          ? "Please fix the highlighted fields."
+          : "Failed to save menu schedules. Please try again.",
+      });
+    }
+    setSavingAvailability(false);
+  };
+
+  // -----------------------------------------------------------------------
+  // COMPUTED VALUES (MEMOS)
+  // -----------------------------------------------------------------------
+
+  /** Sample bill with the settings as currently entered */
+  const sampleBill = useMemo(() => {
+    if (!settings) return null;
+    return calculateBill(SAMPLE_ITEMS, null, {
+      ...settings,
+      taxes: settings.taxes.map((t) => ({ name: t.name || "Tax", rate: toNumber(t.rate) })),
+      serviceChargeRate: toNumber(settings.serviceChargeRate),
+      packagingFeePerOrder: toNumber(settings.packagingFeePerOrder),
+      packagingFeePerItem: toNumber(settings.packagingFeePerItem),
+      deliveryFee: toNumber(settings.deliveryFee),
+      freeDeliveryAbove:
+        settings.freeDeliveryAbove === "" ? null : toNumber(settings.freeDeliveryAbove),
+    });
+  }, [settings]);
+
+  const renderFieldError = (field, errors = fieldErrors) =>
+    errors[field]?.length ? (
+      <span className={styles.fieldError}>{errors[field][0]}</span>
+    ) : null;
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
 
-function page() {
   return (
-    <div>
-      
-    </div>
-  )
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={formStyles.breadcrumb}>
+        <div className="container">
+          <div className={formStyles.breadcrumbContent}>
+            <div className={formStyles.breadcrumbTitle}>
+              <div className={formStyles.breadcrumbIcon}>
+                <i className="notika-icon notika-settings" />
+              </div>
+              <div className={formStyles.breadcrumbText}>
+                <h2>Billing Settings</h2>
+                <p>Taxes and charges added to every bill</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={formStyles.pageContainer}>
+        <div className="container">
+          <div className={formStyles.formCard}>
+            {error && (
+              <div className={formStyles.errorMessage}>
+                <span>❌</span> {error}
+              </div>
+            )}
+            {success && (
+              <div className={formStyles.successMessage}>
+                <span>✓</span> {success}
+              </div>
+            )}
+
+            {!settings ? (
+              !error && <p>Loading settings...</p>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                {/* Taxes Section */}
+                <div className={formStyles.variantsSection}>
+                  <div className={formStyles.variantsHeader}>
+                    <label className={formStyles.variantsLabel}>Taxes</label>
+                    <button type="button" onClick={addTax} className={formStyles.addVariantBtn}>
+                      <span>+</span> Add Tax
+                    </button>
+                  </div>
+                  {settings.taxes.map((tax, index) => (
+                    <div key={index} className={formStyles.variantRow}>
+                      <input
+                        type="text"
+                        className={formStyles.variantInput}
+                        value={tax.name}
+                        onChange={(e) => updateTax(index, "name", e.target.value)}
+                        placeholder="Tax name (e.g., CGST)"
+                        required
+                      />
+                      <div className={formStyles.priceWrapper}>
+                        <span className={formStyles.priceSymbol}>%</span>
+                        <input
+                          type="number"
+                          className={formStyles.priceInput}
+                          value={tax.rate}
+                          onChange={(e) => updateTax(index, "rate", e.target.value)}
+                          placeholder="Rate"
+                          min="0"
+                          max="100"
+                          step="0.01"
+                          required
+                        />
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => removeTax(index)}
+                        className={formStyles.removeVariantBtn}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  {renderFieldError("taxes")}
+                </div>
+
+                {/* Tax Inclusive Toggle */}
+                <div className={formStyles.formRow}>
+                  <div className={formStyles.formGroup}>
+                    <div className={formStyles.toggleContainer}>
+                      <span className={formStyles.toggleLabel}>Menu prices include tax</span>
+                      <label className={formStyles.toggleSwitch}>
+                        <input
+                          type="checkbox"
+                          checked={settings.pricesIncludeTax}
+                          onChange={(e) => setField("pricesIncludeTax", e.target.checked)}
+                        />
+                        <span className={formStyles.toggleSlider}></span>
+                      </label>
+                      <span
+                        className={`${formStyles.toggleStatus} ${
+                          settings.pricesIncludeTax ? formStyles.active : ""
+                        }`}
+                      >
+                        {settings.pricesIncludeTax ? "Inclusive" : "Added on top"}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+
+                {/* Service Charge & Rounding Row */}
+                <div className={formStyles.formRow}>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Service Charge (%)</label>
+                    <input
+                      type="number"
+                      className={formStyles.formInput}
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={settings.serviceChargeRate}
+                      onChange={(e) => setField("serviceChargeRate", e.target.value)}
+                    />
+                    <span className={styles.hint}>Taxed like food. 0 = no service charge.</span>
+                    {renderFieldError("serviceChargeRate")}
+                  </div>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Rounding</label>
+                    <select
+                      className={formStyles.formSelect}
+                      value={settings.rounding}
+                      onChange={(e) => setField("rounding", e.target.value)}
+                    >
+                      {ROUNDING_OPTIONS.map((option) => (
+                        <option key={option.id} value={option.id}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    {renderFieldError("rounding")}
+                  </div>
+                </div>
+
+                {/* Packaging Row */}
+                <div className={formStyles.formRow}>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Packaging Fee per Order (₹)</label>
+                    <input
+                      type="number"
+                      className={formStyles.formInput}
+                      min="0"
+                      step="0.01"
+                      value={settings.packagingFeePerOrder}
+                      onChange={(e) => setField("packagingFeePerOrder", e.target.value)}
+                    />
+                    {renderFieldError("packagingFeePerOrder")}
+                  </div>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Packaging Fee per Item (₹)</label>
+                    <input
+                      type="number"
+                      className={formStyles.formInput}
+                      min="0"
+                      step="0.01"
+                      value={settings.packagingFeePerItem}
+                      onChange={(e) => setField("packagingFeePerItem", e.target.value)}
+                    />
+                    {renderFieldError("packagingFeePerItem")}
+                  </div>
+                </div>
+
+                {/* Delivery Row */}
+                <div className={formStyles.formRow}>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Delivery Fee (₹)</label>
+                    <input
+                      type="number"
+                      className={formStyles.formInput}
+                      min="0"
+                      step="0.01"
+                      value={settings.deliveryFee}
+                      onChange={(e) => setField("deliveryFee", e.target.value)}
+                    />
+                    <span className={styles.hint}>Leave at 0 for dine-in only restaurants.</span>
+                    {renderFieldError("deliveryFee")}
+                  </div>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Free Delivery Above (₹)</label>
+                    <input
+                      type="number"
+                      className={formStyles.formInput}
+                      min="0"
+                      placeholder="Never free"
+                      value={settings.freeDeliveryAbove}
+                      onChange={(e) => setField("freeDeliveryAbove", e.target.value)}
+                    />
+                    {renderFieldError("freeDeliveryAbove")}
+                  </div>
+                </div>
+
+                {/* Sample Bill */}
+                {sampleBill && (
+                  <div className={styles.previewCard}>
+                    <h4 className={styles.previewTitle}>Sample bill: 2 × ₹500</h4>
+                    <div className={styles.previewRow}>
+                      <span>Item Total</span>
+                      <span>₹{formatAmount(sampleBill.subtotal)}</span>
+                    </div>
+                    {sampleBill.serviceCharge > 0 && (
+                      <div className={styles.previewRow}>
+                        <span>Service Charge</span>
+                        <span>₹{formatAmount(sampleBill.serviceCharge)}</span>
+                      </div>
+                    )}
+                    {sampleBill.packagingFee > 0 && (
+                      <div className={styles.previewRow}>
+                        <span>Packaging</span>
+                        <span>₹{formatAmount(sampleBill.packagingFee)}</span>
+                      </div>
+                    )}
+                    {sampleBill.deliveryFee > 0 && (
+                      <div className={styles.previewRow}>
+                        <span>Delivery Fee</span>
+                        <span>₹{formatAmount(sampleBill.deliveryFee)}</span>
+                      </div>
+                    )}
+                    {sampleBill.taxes.map((t, index) => (
+                      <div key={index} className={styles.previewRow}>
+                        <span>
+                          {t.name} ({t.rate}%){sampleBill.pricesIncludeTax && " incl."}
+                        </span>
+                        <span>₹{formatAmount(t.amount)}</span>
+                      </div>
+                    ))}
+                    {sampleBill.roundOff !== 0 && (
+                      <div className={styles.previewRow}>
+                        <span>Round Off</span>
+                        <span>
+                          {sampleBill.roundOff > 0 ? "+" : "-"}₹
+                          {formatAmount(Math.abs(sampleBill.roundOff))}
+                        </span>
+                      </div>
+                    )}
+                    <div className={styles.previewTotal}>
+                      <span>To Pay</span>
+                      <span>₹{formatAmount(sampleBill.total)}</span>
+                    </div>
+                  </div>
+                )}
+
+                {/* Form Actions */}
+                <div className={formStyles.formActions}>
+                  <button type="submit" className={formStyles.submitBtn} disabled={saving}>
+                    {saving ? "Saving..." : "Save Settings"}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          {/* Invoice Details */}
+          {invoiceSettings && (
+            <div className={formStyles.formCard}>
+              <div className={formStyles.formHeader}>
+                <h2>Invoice Details</h2>
+                <p>Printed on every tax invoice and receipt</p>
+              </div>
+              {invoiceStatus && (
+                <div
+                  className={invoiceStatus.ok ? formStyles.successMessage : formStyles.errorMessage}
+                >
+                  <span>{invoiceStatus.ok ? "✓" : "❌"}</span> {invoiceStatus.text}
+                </div>
+              )}
+              <form onSubmit={handleInvoiceSubmit}>
+                <div className={formStyles.formRow}>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Legal Name</label>
+                    <input
+                      type="text"
+                      className={formStyles.formInput}
+                      value={invoiceSettings.legalName}
+                      onChange={(e) => setInvoiceField("legalName", e.target.value)}
+                      placeholder="Registered business name"
+                    />
+                    <span className={styles.hint}>Leave empty to use the restaurant name.</span>
+                    {renderFieldError("legalName", invoiceErrors)}
+                  </div>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>GSTIN</label>
+                    <input
+                      type="text"
+                      className={formStyles.formInput}
+                      value={invoiceSettings.gstin}
+                      onChange={(e) => setInvoiceField("gstin", e.target.value.toUpperCase())}
+                      placeholder="e.g. 27ABCDE1234F1Z5"
+                      maxLength={15}
+                    />
+                    {renderFieldError("gstin", invoiceErrors)}
+                  </div>
+                </div>
+
+                <div className={formStyles.formGroup}>
+                  <label className={formStyles.formLabel}>Address</label>
+                  <textarea
+                    className={formStyles.formTextarea}
+                    value={invoiceSettings.address}
+                    onChange={(e) => setInvoiceField("address", e.target.value)}
+                    placeholder="Registered address"
+                    rows={3}
+                  />
+                  {renderFieldError("address", invoiceErrors)}
+                </div>
+
+                <div className={formStyles.formRow}>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Invoice Number Prefix</label>
+                    <input
+                      type="text"
+                      className={formStyles.formInput}
+                      value={invoiceSettings.prefix}
+                      onChange={(e) => setInvoiceField("prefix", e.target.value.toUpperCase())}
+                      maxLength={INVOICE_PREFIX_MAX_LENGTH}
+                    />
+                    <span className={styles.hint}>
+                      Numbers look like{" "}
+                      {formatInvoiceNumber(invoiceSettings.prefix, getFinancialYear(), 1)} and
+                      restart every April.
+                    </span>
+                    {renderFieldError("prefix", invoiceErrors)}
+                  </div>
+                  <div className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>Footer Note</label>
+                    <input
+                      type="text"
+                      className={formStyles.formInput}
+                      value={invoiceSettings.footerNote}
+                      onChange={(e) => setInvoiceField("footerNote", e.target.value)}
+                      placeholder="Thank you! Visit again."
+                    />
+                    {renderFieldError("footerNote", invoiceErrors)}
+                  </div>
+                </div>
+
+                <div className={formStyles.formActions}>
+                  <button type="submit" className={formStyles.submitBtn} disabled={savingInvoice}>
+                    {savingInvoice ? "Saving..." : "Save Invoice Details"}
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+
+          {/* Special Instructions */}
+          {chipInputs && (
+            <div className={formStyles.formCard}>
+              <div className={formStyles.formHeader}>
+                <h2>Special Instructions</h2>
+                <p>Quick picks diners can tap when adding a dish, e.g. No onion, Less spicy</p>
+              </div>
+              {chipStatus && (
+                <div className={chipStatus.ok ? formStyles.successMessage : formStyles.errorMessage}>
+                  <span>{chipStatus.ok ? "✓" : "❌"}</span> {chipStatus.text}
+                </div>
+              )}
+              <form onSubmit={handleChipsSubmit}>
+                {Object.keys(chipInputs).map((category) => (
+                  <div key={category} className={formStyles.formGroup}>
+                    <label className={formStyles.formLabel}>{category}</label>
+                    <input
+                      type="text"
+                      className={formStyles.formInput}
+                      value={chipInputs[category]}
+                      onChange={(e) => setChipInput(category, e.target.value)}
+                      placeholder="Comma-separated, e.g. No onion, Extra spicy"
+                    />
+                  </div>
+                ))}
+                <span className={styles.hint}>
+                  Up to {INSTRUCTION_CHIPS_PER_CATEGORY} per category,{" "}
+                  {INSTRUCTION_CHIP_MAX_LENGTH} characters each.
+                </span>
+
+                <div className={formStyles.formActions}>
+                  <button type="submit" className={formStyles.submitBtn} disabled={savingChips}>
+                    {savingChips ? "Saving..." : "Save Special Instructions"}
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+
+          {/* Menu Schedules */}
+          {availability && (
+            <div className={formStyles.formCard}>
+              <div className={formStyles.formHeader}>
+                <h2>Menu Schedules</h2>
+                <p>When each category is served; dishes can narrow it further on their own page</p>
+              </div>
+              {availabilityStatus && (
+                <div
+                  className={
+                    availabilityStatus.ok ? formStyles.successMessage : formStyles.errorMessage
+                  }
+                >
+                  <span>{availabilityStatus.ok ? "✓" : "❌"}</span> {availabilityStatus.text}
+                </div>
+              )}
+              <form onSubmit={handleAvailabilitySubmit}>
+                <div className={formStyles.formGroup}>
+                  <label className={formStyles.formLabel}>Timezone</label>
+                  <input
+                    type="text"
+                    className={formStyles.formInput}
+                    value={availability.timezone}
+                    onChange={(e) => setAvailabilityField("timezone", e.target.value)}
+                    placeholder="e.g. Asia/Kolkata"
+                    required
+                  />
+                  {renderFieldError("timezone", availabilityErrors)}
+                </div>
+
+                {Object.keys(availability.schedules).map((category) => (
+                  <ScheduleEditor
+                    key={category}
+                    label={category}
+                    schedule={availability.schedules[category]}
+                    onChange={(schedule) =>
+                      setAvailabilityField("schedules", {
+                        ...availability.schedules,
+                        [category]: schedule,
+                      })
+                    }
+                  />
+                ))}
+                {renderFieldError("categorySchedules", availabilityErrors)}
+
+                {/* Holidays Section */}
+                <div className={formStyles.variantsSection}>
+                  <div className={formStyles.variantsHeader}>
+                    <label className={formStyles.variantsLabel}>Holidays</label>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setAvailabilityField("holidays", [...availability.holidays, EMPTY_HOLIDAY])
+                      }
+                      className={formStyles.addVariantBtn}
+                    >
+                      <span>+</span> Add Holiday
+                    </button>
+                  </div>
+                  {availability.holidays.map((holiday, index) => (
+                    <div key={index} className={formStyles.variantRow}>
+                      <input
+                        type="date"
+                        className={formStyles.timeInput}
+                        value={holiday.date}
+                        onChange={(e) => updateHoliday(index, { date: e.target.value })}
+                        required
+                      />
+                      <input
+                        type="text"
+                        className={formStyles.variantInput}
+                        value={holiday.name}
+                        onChange={(e) => updateHoliday(index, { name: e.target.value })}
+                        placeholder="Name (e.g., Diwali)"
+                      />
+                      <select
+                        className={formStyles.timeInput}
+                        value={holiday.closed ? "closed" : holiday.actsAsDay}
+                        onChange={(e) =>
+                          updateHoliday(
+                            index,
+                            e.target.value === "closed"
+                              ? { closed: true }
+                              : { closed: false, actsAsDay: Number(e.target.value) }
+                          )
+                        }
+                      >
+                        <option value="closed">Closed</option>
+                        {WEEKDAYS.map((name, day) => (
+                          <option key={name} value={day}>
+                            Open, {name} schedules
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setAvailabilityField(
+                            "holidays",
+                            availability.holidays.filter((_, i) => i !== index)
+                          )
+                        }
+                        className={formStyles.removeVariantBtn}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  {availability.holidays.length === 0 && (
+                    <small>No holidays. Closed days show diners when the menu reopens.</small>
+                  )}
+                  {renderFieldError("holidays", availabilityErrors)}
+                </div>
+
+                <div className={formStyles.formActions}>
+                  <button
+                    type="submit"
+                    className={formStyles.submitBtn}
+                    disabled={savingAvailability}
+                  >
+                    {savingAvailability ? "Saving..." : "Save Menu Schedules"}
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
 }
 
-export default page
+export default SettingsPage;
@@ -0,0 +1,132 @@
+// Add Station Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { addStationAction, getStationsAction } from "@/src/actions/stationActions";
+import StationForm from "@/src/_components/adminComponents/StationForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function Page() {
+  const router = useRouter();
+  const [stations, setStations] = useState([]);
+  const [menuCategories, setMenuCategories] = useState([]);
+  const [foods, setFoods] = useState([]);
+  const [showSuccessModal, setShowSuccessModal] = useState(false);
+  // Bumped to remount (and so reset) the form for "Add Another"
+  const [formKey, setFormKey] = useState(0);
+
+  // Existing stations and the menu a station can be given, reloaded for
+  // each new form since the last station now owns its picks
+  useEffect(() => {
+    const loadOptions = async () => {
+      const result = await getStationsAction();
+      if (result.success) {
+        setStations(result.data);
+        setMenuCategories(result.categories);
+        setFoods(result.foods);
+      }
+    };
+
+    loadOptions();
+  }, [formKey]);
+
+  const handleSubmit = async (stationData) => {
+    const result = await addStationAction(null, stationData);
+    if (result.success) {
+      setShowSuccessModal(true);
+    }
+    return result;
+  };
+
+  const handleAddAnother = () => {
+    setShowSuccessModal(false);
+    setFormKey((key) => key + 1);
+  };
+
+  const handleGoToStations = () => {
+    setShowSuccessModal(false);
+    router.push("/admin/stations");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-alarm" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Add Kitchen Station</h2>
+                <p>A section of the kitchen with its own screen, such as the tandoor or bar</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/stations")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Stations
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            <StationForm
+              key={formKey}
+              otherStations={stations}
+              menuCategories={menuCategories}
+              foods={foods}
+              submitLabel="Add Station"
+              submittingLabel="Adding..."
+              onSubmit={handleSubmit}
+              onCancel={() => router.push("/admin/stations")}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessModal && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modalContent}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Station Added Successfully!</h3>
+            <p className={styles.modalText}>
+              Dishes in new orders now go to this station&apos;s kitchen screen.
+            </p>
+            <div className={styles.modalActions}>
+              <button onClick={handleAddAnother} className={styles.modalPrimaryBtn}>
+                Add Another Station
+              </button>
+              <button onClick={handleGoToStations} className={styles.modalSecondaryBtn}>
+                Go to Stations
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default Page;
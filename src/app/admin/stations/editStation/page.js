@@ -0,0 +1,154 @@
+// Edit Station Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import {
+  getStationByIdAction,
+  getStationsAction,
+  updateStationAction,
+} from "@/src/actions/stationActions";
+import StationForm from "@/src/_components/adminComponents/StationForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function EditStationContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const stationId = searchParams.get("id");
+
+  const [station, setStation] = useState(null);
+  const [otherStations, setOtherStations] = useState([]);
+  const [menuCategories, setMenuCategories] = useState([]);
+  const [foods, setFoods] = useState([]);
+  const [error, setError] = useState("");
+  const [showSuccessPopup, setShowSuccessPopup] = useState(false);
+
+  // Load station, the other stations and the menu from the server
+  useEffect(() => {
+    if (!stationId) return;
+
+    const loadStation = async () => {
+      const [result, stationsResult] = await Promise.all([
+        getStationByIdAction(stationId),
+        getStationsAction(),
+      ]);
+      if (stationsResult.success) {
+        setOtherStations(stationsResult.data.filter((s) => s._id !== stationId));
+        setMenuCategories(stationsResult.categories);
+        setFoods(stationsResult.foods);
+      }
+      if (result.success) {
+        setStation(result.data);
+      } else {
+        setError("Station not found.");
+      }
+    };
+
+    loadStation();
+  }, [stationId]);
+
+  const handleSubmit = async (stationData) => {
+    const result = await updateStationAction(null, { ...stationData, _id: stationId });
+    if (result.success) {
+      setShowSuccessPopup(true);
+    }
+    return result;
+  };
+
+  const handleSuccessClose = () => {
+    setShowSuccessPopup(false);
+    router.push("/admin/stations");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-alarm" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Edit Kitchen Station</h2>
+                <p>Orders already in the kitchen keep their stations</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/stations")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Stations
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            {error && (
+              <div className={styles.errorMessage}>
+                <span>❌</span> {error}
+              </div>
+            )}
+
+            {station && (
+              <StationForm
+                initialStation={station}
+                otherStations={otherStations}
+                menuCategories={menuCategories}
+                foods={foods}
+                submitLabel="Update Station"
+                submittingLabel="Updating..."
+                onSubmit={handleSubmit}
+                onCancel={() => router.push("/admin/stations")}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessPopup && (
+        <div className={styles.modalOverlay} onClick={handleSuccessClose}>
+          <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Update Successful!</h3>
+            <p className={styles.modalText}>Your station has been updated successfully.</p>
+            <div className={styles.modalActions}>
+              <button onClick={handleSuccessClose} className={styles.modalPrimaryBtn}>
+                Go to Stations
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function EditStationPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <EditStationContent />
+    </Suspense>
+  );
+}
+
+export default EditStationPage;
@@ -0,0 +1,193 @@
+/**
+ * =========================================================================
+ * ADMIN STATIONS PAGE - Kitchen Stations
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, fetch the restaurant's kitchen stations and menu items
+ * 2. Display each station with the categories and dishes it cooks
+ * 3. Admin can open a station's kitchen screen, edit or delete a station
+ * 4. New order lines go to their dish's station; its cooks see and bump
+ *    only those lines, and the order turns Ready once every station is done
+ *
+ * STATE MANAGEMENT:
+ * - stations: Stations from database
+ * - foodNames: Menu item names keyed by _id
+ * - loading: Loading state during data fetch
+ *
+ * FEATURES:
+ * - A dish picked by name beats its category's station
+ * - Dishes no station takes only show on the "All stations" screen
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import { getStationsAction, deleteStationAction } from "@/src/actions/stationActions";
+import styles from "./stations.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function AdminStationsPage() {
+  const router = useRouter();
+
+  const [stations, setStations] = useState([]);
+  const [foodNames, setFoodNames] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    const fetchStations = async () => {
+      const result = await getStationsAction();
+      if (result.success) {
+        setStations(result.data);
+        setFoodNames(Object.fromEntries(result.foods.map((food) => [food._id, food.name])));
+      }
+      setLoading(false);
+    };
+
+    fetchStations();
+  }, []);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const handleDelete = async (station) => {
+    if (!confirm(`Delete station ${station.name}? Its printers go back to printing by category.`)) {
+      return;
+    }
+
+    const result = await deleteStationAction(station._id);
+    if (result.success) {
+      setStations((prev) => prev.filter((s) => s._id !== station._id));
+    } else {
+      alert("Failed to delete station");
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.stationsArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-fire" /> Kitchen Stations
+            </h2>
+            <div className={styles.headerActions}>
+              <button
+                className={styles.linkBtn}
+                onClick={() => router.push("/admin/printers")}
+              >
+                <i className="fa fa-print" /> Printers
+              </button>
+              <button
+                className={styles.addBtn}
+                onClick={() => router.push("/admin/stations/addStation")}
+              >
+                <i className="fa fa-plus" /> Add Station
+              </button>
+            </div>
+          </div>
+
+          {/* Stations List */}
+          <div className={styles.stationsSection}>
+            <div className={styles.sectionHeader}>
+              <h3>All Stations</h3>
+              <span className={styles.count}>{stations.length} stations</span>
+            </div>
+
+            {loading ? (
+              <div className={styles.loading}>Loading stations...</div>
+            ) : stations.length === 0 ? (
+              <div className={styles.empty}>
+                <i className="fa fa-fire" />
+                <p>No stations yet</p>
+                <span>The kitchen screen shows every dish until stations are added.</span>
+              </div>
+            ) : (
+              <div className={styles.stationsTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Station</th>
+                      <th>Categories</th>
+                      <th>Dishes</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stations.map((station) => (
+                      <tr key={station._id}>
+                        <td>
+                          <span className={styles.stationName}>{station.name}</span>
+                        </td>
+                        <td className={styles.muted}>
+                          {station.categories.length ? station.categories.join(", ") : "—"}
+                        </td>
+                        <td className={styles.muted}>
+                          {station.foodIds.length
+                            ? station.foodIds.map((id) => foodNames[id] || "Removed dish").join(", ")
+                            : "—"}
+                        </td>
+                        <td>
+                          <div className={styles.actions}>
+                            <button
+                              className={styles.kitchenBtn}
+                              onClick={() => router.push(`/admin/kitchen?station=${station._id}`)}
+                            >
+                              Kitchen Screen
+                            </button>
+                            <button
+                              className={styles.editBtn}
+                              onClick={() =>
+                                router.push(`/admin/stations/editStation?id=${station._id}`)
+                              }
+                            >
+                              Edit
+                            </button>
+                            <button
+                              className={styles.deleteBtn}
+                              onClick={() => handleDelete(station)}
+                            >
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default AdminStationsPage;
@@ -0,0 +1,109 @@
+// Add Table Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState } from "react";
+import { useRouter } from "next/navigation";
+import { addTableAction } from "@/src/actions/tableActions";
+import TableForm from "@/src/_components/adminComponents/TableForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function Page() {
+  const router = useRouter();
+  const [showSuccessModal, setShowSuccessModal] = useState(false);
+  // Bumped to remount (and so reset) the form for "Add Another"
+  const [formKey, setFormKey] = useState(0);
+
+  const handleSubmit = async (tableData) => {
+    const result = await addTableAction(null, tableData);
+    if (result.success) {
+      setShowSuccessModal(true);
+    }
+    return result;
+  };
+
+  const handleAddAnother = () => {
+    setShowSuccessModal(false);
+    setFormKey((key) => key + 1);
+  };
+
+  const handleGoToTables = () => {
+    setShowSuccessModal(false);
+    router.push("/admin/tables");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-edit" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Add New Table</h2>
+                <p>Set up a table customers can order from</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/tables")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Tables
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            <TableForm
+              key={formKey}
+              submitLabel="Add Table"
+              submittingLabel="Adding..."
+              onSubmit={handleSubmit}
+              onCancel={() => router.push("/admin/tables")}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessModal && (
+        <div className={styles.modalOverlay}>
+          <div className={styles.modalContent}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Table Added Successfully!</h3>
+            <p className={styles.modalText}>Your table is saved. What would you like to do next?</p>
+            <div className={styles.modalActions}>
+              <button onClick={handleAddAnother} className={styles.modalPrimaryBtn}>
+                Add Another Table
+              </button>
+              <button onClick={handleGoToTables} className={styles.modalSecondaryBtn}>
+                Go to Tables
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default Page;
@@ -0,0 +1,136 @@
+// Edit Table Page
+
+"use client";
+import Footer from "@/src/_components/adminComponents/Footer";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import React, { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { getTableByIdAction, updateTableAction } from "@/src/actions/tableActions";
+import TableForm from "@/src/_components/adminComponents/TableForm";
+import styles from "../../formStyles.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function EditTableContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const tableId = searchParams.get("id");
+
+  const [table, setTable] = useState(null);
+  const [error, setError] = useState("");
+  const [showSuccessPopup, setShowSuccessPopup] = useState(false);
+
+  // Load table from the server
+  useEffect(() => {
+    if (!tableId) return;
+
+    const loadTable = async () => {
+      const result = await getTableByIdAction(tableId);
+      if (result.success) {
+        setTable(result.data);
+      } else {
+        setError("Table not found.");
+      }
+    };
+
+    loadTable();
+  }, [tableId]);
+
+  const handleSubmit = async (tableData) => {
+    const result = await updateTableAction(null, { ...tableData, _id: tableId });
+    if (result.success) {
+      setShowSuccessPopup(true);
+    }
+    return result;
+  };
+
+  const handleSuccessClose = () => {
+    setShowSuccessPopup(false);
+    router.push("/admin/tables");
+  };
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      {/* Breadcrumb Area */}
+      <div className={styles.breadcrumb}>
+        <div className="container">
+          <div className={styles.breadcrumbContent}>
+            <div className={styles.breadcrumbTitle}>
+              <div className={styles.breadcrumbIcon}>
+                <i className="notika-icon notika-edit" />
+              </div>
+              <div className={styles.breadcrumbText}>
+                <h2>Edit Table</h2>
+                <p>Renaming a table invalidates its printed QR code</p>
+              </div>
+            </div>
+            <button
+              className={styles.backButton}
+              onClick={() => router.push("/admin/tables")}
+            >
+              <i className="notika-icon notika-left-arrow" /> Back to Tables
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Form Area */}
+      <div className={styles.pageContainer}>
+        <div className="container">
+          <div className={styles.formCard}>
+            {error && (
+              <div className={styles.errorMessage}>
+                <span>❌</span> {error}
+              </div>
+            )}
+
+            {table && (
+              <TableForm
+                initialTable={table}
+                submitLabel="Update Table"
+                submittingLabel="Updating..."
+                onSubmit={handleSubmit}
+                onCancel={() => router.push("/admin/tables")}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Success Modal */}
+      {showSuccessPopup && (
+        <div className={styles.modalOverlay} onClick={handleSuccessClose}>
+          <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
+            <div className={styles.modalIcon}>
+              <span>✓</span>
+            </div>
+            <h3 className={styles.modalTitle}>Update Successful!</h3>
+            <p className={styles.modalText}>Your table has been updated successfully.</p>
+            <div className={styles.modalActions}>
+              <button onClick={handleSuccessClose} className={styles.modalPrimaryBtn}>
+                Go to Tables
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function EditTablePage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <EditTableContent />
+    </Suspense>
+  );
+}
+
+export default EditTablePage;
@@ -0,0 +1,295 @@
+/**
+ * =========================================================================
+ * ADMIN TABLES PAGE - Tables & QR Codes
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. On mount, fetch all tables for the logged-in restaurant
+ * 2. Display tables with area, seats, status and their QR code
+ * 3. Admin can print one or all QR codes, download a PNG, edit or delete
+ * 4. Occupied tables show their open tab (diners, orders, total). Settle
+ *    bills and splits the tab; closing the table ends the tab once its
+ *    orders are served or cancelled
+ *
+ * STATE MANAGEMENT:
+ * - tables: Tables from database
+ * - openSessions: Open table sessions keyed by table name
+ * - loading: Loading state during data fetch
+ *
+ * FEATURES:
+ * - QR codes rendered by /api/tables/<id>/qr (signed /auth deep links)
+ * - Customers can only start a session at a table listed here
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import { getTablesAction, deleteTableAction } from "@/src/actions/tableActions";
+import {
+  getOpenTableSessionsAction,
+  closeTableSessionAction,
+} from "@/src/actions/tableSessionActions";
+import { formatAmount } from "@/src/lib/billing";
+import styles from "./tables.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+const STATUS_BADGES = {
+  available: { label: "Available", className: "availableBadge" },
+  occupied: { label: "Occupied", className: "occupiedBadge" },
+  reserved: { label: "Reserved", className: "reservedBadge" },
+  inactive: { label: "Inactive", className: "inactiveBadge" },
+};
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function AdminTablesPage() {
+  const router = useRouter();
+
+  const [tables, setTables] = useState([]);
+  const [openSessions, setOpenSessions] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    const fetchTables = async () => {
+      const [result, sessionsResult] = await Promise.all([
+        getTablesAction(),
+        getOpenTableSessionsAction(),
+      ]);
+      if (result.success) {
+        setTables(result.data);
+      }
+      if (sessionsResult.success) {
+        setOpenSessions(
+          Object.fromEntries(sessionsResult.data.map((s) => [s.tableName, s]))
+        );
+      }
+      setLoading(false);
+    };
+
+    fetchTables();
+  }, []);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const handleDelete = async (table) => {
+    if (!confirm(`Delete table ${table.name}? Its QR code will stop working.`)) return;
+
+    const result = await deleteTableAction(table._id);
+    if (result.success) {
+      setTables((prev) => prev.filter((t) => t._id !== table._id));
+    } else {
+      alert("Failed to delete table");
+    }
+  };
+
+  const handleCloseTable = async (table) => {
+    const tableSession = openSessions[table.name];
+    const total = formatAmount(tableSession.totals.total);
+    if (!confirm(`Close table ${table.name}? Its ₹${total} tab ends and the next guests start a new one.`)) return;
+
+    const result = await closeTableSessionAction(tableSession._id);
+    if (result.success) {
+      setOpenSessions((prev) => {
+        const { [table.name]: _closed, ...rest } = prev;
+        return rest;
+      });
+      setTables((prev) =>
+        prev.map((t) =>
+          t._id === table._id && t.status === "occupied" ? { ...t, status: "available" } : t
+        )
+      );
+    } else {
+      alert(result.error === "NOT_FOUND" ? "This table is already closed" : result.error);
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.tablesArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-th-large" /> Tables
+            </h2>
+            <div className={styles.headerActions}>
+              {tables.length > 0 && (
+                <button
+                  className={styles.printBtn}
+                  onClick={() => router.push("/admin/tables/print")}
+                >
+                  <i className="fa fa-print" /> Print All QR Codes
+                </button>
+              )}
+              <button
+                className={styles.addBtn}
+                onClick={() => router.push("/admin/tables/addTable")}
+              >
+                <i className="fa fa-plus" /> Add Table
+              </button>
+            </div>
+          </div>
+
+          {/* Tables List */}
+          <div className={styles.tablesSection}>
+            <div className={styles.sectionHeader}>
+              <h3>All Tables</h3>
+              <span className={styles.tableCount}>{tables.length} tables</span>
+            </div>
+
+            {loading ? (
+              <div className={styles.loadingTables}>Loading tables...</div>
+            ) : tables.length === 0 ? (
+              <div className={styles.noTables}>
+                <i className="fa fa-th-large" />
+                <p>No tables yet</p>
+                <span>Customers can only sit at tables you add here.</span>
+              </div>
+            ) : (
+              <div className={styles.tablesTable}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>QR Code</th>
+                      <th>Table</th>
+                      <th>Area</th>
+                      <th>Seats</th>
+                      <th>Status</th>
+                      <th>Open Tab</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tables.map((table) => {
+                      const badge = STATUS_BADGES[table.status] || STATUS_BADGES.available;
+                      const tableSession = openSessions[table.name];
+                      return (
+                        <tr key={table._id}>
+                          <td>
+                            <a
+                              href={`/api/tables/${table._id}/qr?format=svg`}
+                              target="_blank"
+                              rel="noreferrer"
+                              title="Open QR code"
+                            >
+                              <img
+                                className={styles.qrThumb}
+                                src={`/api/tables/${table._id}/qr?format=svg`}
+                                alt={`QR code for table ${table.name}`}
+                              />
+                            </a>
+                          </td>
+                          <td>
+                            <span className={styles.tableName}>{table.name}</span>
+                          </td>
+                          <td className={styles.muted}>{table.area || "—"}</td>
+                          <td>{table.capacity}</td>
+                          <td>
+                            <span className={`${styles.statusBadge} ${styles[badge.className]}`}>
+                              {badge.label}
+                            </span>
+                          </td>
+                          <td>
+                            {tableSession ? (
+                              <div className={styles.openTab}>
+                                <span>
+                                  {tableSession.diners.length} diner
+                                  {tableSession.diners.length === 1 ? "" : "s"} ·{" "}
+                                  {tableSession.totals.orderCount} order
+                                  {tableSession.totals.orderCount === 1 ? "" : "s"}
+                                </span>
+                                <strong>₹{formatAmount(tableSession.totals.total)}</strong>
+                                <div className={styles.actions}>
+                                  <button
+                                    className={styles.qrBtn}
+                                    onClick={() =>
+                                      router.push(`/admin/tables/settle?id=${tableSession._id}`)
+                                    }
+                                  >
+                                    Settle
+                                  </button>
+                                  <button
+                                    className={styles.closeTabBtn}
+                                    onClick={() => handleCloseTable(table)}
+                                  >
+                                    Close Table
+                                  </button>
+                                </div>
+                              </div>
+                            ) : (
+                              <span className={styles.muted}>—</span>
+                            )}
+                          </td>
+                          <td>
+                            <div className={styles.actions}>
+                              <button
+                                className={styles.qrBtn}
+                                onClick={() => router.push(`/admin/tables/print?id=${table._id}`)}
+                              >
+                                Print
+                              </button>
+                              <a
+                                className={styles.qrBtn}
+                                href={`/api/tables/${table._id}/qr?format=png&download=1`}
+                              >
+                                PNG
+                              </a>
+                              <button
+                                className={styles.editBtn}
+                                onClick={() =>
+                                  router.push(`/admin/tables/editTable?id=${table._id}`)
+                                }
+                              >
+                                Edit
+                              </button>
+                              <button
+                                className={styles.deleteBtn}
+                                onClick={() => handleDelete(table)}
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+export default AdminTablesPage;
@@ -0,0 +1,97 @@
+/**
+ * =========================================================================
+ * PRINT TABLE QR CODES PAGE
+ * =========================================================================
+ *
+ * Printable QR cards (restaurant name, table name, "scan to order").
+ * /admin/tables/print prints every table; ?id=<tableId> prints one.
+ * The admin headers are left out so only the cards reach the printer.
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { getTablesAction } from "@/src/actions/tableActions";
+import { useAdminSession } from "@/src/contexts/AdminSessionContext";
+import styles from "../tables.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+function PrintTablesContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const tableId = searchParams.get("id");
+  const { restaurantName } = useAdminSession();
+
+  const [tables, setTables] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Load the tables to print
+  useEffect(() => {
+    const loadTables = async () => {
+      const result = await getTablesAction();
+      if (result.success) {
+        setTables(
+          tableId ? result.data.filter((t) => t._id === tableId) : result.data
+        );
+      }
+      setLoading(false);
+    };
+
+    loadTables();
+  }, [tableId]);
+
+  return (
+    <RequireAdminAuth>
+      <div className={styles.printArea}>
+        {/* Toolbar (hidden when printing) */}
+        <div className={styles.printToolbar}>
+          <button className={styles.editBtn} onClick={() => router.push("/admin/tables")}>
+            ← Back to Tables
+          </button>
+          <button
+            className={styles.addBtn}
+            onClick={() => window.print()}
+            disabled={loading || tables.length === 0}
+          >
+            <i className="fa fa-print" /> Print {tables.length === 1 ? "QR Code" : "QR Codes"}
+          </button>
+        </div>
+
+        {loading ? (
+          <div className={styles.loadingTables}>Loading QR codes...</div>
+        ) : tables.length === 0 ? (
+          <div className={styles.noTables}>
+            <p>No tables to print</p>
+          </div>
+        ) : (
+          <div className={styles.qrGrid}>
+            {tables.map((table) => (
+              <div key={table._id} className={styles.qrCard}>
+                <span className={styles.qrRestaurant}>{restaurantName}</span>
+                <img
+                  className={styles.qrImage}
+                  src={`/api/tables/${table._id}/qr?format=svg`}
+                  alt={`QR code for table ${table.name}`}
+                />
+                <span className={styles.qrTable}>Table {table.name}</span>
+                <span className={styles.qrHint}>Scan to view the menu &amp; order</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </RequireAdminAuth>
+  );
+}
+
+function PrintTablesPage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <PrintTablesContent />
+    </Suspense>
+  );
+}
+
+export default PrintTablesPage;
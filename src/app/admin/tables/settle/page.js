@@ -0,0 +1,418 @@
+/**
+ * =========================================================================
+ * SETTLE TABLE PAGE - One Bill for a Table's Tab
+ * =========================================================================
+ *
+ * PAGE FLOW:
+ * 1. /admin/tables/settle?id=<tableSessionId> loads the table's unpaid
+ *    orders and its open bill, if one was made
+ * 2. Admin picks how to split the bill: equally, by what each diner
+ *    ordered, or by custom amounts, and creates it (settleTableAction)
+ * 3. Each share is marked paid on its own with the payment method; the
+ *    orders it covers turn Paid, and the bill closes when all are paid
+ *
+ * STATE MANAGEMENT:
+ * - bill: { tableSession, orders, settlement } from getTableBillAction
+ * - method / equalCount / customSplits: The split being set up
+ * - editing: Split form shown over an open bill (before any payment)
+ * - payMethods: Payment method picked per share
+ *
+ * =========================================================================
+ */
+
+"use client";
+import React, { useState, useEffect, useMemo, Suspense } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import Header1 from "@/src/_components/adminComponents/Header1";
+import Header2 from "@/src/_components/adminComponents/Header2";
+import Header3 from "@/src/_components/adminComponents/Header3";
+import Footer from "@/src/_components/adminComponents/Footer";
+import {
+  getTableBillAction,
+  settleTableAction,
+  recordSplitPaymentAction,
+} from "@/src/actions/settlementActions";
+import { formatAmount } from "@/src/lib/billing";
+import { dinerLabel, splitByDiner, splitEqually } from "@/src/lib/tableSession";
+import styles from "../tables.module.css";
+import RequireAdminAuth from "@/src/_components/adminComponents/RequireAuth";
+
+// =========================================================================
+// CONSTANTS
+// =========================================================================
+
+const SPLIT_OPTIONS = [
+  { id: "equal", label: "Split equally" },
+  { id: "items", label: "By what each diner ordered" },
+  { id: "custom", label: "Custom amounts" },
+];
+
+const PAYMENT_OPTIONS = ["Cash", "UPI", "Card", "Wallet"];
+
+// =========================================================================
+// MAIN COMPONENT
+// =========================================================================
+
+function SettleTableContent() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const tableSessionId = searchParams.get("id");
+
+  const [bill, setBill] = useState(null);
+  const [error, setError] = useState("");
+  const [method, setMethod] = useState("equal");
+  const [equalCount, setEqualCount] = useState(2);
+  const [customSplits, setCustomSplits] = useState([{ label: "", amount: "" }]);
+  const [editing, setEditing] = useState(false);
+  const [payMethods, setPayMethods] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // -----------------------------------------------------------------------
+  // DATA FETCHING
+  // -----------------------------------------------------------------------
+
+  useEffect(() => {
+    if (!tableSessionId) return;
+
+    const loadBill = async () => {
+      const result = await getTableBillAction(tableSessionId);
+      if (result.success) {
+        setBill(result);
+        setEqualCount(Math.max(result.tableSession.diners.length, 1));
+      } else {
+        setError("Table not found.");
+      }
+    };
+
+    loadBill();
+  }, [tableSessionId]);
+
+  // -----------------------------------------------------------------------
+  // COMPUTED VALUES
+  // -----------------------------------------------------------------------
+
+  const total = useMemo(
+    () => Math.round((bill?.orders || []).reduce((sum, o) => sum + o.total, 0) * 100) / 100,
+    [bill]
+  );
+
+  /** Shares the chosen split would create, for the preview */
+  const previewShares = useMemo(() => {
+    if (!bill || total === 0) return [];
+    if (method === "equal") {
+      return equalCount >= 1 ? splitEqually(total, equalCount) : [];
+    }
+    if (method === "items") {
+      return splitByDiner(bill.orders).map((share) => share.amount);
+    }
+    return customSplits.map((split) => Number(split.amount) || 0);
+  }, [bill, total, method, equalCount, customSplits]);
+
+  const customRemaining =
+    Math.round((total - previewShares.reduce((sum, a) => sum + a, 0)) * 100) / 100;
+
+  const settlement = bill?.settlement;
+  const hasPayments = settlement?.splits.some((split) => split.status === "Paid");
+  const changingSplit = editing && !hasPayments;
+  const showSplitForm =
+    bill?.orders.length > 0 && (settlement?.status !== "open" || changingSplit);
+
+  // -----------------------------------------------------------------------
+  // EVENT HANDLERS
+  // -----------------------------------------------------------------------
+
+  const setCustomSplit = (index, field, value) => {
+    setCustomSplits((prev) =>
+      prev.map((split, i) => (i === index ? { ...split, [field]: value } : split))
+    );
+  };
+
+  const handleCreateBill = async () => {
+    setError("");
+    setSaving(true);
+    const result = await settleTableAction(tableSessionId, method, {
+      count: equalCount,
+      splits: customSplits,
+    });
+    setSaving(false);
+
+    if (result.success) {
+      setBill((prev) => ({ ...prev, settlement: result.settlement }));
+      setEditing(false);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleMarkPaid = async (split) => {
+    setError("");
+    const result = await recordSplitPaymentAction(
+      settlement._id,
+      split._id,
+      payMethods[split._id] || "Cash"
+    );
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    // Reload so orders that are now fully paid drop off the list; a bill
+    // paid in full is no longer open, so keep showing it from the result
+    const refreshed = await getTableBillAction(tableSessionId);
+    if (refreshed.success) {
+      setBill({ ...refreshed, settlement: refreshed.settlement || result.settlement });
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  // RENDER
+  // -----------------------------------------------------------------------
+
+  return (
+    <RequireAdminAuth>
+      <Header1 />
+      <Header2 />
+      <Header3 />
+
+      <div className={styles.tablesArea}>
+        <div className="container">
+          {/* Page Header */}
+          <div className={styles.pageHeader}>
+            <h2 className={styles.pageTitle}>
+              <i className="fa fa-credit-card" /> Settle Table {bill?.tableSession.tableName || ""}
+            </h2>
+            <button className={styles.printBtn} onClick={() => router.push("/admin/tables")}>
+              ← Back to Tables
+            </button>
+          </div>
+
+          {error && <div className={styles.settleError}>{error}</div>}
+
+          {!bill ? (
+            <div className={styles.loadingTables}>{error ? "" : "Loading bill..."}</div>
+          ) : (
+            <>
+              {/* Unpaid Orders */}
+              <div className={styles.tablesSection}>
+                <div className={styles.sectionHeader}>
+                  <h3>Unpaid Orders</h3>
+                  <span className={styles.tableCount}>₹{formatAmount(total)}</span>
+                </div>
+                {bill.orders.length === 0 ? (
+                  <div className={styles.noTables}>
+                    <p>Nothing left to pay on this table</p>
+                  </div>
+                ) : (
+                  <div className={styles.tablesTable}>
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Order</th>
+                          <th>Diner</th>
+                          <th>Status</th>
+                          <th>Total</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {bill.orders.map((order) => (
+                          <tr key={order._id}>
+                            <td>
+                              <span className={styles.tableName}>#{order.orderId}</span>
+                            </td>
+                            <td className={styles.muted}>{dinerLabel(order.customerPhone, "")}</td>
+                            <td>{order.status}</td>
+                            <td>₹{formatAmount(order.total)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              {/* Split Form */}
+              {showSplitForm && (
+                <div className={`${styles.tablesSection} ${styles.settleSection}`}>
+                  <div className={styles.sectionHeader}>
+                    <h3>Split the Bill</h3>
+                  </div>
+                  <div className={styles.settleBody}>
+                    <div className={styles.splitOptions}>
+                      {SPLIT_OPTIONS.map((option) => (
+                        <label key={option.id}>
+                          <input
+                            type="radio"
+                            name="splitMethod"
+                            checked={method === option.id}
+                            onChange={() => setMethod(option.id)}
+                          />{" "}
+                          {option.label}
+                        </label>
+                      ))}
+                    </div>
+
+                    {method === "equal" && (
+                      <label className={styles.splitField}>
+                        People paying
+                        <input
+                          type="number"
+                          min="1"
+                          max="50"
+                          value={equalCount}
+                          onChange={(e) => setEqualCount(Number(e.target.value))}
+                        />
+                      </label>
+                    )}
+
+                    {method === "custom" && (
+                      <div className={styles.customSplits}>
+                        {customSplits.map((split, index) => (
+                          <div key={index} className={styles.splitField}>
+                            <input
+                              type="text"
+                              placeholder={`Share ${index + 1}`}
+                              value={split.label}
+                              onChange={(e) => setCustomSplit(index, "label", e.target.value)}
+                            />
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              placeholder="Amount"
+                              value={split.amount}
+                              onChange={(e) => setCustomSplit(index, "amount", e.target.value)}
+                            />
+                            {customSplits.length > 1 && (
+                              <button
+                                className={styles.deleteBtn}
+                                onClick={() =>
+                                  setCustomSplits((prev) => prev.filter((_, i) => i !== index))
+                                }
+                              >
+                                ✕
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                        <button
+                          className={styles.editBtn}
+                          onClick={() => setCustomSplits((prev) => [...prev, { label: "", amount: "" }])}
+                        >
+                          + Add share
+                        </button>
+                        <span className={styles.muted}>
+                          {customRemaining === 0
+                            ? "Amounts match the bill"
+                            : `₹${formatAmount(Math.abs(customRemaining))} ${customRemaining > 0 ? "left to assign" : "over the bill"}`}
+                        </span>
+                      </div>
+                    )}
+
+                    {method !== "custom" && previewShares.length > 0 && (
+                      <p className={styles.muted}>
+                        {previewShares.length} share{previewShares.length === 1 ? "" : "s"}:{" "}
+                        {previewShares.map((amount) => `₹${formatAmount(amount)}`).join(" · ")}
+                      </p>
+                    )}
+
+                    <div className={styles.actions}>
+                      <button className={styles.addBtn} onClick={handleCreateBill} disabled={saving}>
+                        {saving ? "Creating..." : `Create Bill • ₹${formatAmount(total)}`}
+                      </button>
+                      {editing && (
+                        <button className={styles.printBtn} onClick={() => setEditing(false)}>
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Open / Paid Bill */}
+              {settlement && !changingSplit && (
+                <div className={`${styles.tablesSection} ${styles.settleSection}`}>
+                  <div className={styles.sectionHeader}>
+                    <h3>
+                      Bill ₹{formatAmount(settlement.total)}
+                      {settlement.status === "paid" && " · Paid in full"}
+                    </h3>
+                    {settlement.status === "open" && !hasPayments && (
+                      <button className={styles.editBtn} onClick={() => setEditing(true)}>
+                        Change Split
+                      </button>
+                    )}
+                  </div>
+                  <div className={styles.tablesTable}>
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Share</th>
+                          <th>Amount</th>
+                          <th>Status</th>
+                          <th>Payment</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {settlement.splits.map((split) => (
+                          <tr key={split._id}>
+                            <td>{split.label}</td>
+                            <td>₹{formatAmount(split.amount)}</td>
+                            <td>
+                              <span
+                                className={`${styles.statusBadge} ${
+                                  split.status === "Paid" ? styles.availableBadge : styles.occupiedBadge
+                                }`}
+                              >
+                                {split.status}
+                              </span>
+                            </td>
+                            <td>
+                              {split.status === "Paid" ? (
+                                <span className={styles.muted}>{split.paymentMethod}</span>
+                              ) : (
+                                <div className={styles.actions}>
+                                  <select
+                                    value={payMethods[split._id] || "Cash"}
+                                    onChange={(e) =>
+                                      setPayMethods((prev) => ({ ...prev, [split._id]: e.target.value }))
+                                    }
+                                  >
+                                    {PAYMENT_OPTIONS.map((option) => (
+                                      <option key={option} value={option}>
+                                        {option}
+                                      </option>
+                                    ))}
+                                  </select>
+                                  <button className={styles.qrBtn} onClick={() => handleMarkPaid(split)}>
+                                    Mark Paid
+                                  </button>
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      <Footer />
+    </RequireAdminAuth>
+  );
+}
+
+function SettleTablePage() {
+  return (
+    <Suspense fallback={<div>Loading...</div>}>
+      <SettleTableContent />
+    </Suspense>
+  );
+}
+
+export default SettleTablePage;
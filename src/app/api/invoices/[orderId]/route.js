@@ -0,0 +1,99 @@
+/**
+ * =========================================================================
+ * INVOICE ROUTE - GST Tax Invoice for an Order
+ * =========================================================================
+ *
+ * GET /api/invoices/<orderId>?format=html|pdf&layout=a4|80mm|58mm
+ *     [&phone=<customerPhone>]
+ *
+ * Renders the order's invoice (src/lib/invoice) in-process; the order
+ * gets its invoice number the first time. The restaurant's admins can
+ * open any of its orders; a customer passes their phone and needs an
+ * active session at the restaurant, as for the SSE route.
+ *
+ * =========================================================================
+ */
+
+import { connectDB } from "@/src/lib/db";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { INVOICE_LAYOUTS, buildInvoice } from "@/src/lib/invoice";
+import { ensureInvoiceNumber } from "@/src/lib/invoice/assignNumber";
+import { renderInvoiceHtml } from "@/src/lib/invoice/html";
+import { renderInvoicePdf } from "@/src/lib/invoice/pdf";
+import Order from "@/src/models/OrderModel";
+import CustomerSession from "@/src/models/CustomerSessionModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Finds the order if the caller may see its invoice
+ * @param {string} orderId - Order ID
+ * @param {string|null} phone - Customer phone (customers only)
+ * @returns {Promise<Object|null>} Lean order
+ */
+async function findVisibleOrder(orderId, phone) {
+  if (phone) {
+    const order = await Order.findOne({ orderId, customerPhone: phone }).lean();
+    if (!order) return null;
+    const hasSession = await CustomerSession.exists({
+      phone,
+      restoId: order.restoId,
+      expiresAt: { $gt: new Date() },
+    });
+    return hasSession ? order : null;
+  }
+
+  const admin = await getAdminSession();
+  if (!admin) return null;
+  return Order.findOne({ orderId, restoId: admin.restoCode }).lean();
+}
+
+export async function GET(request, { params }) {
+  const { orderId } = await params;
+  const { searchParams } = request.nextUrl;
+  const format = searchParams.get("format") === "pdf" ? "pdf" : "html";
+  const layout = INVOICE_LAYOUTS[searchParams.get("layout")] ? searchParams.get("layout") : "a4";
+
+  if (!/^\d{1,12}$/.test(orderId)) {
+    return new Response("Order not found", { status: 404 });
+  }
+
+  await connectDB();
+
+  let order = await findVisibleOrder(orderId, searchParams.get("phone"));
+  if (!order) {
+    return new Response("Order not found", { status: 404 });
+  }
+
+  // Cancelled orders aren't invoiced, but keep an invoice already issued
+  if (order.status === "Cancelled" && !order.invoice?.number) {
+    return new Response("This order was cancelled and has no invoice", { status: 409 });
+  }
+
+  const restaurant = await RestaurantAuth.findOne({ restoId: order.restoCode })
+    .select("restaurantName state city invoice")
+    .lean();
+  if (!restaurant) {
+    return new Response("Restaurant not found", { status: 404 });
+  }
+
+  order = await ensureInvoiceNumber(order, restaurant);
+  const invoice = buildInvoice(order, restaurant);
+  const headers = { "Cache-Control": "private, no-store" };
+
+  if (format === "pdf") {
+    const fileName = `invoice-${invoice.number.replace(/\//g, "-")}.pdf`;
+    return new Response(renderInvoicePdf(invoice, layout), {
+      headers: {
+        ...headers,
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="${fileName}"`,
+      },
+    });
+  }
+
+  return new Response(renderInvoiceHtml(invoice, layout), {
+    headers: { ...headers, "Content-Type": "text/html; charset=utf-8" },
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * =========================================================================
+ * PAYMENT WEBHOOK ROUTE - Provider Callbacks
+ * =========================================================================
+ *
+ * POST /api/payments/webhook
+ *
+ * The payment provider calls this when a payment settles outside the
+ * customer's screen (e.g. a UPI collect request approved later). The
+ * body is verified by the active provider (src/lib/payments) before the
+ * result is applied to the order.
+ *
+ * =========================================================================
+ */
+
+import { connectDB } from "@/src/lib/db";
+import { getPaymentProvider } from "@/src/lib/payments";
+import { recordPaymentOutcome } from "@/src/lib/payments/recordOutcome";
+
+export const dynamic = "force-dynamic";
+
+export async function POST(request) {
+  // Signatures are computed over the exact bytes sent, so read it raw
+  const rawBody = await request.text();
+
+  const { valid, event } = getPaymentProvider().verifyWebhook(rawBody, request.headers);
+  if (!valid) {
+    return new Response("Invalid signature", { status: 401 });
+  }
+
+  try {
+    await connectDB();
+    const outcome = await recordPaymentOutcome(
+      event.providerRef,
+      event.status,
+      event.failureReason
+    );
+    if (!outcome) {
+      return Response.json({ received: false, error: "Unknown payment" }, { status: 404 });
+    }
+    return Response.json({ received: true, status: outcome.payment.status });
+  } catch (error) {
+    console.error("Payment Webhook Error:", error);
+    return new Response("Webhook processing failed", { status: 500 });
+  }
+}
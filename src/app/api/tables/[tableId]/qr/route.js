@@ -0,0 +1,61 @@
+/**
+ * =========================================================================
+ * TABLE QR ROUTE - QR Code Image for a Table
+ * =========================================================================
+ *
+ * GET /api/tables/<tableId>/qr?format=svg|png[&download=1]
+ *
+ * Renders the table's signed /auth deep link (src/lib/tableLink.js) as
+ * a QR code, in-process. Admin only; the table must belong to the
+ * logged-in restaurant.
+ *
+ * =========================================================================
+ */
+
+import QRCode from "qrcode";
+import { getAdminSession } from "@/src/lib/adminSession";
+import { buildTableLink } from "@/src/lib/tableLink";
+import Table from "@/src/models/TableModel";
+
+export const dynamic = "force-dynamic";
+
+/** Pixel width of PNG codes (large enough to print on a table tent) */
+const PNG_WIDTH = 600;
+
+export async function GET(request, { params }) {
+  const admin = await getAdminSession();
+  if (!admin) {
+    return new Response("Unauthorized", { status: 401 });
+  }
+
+  const { tableId } = await params;
+  if (!/^[a-f\d]{24}$/i.test(tableId)) {
+    return new Response("Table not found", { status: 404 });
+  }
+
+  const table = await Table.findOne({
+    _id: tableId,
+    restaurantId: admin.restaurantDbId,
+  }).lean();
+  if (!table) {
+    return new Response("Table not found", { status: 404 });
+  }
+
+  const { searchParams, origin } = request.nextUrl;
+  const format = searchParams.get("format") === "png" ? "png" : "svg";
+  const link = buildTableLink(origin, admin.restoCode, table.name);
+  const options = { errorCorrectionLevel: "M", margin: 2 };
+
+  const headers = { "Cache-Control": "private, no-store" };
+  if (searchParams.get("download")) {
+    headers["Content-Disposition"] = `attachment; filename="table-${table.name.replace(/\s+/g, "-")}.${format}"`;
+  }
+
+  if (format === "png") {
+    const png = await QRCode.toBuffer(link, { ...options, type: "png", width: PNG_WIDTH });
+    return new Response(png, { headers: { ...headers, "Content-Type": "image/png" } });
+  }
+
+  const svg = await QRCode.toString(link, { ...options, type: "svg" });
+  return new Response(svg, { headers: { ...headers, "Content-Type": "image/svg+xml" } });
+}
@@ -9,6 +9,8 @@
  * =========================================================================
  */
 
+import { getAdminSession } from "@/src/lib/adminSession";
+
 // Global connections store (shared across the app via globalThis)
 if (!globalThis.__sseConnections) {
   globalThis.__sseConnections = new Map();
@@ -18,10 +20,19 @@ export const dynamic = "force-dynamic";
 
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
-  const restaurantId = searchParams.get("restaurantId");
+  let restaurantId = searchParams.get("restaurantId");
   const customerPhone = searchParams.get("customerPhone");
   const type = searchParams.get("type");
 
+  // Admin streams carry every order, so the restaurant comes from the session
+  if (type === "admin") {
+    const admin = await getAdminSession();
+    if (!admin) {
+      return new Response("Unauthorized", { status: 401 });
+    }
+    restaurantId = admin.restoCode;
+  }
+
   if (!restaurantId) {
     return new Response("Missing restaurantId", { status: 400 });
   }
@@ -2,6 +2,7 @@
 
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { SESSION_KEYS } from '@/src/lib/constants';
+import { getAdminSessionAction, logoutRestaurantAction } from '@/src/actions/adminAuthActions';
 
 const AdminSessionContext = createContext(null);
 
@@ -9,28 +10,50 @@ export function AdminSessionProvider({ children }) {
   const [session, setSession] = useState({
     adminPhone: null,
     restaurantId: null,
+    restaurantName: null,
     isLoaded: false
   });
 
+  // The httpOnly session cookie is the source of truth; localStorage
+  // only caches it for display and is cleared if the server disagrees
   useEffect(() => {
-    const adminPhone = localStorage.getItem(SESSION_KEYS.ADMIN_PHONE);
-    const restaurantId = localStorage.getItem(SESSION_KEYS.ADMIN_RESTAURANT_ID);
+    let cancelled = false;
 
-    setSession({
-      adminPhone,
-      restaurantId,
-      isLoaded: true
-    });
+    getAdminSessionAction()
+      .catch(() => ({ success: false }))
+      .then((result) => {
+        if (cancelled) return;
+
+        if (result.success) {
+          localStorage.setItem(SESSION_KEYS.ADMIN_PHONE, result.restaurant.phone);
+          localStorage.setItem(SESSION_KEYS.ADMIN_RESTAURANT_ID, result.restaurant.restoId);
+          setSession({
+            adminPhone: result.restaurant.phone,
+            restaurantId: result.restaurant.restoId,
+            restaurantName: result.restaurant.restaurantName,
+            isLoaded: true
+          });
+        } else {
+          localStorage.removeItem(SESSION_KEYS.ADMIN_PHONE);
+          localStorage.removeItem(SESSION_KEYS.ADMIN_RESTAURANT_ID);
+          setSession({
+            adminPhone: null,
+            restaurantId: null,
+            isLoaded: true
+          });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
+  // Called after loginRestaurantAction has set the signed session cookie
   const setAdminSession = useCallback((phone, restaurantId) => {
     localStorage.setItem(SESSION_KEYS.ADMIN_PHONE, phone);
     localStorage.setItem(SESSION_KEYS.ADMIN_RESTAURANT_ID, restaurantId);
     
-    // Set cookie for middleware authentication (7 days expiry)
-    const sessionData = JSON.stringify({ phone, restaurantId });
-    document.cookie = `adminSession=${encodeURIComponent(sessionData)}; path=/; max-age=${7 * 24 * 60 * 60}; SameSite=Lax`;
-    
     setSession({
       adminPhone: phone,
       restaurantId,
@@ -38,12 +61,16 @@ export function AdminSessionProvider({ children }) {
     });
   }, []);
 
-  const clearAdminSession = useCallback(() => {
+  const clearAdminSession = useCallback(async () => {
     localStorage.removeItem(SESSION_KEYS.ADMIN_PHONE);
     localStorage.removeItem(SESSION_KEYS.ADMIN_RESTAURANT_ID);
     
-    // Clear the cookie
-    document.cookie = 'adminSession=; path=/; max-age=0; SameSite=Lax';
+    // Delete the server session and its httpOnly cookie
+    try {
+      await logoutRestaurantAction();
+    } catch (error) {
+      console.error('Admin logout error:', error);
+    }
     
     setSession({
       adminPhone: null,
@@ -0,0 +1,49 @@
+/**
+ * =========================================================================
+ * ADMIN SESSION - Server-side Admin Identity
+ * =========================================================================
+ *
+ * Resolves the logged-in restaurant from the signed session cookie.
+ * Admin server actions call this instead of trusting a restaurant id
+ * sent by the browser.
+ *
+ * =========================================================================
+ */
+
+import { cookies } from "next/headers";
+import { connectDB } from "@/src/lib/db";
+import { ADMIN_SESSION_COOKIE, verifySignedSessionId } from "@/src/lib/sessionCookie";
+import Session from "@/src/models/AdminSessionModel";
+import RestaurantAuth from "@/src/models/AdminAuthModel";
+
+/**
+ * Returns the restaurant for the current admin session
+ * @returns {Promise<Object|null>} {
+ *   sessionId,
+ *   restaurantDbId - RestaurantAuth _id (used by menu items),
+ *   restoCode - 6-char restoId (used by orders),
+ *   restaurantName,
+ *   phone,
+ * } or null when not logged in
+ */
+export async function getAdminSession() {
+  const cookieStore = await cookies();
+  const sessionId = verifySignedSessionId(cookieStore.get(ADMIN_SESSION_COOKIE)?.value);
+  if (!sessionId) return null;
+
+  await connectDB();
+
+  const session = await Session.findById(sessionId).lean();
+  if (!session) return null;
+
+  const restaurant = await RestaurantAuth.findById(session.restoId).lean();
+  if (!restaurant) return null;
+
+  return {
+    sessionId: session._id.toString(),
+    restaurantDbId: restaurant._id.toString(),
+    restoCode: restaurant.restoId,
+    restaurantName: restaurant.restaurantName,
+    phone: restaurant.phone,
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * =========================================================================
+ * MENU AVAILABILITY - Time Windows, Weekdays & Holidays
+ * =========================================================================
+ *
+ * On top of the manual isAvailable switches, a dish can be given a
+ * schedule ({ days, windows }) and so can its whole category
+ * (RestaurantAuth.availability.categorySchedules). A dish is orderable
+ * only while both allow it:
+ * - days:    weekdays it is served (0 = Sunday); none = every day
+ * - windows: "HH:MM" start / end times; none = all day. A window whose
+ *            end is before its start runs past midnight (22:00 - 02:00)
+ *
+ * Times are read in the restaurant's timezone. A holiday either closes
+ * the menu for the day or has it follow another weekday's schedules
+ * (e.g. Sunday brunch on Diwali).
+ *
+ * Shared by getAllFoodItemsByRestoCode (marks dishes "Available from
+ * 12:00"), placeOrderAction (rejects out-of-schedule dishes) and the
+ * admin item / settings forms.
+ *
+ * =========================================================================
+ */
+
+export const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/** Time windows a single schedule can have */
+export const MAX_SCHEDULE_WINDOWS = 4;
+
+/** Days ahead searched for a dish's next opening */
+const LOOKAHEAD_DAYS = 7;
+
+export const EMPTY_SCHEDULE = { days: [], windows: [] };
+
+/**
+ * Fills in the defaults for a restaurant's saved availability settings
+ * @param {Object|null} settings - RestaurantAuth.availability
+ * @returns {Object} { timezone, categorySchedules, holidays }
+ */
+export function resolveAvailabilitySettings(settings) {
+  return {
+    timezone: settings?.timezone || DEFAULT_TIMEZONE,
+    categorySchedules: (settings?.categorySchedules || []).map(
+      ({ category, days, windows }) => ({ category, days, windows })
+    ),
+    holidays: (settings?.holidays || []).map(({ date, name, closed, actsAsDay }) => ({
+      date,
+      name,
+      closed,
+      actsAsDay,
+    })),
+  };
+}
+
+/**
+ * Whether a schedule limits when a dish is served
+ * @param {Object} schedule - { days, windows }
+ * @returns {boolean}
+ */
+export function hasSchedule(schedule) {
+  return !!(schedule?.days?.length || schedule?.windows?.length);
+}
+
+/** "07:30" → 450 */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/** 450 → "07:30" */
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/** "2026-10-19" moved by a number of days */
+const shiftDateKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Wall-clock date and time at the restaurant
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Kolkata"
+ * @param {Date} now - Moment to read
+ * @returns {Object} { dateKey: "YYYY-MM-DD", minutes: since midnight }
+ */
+export function getRestaurantClock(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Weekday whose schedules apply on a date (null when a holiday closes it)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {Array} holidays - [{ date, name, closed, actsAsDay }]
+ * @returns {number|null} 0 (Sunday) to 6
+ */
+function getScheduleDay(dateKey, holidays) {
+  const holiday = holidays.find((h) => h.date === dateKey);
+  if (holiday) return holiday.closed ? null : holiday.actsAsDay;
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Whether a schedule allows a moment
+ * @param {Object} schedule - { days, windows }
+ * @param {number|null} day - Schedule day of the date
+ * @param {number|null} previousDay - Schedule day of the date before
+ *   (for windows running past midnight)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {boolean}
+ */
+function isScheduleOpen(schedule, day, previousDay, minutes) {
+  const servedOn = (d) => d !== null && (!schedule.days?.length || schedule.days.includes(d));
+  if (!schedule.windows?.length) return servedOn(day);
+
+  return schedule.windows.some((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) return servedOn(day) && minutes >= start && minutes < end;
+    return (servedOn(day) && minutes >= start) || (servedOn(previousDay) && minutes < end);
+  });
+}
+
+/**
+ * Works out whether a dish can be ordered now and, if not, when it can
+ * @param {Object} food - Menu item with category and schedule
+ * @param {Object} settings - From resolveAvailabilitySettings
+ * @param {Date} now - Moment to check
+ * @returns {Object} { availableNow, availableFrom: "12:00" | "Mon 07:00" | null,
+ *   closedFor: holiday name when a holiday closes the menu today }
+ */
+export function getAvailabilityStatus(food, settings, now = new Date()) {
+  const schedules = [
+    food.schedule,
+    settings.categorySchedules.find((entry) => entry.category === food.category),
+  ].filter(hasSchedule);
+
+  const clock = getRestaurantClock(settings.timezone, now);
+  const isOpenAt = (dateKey, minutes) => {
+    const day = getScheduleDay(dateKey, settings.holidays);
+    const previousDay = getScheduleDay(shiftDateKey(dateKey, -1), settings.holidays);
+    return schedules.every((schedule) => isScheduleOpen(schedule, day, previousDay, minutes));
+  };
+
+  const today = settings.holidays.find((h) => h.date === clock.dateKey);
+  const closedFor = today?.closed ? today.name : null;
+
+  if (isOpenAt(clock.dateKey, clock.minutes) && !closedFor) {
+    return { availableNow: true, availableFrom: null, closedFor: null };
+  }
+
+  // Openings can only start at midnight or at a window's start
+  const starts = [
+    0,
+    ...schedules.flatMap((schedule) => (schedule.windows || []).map((w) => toMinutes(w.start))),
+  ].sort((a, b) => a - b);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const dateKey = shiftDateKey(clock.dateKey, offset);
+    if (getScheduleDay(dateKey, settings.holidays) === null) continue;
+
+    const start = starts.find(
+      (minutes) => (offset > 0 || minutes > clock.minutes) && isOpenAt(dateKey, minutes)
+    );
+    if (start !== undefined) {
+      const weekday = WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+      return {
+        availableNow: false,
+        availableFrom: offset === 0 ? formatMinutes(start) : `${weekday} ${formatMinutes(start)}`,
+        closedFor,
+      };
+    }
+  }
+
+  return { availableNow: false, availableFrom: null, closedFor };
+}
+
+/**
+ * Short note for a dish that can't be ordered right now
+ * @param {Object} status - From getAvailabilityStatus
+ * @returns {string} e.g. "Available from 12:00"
+ */
+export function describeAvailability(status) {
+  if (status.availableNow) return "";
+  if (status.closedFor) return `Closed today for ${status.closedFor}`;
+  if (status.availableFrom) return `Available from ${status.availableFrom}`;
+  return "Not available this week";
+}
+
+/**
+ * Summary of a schedule for admin lists
+ * @param {Object} schedule - { days, windows }
+ * @returns {string} e.g. "Mon, Tue · 07:00 - 11:00" or "Always"
+ */
+export function formatSchedule(schedule) {
+  if (!hasSchedule(schedule)) return "Always";
+  const days = schedule.days?.length
+    ? [...schedule.days].sort((a, b) => a - b).map((d) => WEEKDAYS[d]).join(", ")
+    : "Every day";
+  const windows = schedule.windows?.length
+    ? schedule.windows.map((w) => `${w.start} - ${w.end}`).join(", ")
+    : "All day";
+  return `${days} · ${windows}`;
+}
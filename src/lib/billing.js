@@ -0,0 +1,194 @@
+/**
+ * =========================================================================
+ * BILLING UTILITIES - Shared Order Total Calculation
+ * =========================================================================
+ *
+ * Used by the cart page to show the bill, by placeOrderAction to
+ * recompute it on the server and by the order page to show the invoice,
+ * so all of them always agree on the totals.
+ *
+ * Each restaurant keeps its own billing settings (RestaurantAuth.billing,
+ * edited on /admin/settings). Records saved before settings existed fall
+ * back to DEFAULT_BILLING_SETTINGS.
+ *
+ * BILL ORDER:
+ * 1. subtotal      - Menu prices (add-ons included) × quantity
+ * 2. discount      - Coupon, taken off the subtotal
+ * 3. serviceCharge - % of the pre-tax item value after discount
+ * 4. tax           - Each tax rate on items + service charge
+ *                    (already inside the prices when pricesIncludeTax)
+ * 5. packagingFee / deliveryFee - Flat charges, not taxed
+ * 6. roundOff      - Difference from rounding the total to whole rupees
+ *
+ * =========================================================================
+ */
+
+import { getLineUnitPrice } from "./modifiers";
+import { isComboComponent } from "./combos";
+
+export const DEFAULT_BILLING_SETTINGS = {
+  // GST split into its central and state halves (5% on restaurant food)
+  taxes: [
+    { name: "CGST", rate: 2.5 },
+    { name: "SGST", rate: 2.5 },
+  ],
+  // Menu prices already include the taxes above
+  pricesIncludeTax: false,
+  // Percentage of the item value; 0 = no service charge
+  serviceChargeRate: 0,
+  // Flat packaging charges per order and per item quantity
+  packagingFeePerOrder: 0,
+  packagingFeePerItem: 0,
+  // Flat delivery fee and the subtotal above which it is waived (null = never)
+  deliveryFee: 0,
+  freeDeliveryAbove: null,
+  // "none" keeps paise; "nearest", "up" or "down" round the total to rupees
+  rounding: "nearest",
+};
+
+export const ROUNDING_MODES = ["none", "nearest", "up", "down"];
+
+/** Rounds to paise */
+export const toPaise = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Formats a bill amount for display, showing paise only when present
+ * @param {number} amount - Amount in rupees
+ * @returns {string} e.g. "1,250" or "24.85"
+ */
+export function formatAmount(amount) {
+  const value = amount || 0;
+  const digits = Number.isInteger(value) ? 0 : 2;
+  return value.toLocaleString("en-IN", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+/**
+ * Fills in missing billing settings with the defaults
+ * @param {Object|null} settings - Saved settings (may be partial or absent)
+ * @returns {Object} Complete billing settings
+ */
+export function resolveBillingSettings(settings) {
+  const resolved = { ...DEFAULT_BILLING_SETTINGS };
+  if (!settings) return resolved;
+
+  for (const key of Object.keys(DEFAULT_BILLING_SETTINGS)) {
+    if (settings[key] !== undefined) resolved[key] = settings[key];
+  }
+  resolved.taxes = (resolved.taxes || []).map(({ name, rate }) => ({ name, rate }));
+  return resolved;
+}
+
+/**
+ * Calculates the discount a coupon gives on a subtotal
+ * @param {Object|null} coupon - { type, value, minOrder, maxDiscount }
+ * @param {number} subtotal - Item total
+ * @returns {number} Discount amount (0 if the minimum order isn't met)
+ */
+export function getCouponDiscount(coupon, subtotal) {
+  if (!coupon || subtotal < (coupon.minOrder || 0)) return 0;
+
+  let discount =
+    coupon.type === "percent"
+      ? Math.round((subtotal * coupon.value) / 100)
+      : coupon.value;
+
+  if (coupon.maxDiscount != null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return Math.min(discount, subtotal);
+}
+
+/**
+ * Rounds a total according to the restaurant's rounding rule
+ * @param {number} amount - Unrounded total
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} Rounded total
+ */
+function roundTotal(amount, mode) {
+  if (mode === "up") return Math.ceil(amount - 0.001);
+  if (mode === "down") return Math.floor(amount + 0.001);
+  if (mode === "nearest") return Math.round(amount);
+  return toPaise(amount);
+}
+
+/**
+ * Calculates the full bill for a list of cart lines
+ * @param {Array} items - Lines with variant.price, modifiers and quantity
+ * @param {Object|null} coupon - Applied coupon (see getCouponDiscount)
+ * @param {Object|null} settings - Restaurant billing settings
+ * @returns {Object} { subtotal, discount, serviceCharge, taxes, tax,
+ *   packagingFee, deliveryFee, roundOff, total, pricesIncludeTax }
+ */
+export function calculateBill(items, coupon = null, settings = null) {
+  const billing = resolveBillingSettings(settings);
+
+  const subtotal = items.reduce(
+    (sum, item) => sum + getLineUnitPrice(item) * item.quantity,
+    0
+  );
+  // A combo is packed as one item, not once per dish
+  const quantity = items
+    .filter((item) => !isComboComponent(item))
+    .reduce((sum, item) => sum + item.quantity, 0);
+  const discount = getCouponDiscount(coupon, subtotal);
+
+  const taxRate = billing.taxes.reduce((sum, t) => sum + t.rate, 0) / 100;
+  const itemValue = subtotal - discount;
+
+  // Pre-tax item value; inclusive prices have the tax taken back out
+  const netItemValue = billing.pricesIncludeTax
+    ? toPaise(itemValue / (1 + taxRate))
+    : itemValue;
+  const itemTax = billing.pricesIncludeTax
+    ? toPaise(itemValue - netItemValue)
+    : toPaise(netItemValue * taxRate);
+
+  const serviceCharge = toPaise((netItemValue * billing.serviceChargeRate) / 100);
+  const tax = toPaise(itemTax + serviceCharge * taxRate);
+
+  // Split the tax across its components; the last one takes the paise left over
+  let allocated = 0;
+  const taxes = billing.taxes.map((t, index) => {
+    const amount =
+      index === billing.taxes.length - 1
+        ? toPaise(tax - allocated)
+        : taxRate > 0
+        ? toPaise((tax * t.rate) / 100 / taxRate)
+        : 0;
+    allocated = toPaise(allocated + amount);
+    return { name: t.name, rate: t.rate, amount };
+  });
+
+  const packagingFee = toPaise(
+    items.length > 0
+      ? billing.packagingFeePerOrder + billing.packagingFeePerItem * quantity
+      : 0
+  );
+  const deliveryFee =
+    items.length === 0 ||
+    (billing.freeDeliveryAbove != null && subtotal > billing.freeDeliveryAbove)
+      ? 0
+      : billing.deliveryFee;
+
+  const unrounded = toPaise(
+    netItemValue + serviceCharge + tax + packagingFee + deliveryFee
+  );
+  const total = roundTotal(unrounded, billing.rounding);
+  const roundOff = toPaise(total - unrounded);
+
+  return {
+    subtotal,
+    discount,
+    serviceCharge,
+    taxes,
+    tax,
+    packagingFee,
+    deliveryFee,
+    roundOff,
+    total,
+    pricesIncludeTax: billing.pricesIncludeTax,
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * =========================================================================
+ * COMBOS - Bundles of Menu Dishes at One Price
+ * =========================================================================
+ *
+ * A combo is made of slots ("Starter", "Main", "Drink"); the diner picks
+ * exactly one option in each. An option is a dish + variant from the menu
+ * with its own surcharge on top of the combo's bundle price.
+ *
+ * In the cart a combo is a single line: its picks are stored as the
+ * line's modifiers ({ optionId, group: slot, label: dish, price:
+ * surcharge }), so pricing and display work like any dish with add-ons.
+ *
+ * When ordered it becomes a parent line (comboId, priced as the combo)
+ * followed by one child line per pick (parentLineId, comboSlot, priced
+ * at 0) that goes to its kitchen station like any other dish. The
+ * kitchen works on the children; the parent's status follows them, and
+ * voiding the parent voids the whole combo.
+ *
+ * Shared by comboActions, orderActions, the combo picker on /menu and the
+ * admin / kitchen order screens.
+ *
+ * =========================================================================
+ */
+
+import { getItemStatus } from "./orderStatus";
+
+/** Variant label the parent line of a combo is ordered with */
+export const COMBO_VARIANT_LABEL = "Combo";
+
+/**
+ * Whether an order / cart line is a combo (the parent line)
+ * @param {Object} item - Line
+ * @returns {boolean}
+ */
+export function isComboLine(item) {
+  return !!item.comboId;
+}
+
+/**
+ * Whether an order line is one of a combo's dishes (a child line)
+ * @param {Object} item - Order line
+ * @returns {boolean}
+ */
+export function isComboComponent(item) {
+  return !!item.parentLineId;
+}
+
+/**
+ * The child lines of a combo's parent line
+ * @param {Array} items - Order lines
+ * @param {Object} parent - Parent line
+ * @returns {Array}
+ */
+export function getComboComponents(items, parent) {
+  return items.filter((item) => String(item.parentLineId) === String(parent._id));
+}
+
+/**
+ * "Paneer Tikka (Half)", or just "Paneer Tikka" for the Regular variant
+ * @param {Object} option - Combo option with name and variantLabel
+ * @returns {string}
+ */
+export function getComboOptionLabel(option) {
+  return option.variantLabel && option.variantLabel !== "Regular"
+    ? `${option.name} (${option.variantLabel})`
+    : option.name;
+}
+
+/**
+ * Adds each option's dish details from the menu. Options whose dish or
+ * variant was deleted are dropped; switched-off ones are kept, marked
+ * unavailable.
+ * @param {Object} combo - Combo (lean)
+ * @param {Array} foods - Menu items the combo uses (lean)
+ * @returns {Object} Combo whose options carry name, variantLabel,
+ *   category, foodType and isAvailable
+ */
+export function describeComboOptions(combo, foods) {
+  const foodsById = new Map(foods.map((food) => [String(food._id), food]));
+  return {
+    ...combo,
+    slots: combo.slots.map((slot) => ({
+      ...slot,
+      options: slot.options.flatMap((option) => {
+        const food = foodsById.get(String(option.foodId));
+        const variant = food?.variants?.find((v) => String(v._id) === option.variantId);
+        if (!variant) return [];
+        return [
+          {
+            ...option,
+            name: food.name,
+            variantLabel: variant.label,
+            category: food.category,
+            foodType: food.foodType,
+            isAvailable: food.isAvailable !== false && variant.isAvailable !== false,
+          },
+        ];
+      }),
+    })),
+  };
+}
+
+/**
+ * Checks a diner's picks against a combo: one available option per slot
+ * @param {Object} combo - Combo from describeComboOptions
+ * @param {Array} optionIds - Picked option _ids
+ * @returns {Object} { modifiers, picks: [{ slot, option }] } or { error }
+ */
+export function resolveComboPicks(combo, optionIds) {
+  const ids = (optionIds || []).map(String);
+  const modifiers = [];
+  const picks = [];
+
+  for (const slot of combo.slots) {
+    const picked = slot.options.filter((option) => ids.includes(String(option._id)));
+    if (picked.length === 0) {
+      return { error: `Pick your ${slot.name}` };
+    }
+    if (picked.length > 1) {
+      return { error: `Pick only one ${slot.name}` };
+    }
+    const [option] = picked;
+    if (!option.isAvailable) {
+      return { error: `${getComboOptionLabel(option)} is currently unavailable` };
+    }
+    modifiers.push({
+      optionId: String(option._id),
+      group: slot.name,
+      label: getComboOptionLabel(option),
+      price: option.surcharge,
+    });
+    picks.push({ slot, option });
+  }
+
+  if (picks.length !== ids.length) {
+    return { error: "Some of your picks are no longer offered" };
+  }
+  return { modifiers, picks };
+}
+
+/**
+ * Status of a combo's parent line, from its dishes
+ * @param {Array} components - Child lines
+ * @returns {string} One of ITEM_STATUSES
+ */
+function getComboStatus(components) {
+  const live = components.map(getItemStatus).filter((status) => status !== "voided");
+  if (live.length === 0) return "voided";
+  if (live.every((status) => status === "served")) return "served";
+  if (live.every((status) => status === "ready" || status === "served")) return "ready";
+  if (live.some((status) => status !== "queued")) return "cooking";
+  return "queued";
+}
+
+/**
+ * Parent lines whose status no longer matches their dishes
+ * (a voided parent stays voided)
+ * @param {Array} items - Order lines after a change
+ * @returns {Array} [{ index, status }] to apply
+ */
+export function syncComboStatuses(items) {
+  return items.flatMap((item, index) => {
+    if (!isComboLine(item) || getItemStatus(item) === "voided") return [];
+    const components = getComboComponents(items, item);
+    if (components.length === 0) return [];
+    const status = getComboStatus(components);
+    return status === getItemStatus(item) ? [] : [{ index, status }];
+  });
+}
@@ -1,5 +1,5 @@
 // Order status flow
-export const ORDER_STATUSES = ["Placed", "Accepted", "Preparing", "Served"];
+export const ORDER_STATUSES = ["Placed", "Accepted", "Preparing", "Ready", "Served"];
 
 export const ORDER_TYPES = ["Veg", "Non-Veg", "Egg"];
 
@@ -44,9 +44,49 @@ export const FOOD_TAGS = [
 export const POLLING_INTERVALS = {
   ADMIN_ORDERS: 10000, // 10 seconds
   ORDER_TRACKING: 15000, // 15 seconds
-  MENU_AVAILABILITY: 30000, // 30 seconds
 };
 
+// Customer OTP login
+export const OTP_CONFIG = {
+  LENGTH: 6,
+  TTL_SECONDS: 300, // code valid for 5 minutes
+  RESEND_COOLDOWN_SECONDS: 30,
+  MAX_ATTEMPTS: 5, // wrong guesses before a new code is needed
+  SESSION_WINDOW_SECONDS: 600, // verified code must be used within 10 minutes
+};
+
+// Kitchen display (/admin/kitchen) ticket age thresholds
+export const KDS_CONFIG = {
+  WARN_AFTER_MINUTES: 10, // ticket turns amber
+  LATE_AFTER_MINUTES: 20, // ticket turns red
+};
+
+// Table statuses (inactive tables refuse new customer sessions)
+export const TABLE_STATUSES = ["available", "occupied", "reserved", "inactive"];
+
+// Kitchen printers (network ESC/POS, usually on port 9100)
+export const PRINTER_PAPER_WIDTHS = ["80mm", "58mm"];
+
+export const PRINT_JOB_STATUSES = ["queued", "printing", "printed", "failed"];
+
+export const PRINT_QUEUE_CONFIG = {
+  DEFAULT_PORT: 9100,
+  MAX_ATTEMPTS: 5, // a job is marked failed after this many tries
+  RETRY_DELAYS_SECONDS: [5, 15, 60, 300], // wait before the 2nd, 3rd, ... try
+  CONNECT_TIMEOUT_MS: 5000,
+};
+
+// Customer cancel / edit grace window on /order (closes early once accepted)
+export const ORDER_EDIT_CONFIG = {
+  WINDOW_MINUTES: 3, // time after placing an order that it can still be changed
+};
+
+// Raw-material units; an ingredient's cost and recipe quantities use its unit
+export const INGREDIENT_UNITS = ["g", "kg", "ml", "l", "pcs"];
+
+// Ingredient stock changes (see src/lib/recipes.js)
+export const INGREDIENT_MOVEMENT_TYPES = ["purchase", "order", "count"];
+
 // Session keys for localStorage
 export const SESSION_KEYS = {
   RESTAURANT_ID: "dineflow_restaurant_id",
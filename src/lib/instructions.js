@@ -0,0 +1,108 @@
+/**
+ * =========================================================================
+ * SPECIAL INSTRUCTIONS - Customer Notes for the Kitchen
+ * =========================================================================
+ *
+ * A diner can leave a note on each cart line ("no onion") and one on the
+ * whole order ("bring the starters first"). Notes are free text typed by
+ * customers, so the menu / cart pages and orderActions clean them the
+ * same way before they reach the kitchen: control and invisible
+ * formatting characters and angle brackets are dropped, whitespace is
+ * collapsed and the text is cut to its limit.
+ *
+ * Quick-pick chips are set per menu category on /admin/settings; tapping
+ * a chip adds its text to the line's note (tapping again takes it out).
+ *
+ * The same dish with a different note is a separate line, so the line id
+ * carries a short key of the note (see getInstructionsKey).
+ *
+ * =========================================================================
+ */
+
+/** Longest note on one cart / order line */
+export const LINE_INSTRUCTIONS_MAX_LENGTH = 140;
+
+/** Longest note on a whole order */
+export const ORDER_INSTRUCTIONS_MAX_LENGTH = 250;
+
+/** Longest quick-pick chip, and how many a category can have */
+export const INSTRUCTION_CHIP_MAX_LENGTH = 30;
+export const INSTRUCTION_CHIPS_PER_CATEGORY = 8;
+
+/**
+ * Cleans a customer note for storage and printing
+ * @param {string} text - Note as typed
+ * @param {number} maxLength - Character limit
+ * @returns {string} Single-line note ("" for anything that isn't text)
+ */
+export function sanitizeInstructions(text, maxLength = LINE_INSTRUCTIONS_MAX_LENGTH) {
+  if (typeof text !== "string") return "";
+  const cleaned = text
+    .replace(/[\p{Cc}\p{Cf}<>]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  // Cut by code point so an emoji at the limit isn't split in half
+  return Array.from(cleaned).slice(0, maxLength).join("").trim();
+}
+
+/**
+ * Short key that tells notes apart in a cart line id
+ * @param {Object} item - Cart line with instructions
+ * @returns {string} "" when the line has no note
+ */
+export function getInstructionsKey(item) {
+  const text = (item.instructions || "").toLowerCase();
+  if (!text) return "";
+  let hash = 5381;
+  for (const char of text) {
+    hash = ((hash * 33) ^ char.codePointAt(0)) >>> 0;
+  }
+  return `n${hash.toString(36)}`;
+}
+
+/**
+ * Splits a note into its comma-separated parts
+ * @param {string} text - Note
+ * @returns {Array<string>}
+ */
+const splitNote = (text) =>
+  (text || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+/**
+ * Whether a chip's text is already part of a note
+ * @param {string} text - Note
+ * @param {string} chip - Chip text
+ * @returns {boolean}
+ */
+export function hasInstructionChip(text, chip) {
+  return splitNote(text).some((part) => part.toLowerCase() === chip.toLowerCase());
+}
+
+/**
+ * Adds a chip to a note, or takes it out if it is already there
+ * @param {string} text - Note
+ * @param {string} chip - Chip text
+ * @param {number} maxLength - Character limit of the note
+ * @returns {string} New note (unchanged if the chip would not fit)
+ */
+export function toggleInstructionChip(text, chip, maxLength = LINE_INSTRUCTIONS_MAX_LENGTH) {
+  const parts = splitNote(text);
+  if (hasInstructionChip(text, chip)) {
+    return parts.filter((part) => part.toLowerCase() !== chip.toLowerCase()).join(", ");
+  }
+  const next = [...parts, chip].join(", ");
+  return next.length > maxLength ? text : next;
+}
+
+/**
+ * Quick-pick chips set for a menu category
+ * @param {Array} instructionChips - Restaurant setting [{ category, chips }]
+ * @param {string} category - Menu category
+ * @returns {Array<string>}
+ */
+export function getCategoryChips(instructionChips, category) {
+  return instructionChips?.find((entry) => entry.category === category)?.chips || [];
+}
@@ -0,0 +1,276 @@
+/**
+ * =========================================================================
+ * STOCK - Taking and Giving Back Portions for Orders
+ * =========================================================================
+ *
+ * reserveStock is called by placeOrderAction and modifyOrderByCustomerAction
+ * before the order is saved; releaseOrderStock after an order is cancelled
+ * or a line voided. Counts are only ever changed with $inc behind a filter,
+ * so two diners can never both get the last portion. Reaching 0 switches
+ * the dish (or variant) off and restoring stock to it switches it back on;
+ * every change is sent to the menu live, and crossing the dish's
+ * low-stock threshold alerts the admins (see src/lib/stock.js).
+ *
+ * =========================================================================
+ */
+
+import Order from "@/src/models/OrderModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import {
+  diffReservations,
+  getStockDemand,
+  getStockLevel,
+  isStockTracked,
+  shrinkReservations,
+} from "@/src/lib/stock";
+import {
+  broadcastToAdminAction,
+  broadcastToRestaurantAction,
+} from "@/src/actions/broadcastActions";
+
+// WebSocket event constants (inline, same values as src/lib/websocket.js)
+const WS_EVENTS = {
+  MENU_STOCK_UPDATED: "menu:stock_updated",
+  STOCK_LOW: "stock:low",
+};
+
+/** Attempts at claiming an order's reservations before giving up */
+const RELEASE_ATTEMPTS = 3;
+
+/**
+ * Takes portions from a count, only if there are enough left
+ * @param {Object} change - { foodId, variantId, quantity }
+ * @returns {Promise<Object|null>} Food after the change, null when short
+ */
+async function takeStock(change) {
+  if (change.variantId) {
+    return RestaurantFood.findOneAndUpdate(
+      {
+        _id: change.foodId,
+        variants: { $elemMatch: { _id: change.variantId, stock: { $gte: change.quantity } } },
+      },
+      { $inc: { "variants.$.stock": -change.quantity } },
+      { new: true }
+    ).lean();
+  }
+  return RestaurantFood.findOneAndUpdate(
+    { _id: change.foodId, stock: { $gte: change.quantity } },
+    { $inc: { stock: -change.quantity } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Gives portions back to a count that is still tracked
+ * @param {Object} change - { foodId, variantId, quantity }
+ * @returns {Promise<Object|null>} Food after the change
+ */
+async function giveStock(change) {
+  if (change.variantId) {
+    return RestaurantFood.findOneAndUpdate(
+      {
+        _id: change.foodId,
+        variants: { $elemMatch: { _id: change.variantId, stock: { $type: "number" } } },
+      },
+      { $inc: { "variants.$.stock": change.quantity } },
+      { new: true }
+    ).lean();
+  }
+  return RestaurantFood.findOneAndUpdate(
+    { _id: change.foodId, stock: { $type: "number" } },
+    { $inc: { stock: change.quantity } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * What the menu needs to show a dish's stock
+ * @param {Object} food - Menu item (lean)
+ * @returns {Object} { foodId, isAvailable, stock, lowStockThreshold, variants }
+ */
+function serializeStock(food) {
+  return {
+    foodId: food._id.toString(),
+    isAvailable: food.isAvailable,
+    stock: food.stock ?? null,
+    lowStockThreshold: food.lowStockThreshold,
+    variants: (food.variants || []).map((variant) => ({
+      _id: variant._id.toString(),
+      isAvailable: variant.isAvailable,
+      stock: variant.stock ?? null,
+    })),
+  };
+}
+
+/**
+ * Tells the menu (and the dish's own page) about a dish's stock
+ * @param {string} restoCode - 6-char restaurant code
+ * @param {Object} food - Menu item (lean)
+ */
+async function broadcastStockUpdate(restoCode, food) {
+  await broadcastToRestaurantAction(restoCode, WS_EVENTS.MENU_STOCK_UPDATED, serializeStock(food));
+}
+
+/**
+ * Switches a dish off at 0 and back on when stock returns, alerts the
+ * admins when the count drops to the threshold and updates the menu
+ * @param {string} restoCode - 6-char restaurant code
+ * @param {Object} food - Menu item after the change (lean)
+ * @param {Object} change - { variantId, quantity }; negative = taken
+ */
+async function afterStockChange(restoCode, food, change) {
+  const variant = food.variants.find((v) => v._id.toString() === change.variantId);
+  const after = change.variantId ? variant.stock : food.stock;
+  const before = after - change.quantity;
+
+  const switchTo = after === 0 ? false : before === 0 && after > 0 ? true : null;
+  if (switchTo !== null) {
+    if (change.variantId) {
+      await RestaurantFood.updateOne(
+        { _id: food._id, variants: { $elemMatch: { _id: variant._id, stock: after } } },
+        { $set: { "variants.$.isAvailable": switchTo } }
+      );
+      variant.isAvailable = switchTo;
+    } else {
+      await RestaurantFood.updateOne(
+        { _id: food._id, stock: after },
+        { $set: { isAvailable: switchTo } }
+      );
+      food.isAvailable = switchTo;
+    }
+  }
+
+  const threshold = food.lowStockThreshold ?? 0;
+  if (change.quantity < 0 && before > threshold && after <= threshold) {
+    await broadcastToAdminAction(restoCode, WS_EVENTS.STOCK_LOW, {
+      foodId: food._id.toString(),
+      name: change.variantId ? `${food.name} (${variant.label})` : food.name,
+      stock: after,
+      threshold,
+    });
+  }
+
+  await broadcastStockUpdate(restoCode, food);
+}
+
+/**
+ * Takes the stock an order's lines need, minus what it already holds
+ * @param {Object} restaurant - RestaurantAuth ({ _id, restoId })
+ * @param {Array} items - Order lines ({ foodId, variantId, quantity })
+ * @param {Array} held - Reservations the order already holds (edits)
+ * @returns {Promise<Object>} { reservations } to save on the order, or
+ *   { error } when a dish doesn't have enough left (nothing is taken)
+ */
+export async function reserveStock(restaurant, items, held = []) {
+  const demand = getStockDemand(items);
+  const foods = await RestaurantFood.find({
+    _id: { $in: demand.map((entry) => entry.foodId) },
+    restaurantId: restaurant._id,
+  })
+    .select("name stock variants")
+    .lean();
+  const foodsById = new Map(foods.map((food) => [food._id.toString(), food]));
+
+  // Each line counts against its variant's stock or the dish's
+  const wanted = [];
+  for (const entry of demand) {
+    const food = foodsById.get(entry.foodId);
+    if (!food) continue;
+    const variant = food.variants.find((v) => v._id.toString() === entry.variantId);
+    const { count, variantId } = getStockLevel(food, variant);
+    if (!isStockTracked(count)) continue;
+
+    const existing = wanted.find((r) => r.foodId === entry.foodId && r.variantId === variantId);
+    if (existing) {
+      existing.quantity += entry.quantity;
+    } else {
+      wanted.push({ foodId: entry.foodId, variantId, quantity: entry.quantity });
+    }
+  }
+
+  const moved = await moveStock(restaurant, held, wanted);
+  return moved.error ? moved : { reservations: wanted };
+}
+
+/**
+ * Changes stock from what one set of reservations holds to another's,
+ * e.g. back to nothing when an order could not be saved
+ * @param {Object} restaurant - RestaurantAuth ({ _id, restoId })
+ * @param {Array} held - Reservations held now
+ * @param {Array} wanted - Reservations to hold instead
+ * @returns {Promise<Object>} {} or { error } when a dish doesn't have
+ *   enough left (nothing is changed)
+ */
+export async function moveStock(restaurant, held, wanted) {
+  const changes = diffReservations(held, wanted);
+  const changed = [];
+
+  for (const change of changes.filter((c) => c.quantity > 0)) {
+    const food = await takeStock(change);
+    if (!food) {
+      // Put back what this call already took
+      for (const taken of changed) {
+        await giveStock(taken.change);
+      }
+      const shortFood = await RestaurantFood.findById(change.foodId)
+        .select("name stock variants")
+        .lean();
+      if (!shortFood) {
+        return { error: "An item is no longer on the menu" };
+      }
+      const variant = shortFood.variants.find((v) => v._id.toString() === change.variantId);
+      const name = variant ? `${shortFood.name} (${variant.label})` : shortFood.name;
+      const { count } = getStockLevel(shortFood, variant);
+      return {
+        error: count > 0 ? `Only ${count} ${name} left` : `${name} is sold out`,
+      };
+    }
+    changed.push({ change, food, delta: -change.quantity });
+  }
+
+  for (const change of changes.filter((c) => c.quantity < 0)) {
+    const given = { ...change, quantity: -change.quantity };
+    const food = await giveStock(given);
+    if (food) changed.push({ change: given, food, delta: given.quantity });
+  }
+
+  for (const { change, food, delta } of changed) {
+    await afterStockChange(restaurant.restoId, food, { ...change, quantity: delta });
+  }
+
+  return {};
+}
+
+/**
+ * Gives back the stock an order no longer needs: all of it once the
+ * order is cancelled, a voided line's share otherwise. The order's
+ * reservations are claimed first, so stock is never given back twice.
+ * @param {ObjectId|string} orderDbId - Order _id
+ */
+export async function releaseOrderStock(orderDbId) {
+  for (let attempt = 0; attempt < RELEASE_ATTEMPTS; attempt++) {
+    const order = await Order.findById(orderDbId)
+      .select("restoCode status items stockReservations")
+      .lean();
+    const held = order?.stockReservations || [];
+    if (held.length === 0) return;
+
+    const keep =
+      order.status === "Cancelled" ? [] : shrinkReservations(held, getStockDemand(order.items));
+    const changes = diffReservations(held, keep);
+    if (changes.length === 0) return;
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, stockReservations: held },
+      { $set: { stockReservations: keep } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    for (const change of changes) {
+      const given = { ...change, quantity: -change.quantity };
+      const food = await giveStock(given);
+      if (food) await afterStockChange(order.restoCode, food, given);
+    }
+    return;
+  }
+}
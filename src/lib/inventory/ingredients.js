@@ -0,0 +1,83 @@
+/**
+ * =========================================================================
+ * INGREDIENTS - Recipe Usage of Orders
+ * =========================================================================
+ *
+ * syncOrderIngredients is called once an order is placed, edited, voided
+ * or cancelled. It works out what the order's recipes use now, books the
+ * difference from what it used before against the ingredients' stock and
+ * logs it as "order" movements (see src/lib/recipes.js). Ingredient stock
+ * never stops an order: running out only shows up as negative stock until
+ * the next count.
+ *
+ * =========================================================================
+ */
+
+import Order from "@/src/models/OrderModel";
+import Recipe from "@/src/models/RecipeModel";
+import Ingredient from "@/src/models/IngredientModel";
+import IngredientMovement from "@/src/models/IngredientMovementModel";
+import { diffIngredientUsage, getIngredientUsage } from "@/src/lib/recipes";
+
+/** Attempts at claiming an order's usage before giving up */
+const SYNC_ATTEMPTS = 3;
+
+/**
+ * Brings an order's ingredient use in line with its lines: all of it
+ * given back once the order is cancelled. The order's usage is claimed
+ * first, so nothing is booked twice.
+ * @param {ObjectId|string} orderDbId - Order _id
+ */
+export async function syncOrderIngredients(orderDbId) {
+  for (let attempt = 0; attempt < SYNC_ATTEMPTS; attempt++) {
+    const order = await Order.findById(orderDbId)
+      .select("orderId status items ingredientUsage")
+      .lean();
+    // Orders placed before ingredients were tracked have none to give back
+    if (!order?.ingredientUsage) return;
+
+    const recipes =
+      order.status === "Cancelled"
+        ? []
+        : await Recipe.find({ foodId: { $in: order.items.map((item) => item.foodId) } }).lean();
+    const wanted = getIngredientUsage(order.items, recipes);
+    const changes = diffIngredientUsage(order.ingredientUsage, wanted);
+    if (changes.length === 0) return;
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, ingredientUsage: order.ingredientUsage },
+      { $set: { ingredientUsage: wanted } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const ingredients = await Ingredient.find({
+      _id: { $in: changes.map((change) => change.ingredientId) },
+    })
+      .select("restaurantId")
+      .lean();
+    const booked = changes.filter((change) =>
+      ingredients.some((ingredient) => ingredient._id.toString() === change.ingredientId)
+    );
+    if (booked.length === 0) return;
+
+    await Ingredient.bulkWrite(
+      booked.map((change) => ({
+        updateOne: {
+          filter: { _id: change.ingredientId },
+          update: { $inc: { stock: -change.quantity } },
+        },
+      }))
+    );
+    await IngredientMovement.insertMany(
+      booked.map((change) => ({
+        restaurantId: ingredients.find((i) => i._id.toString() === change.ingredientId)
+          .restaurantId,
+        ingredientId: change.ingredientId,
+        type: "order",
+        quantity: -change.quantity,
+        orderId: order.orderId,
+      }))
+    );
+    return;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * =========================================================================
+ * INVOICE NUMBERS - Unbroken Series per Restaurant and Financial Year
+ * =========================================================================
+ *
+ * An order gets its invoice number the first time its invoice is made.
+ * The number is taken from the restaurant's counter and then set on the
+ * order only if it has none yet. When two requests number the same order
+ * at once, the one that loses gives its number back: the counter steps
+ * back if nothing was taken after it, otherwise the number is kept in
+ * the counter's released list and handed to the next invoice, so GST's
+ * consecutive series never skips one.
+ *
+ * =========================================================================
+ */
+
+import InvoiceCounter from "@/src/models/InvoiceCounterModel";
+import Order from "@/src/models/OrderModel";
+import { formatInvoiceNumber, getFinancialYear } from "./index";
+
+/**
+ * Takes the restaurant's next number for the financial year: the lowest
+ * released one, else a new one
+ * @param {ObjectId} restaurantId - RestaurantAuth _id
+ * @param {string} financialYear - e.g. "2026-27"
+ * @returns {Promise<number>} Next sequence number
+ */
+async function nextSeq(restaurantId, financialYear) {
+  const filter = { restaurantId, financialYear };
+
+  // The document before the pop holds the number taken
+  const reused = await InvoiceCounter.findOneAndUpdate(
+    { ...filter, "released.0": { $exists: true } },
+    { $pop: { released: -1 } }
+  ).lean();
+  if (reused) return reused.released[0];
+
+  const update = { $inc: { seq: 1 } };
+  try {
+    const counter = await InvoiceCounter.findOneAndUpdate(filter, update, {
+      upsert: true,
+      new: true,
+    }).lean();
+    return counter.seq;
+  } catch (err) {
+    // Two first invoices of the year raced to create the counter
+    if (err.code !== 11000) throw err;
+    const counter = await InvoiceCounter.findOneAndUpdate(filter, update, { new: true }).lean();
+    return counter.seq;
+  }
+}
+
+/**
+ * Gives back a number that was taken but not used
+ * @param {ObjectId} restaurantId - RestaurantAuth _id
+ * @param {string} financialYear - e.g. "2026-27"
+ * @param {number} seq - Number to give back
+ */
+async function releaseSeq(restaurantId, financialYear, seq) {
+  const filter = { restaurantId, financialYear };
+  const steppedBack = await InvoiceCounter.updateOne({ ...filter, seq }, { $inc: { seq: -1 } });
+  if (steppedBack.modifiedCount === 0) {
+    await InvoiceCounter.updateOne(filter, {
+      $push: { released: { $each: [seq], $sort: 1 } },
+    });
+  }
+}
+
+/**
+ * Makes sure an order has an invoice number
+ * @param {Object} order - Order (lean)
+ * @param {Object} restaurant - RestaurantAuth record (_id, invoice.prefix)
+ * @returns {Promise<Object>} The order with its invoice number
+ */
+export async function ensureInvoiceNumber(order, restaurant) {
+  if (order.invoice?.number) return order;
+
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const seq = await nextSeq(restaurant._id, financialYear);
+  const invoice = {
+    number: formatInvoiceNumber(restaurant.invoice?.prefix, financialYear, seq),
+    financialYear,
+    issuedAt,
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, invoice: null },
+    { invoice },
+    { new: true }
+  ).lean();
+
+  if (updated) return updated;
+
+  // Another request numbered this order first; its number stands and
+  // this one goes back to the series
+  await releaseSeq(restaurant._id, financialYear, seq);
+  return Order.findById(order._id).lean();
+}
@@ -0,0 +1,143 @@
+/**
+ * =========================================================================
+ * INVOICE HTML - Printable Invoice Pages
+ * =========================================================================
+ *
+ * Renders an invoice as printable HTML in the layouts of index.js.
+ *
+ * =========================================================================
+ */
+
+import {
+  INVOICE_LAYOUTS,
+  RESTAURANT_SAC,
+  formatInvoiceDate,
+  getInvoiceSummaryRows,
+  invoiceToLines,
+} from "./index";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const money = (amount) =>
+  `₹${(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const PRINT_BUTTON = `<button class="no-print" onclick="window.print()">Print</button>`;
+
+/** Full-page A4 invoice */
+function renderA4(invoice) {
+  const { seller } = invoice;
+  const itemRows = invoice.lines
+    .map(
+      (line, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(line.name)} <span class="muted">(${escapeHtml(line.variant)})</span>${
+          line.addOns ? `<br><span class="muted">+ ${escapeHtml(line.addOns)}</span>` : ""
+        }</td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${money(line.rate)}</td>
+        <td class="num">${money(line.amount)}</td>
+      </tr>`
+    )
+    .join("");
+  const summaryRows = getInvoiceSummaryRows(invoice)
+    .map(
+      (row) => `
+      <tr><td>${escapeHtml(row.label)}</td><td class="num">${money(row.amount)}</td></tr>`
+    )
+    .join("");
+
+  return `
+  <div class="sheet a4">
+    <header>
+      <div>
+        <h1>${escapeHtml(seller.name)}</h1>
+        ${seller.tradeName !== seller.name ? `<div>${escapeHtml(seller.tradeName)}</div>` : ""}
+        <div>${escapeHtml(seller.address)}</div>
+        ${seller.gstin ? `<div><strong>GSTIN:</strong> ${escapeHtml(seller.gstin)}</div>` : ""}
+      </div>
+      <div class="meta">
+        <h2>TAX INVOICE</h2>
+        <div><strong>Invoice No:</strong> ${escapeHtml(invoice.number)}</div>
+        <div><strong>Date:</strong> ${escapeHtml(formatInvoiceDate(invoice.issuedAt))}</div>
+        <div><strong>Order:</strong> #${escapeHtml(invoice.orderId)} · Table ${escapeHtml(invoice.tableNumber)}</div>
+        ${seller.placeOfSupply ? `<div><strong>Place of Supply:</strong> ${escapeHtml(seller.placeOfSupply)}</div>` : ""}
+        <div><strong>SAC:</strong> ${RESTAURANT_SAC}</div>
+      </div>
+    </header>
+    ${invoice.status === "Cancelled" ? `<p class="cancelled">ORDER CANCELLED</p>` : ""}
+    <table class="items">
+      <thead>
+        <tr><th>#</th><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+      </thead>
+      <tbody>${itemRows}</tbody>
+    </table>
+    <table class="summary">
+      <tbody>
+        ${summaryRows}
+        <tr class="total"><td>Total</td><td class="num">${money(invoice.total)}</td></tr>
+        ${invoice.refundedAmount > 0 ? `<tr><td>Refunded</td><td class="num">-${money(invoice.refundedAmount)}</td></tr>` : ""}
+      </tbody>
+    </table>
+    <p>Paid by ${escapeHtml(invoice.paymentMethod)} (${escapeHtml(invoice.paymentStatus)})</p>
+    <footer>${escapeHtml(seller.footerNote || "Thank you! Visit again.")}</footer>
+  </div>`;
+}
+
+/** Fixed-width receipt for thermal printers */
+function renderReceipt(invoice, layout) {
+  const lines = invoiceToLines(invoice, layout.columns)
+    .map(({ text, bold }) => (bold ? `<b>${escapeHtml(text)}</b>` : escapeHtml(text)))
+    .join("\n");
+  return `<pre class="sheet receipt">${lines}</pre>`;
+}
+
+/**
+ * Renders an invoice as a standalone, printable HTML page
+ * @param {Object} invoice - From buildInvoice
+ * @param {string} layoutId - Key of INVOICE_LAYOUTS
+ * @returns {string} HTML document
+ */
+export function renderInvoiceHtml(invoice, layoutId) {
+  const layout = INVOICE_LAYOUTS[layoutId] || INVOICE_LAYOUTS.a4;
+  const isReceipt = Boolean(layout.widthMm);
+  const page = isReceipt ? `${layout.widthMm}mm auto` : "A4";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+  @page { size: ${page}; margin: ${isReceipt ? "2mm" : "12mm"}; }
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 0; padding: 16px; }
+  .sheet.a4 { max-width: 800px; margin: 0 auto; font-size: 13px; }
+  .sheet.receipt { width: ${layout.columns}ch; margin: 0 auto; font: 12px/1.3 "Courier New", monospace; }
+  header { display: flex; justify-content: space-between; gap: 24px; border-bottom: 2px solid #222; padding-bottom: 12px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 0 0 6px; }
+  .meta { text-align: right; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  .items th, .items td { border-bottom: 1px solid #ddd; padding: 6px 4px; text-align: left; }
+  .summary { width: 50%; margin-left: auto; }
+  .summary td { padding: 4px; }
+  .summary .total td { border-top: 2px solid #222; font-weight: bold; font-size: 15px; }
+  .num { text-align: right !important; }
+  .cancelled { color: #c0392b; font-weight: bold; text-align: center; }
+  footer { margin-top: 24px; text-align: center; color: #666; }
+  .no-print { display: block; margin: 0 auto 16px; padding: 8px 24px; cursor: pointer; }
+  @media print { .no-print { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+${PRINT_BUTTON}
+${isReceipt ? renderReceipt(invoice, layout) : renderA4(invoice)}
+</body>
+</html>`;
+}
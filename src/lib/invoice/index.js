@@ -0,0 +1,263 @@
+/**
+ * =========================================================================
+ * INVOICES - GST Tax Invoice for an Order
+ * =========================================================================
+ *
+ * buildInvoice turns an order and its restaurant into the data printed
+ * on the invoice; html.js and pdf.js render it. The A4 layout is a full
+ * page; the 80mm and 58mm layouts are fixed-width text for thermal
+ * receipt printers (invoiceToLines), and the PDF uses the same text.
+ *
+ * Invoice numbers run per restaurant per financial year (April to
+ * March) as "<prefix>/<yy-yy>/<000001>", within the 16 characters GST
+ * allows. A number is given the first time an order's invoice is made
+ * (assignNumber.js) and never changes after that.
+ *
+ * =========================================================================
+ */
+
+import { formatModifiers, getLineUnitPrice } from "@/src/lib/modifiers";
+import { isComboComponent } from "@/src/lib/combos";
+import { toPaise } from "@/src/lib/billing";
+
+// Page layouts; columns is the text width used for thermal / PDF output
+export const INVOICE_LAYOUTS = {
+  a4: { label: "A4", columns: 80 },
+  "80mm": { label: "80mm receipt", columns: 48, widthMm: 80 },
+  "58mm": { label: "58mm receipt", columns: 32, widthMm: 58 },
+};
+
+// GST service accounting code for restaurant services
+export const RESTAURANT_SAC = "996331";
+
+// Longest invoice number prefix that keeps numbers within 16 characters
+export const INVOICE_PREFIX_MAX_LENGTH = 3;
+
+/**
+ * Indian financial year a date falls in
+ * @param {Date} date - Date (read in India time)
+ * @returns {string} e.g. "2026-27"
+ */
+export function getFinancialYear(date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-IN", {
+    timeZone: "Asia/Kolkata",
+    year: "numeric",
+    month: "numeric",
+  }).formatToParts(date);
+  const year = Number(parts.find((p) => p.type === "year").value);
+  const month = Number(parts.find((p) => p.type === "month").value);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(2)}`;
+}
+
+/**
+ * Formats an invoice number
+ * @param {string} prefix - Restaurant's invoice prefix (e.g. "INV")
+ * @param {string} financialYear - e.g. "2026-27"
+ * @param {number} seq - Number within the year
+ * @returns {string} e.g. "INV/26-27/000042"
+ */
+export function formatInvoiceNumber(prefix, financialYear, seq) {
+  return `${prefix || "INV"}/${financialYear.slice(2)}/${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Collects what the invoice shows
+ * @param {Object} order - Order with its invoice number assigned
+ * @param {Object} restaurant - RestaurantAuth record (restaurantName, state, city, invoice)
+ * @returns {Object} Invoice data
+ */
+export function buildInvoice(order, restaurant) {
+  const seller = restaurant.invoice || {};
+  // A combo is billed on its own line; its dishes carry no price
+  const lines = order.items
+    .filter((item) => item.status !== "voided" && !isComboComponent(item))
+    .map((item) => ({
+      name: item.name,
+      variant: item.variant.label,
+      addOns: formatModifiers(item),
+      quantity: item.quantity,
+      rate: getLineUnitPrice(item),
+      amount: toPaise(getLineUnitPrice(item) * item.quantity),
+    }));
+
+  // Value the taxes were charged on (items after discount + service charge)
+  const taxableValue = toPaise(
+    order.total -
+      (order.tax || 0) -
+      (order.packagingFee || 0) -
+      (order.deliveryFee || 0) -
+      (order.roundOff || 0)
+  );
+
+  return {
+    number: order.invoice?.number || "",
+    issuedAt: order.invoice?.issuedAt || order.createdAt,
+    orderId: order.orderId,
+    orderedAt: order.createdAt,
+    tableNumber: order.tableNumber,
+    customerPhone: order.customerPhone,
+    status: order.status,
+    seller: {
+      name: seller.legalName || restaurant.restaurantName,
+      tradeName: restaurant.restaurantName,
+      address: seller.address || [restaurant.city, restaurant.state].filter(Boolean).join(", "),
+      gstin: seller.gstin || "",
+      placeOfSupply: restaurant.state || "",
+      footerNote: seller.footerNote || "",
+    },
+    lines,
+    subtotal: order.subtotal,
+    discount: order.discount || 0,
+    couponCode: order.coupon?.code || "",
+    serviceCharge: order.serviceCharge || 0,
+    taxableValue,
+    taxes: order.taxes || [],
+    tax: order.tax || 0,
+    pricesIncludeTax: Boolean(order.pricesIncludeTax),
+    packagingFee: order.packagingFee || 0,
+    deliveryFee: order.deliveryFee || 0,
+    roundOff: order.roundOff || 0,
+    total: order.total,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    refundedAmount: order.refundedAmount || 0,
+  };
+}
+
+/**
+ * Formats a date and time the way invoices print it
+ * @param {Date|string} date - Date
+ * @returns {string} e.g. "19 Oct 2026, 07:25 pm"
+ */
+export function formatInvoiceDate(date) {
+  return new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+/** Money in plain ASCII (receipt printers and PDF fonts have no ₹) */
+const money = (amount) => (amount || 0).toFixed(2);
+
+/**
+ * The bill's charge and tax rows, shared by every layout
+ * @param {Object} invoice - From buildInvoice
+ * @returns {Array} [{ label, amount }]
+ */
+export function getInvoiceSummaryRows(invoice) {
+  const rows = [{ label: "Item Total", amount: invoice.subtotal }];
+  if (invoice.discount > 0) {
+    rows.push({
+      label: `Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ""}`,
+      amount: -invoice.discount,
+    });
+  }
+  if (invoice.serviceCharge > 0) {
+    rows.push({ label: "Service Charge", amount: invoice.serviceCharge });
+  }
+  rows.push({ label: "Taxable Value", amount: invoice.taxableValue });
+  invoice.taxes.forEach((t) => {
+    rows.push({
+      label: `${t.name} @ ${t.rate}%${invoice.pricesIncludeTax ? " (incl.)" : ""}`,
+      amount: t.amount,
+    });
+  });
+  if (invoice.packagingFee > 0) {
+    rows.push({ label: "Packaging", amount: invoice.packagingFee });
+  }
+  if (invoice.deliveryFee > 0) {
+    rows.push({ label: "Delivery Fee", amount: invoice.deliveryFee });
+  }
+  if (invoice.roundOff !== 0) {
+    rows.push({ label: "Round Off", amount: invoice.roundOff });
+  }
+  return rows;
+}
+
+/**
+ * Breaks text into lines of at most `width` characters
+ * @param {string} text - Text
+ * @param {number} width - Line width
+ * @returns {Array<string>} Lines
+ */
+export function wrap(text, width) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = "";
+    }
+    // Words longer than a line are cut
+    let rest = word;
+    while (rest.length > width) {
+      lines.push(rest.slice(0, width));
+      rest = rest.slice(width);
+    }
+    line = line ? `${line} ${rest}` : rest;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/** Left text and right text on one line, padded apart */
+export const spread = (left, right, width) => {
+  const room = width - right.length - 1;
+  const text = left.length > room ? left.slice(0, room) : left;
+  return `${text}${" ".repeat(width - text.length - right.length)}${right}`;
+};
+
+/** Text centred on a line */
+export const center = (text, width) => `${" ".repeat(Math.max(0, Math.floor((width - text.length) / 2)))}${text}`;
+
+/**
+ * Lays the invoice out as fixed-width text, for receipt printers and PDF
+ * @param {Object} invoice - From buildInvoice
+ * @param {number} width - Characters per line
+ * @returns {Array} [{ text, bold }]
+ */
+export function invoiceToLines(invoice, width) {
+  const out = [];
+  const add = (text, bold = false) => out.push({ text, bold });
+  const rule = () => add("-".repeat(width));
+
+  wrap(invoice.seller.name, width).forEach((line) => add(center(line, width), true));
+  if (invoice.seller.tradeName !== invoice.seller.name) {
+    wrap(invoice.seller.tradeName, width).forEach((line) => add(center(line, width)));
+  }
+  wrap(invoice.seller.address, width).forEach((line) => add(center(line, width)));
+  if (invoice.seller.gstin) add(center(`GSTIN: ${invoice.seller.gstin}`, width));
+  rule();
+  add(center("TAX INVOICE", width), true);
+  add(`Invoice No: ${invoice.number}`);
+  add(`Date: ${formatInvoiceDate(invoice.issuedAt)}`);
+  add(spread(`Order #${invoice.orderId}`, `Table ${invoice.tableNumber}`, width));
+  if (invoice.seller.placeOfSupply) add(`Place of Supply: ${invoice.seller.placeOfSupply}`);
+  add(`SAC: ${RESTAURANT_SAC}`);
+  rule();
+  add(spread("Item", "Amount", width), true);
+  invoice.lines.forEach((line) => {
+    wrap(`${line.name} (${line.variant})`, width).forEach((text) => add(text));
+    if (line.addOns) wrap(`  + ${line.addOns}`, width).forEach((text) => add(text));
+    add(spread(`  ${line.quantity} x ${money(line.rate)}`, money(line.amount), width));
+  });
+  rule();
+  getInvoiceSummaryRows(invoice).forEach((row) => add(spread(row.label, money(row.amount), width)));
+  rule();
+  add(spread("TOTAL", `Rs. ${money(invoice.total)}`, width), true);
+  add(`Paid by ${invoice.paymentMethod} (${invoice.paymentStatus})`);
+  if (invoice.refundedAmount > 0) {
+    add(spread("Refunded", `-${money(invoice.refundedAmount)}`, width));
+  }
+  if (invoice.status === "Cancelled") add(center("*** ORDER CANCELLED ***", width), true);
+  rule();
+  wrap(invoice.seller.footerNote || "Thank you! Visit again.", width).forEach((line) =>
+    add(center(line, width))
+  );
+  return out;
+}
@@ -0,0 +1,113 @@
+/**
+ * =========================================================================
+ * INVOICE PDF - Invoices as PDF Files Without a PDF Library
+ * =========================================================================
+ *
+ * The invoice is laid out as fixed-width text (invoiceToLines) and set
+ * in the PDF's built-in Courier fonts, so no font files are needed. A4
+ * invoices flow onto extra pages; receipts are one page as long as the
+ * receipt.
+ *
+ * =========================================================================
+ */
+
+import { INVOICE_LAYOUTS, invoiceToLines } from "./index";
+
+const POINTS_PER_MM = 72 / 25.4;
+const A4 = { width: 595.28, height: 841.89, margin: 40 };
+const RECEIPT_MARGIN = 8;
+
+// Courier glyphs are 0.6em wide
+const COURIER_WIDTH = 0.6;
+
+/** Makes text safe for a PDF string in the built-in (Latin-1) fonts */
+const pdfText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Builds a PDF file from pages of text lines
+ * @param {Array<Array>} pages - Pages of [{ text, bold }]
+ * @param {Object} page - { width, height, margin, fontSize }
+ * @returns {Buffer} PDF bytes
+ */
+function buildPdf(pages, { width, height, margin, fontSize }) {
+  const leading = fontSize * 1.25;
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>");
+  const boldId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>");
+
+  const pageIds = pages.map((lines) => {
+    const content = [
+      "BT",
+      `${leading.toFixed(2)} TL`,
+      `${margin} ${(height - margin - fontSize).toFixed(2)} Td`,
+      ...lines.map(
+        ({ text, bold }) => `/${bold ? "F2" : "F1"} ${fontSize.toFixed(2)} Tf (${pdfText(text)}) Tj T*`
+      ),
+      "ET",
+    ].join("\n");
+    const contentId = addObject(
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+    );
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width.toFixed(2)} ${height.toFixed(2)}] ` +
+        `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+/**
+ * Renders an invoice as a PDF
+ * @param {Object} invoice - From buildInvoice
+ * @param {string} layoutId - Key of INVOICE_LAYOUTS
+ * @returns {Buffer} PDF bytes
+ */
+export function renderInvoicePdf(invoice, layoutId) {
+  const layout = INVOICE_LAYOUTS[layoutId] || INVOICE_LAYOUTS.a4;
+  const lines = invoiceToLines(invoice, layout.columns);
+
+  if (!layout.widthMm) {
+    const fontSize = 10;
+    const perPage = Math.floor((A4.height - A4.margin * 2) / (fontSize * 1.25));
+    const pages = [];
+    for (let i = 0; i < lines.length; i += perPage) {
+      pages.push(lines.slice(i, i + perPage));
+    }
+    return buildPdf(pages, { ...A4, fontSize });
+  }
+
+  // Receipts: the font fills the paper width and the page fits the receipt
+  const width = layout.widthMm * POINTS_PER_MM;
+  const fontSize = Math.min(
+    10,
+    (width - RECEIPT_MARGIN * 2) / (layout.columns * COURIER_WIDTH)
+  );
+  const height = RECEIPT_MARGIN * 2 + lines.length * fontSize * 1.25 + fontSize;
+  return buildPdf([lines], { width, height, margin: RECEIPT_MARGIN, fontSize });
+}
@@ -0,0 +1,61 @@
+/**
+ * =========================================================================
+ * KITCHEN STATIONS - Which Station Cooks Each Dish
+ * =========================================================================
+ *
+ * A dish goes to the station it is assigned to by name, otherwise to the
+ * station that has its category. Dishes matching no station are left
+ * unassigned and only show on the "All stations" kitchen screen.
+ *
+ * Each order line records its station when the order is placed, so
+ * changing stations later never moves dishes already in the kitchen.
+ * A station is done with an order once its lines are ready (or served /
+ * voided); the order turns Ready when every station is done.
+ *
+ * Shared by orderActions, the printers and the kitchen / stations pages.
+ *
+ * =========================================================================
+ */
+
+import { getItemStatus } from "./orderStatus";
+import { isComboLine } from "./combos";
+
+/**
+ * Finds the station that cooks a dish
+ * @param {Object} food - Menu item ({ _id, category })
+ * @param {Array} stations - Restaurant's stations ({ _id, categories, foodIds })
+ * @returns {Object|null} Station, or null when unassigned
+ */
+export function findStationForFood(food, stations) {
+  const foodId = String(food._id);
+  return (
+    stations.find((station) => station.foodIds?.some((id) => String(id) === foodId)) ||
+    stations.find((station) => station.categories?.includes(food.category)) ||
+    null
+  );
+}
+
+/**
+ * Whether an order line belongs to a station ("all" matches every line
+ * but a combo's own, whose dishes are cooked instead)
+ * @param {Object} item - Order line
+ * @param {string} stationId - Station _id or "all"
+ * @returns {boolean}
+ */
+export function isStationItem(item, stationId) {
+  if (isComboLine(item)) return false;
+  return stationId === "all" || String(item.stationId || "") === stationId;
+}
+
+/**
+ * Whether a station still has work on an order
+ * @param {Object} order - Order
+ * @param {string} stationId - Station _id or "all"
+ * @returns {boolean} True while any of its lines is queued or cooking
+ */
+export function hasStationWork(order, stationId) {
+  return order.items.some(
+    (item) =>
+      isStationItem(item, stationId) && ["queued", "cooking"].includes(getItemStatus(item))
+  );
+}
@@ -0,0 +1,391 @@
+/**
+ * =========================================================================
+ * MENU TRANSFER - Bulk Menu Import & Export (CSV / JSON)
+ * =========================================================================
+ *
+ * A whole menu moves between branches as one file:
+ *   JSON  a list of dishes as addFoodItemSchema takes them, add-ons and
+ *         schedule included
+ *   CSV   one dish per row, columns as in MENU_CSV_COLUMNS:
+ *           variants  "Half:120 | Full:220"  (label:price)
+ *           tags      "Spicy | Bestseller"
+ *           isAvailable  yes / no (empty = yes)
+ *
+ * Import matches dishes by name (case does not matter): new names are
+ * added, known ones updated. Only what the file has is changed, so a CSV
+ * leaves a dish's add-ons and schedule alone. Variants, add-on groups and
+ * options are matched by name too and keep their ids, so carts, stock
+ * reservations and recipes holding them keep working.
+ *
+ * Stock counts belong to a branch: they are never exported, imports never
+ * write them (orders keep reserving while an import runs) and a dish or
+ * variant sold out at 0 stays switched off.
+ *
+ * Shared by the admin import / export page and restoItemActions, which
+ * parses, validates and diffs the file on the server.
+ *
+ * =========================================================================
+ */
+
+import { formatSchedule } from "@/src/lib/availability";
+
+export const MENU_TRANSFER_FORMATS = ["csv", "json"];
+
+/** CSV columns, in export order; only name is required on import */
+export const MENU_CSV_COLUMNS = [
+  "name",
+  "category",
+  "foodType",
+  "description",
+  "variants",
+  "tags",
+  "isAvailable",
+  "imageUrl",
+  "lowStockThreshold",
+];
+
+/** Dishes one file may hold */
+export const MENU_IMPORT_MAX_ROWS = 500;
+
+/** Separates variants and tags inside a CSV cell */
+const LIST_SEPARATOR = "|";
+
+const DISH_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "foodType",
+  "variants",
+  "modifierGroups",
+  "schedule",
+  "tags",
+  "imageUrl",
+  "isAvailable",
+  "lowStockThreshold",
+];
+
+/** Copies the keys of source that are set */
+function pick(source, keys) {
+  const result = {};
+  keys.forEach((key) => {
+    if (source?.[key] !== undefined) result[key] = source[key];
+  });
+  return result;
+}
+
+/** Key dishes, variants and options are matched by */
+export function nameKey(name) {
+  return typeof name === "string" ? name.trim().toLowerCase() : "";
+}
+
+/** Finds the entry of list whose field has the same name */
+const findByName = (list, field, name) =>
+  (list || []).find((entry) => nameKey(entry[field]) === nameKey(name));
+
+/**
+ * A dish as it travels between branches: no ids, restaurant or stock
+ * @param {Object} item - Menu item or imported entry
+ * @returns {Object}
+ */
+export function toTransferDish(item) {
+  const dish = pick(item, DISH_FIELDS);
+  if (Array.isArray(dish.variants)) {
+    dish.variants = dish.variants.map((v) => pick(v, ["label", "price", "isAvailable"]));
+  }
+  if (Array.isArray(dish.modifierGroups)) {
+    dish.modifierGroups = dish.modifierGroups.map((group) => ({
+      ...pick(group, ["name", "minSelect", "maxSelect"]),
+      options: Array.isArray(group?.options)
+        ? group.options.map((option) => pick(option, ["label", "price", "isAvailable"]))
+        : group?.options,
+    }));
+  }
+  if (Array.isArray(dish.schedule?.windows)) {
+    dish.schedule = {
+      days: dish.schedule.days,
+      windows: dish.schedule.windows.map((w) => pick(w, ["start", "end"])),
+    };
+  }
+  if (typeof dish.name === "string") dish.name = dish.name.trim();
+  return dish;
+}
+
+/**
+ * Lays an imported dish over the one saved under its name: fields the
+ * file leaves out stay as they are, matched variants / add-ons keep their
+ * ids and switches, and whatever is sold out at 0 stays off
+ * @param {Object|null} saved - Saved menu item (lean), null for a new dish
+ * @param {Object} dish - From parseMenuFile
+ * @returns {Object} Dish to validate with addFoodItemSchema
+ */
+export function mergeDish(saved, dish) {
+  if (!saved) return dish;
+
+  // Malformed lists are passed on as they are for the schema to reject
+  const mapList = (list, map) => (Array.isArray(list) ? list.map(map) : list);
+
+  const variants = mapList(dish.variants ?? saved.variants, (variant) => {
+    const match = findByName(saved.variants, "label", variant?.label);
+    if (!match) return variant;
+    const merged = {
+      isAvailable: match.isAvailable,
+      ...pick(variant, ["label", "price", "isAvailable"]),
+      _id: String(match._id),
+    };
+    if (match.stock === 0) merged.isAvailable = false;
+    return merged;
+  });
+
+  const modifierGroups = mapList(dish.modifierGroups ?? saved.modifierGroups ?? [], (group) => {
+    const match = findByName(saved.modifierGroups, "name", group?.name);
+    if (!match) return group;
+    return {
+      ...pick(group, ["name", "minSelect", "maxSelect"]),
+      _id: String(match._id),
+      options: mapList(group.options, (option) => {
+        const savedOption = findByName(match.options, "label", option?.label);
+        return savedOption
+          ? {
+              isAvailable: savedOption.isAvailable,
+              ...pick(option, ["label", "price", "isAvailable"]),
+              _id: String(savedOption._id),
+            }
+          : option;
+      }),
+    };
+  });
+
+  const merged = { ...toTransferDish(saved), ...dish, variants, modifierGroups };
+  if (saved.stock === 0) merged.isAvailable = false;
+  return merged;
+}
+
+/* ---------------- CSV ---------------- */
+
+/**
+ * Splits CSV text into rows of cells (quoted cells may hold commas,
+ * quotes and line breaks)
+ * @param {string} text
+ * @returns {Array<Array<string>>} Every row, blank ones included
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/** Quotes a CSV cell when it needs it */
+function toCsvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows of cells as CSV
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(toCsvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** "Half:120 | Full:220" → [{ label, price }] */
+function parseVariantList(cell) {
+  return splitList(cell).map((entry) => {
+    const at = entry.lastIndexOf(":");
+    return at === -1
+      ? { label: entry, price: "" }
+      : { label: entry.slice(0, at).trim(), price: entry.slice(at + 1).trim() };
+  });
+}
+
+function splitList(cell) {
+  return cell
+    .split(LIST_SEPARATOR)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+const YES = ["yes", "y", "true", "1"];
+const NO = ["no", "n", "false", "0"];
+
+/**
+ * Reads one CSV row into a dish
+ * @returns {Object} { data, errors }
+ */
+function readCsvDish(columns, cells) {
+  const data = {};
+  const errors = [];
+
+  columns.forEach((column, index) => {
+    const cell = (cells[index] || "").trim();
+    if (column === "variants") {
+      if (cell) data.variants = parseVariantList(cell);
+    } else if (column === "tags") {
+      data.tags = splitList(cell);
+    } else if (column === "isAvailable") {
+      if (YES.includes(cell.toLowerCase())) data.isAvailable = true;
+      else if (NO.includes(cell.toLowerCase())) data.isAvailable = false;
+      else if (cell) errors.push("isAvailable: Use yes or no");
+    } else if (column === "lowStockThreshold") {
+      if (cell) data.lowStockThreshold = cell;
+    } else if (column === "imageUrl") {
+      data.imageUrl = cell;
+    } else if (cell) {
+      data[column] = cell;
+    }
+  });
+
+  return { data, errors };
+}
+
+/* ---------------- IMPORT / EXPORT ---------------- */
+
+/**
+ * Reads an import file into dishes, one per row
+ * @param {string} text - File contents
+ * @param {string} format - "csv" | "json"
+ * @returns {Object} { rows: [{ row, data, errors }] } or { error }; row is
+ *   the spreadsheet row (the CSV header is row 1) or the JSON list position
+ */
+export function parseMenuFile(text, format) {
+  let rows;
+
+  if (format === "json") {
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch {
+      return { error: "The file is not valid JSON" };
+    }
+    if (!Array.isArray(entries)) entries = entries?.items;
+    if (!Array.isArray(entries)) {
+      return { error: "The JSON must be a list of dishes" };
+    }
+    rows = entries.map((entry, index) => ({
+      row: index + 1,
+      data: entry && typeof entry === "object" ? toTransferDish(entry) : {},
+      errors: [],
+    }));
+  } else if (format === "csv") {
+    const [header, ...records] = parseCsv(text);
+    const columns = (header || []).map((title) =>
+      MENU_CSV_COLUMNS.find((column) => nameKey(column) === nameKey(title))
+    );
+    const unknown = (header || []).filter((_, index) => !columns[index]);
+    if (unknown.length > 0) {
+      return { error: `Unknown column "${unknown[0]}". Columns: ${MENU_CSV_COLUMNS.join(", ")}` };
+    }
+    if (!columns.includes("name")) {
+      return { error: "The CSV needs a name column" };
+    }
+    rows = records
+      .map((cells, index) => ({ row: index + 2, cells }))
+      .filter(({ cells }) => cells.some((cell) => cell.trim() !== ""))
+      .map(({ row, cells }) => ({ row, ...readCsvDish(columns, cells) }));
+  } else {
+    return { error: "Pick a CSV or JSON file" };
+  }
+
+  if (rows.length === 0) {
+    return { error: "The file has no dishes" };
+  }
+  if (rows.length > MENU_IMPORT_MAX_ROWS) {
+    return { error: `Import at most ${MENU_IMPORT_MAX_ROWS} dishes at a time` };
+  }
+  return { rows };
+}
+
+/**
+ * Writes a menu as an import file
+ * @param {Array} items - Menu items
+ * @param {string} format - "csv" | "json"
+ * @returns {string}
+ */
+export function exportMenu(items, format) {
+  const dishes = items.map(toTransferDish);
+  if (format === "json") {
+    return JSON.stringify(dishes, null, 2);
+  }
+
+  const cells = (dish) => ({
+    ...dish,
+    variants: (dish.variants || [])
+      .map((v) => `${v.label}:${v.price}`)
+      .join(` ${LIST_SEPARATOR} `),
+    tags: (dish.tags || []).join(` ${LIST_SEPARATOR} `),
+    isAvailable: dish.isAvailable === false ? "no" : "yes",
+  });
+  return toCsv([
+    MENU_CSV_COLUMNS,
+    ...dishes.map((dish) => MENU_CSV_COLUMNS.map((column) => cells(dish)[column])),
+  ]);
+}
+
+/* ---------------- DIFF ---------------- */
+
+const switchedOff = (entry) => (entry.isAvailable === false ? " (off)" : "");
+
+/** How each field reads in the import preview */
+const DESCRIBE_FIELD = {
+  variants: (variants) =>
+    (variants || []).map((v) => `${v.label} ₹${v.price}${switchedOff(v)}`).join(", "),
+  modifierGroups: (groups) =>
+    (groups || [])
+      .map(
+        (group) =>
+          `${group.name} (${group.minSelect}-${group.maxSelect}): ` +
+          group.options.map((o) => `${o.label} ₹${o.price}${switchedOff(o)}`).join(", ")
+      )
+      .join("; ") || "None",
+  schedule: (schedule) => formatSchedule(schedule),
+  tags: (tags) => (tags || []).join(", ") || "None",
+  isAvailable: (isAvailable) => (isAvailable === false ? "Unavailable" : "Available"),
+};
+
+/**
+ * What importing a dish would change
+ * @param {Object} before - Saved dish (toTransferDish)
+ * @param {Object} after - Validated import (toTransferDish)
+ * @returns {Array} [{ field, from, to }]
+ */
+export function getDishChanges(before, after) {
+  return DISH_FIELDS.map((field) => {
+    const describe = DESCRIBE_FIELD[field] || ((value) => (value == null ? "" : String(value)));
+    return { field, from: describe(before[field]), to: describe(after[field]) };
+  }).filter((change) => change.from !== change.to);
+}
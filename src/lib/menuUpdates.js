@@ -0,0 +1,73 @@
+/**
+ * =========================================================================
+ * MENU UPDATES - Live Dish Changes for Diners
+ * =========================================================================
+ *
+ * When an admin edits or deletes a dish, every diner of the restaurant
+ * gets it over SSE (broadcastToRestaurantAction):
+ *   menu:item_updated  { item }            dish as /menu lists it
+ *   menu:item_removed  { foodId, name }
+ *
+ * /menu swaps the dish in place and /cart flags the cart lines it breaks,
+ * with the same { type, reason } adjustments placeOrderAction returns at
+ * checkout, so they show the same way and clear when the line is removed.
+ *
+ * =========================================================================
+ */
+
+import { getLineUnitPrice, getModifiersTotal, resolveModifiers } from "@/src/lib/modifiers";
+
+/**
+ * Checks a cart line against the dish as it is now: the same checks
+ * priceCartItems makes at checkout (schedule and stock aside)
+ * @param {Object} line - Cart line ({ id, itemId | foodId, variantId, variant, modifiers })
+ * @param {Object|null} food - Menu item, null when deleted
+ * @returns {Object|null} Adjustment ({ id, name, type: "rejected" | "repriced",
+ *   reason, oldPrice, newPrice, variantPrice, modifiers }) or null when fine
+ */
+export function checkCartLine(line, food) {
+  const reject = (reason) => ({ id: line.id, name: line.name, type: "rejected", reason });
+
+  if (!food) return reject("Item is no longer on the menu");
+  if (food.isAvailable === false) return reject("Item is currently unavailable");
+
+  const variantId = line.variantId || line.variant?._id;
+  const variant = food.variants?.find((v) =>
+    variantId ? String(v._id) === String(variantId) : v.label === line.variant?.label
+  );
+  if (!variant) return reject("Selected variant no longer exists");
+  if (variant.isAvailable === false) return reject(`${variant.label} is currently unavailable`);
+
+  const { modifiers, error } = resolveModifiers(
+    food,
+    (line.modifiers || []).map((modifier) => modifier.optionId)
+  );
+  if (error) return reject(error);
+
+  const oldPrice = Number(line.variant?.price) + getModifiersTotal(line);
+  const newPrice = getLineUnitPrice({ variant, modifiers });
+  if (oldPrice === newPrice) return null;
+  return {
+    id: line.id,
+    name: food.name,
+    type: "repriced",
+    reason: "Price has changed",
+    oldPrice,
+    newPrice,
+    variantPrice: variant.price,
+    modifiers,
+  };
+}
+
+/**
+ * Cart lines of a changed dish, each with its adjustment
+ * @param {Array} lines - Cart lines (combo lines are skipped)
+ * @param {string} foodId - Dish that changed
+ * @param {Object|null} food - Dish now, null when deleted
+ * @returns {Array} [{ id, adjustment: null when the line is fine }]
+ */
+export function checkCartLinesForFood(lines, foodId, food) {
+  return lines
+    .filter((line) => !line.comboId && String(line.foodId || line.itemId) === String(foodId))
+    .map((line) => ({ id: line.id, adjustment: checkCartLine(line, food) }));
+}
@@ -0,0 +1,111 @@
+/**
+ * =========================================================================
+ * MODIFIERS - Add-Ons and Choices on Menu Items
+ * =========================================================================
+ *
+ * A menu item can carry modifier groups ("Extra toppings", "Choose 2
+ * sides"). Each group sets how many of its options a diner must pick
+ * (minSelect) and may pick (maxSelect); each option has its own price,
+ * added on top of the variant price, and can be switched off on its own.
+ *
+ * Cart and order lines keep the picked options as
+ * { optionId, group, label, price }, so a line's unit price is its
+ * variant price plus its add-ons. Everything that prices or shows a line
+ * (cart, bill, invoices, refunds, kitchen) goes through these helpers.
+ *
+ * Shared by the menu / cart / order pages and orderActions, which checks
+ * every selection again against the menu on the server.
+ *
+ * =========================================================================
+ */
+
+/**
+ * Total price of a line's add-ons, per unit
+ * @param {Object} item - Cart or order line
+ * @returns {number}
+ */
+export function getModifiersTotal(item) {
+  return (item.modifiers || []).reduce((sum, modifier) => sum + modifier.price, 0);
+}
+
+/**
+ * Price of one unit of a line: variant plus add-ons
+ * @param {Object} item - Cart or order line
+ * @returns {number}
+ */
+export function getLineUnitPrice(item) {
+  return item.variant.price + getModifiersTotal(item);
+}
+
+/**
+ * Lists a line's add-ons for display
+ * @param {Object} item - Cart or order line
+ * @returns {string} e.g. "Extra cheese, Garlic dip" ("" when none)
+ */
+export function formatModifiers(item) {
+  return (item.modifiers || []).map((modifier) => modifier.label).join(", ");
+}
+
+/**
+ * Identifies a line's set of picked options, whatever order they were picked in
+ * @param {Object} item - Cart or order line
+ * @returns {string} Option ids joined with "." ("" when none)
+ */
+export function getModifierKey(item) {
+  return (item.modifiers || [])
+    .map((modifier) => String(modifier.optionId))
+    .sort()
+    .join(".");
+}
+
+/**
+ * Describes how many options a group wants picked
+ * @param {Object} group - { minSelect, maxSelect }
+ * @returns {string} e.g. "Choose 1", "Choose up to 3", "Choose 2 to 4"
+ */
+export function describeModifierGroup(group) {
+  const { minSelect, maxSelect } = group;
+  if (minSelect === maxSelect) return `Choose ${maxSelect}`;
+  if (minSelect === 0) return `Optional · up to ${maxSelect}`;
+  return `Choose ${minSelect} to ${maxSelect}`;
+}
+
+/**
+ * Checks a diner's picks against an item's modifier groups and prices them
+ * @param {Object} food - Menu item with modifierGroups
+ * @param {Array} optionIds - Picked option _ids
+ * @returns {Object} { modifiers } in menu order, or { error }
+ */
+export function resolveModifiers(food, optionIds = []) {
+  const picked = new Set(optionIds.map(String));
+  const modifiers = [];
+
+  for (const group of food.modifierGroups || []) {
+    const options = group.options.filter((option) => picked.has(String(option._id)));
+    const unavailable = options.find((option) => option.isAvailable === false);
+    if (unavailable) {
+      return { error: `${unavailable.label} is currently unavailable` };
+    }
+    if (options.length < group.minSelect) {
+      return { error: `Choose at least ${group.minSelect} for ${group.name}` };
+    }
+    if (options.length > group.maxSelect) {
+      return { error: `Choose at most ${group.maxSelect} for ${group.name}` };
+    }
+
+    options.forEach((option) => {
+      picked.delete(String(option._id));
+      modifiers.push({
+        optionId: String(option._id),
+        group: group.name,
+        label: option.label,
+        price: option.price,
+      });
+    });
+  }
+
+  if (picked.size > 0) {
+    return { error: "Some add-ons are no longer on the menu" };
+  }
+  return { modifiers };
+}
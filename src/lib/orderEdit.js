@@ -0,0 +1,97 @@
+/**
+ * =========================================================================
+ * ORDER EDIT UTILITIES - Customer Cancel / Edit Grace Window
+ * =========================================================================
+ *
+ * A customer can cancel or change their order for
+ * ORDER_EDIT_CONFIG.WINDOW_MINUTES after placing it, but only while it
+ * is still "Placed"; the window closes as soon as the restaurant accepts.
+ * Once an order is paid online its items are fixed (the difference would
+ * go unbilled or unrefunded); it can still be cancelled for a refund.
+ *
+ * Shared by the customer order page (countdown, edit buttons) and
+ * orderActions, which enforces the same window on the server.
+ *
+ * =========================================================================
+ */
+
+import { ORDER_EDIT_CONFIG } from "@/src/lib/constants";
+import { formatModifiers, getModifierKey } from "@/src/lib/modifiers";
+import { getInstructionsKey } from "@/src/lib/instructions";
+import { isComboComponent } from "@/src/lib/combos";
+
+/**
+ * When the customer loses the right to change an order
+ * @param {Object} order - Order with createdAt
+ * @returns {Date} End of the grace window
+ */
+export function getEditWindowEnd(order) {
+  return new Date(new Date(order.createdAt).getTime() + ORDER_EDIT_CONFIG.WINDOW_MINUTES * 60000);
+}
+
+/**
+ * Seconds the customer has left to cancel or edit an order
+ * @param {Object} order - Order with status and createdAt
+ * @param {number} now - Current time in ms
+ * @returns {number} Whole seconds left (0 once closed)
+ */
+export function getEditSecondsLeft(order, now = Date.now()) {
+  if (order.status !== "Placed") return 0;
+  return Math.max(0, Math.floor((getEditWindowEnd(order).getTime() - now) / 1000));
+}
+
+/**
+ * Whether the customer can still change an order's items
+ * @param {Object} order - Order with status, createdAt and paymentStatus
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function canEditItems(order, now = Date.now()) {
+  return getEditSecondsLeft(order, now) > 0 && order.paymentStatus !== "Paid";
+}
+
+/** Identifies a dish (or combo) + variant + add-ons + note across the old and new item lists */
+const lineKey = (item) =>
+  `${item.comboId || item.foodId}|${item.variant.label}|${getModifierKey(item)}|${getInstructionsKey(item)}`;
+
+/** "Paneer Tikka (Full)", or "Pizza (Large + Extra Cheese)" with add-ons */
+const lineName = (item) =>
+  `${item.name} (${[item.variant.label, formatModifiers(item)].filter(Boolean).join(" + ")})`;
+
+/**
+ * Summarises how an order's items changed, for the admin notification
+ * (a combo counts once, not per dish)
+ * @param {Array} before - Previous order lines
+ * @param {Array} after - New order lines
+ * @returns {string} e.g. "+1 Paneer Tikka (Full), removed Butter Naan (Single)"
+ */
+export function describeItemChanges(before, after) {
+  const quantities = new Map();
+  const names = new Map();
+
+  before = before.filter((item) => !isComboComponent(item));
+  after = after.filter((item) => !isComboComponent(item));
+
+  for (const item of before) {
+    const key = lineKey(item);
+    quantities.set(key, (quantities.get(key) || 0) - item.quantity);
+    names.set(key, lineName(item));
+  }
+  for (const item of after) {
+    const key = lineKey(item);
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    names.set(key, lineName(item));
+  }
+
+  const afterKeys = new Set(after.map(lineKey));
+  const changes = [];
+  for (const [key, delta] of quantities) {
+    if (delta === 0) continue;
+    if (!afterKeys.has(key)) {
+      changes.push(`removed ${names.get(key)}`);
+    } else {
+      changes.push(`${delta > 0 ? "+" : ""}${delta} ${names.get(key)}`);
+    }
+  }
+  return changes.join(", ") || "No changes";
+}
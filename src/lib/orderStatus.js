@@ -0,0 +1,121 @@
+/**
+ * =========================================================================
+ * ORDER STATUS UTILITIES - Item-level Preparation Status
+ * =========================================================================
+ *
+ * Every order line carries its own status so the kitchen can work dish by
+ * dish. The order's overall status is derived from its lines:
+ *
+ * - every live (not voided) line served   → Served
+ * - every line voided                      → Cancelled
+ * - every live line ready or served        → Ready
+ * - any live line cooking, ready or served → Preparing
+ * - otherwise (all queued)                 → unchanged (Placed / Accepted)
+ *
+ * Lines cooked at different kitchen stations finish separately, so an
+ * order is only Ready once every station has finished its dishes; it is
+ * never set to Ready by hand.
+ *
+ * Order-level changes follow ORDER_TRANSITIONS; anything else is rejected
+ * so a served or cancelled order can never be reopened.
+ *
+ * Shared by orderActions and the admin / kitchen / customer order pages.
+ *
+ * =========================================================================
+ */
+
+// Allowed order status changes. Placed → Preparing happens when a cook
+// starts a dish before the order was accepted.
+export const ORDER_TRANSITIONS = {
+  Placed: ["Accepted", "Preparing", "Cancelled"],
+  Accepted: ["Preparing", "Cancelled"],
+  Preparing: ["Served", "Cancelled"],
+  Ready: ["Served", "Cancelled"],
+  Served: [],
+  Cancelled: [],
+};
+
+// Longest cancellation reason kept on the order
+export const CANCEL_REASON_MAX_LENGTH = 200;
+
+/**
+ * Whether an order can move from one status to another
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ * @returns {boolean}
+ */
+export function canTransitionOrder(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// Line statuses in preparation order (voided = removed from the order)
+export const ITEM_STATUSES = ["queued", "cooking", "ready", "served", "voided"];
+
+// Status a line moves to when advanced
+export const NEXT_ITEM_STATUS = {
+  queued: "cooking",
+  cooking: "ready",
+  ready: "served",
+};
+
+// Customer / kitchen facing labels
+export const ITEM_STATUS_LABELS = {
+  queued: "Queued",
+  cooking: "Cooking",
+  ready: "Ready",
+  served: "Served",
+  voided: "Voided",
+};
+
+/**
+ * Reads a line's status; lines saved before item statuses existed are queued
+ * @param {Object} item - Order line
+ * @returns {string} One of ITEM_STATUSES
+ */
+export function getItemStatus(item) {
+  return item.status || "queued";
+}
+
+/**
+ * Whether a line can move from one status to another
+ * Lines move forward one step at a time; anything not yet served can be voided
+ * @param {string} from - Current line status
+ * @param {string} to - Requested line status
+ * @returns {boolean}
+ */
+export function canChangeItemStatus(from, to) {
+  if (to === "voided") return from !== "served" && from !== "voided";
+  return NEXT_ITEM_STATUS[from] === to;
+}
+
+/**
+ * Derives an order's overall status from its lines
+ * @param {Array} items - Order lines
+ * @param {string} currentStatus - Order status before the change
+ * @returns {string} Order status
+ */
+export function deriveOrderStatus(items, currentStatus) {
+  const statuses = items.map(getItemStatus);
+  const live = statuses.filter((s) => s !== "voided");
+
+  if (live.length === 0) return "Cancelled";
+  if (live.every((s) => s === "served")) return "Served";
+  if (live.every((s) => s === "ready" || s === "served")) return "Ready";
+  if (live.some((s) => s !== "queued")) return "Preparing";
+  return currentStatus;
+}
+
+/**
+ * Line status that follows an order-level status change, or null to keep it
+ * (e.g. "Served" serves every live line, "Cancelled" voids unserved ones)
+ * @param {string} orderStatus - New order status
+ * @param {string} itemStatus - Current line status
+ * @returns {string|null}
+ */
+export function cascadeItemStatus(orderStatus, itemStatus) {
+  if (itemStatus === "voided") return null;
+  if (orderStatus === "Preparing" && itemStatus === "queued") return "cooking";
+  if (orderStatus === "Served" && itemStatus !== "served") return "served";
+  if (orderStatus === "Cancelled" && itemStatus !== "served") return "voided";
+  return null;
+}
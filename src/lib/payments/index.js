@@ -0,0 +1,63 @@
+/**
+ * =========================================================================
+ * PAYMENT PROVIDERS - Pluggable Payment Gateways
+ * =========================================================================
+ *
+ * Every provider is an object with:
+ * - name: string
+ * - methods: payment methods it can take, e.g. ["UPI", "Card"]
+ * - createIntent({ amount, currency, method, reference }):
+ *     Promise<{ success, providerRef?, nextAction?, error? }>
+ *     nextAction tells the customer's screen what to collect next
+ *     ({ type: "upi" | "card" | "none" })
+ * - confirm({ providerRef, method, details }):
+ *     Promise<{ success, status?: "succeeded" | "failed" | "pending",
+ *     failureReason?, error? }>
+ * - refund({ providerRef, amount, reason }):
+ *     Promise<{ success, refundRef?, error? }>
+ * - verifyWebhook(rawBody, headers):
+ *     { valid, event?: { providerRef, status, failureReason? } }
+ *
+ * The active provider is picked by the PAYMENT_PROVIDER env variable and
+ * defaults to "mock". Register a real gateway with
+ * registerPaymentProvider before the first payment is taken.
+ *
+ * =========================================================================
+ */
+
+import mockProvider from "./mockProvider";
+
+const providers = {
+  [mockProvider.name]: mockProvider,
+};
+
+const REQUIRED_FUNCTIONS = ["createIntent", "confirm", "refund", "verifyWebhook"];
+
+/**
+ * Registers a payment provider under its name
+ * @param {Object} provider - Provider implementing the functions above
+ */
+export function registerPaymentProvider(provider) {
+  if (
+    !provider?.name ||
+    REQUIRED_FUNCTIONS.some((fn) => typeof provider[fn] !== "function")
+  ) {
+    throw new Error(
+      `Payment provider must have a name and ${REQUIRED_FUNCTIONS.join(", ")} functions`
+    );
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Returns the provider selected by PAYMENT_PROVIDER
+ * @returns {Object} Payment provider
+ */
+export function getPaymentProvider() {
+  const name = process.env.PAYMENT_PROVIDER || mockProvider.name;
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
@@ -0,0 +1,154 @@
+/**
+ * =========================================================================
+ * MOCK PAYMENT PROVIDER - Local Development Gateway
+ * =========================================================================
+ *
+ * Simulates UPI, card and wallet payments without a real gateway:
+ * - UPI: any valid UPI ID succeeds; IDs starting with "fail" are declined
+ * - Card: any number passing the Luhn check succeeds;
+ *   4000 0000 0000 0002 is declined
+ * - Wallet: always succeeds
+ *
+ * Webhooks are signed with HMAC-SHA256 over the raw body (header
+ * x-mock-signature) using PAYMENT_WEBHOOK_SECRET, falling back to
+ * ADMIN_SESSION_SECRET. signWebhook() builds a valid signature for
+ * trying the webhook route by hand.
+ *
+ * =========================================================================
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+/** Card number the mock always declines */
+const DECLINED_CARD = "4000000000000002";
+
+function getSecret() {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET || process.env.ADMIN_SESSION_SECRET;
+  if (!secret) {
+    throw new Error("❌ PAYMENT_WEBHOOK_SECRET is not defined in .env.local");
+  }
+  return secret;
+}
+
+/**
+ * Luhn checksum used by real card numbers
+ * @param {string} digits - Card number, digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Decides the outcome of a simulated payment
+ * @param {string} method - "UPI" | "Card" | "Wallet"
+ * @param {Object} details - What the customer entered
+ * @returns {Object} { status, failureReason? }
+ */
+function simulate(method, details = {}) {
+  if (method === "UPI") {
+    const vpa = String(details.vpa || "").trim().toLowerCase();
+    if (!/^[\w.-]{2,}@[a-z]{2,}$/.test(vpa)) {
+      return { status: "failed", failureReason: "Invalid UPI ID" };
+    }
+    if (vpa.startsWith("fail")) {
+      return { status: "failed", failureReason: "Payment declined by your bank" };
+    }
+    return { status: "succeeded" };
+  }
+
+  if (method === "Card") {
+    const number = String(details.cardNumber || "").replace(/\D/g, "");
+    const [month, year] = String(details.expiry || "").split("/").map(Number);
+    if (number.length < 12 || !passesLuhn(number)) {
+      return { status: "failed", failureReason: "Invalid card number" };
+    }
+    if (!month || month > 12 || !year || new Date(2000 + year, month) < new Date()) {
+      return { status: "failed", failureReason: "Card has expired" };
+    }
+    if (!/^\d{3,4}$/.test(String(details.cvv || ""))) {
+      return { status: "failed", failureReason: "Invalid CVV" };
+    }
+    if (number === DECLINED_CARD) {
+      return { status: "failed", failureReason: "Card declined" };
+    }
+    return { status: "succeeded" };
+  }
+
+  return { status: "succeeded" };
+}
+
+const mockProvider = {
+  name: "mock",
+  methods: ["UPI", "Card", "Wallet"],
+
+  /**
+   * Starts a payment
+   * @returns {Promise<Object>} { success, providerRef, nextAction }
+   */
+  async createIntent({ method }) {
+    const nextAction = { UPI: "upi", Card: "card" }[method] || "none";
+    return {
+      success: true,
+      providerRef: `mock_pay_${randomBytes(8).toString("hex")}`,
+      nextAction: { type: nextAction },
+    };
+  },
+
+  /**
+   * Completes a payment with what the customer entered
+   * @returns {Promise<Object>} { success, status, failureReason? }
+   */
+  async confirm({ method, details }) {
+    return { success: true, ...simulate(method, details) };
+  },
+
+  /**
+   * Refunds part or all of a payment
+   * @returns {Promise<Object>} { success, refundRef }
+   */
+  async refund() {
+    return { success: true, refundRef: `mock_rfnd_${randomBytes(8).toString("hex")}` };
+  },
+
+  /**
+   * Checks a webhook's signature and reads its event
+   * @param {string} rawBody - Request body exactly as received
+   * @param {Headers} headers - Request headers
+   * @returns {Object} { valid, event? }
+   */
+  verifyWebhook(rawBody, headers) {
+    const given = Buffer.from(String(headers.get("x-mock-signature") || ""));
+    const expected = Buffer.from(this.signWebhook(rawBody));
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return { valid: false };
+    }
+
+    try {
+      const { providerRef, status, failureReason } = JSON.parse(rawBody);
+      return { valid: true, event: { providerRef, status, failureReason } };
+    } catch {
+      return { valid: false };
+    }
+  },
+
+  /**
+   * Signs a webhook body the way the mock gateway would
+   * @param {string} rawBody - JSON body
+   * @returns {string} Hex signature
+   */
+  signWebhook(rawBody) {
+    return createHmac("sha256", getSecret()).update(rawBody).digest("hex");
+  },
+};
+
+export default mockProvider;
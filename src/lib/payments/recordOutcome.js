@@ -0,0 +1,151 @@
+/**
+ * =========================================================================
+ * PAYMENT OUTCOMES - Applying a Provider's Result to an Order
+ * =========================================================================
+ *
+ * Used by confirmPaymentAction (the customer's screen) and by the
+ * webhook route (the provider calling back). Whichever arrives first
+ * settles the payment; the other finds it already final and changes
+ * nothing, so the order is updated exactly once.
+ *
+ * A payment only marks its order Paid while the order is not cancelled,
+ * not already paid and still totals what was charged. Money taken for an
+ * order that fails any of these (cancelled or edited after the payment
+ * started, or paid twice) is refunded at once and the payment is failed.
+ *
+ * =========================================================================
+ */
+
+import Payment from "@/src/models/PaymentModel";
+import Order from "@/src/models/OrderModel";
+import { getPaymentProvider } from "./index";
+import {
+  broadcastToAdminAction,
+  broadcastToCustomerAction,
+} from "@/src/actions/broadcastActions";
+import { serializePlain } from "@/src/lib/serialize";
+
+// WebSocket event constants (inline, same values as src/lib/websocket.js)
+const WS_EVENTS = {
+  ORDER_UPDATED: "order:updated",
+  ORDER_STATUS_CHANGED: "order:status_changed",
+};
+
+/**
+ * Sends back money taken for an order that can no longer be paid for,
+ * and fails the payment
+ * @param {Object} payment - Succeeded payment (lean)
+ * @param {Object|null} order - Its order as it is now
+ * @returns {Promise<Object>} The failed payment
+ */
+async function refundUnappliedPayment(payment, order) {
+  const reason =
+    order?.status === "Cancelled"
+      ? "Order was cancelled"
+      : order?.paymentStatus === "Paid"
+        ? "Order was already paid"
+        : "Order changed after the payment started";
+
+  let refunded = false;
+  try {
+    const gateway = getPaymentProvider();
+    if (gateway.name === payment.provider) {
+      const result = await gateway.refund({
+        providerRef: payment.providerRef,
+        amount: payment.amount,
+        reason,
+      });
+      refunded = result.success;
+    }
+  } catch (error) {
+    console.error("Unapplied Payment Refund Error:", error);
+  }
+  if (!refunded) {
+    console.error(`Payment ${payment.providerRef} needs a manual refund: ${reason}`);
+  }
+
+  return Payment.findByIdAndUpdate(
+    payment._id,
+    {
+      status: "failed",
+      failureReason: `${reason}; ${refunded ? "refunded" : "refund pending"}`,
+      paidAt: null,
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Records a payment's result and updates its order's paymentStatus
+ * @param {string} providerRef - Provider's reference for the payment
+ * @param {string} status - "succeeded" | "failed" | "pending"
+ * @param {string} failureReason - Why it failed, if it did
+ * @returns {Promise<Object|null>} { payment, order } (serialized), or null
+ *   if no such payment exists
+ */
+export async function recordPaymentOutcome(providerRef, status, failureReason = "") {
+  if (!["succeeded", "failed", "pending"].includes(status)) {
+    return null;
+  }
+
+  // Only a payment that isn't final yet can change
+  const payment = await Payment.findOneAndUpdate(
+    { providerRef, status: { $in: ["created", "pending"] } },
+    {
+      status,
+      failureReason: status === "failed" ? failureReason || "Payment failed" : "",
+      paidAt: status === "succeeded" ? new Date() : null,
+    },
+    { new: true }
+  ).lean();
+
+  if (!payment) {
+    const existing = await Payment.findOne({ providerRef }).lean();
+    if (!existing) return null;
+    const order = await Order.findById(existing.order).lean();
+    return { payment: serializePlain(existing), order: serializePlain(order) };
+  }
+  if (status === "pending") {
+    const order = await Order.findById(payment.order).lean();
+    return { payment: serializePlain(payment), order: serializePlain(order) };
+  }
+
+  let settledPayment = payment;
+  let order;
+  if (status === "succeeded") {
+    order = await Order.findOneAndUpdate(
+      {
+        _id: payment.order,
+        status: { $ne: "Cancelled" },
+        paymentStatus: { $ne: "Paid" },
+        total: payment.amount,
+      },
+      { paymentStatus: "Paid", paymentMethod: payment.method },
+      { new: true }
+    ).lean();
+    if (!order) {
+      order = await Order.findById(payment.order).lean();
+      settledPayment = await refundUnappliedPayment(payment, order);
+    }
+  } else {
+    // A failed retry never undoes an earlier successful payment
+    order =
+      (await Order.findOneAndUpdate(
+        { _id: payment.order, paymentStatus: { $ne: "Paid" } },
+        { paymentStatus: "Failed" },
+        { new: true }
+      ).lean()) || (await Order.findById(payment.order).lean());
+  }
+
+  const serializedOrder = serializePlain(order);
+  const payload = { orderId: order.orderId, status: order.status, order: serializedOrder };
+  await broadcastToCustomerAction(
+    order.restoId,
+    order.customerPhone,
+    WS_EVENTS.ORDER_STATUS_CHANGED,
+    payload
+  );
+  await broadcastToAdminAction(order.restoId, WS_EVENTS.ORDER_UPDATED, payload);
+
+  return { payment: serializePlain(settledPayment), order: serializedOrder };
+}
@@ -0,0 +1,134 @@
+/**
+ * =========================================================================
+ * ORDER REFUNDS - Giving Money Back on a Paid Order
+ * =========================================================================
+ *
+ * Used by issueRefundAction (the admin order detail) and when a paid
+ * order is cancelled by the customer. The refund is first reserved on
+ * the order, so two refunds issued at once can't give back more than
+ * was paid; then the payment provider sends the money back. Orders paid
+ * at the counter (no online payment) are refunded by hand and only
+ * recorded here.
+ *
+ * =========================================================================
+ */
+
+import { Types } from "mongoose";
+import Payment from "@/src/models/PaymentModel";
+import Order from "@/src/models/OrderModel";
+import { getPaymentProvider } from "./index";
+import { priceRefund } from "@/src/lib/refunds";
+import {
+  broadcastToAdminAction,
+  broadcastToCustomerAction,
+} from "@/src/actions/broadcastActions";
+import { serializePlain } from "@/src/lib/serialize";
+
+// WebSocket event constants (inline, same values as src/lib/websocket.js)
+const WS_EVENTS = {
+  ORDER_UPDATED: "order:updated",
+  ORDER_STATUS_CHANGED: "order:status_changed",
+};
+
+/**
+ * Refunds a paid order in full or by line
+ * @param {Object} order - Paid order (lean)
+ * @param {Object} options - { lines: [{ itemId, quantity }] | null, reason }
+ * @param {Object} by - { role: "customer" | "admin" | "system", name, phone }
+ * @returns {Promise<Object>} { order, refund } (serialized) or { error }
+ */
+export async function refundOrder(order, { lines = null, reason }, by) {
+  const priced = priceRefund(order, lines);
+  if (priced.error) {
+    return { error: priced.error };
+  }
+
+  // Reserve the refund; matching the old amount stops two refunds racing
+  const increments = { refundedAmount: priced.amount };
+  const arrayFilters = [];
+  priced.items.forEach((item, index) => {
+    increments[`items.$[line${index}].refundedQuantity`] = item.quantity;
+    arrayFilters.push({ [`line${index}._id`]: new Types.ObjectId(item.itemId) });
+  });
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: "Paid",
+      refundedAmount: order.refundedAmount ? order.refundedAmount : { $in: [0, null] },
+    },
+    { $inc: increments },
+    { arrayFilters, new: true }
+  ).lean();
+  if (!reserved) {
+    return { error: "Order was just updated. Please refresh and try again." };
+  }
+
+  const undo = () => {
+    const decrements = Object.fromEntries(
+      Object.entries(increments).map(([path, value]) => [path, -value])
+    );
+    return Order.updateOne({ _id: order._id }, { $inc: decrements }, { arrayFilters });
+  };
+
+  // Paid online: the provider sends the money back
+  let provider = "";
+  let refundRef = "";
+  const payment = await Payment.findOne({ order: order._id, status: "succeeded" })
+    .sort({ paidAt: -1 })
+    .lean();
+  if (payment) {
+    try {
+      const gateway = getPaymentProvider();
+      if (gateway.name !== payment.provider) {
+        await undo();
+        return { error: `This order was paid through ${payment.provider}, which is not active` };
+      }
+      const result = await gateway.refund({
+        providerRef: payment.providerRef,
+        amount: priced.amount,
+        reason,
+      });
+      if (!result.success) {
+        await undo();
+        return { error: result.error || "The payment provider could not refund this order" };
+      }
+      provider = gateway.name;
+      refundRef = result.refundRef || "";
+    } catch (error) {
+      await undo();
+      throw error;
+    }
+  }
+
+  const refund = {
+    type: priced.type,
+    amount: priced.amount,
+    items: priced.items,
+    reason,
+    issuedBy: by,
+    provider,
+    refundRef,
+    at: new Date(),
+  };
+  const updatedOrder = await Order.findByIdAndUpdate(
+    order._id,
+    { $push: { refunds: refund } },
+    { new: true }
+  ).lean();
+
+  const serializedOrder = serializePlain(updatedOrder);
+  const payload = {
+    orderId: updatedOrder.orderId,
+    status: updatedOrder.status,
+    order: serializedOrder,
+  };
+  await broadcastToCustomerAction(
+    updatedOrder.restoId,
+    updatedOrder.customerPhone,
+    WS_EVENTS.ORDER_STATUS_CHANGED,
+    payload
+  );
+  await broadcastToAdminAction(updatedOrder.restoId, WS_EVENTS.ORDER_UPDATED, payload);
+
+  return { order: serializedOrder, refund: serializePlain(refund) };
+}
@@ -0,0 +1,63 @@
+/**
+ * =========================================================================
+ * ESC/POS - Commands for Thermal Receipt Printers
+ * =========================================================================
+ *
+ * Turns lines of text into the bytes ESC/POS printers understand. Only
+ * the commands every kitchen printer supports are used: reset, align,
+ * bold, character size, feed and cut. Text is sent as plain ASCII so it
+ * prints the same on any code page.
+ *
+ * =========================================================================
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// GS ! n: character width / height multipliers
+const SIZE = { normal: 0x00, tall: 0x01, large: 0x11 };
+
+/** Characters per line for each paper width */
+export const PAPER_COLUMNS = { "80mm": 48, "58mm": 32 };
+
+/**
+ * Makes text safe to print: accents are dropped, ₹ becomes "Rs." and any
+ * other non-ASCII character becomes "?"
+ * @param {string} text - Text
+ * @returns {string} Printable ASCII
+ */
+export function toPrintableText(text) {
+  return String(text ?? "")
+    .replace(/₹/g, "Rs.")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x7e]/g, "?");
+}
+
+/**
+ * Encodes lines as one ESC/POS print job
+ * @param {Array} lines - [{ text, bold?, size?: "normal"|"tall"|"large",
+ *   align?: "left"|"center"|"right" }]
+ * @param {Object} options - { cut: feed and cut the paper at the end }
+ * @returns {Buffer} Bytes to send to the printer
+ */
+export function encodeEscPos(lines, { cut = true } = {}) {
+  const bytes = [ESC, 0x40]; // reset
+
+  for (const line of lines) {
+    bytes.push(ESC, 0x61, ALIGN[line.align] ?? ALIGN.left);
+    bytes.push(ESC, 0x45, line.bold ? 1 : 0);
+    bytes.push(GS, 0x21, SIZE[line.size] ?? SIZE.normal);
+    bytes.push(...Buffer.from(toPrintableText(line.text), "ascii"), LF);
+  }
+
+  // Back to normal text so the next job starts clean
+  bytes.push(ESC, 0x61, ALIGN.left, ESC, 0x45, 0, GS, 0x21, SIZE.normal);
+  if (cut) {
+    bytes.push(GS, 0x56, 0x42, 0x04); // feed 4 lines, then partial cut
+  }
+  return Buffer.from(bytes);
+}
@@ -0,0 +1,59 @@
+/**
+ * =========================================================================
+ * KITCHEN PRINTING - Tickets for an Order
+ * =========================================================================
+ *
+ * queueKitchenTickets is called by placeOrderAction for every new order
+ * and by reprintOrderAction. Routing and layout live in kot.js, the
+ * ESC/POS encoding in escpos.js and sending / retrying in queue.js.
+ *
+ * =========================================================================
+ */
+
+import Printer from "@/src/models/PrinterModel";
+import RestaurantFood from "@/src/models/AdminFoodModel";
+import { getItemStatus } from "@/src/lib/orderStatus";
+import { isComboLine } from "@/src/lib/combos";
+import { buildKitchenTicket, routeKitchenItems } from "./kot";
+import { enqueuePrintJob } from "./queue";
+
+/**
+ * Queues one ticket per kitchen printer with that printer's dishes
+ * @param {Object} order - Order (lean)
+ * @param {ObjectId|string} restaurantId - RestaurantAuth _id
+ * @param {Object} options - { reprint, printerId: only this printer }
+ * @returns {Promise<Array>} Queued PrintJobs (empty when no printer is set up)
+ */
+export async function queueKitchenTickets(order, restaurantId, { reprint = false, printerId = null } = {}) {
+  const printers = await Printer.find({ restaurantId, isActive: true }).sort({ name: 1 }).lean();
+  if (printers.length === 0) return [];
+
+  // Voided dishes are not cooked, so they are left off, as are combos
+  // (their dishes are printed instead)
+  const items = order.items.filter(
+    (item) => getItemStatus(item) !== "voided" && !isComboLine(item)
+  );
+  const foods = await RestaurantFood.find({ _id: { $in: items.map((item) => item.foodId) } })
+    .select("category")
+    .lean();
+  const categoryByFoodId = new Map(foods.map((food) => [food._id.toString(), food.category]));
+
+  // Routed across every printer so a reprint matches the original ticket
+  const tickets = routeKitchenItems(items, categoryByFoodId, printers).filter(
+    ({ printer }) => !printerId || printer._id.toString() === String(printerId)
+  );
+
+  const jobs = [];
+  for (const { printer, items: printerItems } of tickets) {
+    jobs.push(
+      await enqueuePrintJob({
+        restaurantId,
+        printer,
+        orderId: order.orderId,
+        kind: reprint ? "reprint" : "kot",
+        data: buildKitchenTicket(order, printerItems, printer, { reprint }),
+      })
+    );
+  }
+  return jobs;
+}
@@ -0,0 +1,144 @@
+/**
+ * =========================================================================
+ * KITCHEN ORDER TICKETS (KOT) - Which Printer Gets Which Dishes
+ * =========================================================================
+ *
+ * A printer tied to a kitchen station gets the dishes that station cooks
+ * (each order line records its station). Otherwise a printer set to some
+ * categories gets only the dishes in them, and a printer with neither
+ * gets every dish no other printer takes, so a single printer with
+ * nothing set prints whole orders. Each printer's ticket lists only its
+ * own dishes, in large type for the line cooks, with their add-ons and
+ * the customer's notes (each line's, and the order's at the foot).
+ *
+ * =========================================================================
+ */
+
+import { center, spread, wrap } from "@/src/lib/invoice";
+import { formatModifiers } from "@/src/lib/modifiers";
+import { encodeEscPos, PAPER_COLUMNS } from "./escpos";
+
+/**
+ * Splits an order's dishes between the kitchen printers
+ * @param {Array} items - Order lines to print
+ * @param {Map} categoryByFoodId - Menu category of each line's foodId
+ * @param {Array} printers - Active printers ({ _id, stationId, categories })
+ * @returns {Array} [{ printer, items }] for printers with something to print
+ */
+export function routeKitchenItems(items, categoryByFoodId, printers) {
+  const routed = new Map(printers.map((printer) => [printer, []]));
+  const byCategory = printers.filter((printer) => !printer.stationId);
+  const catchAll = byCategory.filter((printer) => !printer.categories?.length);
+
+  for (const item of items) {
+    const category = categoryByFoodId.get(String(item.foodId));
+    const atStation = item.stationId
+      ? printers.filter((printer) => String(printer.stationId) === String(item.stationId))
+      : [];
+    const inCategory = byCategory.filter((printer) => printer.categories?.includes(category));
+    const targets = atStation.length ? atStation : inCategory.length ? inCategory : catchAll;
+    targets.forEach((printer) => routed.get(printer).push(item));
+  }
+
+  return [...routed]
+    .filter(([, printerItems]) => printerItems.length > 0)
+    .map(([printer, printerItems]) => ({ printer, items: printerItems }));
+}
+
+/** "19 Oct 2026, 7:45 pm" in India time */
+const formatTicketTime = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+/**
+ * Builds one printer's ticket for an order
+ * @param {Object} order - Order (orderId, tableNumber, customerName, createdAt, instructions)
+ * @param {Array} items - The order lines this printer makes
+ * @param {Object} printer - { name, paperWidth }
+ * @param {Object} options - { reprint: mark the ticket as a reprint }
+ * @returns {Buffer} ESC/POS bytes
+ */
+export function buildKitchenTicket(order, items, printer, { reprint = false } = {}) {
+  const width = PAPER_COLUMNS[printer.paperWidth] || PAPER_COLUMNS["80mm"];
+  const lines = [];
+  const add = (text, style = {}) => lines.push({ text, ...style });
+  const rule = () => add("-".repeat(width));
+
+  add(reprint ? "KOT REPRINT" : "KOT", { bold: true, size: "large", align: "center" });
+  add(printer.name.toUpperCase(), { bold: true, align: "center" });
+  rule();
+  add(spread(`Order #${order.orderId}`, `Table ${order.tableNumber}`, width), {
+    bold: true,
+    size: "tall",
+  });
+  add(formatTicketTime(order.createdAt));
+  if (order.customerName) add(`Guest: ${order.customerName}`);
+  if (reprint) add(`Reprinted ${formatTicketTime(new Date())}`);
+  rule();
+
+  for (const item of items) {
+    wrap(`${item.quantity} x ${item.name}`, width).forEach((text) =>
+      add(text, { bold: true, size: "tall" })
+    );
+    if (item.variant?.label) add(`    ${item.variant.label}`);
+    if (item.parentLineId) {
+      const combo = order.items.find((line) => String(line._id) === String(item.parentLineId));
+      add(`    ${[combo?.name, item.comboSlot].filter(Boolean).join(" · ")}`);
+    }
+    if (item.modifiers?.length) {
+      wrap(`+ ${formatModifiers(item)}`, width - 4).forEach((text) =>
+        add(`    ${text}`, { bold: true })
+      );
+    }
+    if (item.instructions) {
+      wrap(`NOTE: ${item.instructions}`, width - 4).forEach((text) =>
+        add(`    ${text}`, { bold: true })
+      );
+    }
+  }
+
+  if (order.instructions) {
+    rule();
+    wrap(`ORDER NOTE: ${order.instructions}`, width).forEach((text) =>
+      add(text, { bold: true, size: "tall" })
+    );
+  }
+
+  rule();
+  const count = items.reduce((sum, item) => sum + item.quantity, 0);
+  add(center(`${count} item${count === 1 ? "" : "s"}`, width));
+
+  return encodeEscPos(lines);
+}
+
+/**
+ * Builds a test page to check a printer is reachable and cuts paper
+ * @param {Object} printer - { name, host, port, paperWidth, categories }
+ * @param {string} stationName - Station the printer is tied to, if any
+ * @returns {Buffer} ESC/POS bytes
+ */
+export function buildTestTicket(printer, stationName = "") {
+  const width = PAPER_COLUMNS[printer.paperWidth] || PAPER_COLUMNS["80mm"];
+  const prints = stationName
+    ? `${stationName} station`
+    : printer.categories?.length
+      ? printer.categories.join(", ")
+      : "everything else";
+  const lines = [
+    { text: "TEST PRINT", bold: true, size: "large", align: "center" },
+    { text: printer.name, bold: true, align: "center" },
+    { text: "-".repeat(width) },
+    { text: `Address: ${printer.host}:${printer.port}` },
+    { text: `Paper: ${printer.paperWidth} (${width} characters)` },
+    ...wrap(`Prints: ${prints}`, width).map((text) => ({ text })),
+    { text: formatTicketTime(new Date()) },
+    { text: "-".repeat(width) },
+  ];
+  return encodeEscPos(lines);
+}
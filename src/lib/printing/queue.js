@@ -0,0 +1,168 @@
+/**
+ * =========================================================================
+ * PRINT QUEUE - Sending Tickets to Kitchen Printers, With Retry
+ * =========================================================================
+ *
+ * Tickets are saved as PrintJobs first and sent afterwards, so placing
+ * an order never waits on a printer. A job is claimed before it is sent
+ * (status "printing"), which keeps two runs from printing it twice. A
+ * printer that can't be reached is tried again after
+ * PRINT_QUEUE_CONFIG.RETRY_DELAYS_SECONDS; after MAX_ATTEMPTS the job is
+ * marked failed and can be retried by hand from /admin/printers.
+ *
+ * The queue runs inside the server process: it starts whenever a job is
+ * added or the printers page is opened, and sets a timer for the next
+ * retry that is due.
+ *
+ * =========================================================================
+ */
+
+import net from "net";
+import { PRINT_QUEUE_CONFIG } from "@/src/lib/constants";
+import Printer from "@/src/models/PrinterModel";
+import PrintJob from "@/src/models/PrintJobModel";
+
+// A job left "printing" this long was cut off (e.g. by a restart)
+const STALE_PRINTING_MS = 60 * 1000;
+
+// Survives hot reloads in development, like the mongoose connection
+const queueState = (globalThis.__printQueue ??= { running: false, rerun: false, timer: null });
+
+/**
+ * Sends bytes to a network printer over raw TCP (port 9100 style)
+ * @param {string} host - Printer host or IP
+ * @param {number} port - Printer port
+ * @param {Buffer} data - ESC/POS bytes
+ * @returns {Promise<void>} Resolves once the printer has taken every byte
+ */
+export function sendToPrinter(host, port, data) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      socket.destroy();
+      reject(error);
+    };
+
+    socket.setTimeout(PRINT_QUEUE_CONFIG.CONNECT_TIMEOUT_MS, () =>
+      fail(new Error(`No answer from ${host}:${port}`))
+    );
+    socket.on("error", fail);
+    socket.on("connect", () => socket.end(data));
+    socket.on("close", () => {
+      if (!failed) resolve();
+    });
+  });
+}
+
+/**
+ * Saves a ticket to be printed and starts the queue
+ * @param {Object} job - { restaurantId, printer, orderId, kind, data }
+ * @returns {Promise<Object>} The PrintJob (lean)
+ */
+export async function enqueuePrintJob({ restaurantId, printer, orderId = "", kind, data }) {
+  const job = await PrintJob.create({
+    restaurantId,
+    printer: printer._id,
+    printerName: printer.name,
+    orderId,
+    kind,
+    data,
+  });
+  processPrintQueue();
+  return job.toObject();
+}
+
+/**
+ * Takes the next job that is due, marking it as printing
+ * @returns {Promise<Object|null>} The job, or null when nothing is due
+ */
+function claimNextJob() {
+  const now = new Date();
+  return PrintJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        { status: "printing", lockedAt: { $lt: new Date(now - STALE_PRINTING_MS) } },
+      ],
+    },
+    { status: "printing", lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Sends one claimed job and records how it went
+ * @param {Object} job - Claimed PrintJob
+ */
+async function runJob(job) {
+  try {
+    const printer = await Printer.findById(job.printer).lean();
+    if (!printer) throw new Error("Printer was removed");
+    if (!printer.isActive) throw new Error("Printer is switched off in settings");
+
+    await sendToPrinter(printer.host, printer.port, job.data.buffer ?? job.data);
+    await PrintJob.updateOne(
+      { _id: job._id },
+      { status: "printed", printedAt: new Date(), lockedAt: null, lastError: "" }
+    );
+  } catch (error) {
+    const delays = PRINT_QUEUE_CONFIG.RETRY_DELAYS_SECONDS;
+    const giveUp = job.attempts >= PRINT_QUEUE_CONFIG.MAX_ATTEMPTS;
+    const delay = delays[Math.min(job.attempts, delays.length) - 1] * 1000;
+    await PrintJob.updateOne(
+      { _id: job._id },
+      {
+        status: giveUp ? "failed" : "queued",
+        lastError: error.message || "Print failed",
+        lockedAt: null,
+        nextAttemptAt: new Date(Date.now() + (giveUp ? 0 : delay)),
+      }
+    );
+  }
+}
+
+/** Sets a timer for the next retry that is due */
+async function scheduleNextRun() {
+  clearTimeout(queueState.timer);
+  const next = await PrintJob.findOne({ status: "queued" })
+    .sort({ nextAttemptAt: 1 })
+    .select("nextAttemptAt")
+    .lean();
+  if (!next) return;
+
+  const wait = Math.max(0, new Date(next.nextAttemptAt) - Date.now());
+  queueState.timer = setTimeout(processPrintQueue, wait);
+  queueState.timer.unref?.();
+}
+
+/**
+ * Sends every job that is due. Safe to call at any time; a call made
+ * while the queue is running makes it look again once it finishes.
+ * @returns {Promise<void>}
+ */
+export async function processPrintQueue() {
+  if (queueState.running) {
+    queueState.rerun = true;
+    return;
+  }
+  queueState.running = true;
+
+  try {
+    do {
+      queueState.rerun = false;
+      let job;
+      while ((job = await claimNextJob())) {
+        await runJob(job);
+      }
+    } while (queueState.rerun);
+    await scheduleNextRun();
+  } catch (error) {
+    console.error("Print Queue Error:", error);
+  } finally {
+    queueState.running = false;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * =========================================================================
+ * RECIPES - Ingredient Costing, Usage & Variance
+ * =========================================================================
+ *
+ * Raw materials (Ingredient: name, unit, costPerUnit, stock) are mapped to
+ * menu dishes by recipes, one per dish variant:
+ *   { foodId, variantId, ingredients: [{ ingredientId, quantity }] }
+ * with quantities in the ingredient's own unit (e.g. 0.25 kg paneer).
+ *
+ * - Food cost:  a variant's recipe priced at today's ingredient costs;
+ *               margin = menu price - food cost
+ * - Usage:      orders consume their dishes' recipes when placed and give
+ *               them back when cancelled, voided or edited (see
+ *               src/lib/inventory/ingredients.js). Add-ons are not costed.
+ * - Movements:  every stock change is logged (IngredientMovement):
+ *   purchase  stock bought in (+), at the price paid
+ *   order     used by orders (-) or given back (+)
+ *   count     physical count minus what the system expected
+ *
+ * The variance report compares what orders should have used with what the
+ * counts found missing (or extra) over a period.
+ *
+ * =========================================================================
+ */
+
+import { getStockDemand } from "@/src/lib/stock";
+
+/** Rounds a quantity to 3 decimals (grams of a kilo) */
+export function roundQuantity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/** Rounds money to 2 decimals */
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cost of one portion of a recipe at today's ingredient costs
+ * @param {Object} recipe - { ingredients: [{ ingredientId, quantity }] }
+ * @param {Map} ingredientsById - Ingredient _id string → ingredient
+ * @returns {number} Food cost (ingredients no longer stocked count as 0)
+ */
+export function getRecipeCost(recipe, ingredientsById) {
+  const cost = (recipe?.ingredients || []).reduce((sum, line) => {
+    const ingredient = ingredientsById.get(String(line.ingredientId));
+    return ingredient ? sum + line.quantity * ingredient.costPerUnit : sum;
+  }, 0);
+  return roundMoney(cost);
+}
+
+/**
+ * Food cost and margin of every dish variant on the menu
+ * @param {Array} foods - Menu items with variants
+ * @param {Array} recipes - Recipes of the restaurant
+ * @param {Array} ingredients - Ingredients of the restaurant
+ * @returns {Array} [{ foodId, variantId, name, category, variantLabel, price,
+ *   recipe, cost, margin, foodCostPercent }]; cost etc. null without a recipe
+ */
+export function getFoodCosting(foods, recipes, ingredients) {
+  const ingredientsById = new Map(ingredients.map((i) => [String(i._id), i]));
+  const recipesByKey = new Map(
+    recipes.map((recipe) => [`${recipe.foodId}:${recipe.variantId}`, recipe])
+  );
+
+  return foods.flatMap((food) =>
+    (food.variants || []).map((variant) => {
+      const recipe = recipesByKey.get(`${food._id}:${variant._id}`) || null;
+      const cost = recipe ? getRecipeCost(recipe, ingredientsById) : null;
+      return {
+        foodId: String(food._id),
+        variantId: String(variant._id),
+        name: food.name,
+        category: food.category,
+        variantLabel: variant.label,
+        price: variant.price,
+        recipe,
+        cost,
+        margin: cost === null ? null : roundMoney(variant.price - cost),
+        foodCostPercent:
+          cost === null || !variant.price ? null : roundMoney((cost / variant.price) * 100),
+      };
+    })
+  );
+}
+
+/**
+ * Ingredients an order's lines use: each dish variant's recipe times its
+ * quantity (voided lines and combo parents excluded, combo dishes included)
+ * @param {Array} items - Order lines ({ foodId, variantId, quantity })
+ * @param {Array} recipes - Recipes of the dishes ordered
+ * @returns {Array} [{ ingredientId, quantity }]
+ */
+export function getIngredientUsage(items, recipes) {
+  const usage = new Map();
+  for (const entry of getStockDemand(items)) {
+    const recipe = recipes.find(
+      (r) => String(r.foodId) === entry.foodId && String(r.variantId) === entry.variantId
+    );
+    for (const line of recipe?.ingredients || []) {
+      const ingredientId = String(line.ingredientId);
+      usage.set(ingredientId, (usage.get(ingredientId) || 0) + line.quantity * entry.quantity);
+    }
+  }
+  return [...usage].map(([ingredientId, quantity]) => ({
+    ingredientId,
+    quantity: roundQuantity(quantity),
+  }));
+}
+
+/**
+ * Change in ingredient use between what an order has used and what it
+ * should have used
+ * @param {Array} held - order.ingredientUsage
+ * @param {Array} wanted - From getIngredientUsage
+ * @returns {Array} [{ ingredientId, quantity }]; positive = use more
+ */
+export function diffIngredientUsage(held, wanted) {
+  const changes = new Map();
+  (held || []).forEach((line) => {
+    const id = String(line.ingredientId);
+    changes.set(id, (changes.get(id) || 0) - line.quantity);
+  });
+  (wanted || []).forEach((line) => {
+    const id = String(line.ingredientId);
+    changes.set(id, (changes.get(id) || 0) + line.quantity);
+  });
+  return [...changes]
+    .map(([ingredientId, quantity]) => ({ ingredientId, quantity: roundQuantity(quantity) }))
+    .filter((change) => change.quantity !== 0);
+}
+
+/**
+ * Per-ingredient totals of a period's movements
+ * @param {Array} ingredients - Ingredients of the restaurant
+ * @param {Array} movements - IngredientMovement entries of the period
+ * @returns {Array} [{ ingredientId, name, unit, purchased, used, variance,
+ *   varianceCost, variancePercent }], biggest losses first. variance is
+ *   counted minus expected (negative = missing); variancePercent is of used
+ */
+export function getVarianceReport(ingredients, movements) {
+  return ingredients
+    .map((ingredient) => {
+      const own = movements.filter((m) => String(m.ingredientId) === String(ingredient._id));
+      const total = (type) =>
+        roundQuantity(own.filter((m) => m.type === type).reduce((sum, m) => sum + m.quantity, 0));
+      const used = -total("order") || 0;
+      const variance = total("count");
+      return {
+        ingredientId: String(ingredient._id),
+        name: ingredient.name,
+        unit: ingredient.unit,
+        purchased: total("purchase"),
+        used,
+        variance,
+        varianceCost: roundMoney(variance * ingredient.costPerUnit),
+        variancePercent: used > 0 ? roundMoney((variance / used) * 100) : null,
+      };
+    })
+    .sort((a, b) => a.varianceCost - b.varianceCost);
+}
@@ -0,0 +1,123 @@
+/**
+ * =========================================================================
+ * REFUND UTILITIES - Refund Amounts for Paid Orders
+ * =========================================================================
+ *
+ * An order can be refunded in full or line by line. A partial refund of
+ * a line is priced at its share of the order total, so taxes, charges,
+ * discounts and round off are given back in proportion. Voided lines are
+ * already off the bill and can't be refunded.
+ *
+ * Revenue figures use getNetTotal: what the order brought in after refunds,
+ * nothing for a cancelled order.
+ *
+ * =========================================================================
+ */
+
+import { getItemStatus } from "./orderStatus";
+import { getLineUnitPrice } from "./modifiers";
+import { isComboComponent } from "./combos";
+import { toPaise } from "./billing";
+
+export const REFUND_TYPES = ["full", "partial"];
+
+export const REFUND_REASON_MAX_LENGTH = 200;
+
+/**
+ * What an order brought in once its refunds are taken off
+ * @param {Object} order - Order
+ * @returns {number} Net amount (0 for a cancelled order)
+ */
+export function getNetTotal(order) {
+  if (order.status === "Cancelled") return 0;
+  return toPaise((order.total || 0) - (order.refundedAmount || 0));
+}
+
+/**
+ * How much of a paid order can still be refunded
+ * @param {Object} order - Order
+ * @returns {number} Refundable amount (0 if the order isn't paid)
+ */
+export function getRefundableAmount(order) {
+  if (order.paymentStatus !== "Paid") return 0;
+  // A cancelled order's payment is still refundable until it is given back
+  return Math.max(0, toPaise((order.total || 0) - (order.refundedAmount || 0)));
+}
+
+/**
+ * How many of a line can still be refunded
+ * @param {Object} item - Order line
+ * @returns {number} Quantity not yet refunded (0 for voided lines and
+ *   a combo's dishes, which are refunded through the combo)
+ */
+export function getRefundableQuantity(item) {
+  if (getItemStatus(item) === "voided" || isComboComponent(item)) return 0;
+  return Math.max(0, item.quantity - (item.refundedQuantity || 0));
+}
+
+/**
+ * Prices a refund. With no lines the whole refundable amount is refunded.
+ * @param {Object} order - Paid order
+ * @param {Array|null} lines - [{ itemId, quantity }] for a partial refund
+ * @returns {Object} { type, amount, items } or { error }
+ */
+export function priceRefund(order, lines = null) {
+  const refundable = getRefundableAmount(order);
+  if (refundable <= 0) {
+    return { error: "Nothing left to refund on this order" };
+  }
+
+  if (!lines) {
+    const items = order.items
+      .filter((item) => getRefundableQuantity(item) > 0)
+      .map((item) => ({
+        itemId: String(item._id),
+        name: item.name,
+        variantLabel: item.variant.label,
+        quantity: getRefundableQuantity(item),
+        amount: 0,
+      }));
+    return { type: "full", amount: refundable, items };
+  }
+
+  // Every line's share of the total it was billed at
+  const ratio = order.subtotal > 0 ? order.total / order.subtotal : 0;
+
+  // The same line listed twice counts once, with the quantities added up,
+  // so it can't get past what is left to refund
+  const quantities = new Map();
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) continue;
+    const itemId = String(line.itemId);
+    quantities.set(itemId, (quantities.get(itemId) || 0) + quantity);
+  }
+
+  const items = [];
+  for (const [itemId, quantity] of quantities) {
+    const item = order.items.find((i) => String(i._id) === itemId);
+    if (!item) {
+      return { error: "Item not found on this order" };
+    }
+    if (quantity > getRefundableQuantity(item)) {
+      return { error: `Only ${getRefundableQuantity(item)} × ${item.name} can be refunded` };
+    }
+    items.push({
+      itemId: String(item._id),
+      name: item.name,
+      variantLabel: item.variant.label,
+      quantity,
+      amount: toPaise(getLineUnitPrice(item) * quantity * ratio),
+    });
+  }
+
+  if (items.length === 0) {
+    return { error: "Choose at least one item to refund" };
+  }
+
+  const amount = Math.min(
+    refundable,
+    toPaise(items.reduce((sum, item) => sum + item.amount, 0))
+  );
+  return { type: "partial", amount, items };
+}
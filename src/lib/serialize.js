@@ -0,0 +1,33 @@
+/**
+ * =========================================================================
+ * SERIALIZE - Plain Values for Server Action Results
+ * =========================================================================
+ *
+ * Server actions can only hand plain values to the client, so lean
+ * documents are copied with ObjectIds as hex strings and dates as ISO
+ * strings before they are returned or broadcast.
+ *
+ * =========================================================================
+ */
+
+/**
+ * Deep copy of a value with ObjectIds and dates turned into strings
+ * @param {*} value - Lean document, array or plain value
+ * @returns {*} JSON-safe copy
+ */
+export function serializePlain(value) {
+  if (value == null) return value;
+  if (Array.isArray(value)) return value.map(serializePlain);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (typeof value.toHexString === "function") {
+      return value.toHexString();
+    }
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = serializePlain(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
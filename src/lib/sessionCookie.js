@@ -0,0 +1,62 @@
+/**
+ * =========================================================================
+ * SESSION COOKIE UTILITIES - Signed Admin Session Cookie
+ * =========================================================================
+ *
+ * The admin session cookie holds an AdminSessionModel _id signed with
+ * HMAC-SHA256 ("<sessionId>.<signature>"). The proxy only checks the
+ * signature; server actions also check that the session still exists.
+ *
+ * Requires ADMIN_SESSION_SECRET in .env.local.
+ *
+ * =========================================================================
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+export const ADMIN_SESSION_COOKIE = "adminSid";
+
+// Matches the TTL on AdminSessionModel (7 days)
+export const ADMIN_SESSION_MAX_AGE = 7 * 24 * 60 * 60;
+
+function getSecret() {
+  const secret = process.env.ADMIN_SESSION_SECRET;
+  if (!secret) {
+    throw new Error("❌ ADMIN_SESSION_SECRET is not defined in .env.local");
+  }
+  return secret;
+}
+
+function createSignature(value) {
+  return createHmac("sha256", getSecret()).update(value).digest("base64url");
+}
+
+/**
+ * Signs a session id for the cookie
+ * @param {string} sessionId - AdminSessionModel _id
+ * @returns {string} "<sessionId>.<signature>"
+ */
+export function signSessionId(sessionId) {
+  return `${sessionId}.${createSignature(sessionId)}`;
+}
+
+/**
+ * Verifies a signed cookie value
+ * @param {string} signedValue - Cookie value
+ * @returns {string|null} The session id, or null if missing/tampered
+ */
+export function verifySignedSessionId(signedValue) {
+  if (!signedValue) return null;
+
+  const dot = signedValue.lastIndexOf(".");
+  if (dot <= 0) return null;
+
+  const sessionId = signedValue.slice(0, dot);
+  const given = Buffer.from(signedValue.slice(dot + 1));
+  const expected = Buffer.from(createSignature(sessionId));
+
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return null;
+  }
+  return sessionId;
+}
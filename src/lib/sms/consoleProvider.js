@@ -0,0 +1,42 @@
+/**
+ * =========================================================================
+ * CONSOLE SMS PROVIDER - Local Development Delivery
+ * =========================================================================
+ *
+ * Prints outgoing messages to the server console instead of sending
+ * them. If SMS_LOG_FILE is set, each message is also appended to that
+ * file as one JSON line.
+ *
+ * =========================================================================
+ */
+
+import { appendFile } from "fs/promises";
+
+const consoleProvider = {
+  name: "console",
+
+  /**
+   * "Sends" an SMS by logging it
+   * @param {Object} params
+   * @param {string} params.to - Recipient phone number
+   * @param {string} params.message - Message body
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async send({ to, message }) {
+    console.log(`📱 [SMS to ${to}] ${message}`);
+
+    const logFile = process.env.SMS_LOG_FILE;
+    if (logFile) {
+      try {
+        const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+        await appendFile(logFile, `${line}\n`);
+      } catch (error) {
+        console.error("SMS log file write failed:", error);
+      }
+    }
+
+    return { success: true };
+  },
+};
+
+export default consoleProvider;
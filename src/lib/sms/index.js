@@ -0,0 +1,45 @@
+/**
+ * =========================================================================
+ * SMS PROVIDERS - Pluggable SMS Delivery
+ * =========================================================================
+ *
+ * Every provider is an object with:
+ * - name: string
+ * - send({ to, message }): Promise<{ success, error? }>
+ *
+ * The active provider is picked by the SMS_PROVIDER env variable and
+ * defaults to "console". Register a real gateway with registerSmsProvider
+ * before the first message is sent.
+ *
+ * =========================================================================
+ */
+
+import consoleProvider from "./consoleProvider";
+
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+};
+
+/**
+ * Registers an SMS provider under its name
+ * @param {Object} provider - Provider implementing send()
+ */
+export function registerSmsProvider(provider) {
+  if (!provider?.name || typeof provider.send !== "function") {
+    throw new Error("SMS provider must have a name and a send() function");
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Returns the provider selected by SMS_PROVIDER
+ * @returns {Object} SMS provider
+ */
+export function getSmsProvider() {
+  const name = process.env.SMS_PROVIDER || consoleProvider.name;
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+}
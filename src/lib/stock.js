@@ -0,0 +1,162 @@
+/**
+ * =========================================================================
+ * STOCK COUNTS - Tracked Portions per Dish or Variant
+ * =========================================================================
+ *
+ * Stock is optional. A dish counts it either per variant (variant.stock)
+ * or across all its variants (food.stock); null means not tracked. Orders
+ * take stock when they are placed and hold it as stockReservations:
+ *   [{ foodId, variantId, quantity }]   variantId null = the dish's count
+ * so cancelling the order, voiding a line or editing the order gives back
+ * exactly what was taken (see src/lib/inventory/index.js).
+ *
+ * A count that reaches 0 switches the dish (or variant) off; once it is at
+ * or below the dish's lowStockThreshold the restaurant's admins are alerted.
+ *
+ * =========================================================================
+ */
+
+import { getItemStatus } from "@/src/lib/orderStatus";
+import { isComboLine } from "@/src/lib/combos";
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Whether a count is tracked
+ * @param {number|null} count - food.stock or variant.stock
+ * @returns {boolean}
+ */
+export function isStockTracked(count) {
+  return typeof count === "number";
+}
+
+/**
+ * Whether a tracked count is at or below the dish's threshold
+ * @param {number|null} count - Stock left
+ * @param {number} threshold - food.lowStockThreshold
+ * @returns {boolean}
+ */
+export function isLowStock(count, threshold = DEFAULT_LOW_STOCK_THRESHOLD) {
+  return isStockTracked(count) && count <= threshold;
+}
+
+/**
+ * The count a variant of a dish is sold from
+ * @param {Object} food - Menu item
+ * @param {Object} variant - One of its variants
+ * @returns {Object} { count, variantId: set when the variant has its own }
+ */
+export function getStockLevel(food, variant) {
+  if (isStockTracked(variant?.stock)) {
+    return { count: variant.stock, variantId: String(variant._id) };
+  }
+  return { count: isStockTracked(food.stock) ? food.stock : null, variantId: null };
+}
+
+/**
+ * Short stock label for menus, e.g. "Only 3 left" (empty when plenty)
+ * @param {Object} food - Menu item
+ * @param {Object} variant - Variant shown (optional)
+ * @returns {string}
+ */
+export function describeStock(food, variant) {
+  const { count } = getStockLevel(food, variant);
+  if (!isStockTracked(count)) return "";
+  if (count === 0) return "Sold out";
+  return isLowStock(count, food.lowStockThreshold) ? `Only ${count} left` : "";
+}
+
+/**
+ * Stock summary for admin lists, e.g. "12 left" or "Half: 3, Full: 10"
+ * @param {Object} food - Menu item
+ * @returns {Object} { label: "" when nothing is counted,
+ *   low: any count at or below the threshold }
+ */
+export function summarizeStock(food) {
+  const counted = (food.variants || []).filter((variant) => isStockTracked(variant.stock));
+  if (counted.length > 0) {
+    return {
+      label: counted.map((variant) => `${variant.label}: ${variant.stock}`).join(", "),
+      low: counted.some((variant) => isLowStock(variant.stock, food.lowStockThreshold)),
+    };
+  }
+  if (isStockTracked(food.stock)) {
+    return { label: `${food.stock} left`, low: isLowStock(food.stock, food.lowStockThreshold) };
+  }
+  return { label: "", low: false };
+}
+
+/**
+ * Portions each dish variant of an order needs: lines not voided, and a
+ * combo's dishes rather than the combo itself
+ * @param {Array} items - Order lines ({ foodId, variantId, quantity })
+ * @returns {Array} [{ foodId, variantId, quantity }]
+ */
+export function getStockDemand(items) {
+  const demand = new Map();
+  for (const item of items || []) {
+    if (!item.foodId || isComboLine(item) || getItemStatus(item) === "voided") continue;
+    const key = `${item.foodId}:${item.variantId || ""}`;
+    const entry = demand.get(key) || {
+      foodId: String(item.foodId),
+      variantId: item.variantId ? String(item.variantId) : null,
+      quantity: 0,
+    };
+    entry.quantity += item.quantity;
+    demand.set(key, entry);
+  }
+  return [...demand.values()];
+}
+
+/**
+ * Cuts an order's reservations down to what its lines still need, e.g.
+ * after a line is voided (never adds, so orders placed before stock was
+ * tracked don't take any)
+ * @param {Array} held - order.stockReservations
+ * @param {Array} demand - From getStockDemand
+ * @returns {Array} Reservations to keep
+ */
+export function shrinkReservations(held, demand) {
+  // Variants with their own reservation don't count against the dish's
+  const ownCounts = new Set(
+    (held || [])
+      .filter((reservation) => reservation.variantId)
+      .map((reservation) => `${reservation.foodId}:${reservation.variantId}`)
+  );
+  return (held || []).flatMap((reservation) => {
+    const needed = demand
+      .filter(
+        (entry) =>
+          entry.foodId === String(reservation.foodId) &&
+          (reservation.variantId
+            ? entry.variantId === String(reservation.variantId)
+            : !ownCounts.has(`${entry.foodId}:${entry.variantId}`))
+      )
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    const quantity = Math.min(reservation.quantity, needed);
+    return quantity > 0 ? [{ ...reservation, quantity }] : [];
+  });
+}
+
+/**
+ * Change in stock between two sets of reservations
+ * @param {Array} held - Reservations the order holds
+ * @param {Array} wanted - Reservations it should hold
+ * @returns {Array} [{ foodId, variantId, quantity }]; positive = take more
+ */
+export function diffReservations(held, wanted) {
+  const changes = new Map();
+  const add = (reservation, sign) => {
+    const key = `${reservation.foodId}:${reservation.variantId || ""}`;
+    const entry = changes.get(key) || {
+      foodId: String(reservation.foodId),
+      variantId: reservation.variantId ? String(reservation.variantId) : null,
+      quantity: 0,
+    };
+    entry.quantity += sign * reservation.quantity;
+    changes.set(key, entry);
+  };
+  (held || []).forEach((reservation) => add(reservation, -1));
+  (wanted || []).forEach((reservation) => add(reservation, 1));
+  return [...changes.values()].filter((change) => change.quantity !== 0);
+}
@@ -0,0 +1,79 @@
+/**
+ * =========================================================================
+ * TABLE LINK UTILITIES - Signed QR Code Links
+ * =========================================================================
+ *
+ * Each table's QR code opens /auth?r=<restoId>&t=<table>&s=<signature>.
+ * The signature (HMAC-SHA256) stops customers from editing the link to
+ * claim a different restaurant or table; /auth pre-fills both when it
+ * verifies.
+ *
+ * Uses TABLE_QR_SECRET from .env.local, falling back to
+ * ADMIN_SESSION_SECRET. Changing the secret (or renaming a table)
+ * invalidates printed QR codes.
+ *
+ * =========================================================================
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+function getSecret() {
+  const secret = process.env.TABLE_QR_SECRET || process.env.ADMIN_SESSION_SECRET;
+  if (!secret) {
+    throw new Error("❌ TABLE_QR_SECRET is not defined in .env.local");
+  }
+  return secret;
+}
+
+/**
+ * Normalises a table name the way the Table model stores it
+ * @param {string} name - Table name as typed, e.g. " t5 "
+ * @returns {string} e.g. "T5"
+ */
+export function normalizeTableName(name) {
+  return String(name || "").trim().replace(/\s+/g, " ").toUpperCase();
+}
+
+/**
+ * Signs a restaurant + table pair for a QR link
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} tableName - Table name
+ * @returns {string} URL-safe signature
+ */
+export function signTable(restoId, tableName) {
+  return createHmac("sha256", getSecret())
+    .update(`table:${restoId.toUpperCase()}:${normalizeTableName(tableName)}`)
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+/**
+ * Checks a QR link signature
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} tableName - Table name
+ * @param {string} signature - Signature from the link
+ * @returns {boolean} Whether the link is genuine
+ */
+export function verifyTableSignature(restoId, tableName, signature) {
+  if (!restoId || !tableName || !signature) return false;
+
+  const given = Buffer.from(String(signature));
+  const expected = Buffer.from(signTable(restoId, tableName));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Builds the deep link encoded in a table's QR code
+ * @param {string} origin - Site origin, e.g. "https://foodiepie.in"
+ * @param {string} restoId - 6-char restaurant code
+ * @param {string} tableName - Table name
+ * @returns {string} Absolute /auth URL
+ */
+export function buildTableLink(origin, restoId, tableName) {
+  const params = new URLSearchParams({
+    r: restoId.toUpperCase(),
+    t: normalizeTableName(tableName),
+    s: signTable(restoId, tableName),
+  });
+  return `${origin}/auth?${params}`;
+}
@@ -0,0 +1,108 @@
+/**
+ * =========================================================================
+ * TABLE SESSION UTILITIES - Shared Cart & Running Tab Helpers
+ * =========================================================================
+ *
+ * A table session is one sitting at a table. Every phone that logs in at
+ * the table joins it, can add to its shared cart and sees one running
+ * tab across all orders until the restaurant closes the table.
+ *
+ * Settling the tab (settleTableAction) bills its unpaid orders in one go,
+ * split equally, by what each diner ordered, or by custom amounts.
+ *
+ * =========================================================================
+ */
+
+import { toPaise } from "./billing";
+
+/**
+ * Names a diner for other people at the table without showing their number
+ * @param {string} phone - Diner's phone
+ * @param {string} myPhone - Phone of the person looking
+ * @returns {string} "You" or e.g. "•••• 3210"
+ */
+export function dinerLabel(phone, myPhone) {
+  if (phone && phone === myPhone) return "You";
+  return `•••• ${String(phone || "").slice(-4)}`;
+}
+
+/**
+ * Totals the orders on a table's tab; cancelled orders don't count
+ * @param {Array} orders - Orders placed during the table session
+ * @returns {Object} { orderCount, total, paid, due }
+ */
+export function getTabTotals(orders) {
+  const live = orders.filter((order) => order.status !== "Cancelled");
+  const total = live.reduce((sum, order) => sum + (order.total || 0), 0);
+  const paid = live
+    .filter((order) => order.paymentStatus === "Paid")
+    .reduce((sum, order) => sum + (order.total || 0), 0);
+
+  return {
+    orderCount: live.length,
+    total: toPaise(total),
+    paid: toPaise(paid),
+    due: toPaise(total - paid),
+  };
+}
+
+// How a settled table bill is divided between the people paying it
+export const SPLIT_METHODS = ["equal", "items", "custom"];
+
+/**
+ * Splits a bill into equal shares; the last share takes the paise left over
+ * @param {number} total - Bill total
+ * @param {number} count - Number of people paying
+ * @returns {Array<number>} Share amounts
+ */
+export function splitEqually(total, count) {
+  const share = Math.floor((total * 100) / count) / 100;
+  return Array.from({ length: count }, (_, index) =>
+    index === count - 1 ? toPaise(total - share * (count - 1)) : share
+  );
+}
+
+/**
+ * Splits a bill by who ordered what: each diner pays for their own orders
+ * @param {Array} orders - Unpaid orders being settled
+ * @returns {Array} [{ phone, amount, orderIds }] in order of first order
+ */
+export function splitByDiner(orders) {
+  const byPhone = new Map();
+  for (const order of orders) {
+    const share = byPhone.get(order.customerPhone) || {
+      phone: order.customerPhone,
+      amount: 0,
+      orderIds: [],
+    };
+    share.amount = toPaise(share.amount + order.total);
+    share.orderIds.push(order._id);
+    byPhone.set(order.customerPhone, share);
+  }
+  return [...byPhone.values()];
+}
+
+/**
+ * Works out which settled orders are fully paid. Splits tied to orders
+ * (by-diner bills) pay for those; other payments cover orders oldest first.
+ * @param {Array} orders - Orders in the bill, oldest first
+ * @param {Array} splits - Bill splits ({ amount, status, orderIds })
+ * @returns {Array<string>} Ids of the orders that are now paid
+ */
+export function getPaidOrderIds(orders, splits) {
+  const paid = splits.filter((split) => split.status === "Paid");
+  const paidIds = new Set(
+    paid.flatMap((split) => (split.orderIds || []).map((id) => String(id)))
+  );
+
+  let pool = paid
+    .filter((split) => !split.orderIds?.length)
+    .reduce((sum, split) => sum + split.amount, 0);
+  for (const order of orders) {
+    if (paidIds.has(String(order._id))) continue;
+    if (pool + 0.001 < order.total) break;
+    pool = toPaise(pool - order.total);
+    paidIds.add(String(order._id));
+  }
+  return [...paidIds];
+}
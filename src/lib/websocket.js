@@ -15,7 +15,18 @@ export const WS_EVENTS = {
   ORDER_PLACED: "order:placed",
   ORDER_UPDATED: "order:updated",
   ORDER_STATUS_CHANGED: "order:status_changed",
+  ORDER_MODIFIED: "order:modified", // customer cancelled / edited an order
+
+  // Table session events (sent to every diner at the table)
+  TABLE_CART_UPDATED: "table:cart_updated",
+  TABLE_CLOSED: "table:closed",
   
+  // Menu events (see src/lib/menuUpdates.js; stock counts in src/lib/inventory/index.js)
+  MENU_ITEM_UPDATED: "menu:item_updated",
+  MENU_ITEM_REMOVED: "menu:item_removed",
+  MENU_STOCK_UPDATED: "menu:stock_updated",
+  STOCK_LOW: "stock:low", // admins only
+
   // Connection events
   SUBSCRIBE_RESTAURANT: "subscribe:restaurant",
   SUBSCRIBE_CUSTOMER: "subscribe:customer",
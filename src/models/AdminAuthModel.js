@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { DEFAULT_BILLING_SETTINGS, ROUNDING_MODES } from "@/src/lib/billing";
+import { DEFAULT_TIMEZONE } from "@/src/lib/availability";
 
 const RestaurantAuthSchema = new mongoose.Schema(
   {
@@ -34,7 +36,124 @@ const RestaurantAuthSchema = new mongoose.Schema(
       type: String,
       required: true,
       select: false, // 👈 IMPORTANT (won’t return by default)
-    }
+    },
+
+    // Bill settings used by src/lib/billing.js (edited on /admin/settings)
+    billing: {
+      taxes: {
+        type: [
+          new mongoose.Schema(
+            {
+              name: { type: String, required: true, trim: true },
+              rate: { type: Number, required: true, min: 0, max: 100 },
+            },
+            { _id: false }
+          ),
+        ],
+        default: () => DEFAULT_BILLING_SETTINGS.taxes,
+      },
+      pricesIncludeTax: {
+        type: Boolean,
+        default: DEFAULT_BILLING_SETTINGS.pricesIncludeTax,
+      },
+      serviceChargeRate: {
+        type: Number,
+        default: DEFAULT_BILLING_SETTINGS.serviceChargeRate,
+        min: 0,
+        max: 100,
+      },
+      packagingFeePerOrder: {
+        type: Number,
+        default: DEFAULT_BILLING_SETTINGS.packagingFeePerOrder,
+        min: 0,
+      },
+      packagingFeePerItem: {
+        type: Number,
+        default: DEFAULT_BILLING_SETTINGS.packagingFeePerItem,
+        min: 0,
+      },
+      deliveryFee: {
+        type: Number,
+        default: DEFAULT_BILLING_SETTINGS.deliveryFee,
+        min: 0,
+      },
+      freeDeliveryAbove: {
+        type: Number,
+        default: DEFAULT_BILLING_SETTINGS.freeDeliveryAbove,
+      },
+      rounding: {
+        type: String,
+        enum: ROUNDING_MODES,
+        default: DEFAULT_BILLING_SETTINGS.rounding,
+      },
+    },
+
+    // Seller details printed on tax invoices (edited on /admin/settings)
+    invoice: {
+      legalName: { type: String, default: "", trim: true },
+      address: { type: String, default: "", trim: true },
+      gstin: { type: String, default: "", uppercase: true, trim: true },
+      prefix: { type: String, default: "INV", uppercase: true, trim: true },
+      footerNote: { type: String, default: "", trim: true },
+    },
+
+    // Menu schedules per category, timezone and holidays (see src/lib/availability.js)
+    availability: {
+      timezone: { type: String, default: DEFAULT_TIMEZONE },
+      categorySchedules: {
+        type: [
+          new mongoose.Schema(
+            {
+              category: { type: String, required: true, trim: true },
+              days: { type: [Number], default: [] },
+              windows: {
+                type: [
+                  new mongoose.Schema(
+                    {
+                      start: { type: String, required: true },
+                      end: { type: String, required: true },
+                    },
+                    { _id: false }
+                  ),
+                ],
+                default: [],
+              },
+            },
+            { _id: false }
+          ),
+        ],
+        default: [],
+      },
+      // A holiday closes the menu, or follows another weekday's schedules
+      holidays: {
+        type: [
+          new mongoose.Schema(
+            {
+              date: { type: String, required: true },
+              name: { type: String, default: "", trim: true },
+              closed: { type: Boolean, default: true },
+              actsAsDay: { type: Number, default: 0, min: 0, max: 6 },
+            },
+            { _id: false }
+          ),
+        ],
+        default: [],
+      },
+    },
+
+    // Quick-pick special instructions per menu category (edited on /admin/settings)
+    instructionChips: {
+      type: [
+        new mongoose.Schema(
+          {
+            category: { type: String, required: true, trim: true },
+            chips: { type: [String], default: [] },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true, // 👈 createdAt, updatedAt
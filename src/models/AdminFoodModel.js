@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { DEFAULT_LOW_STOCK_THRESHOLD } from "@/src/lib/stock";
 const RestaurantFoodModel = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
@@ -14,11 +15,48 @@ const RestaurantFoodModel = new mongoose.Schema(
         label: { type: String, required: true },
         price: { type: Number, required: true, min: 0 },
         isAvailable: { type: Boolean, default: true },
+        // Portions left of this variant; null = not counted (see src/lib/stock.js)
+        stock: { type: Number, default: null, min: 0 },
       },
     ],
+    // Add-ons and choices (see src/lib/modifiers.js)
+    modifierGroups: [
+      {
+        name: { type: String, required: true },
+        minSelect: { type: Number, default: 0, min: 0 },
+        maxSelect: { type: Number, default: 1, min: 1 },
+        options: [
+          {
+            label: { type: String, required: true },
+            price: { type: Number, default: 0, min: 0 },
+            isAvailable: { type: Boolean, default: true },
+          },
+        ],
+      },
+    ],
+    // When the dish is served, on top of isAvailable (see src/lib/availability.js)
+    schedule: {
+      days: { type: [Number], default: [] },
+      windows: {
+        type: [
+          new Schema(
+            {
+              start: { type: String, required: true },
+              end: { type: String, required: true },
+            },
+            { _id: false }
+          ),
+        ],
+        default: [],
+      },
+    },
     tags: [{ type: String }],
     imageUrl: { type: String, default: "" },
     isAvailable: { type: Boolean, default: true },
+    // Portions left across all variants; null = not counted
+    stock: { type: Number, default: null, min: 0 },
+    // Admins are alerted once a count drops to this
+    lowStockThreshold: { type: Number, default: DEFAULT_LOW_STOCK_THRESHOLD, min: 0 },
     restaurantId: {
       type: Schema.Types.ObjectId,
       ref: "RestaurantAuth",
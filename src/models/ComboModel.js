@@ -0,0 +1,77 @@
+import mongoose, { Schema } from "mongoose";
+
+// A dish diners can pick in a combo slot, with its extra cost
+const ComboOptionSchema = new Schema({
+  foodId: {
+    type: Schema.Types.ObjectId,
+    ref: "RestaurantFood",
+    required: true,
+  },
+  variantId: {
+    type: String,
+    required: true,
+  },
+  surcharge: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+// Bundle of menu dishes sold at one price, e.g. "pick 1 starter, 1 main,
+// 1 drink" (see src/lib/combos.js)
+const ComboSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    imageUrl: {
+      type: String,
+      default: "",
+    },
+    foodType: {
+      type: String,
+      enum: ["Veg", "Non-Veg", "Vegan", "Egg"],
+      required: true,
+    },
+    // Bundle price before surcharges
+    price: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Each slot takes exactly one of its options
+    slots: {
+      type: [
+        new Schema({
+          name: { type: String, required: true, trim: true },
+          options: { type: [ComboOptionSchema], default: [] },
+        }),
+      ],
+      default: [],
+    },
+    isAvailable: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One combo name per restaurant
+ComboSchema.index({ restaurantId: 1, name: 1 }, { unique: true });
+
+const Combo = mongoose.models.Combo || mongoose.model("Combo", ComboSchema);
+
+export default Combo;
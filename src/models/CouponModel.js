@@ -0,0 +1,80 @@
+import mongoose, { Schema } from "mongoose";
+
+const CouponSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: ["percent", "flat"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    minOrder: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Cap on the discount (percent coupons); null = no cap
+    maxDiscount: {
+      type: Number,
+      default: null,
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    // Total redemptions allowed across all customers; null = unlimited
+    usageLimit: {
+      type: Number,
+      default: null,
+    },
+    // Redemptions allowed per customer phone; null = unlimited
+    perCustomerLimit: {
+      type: Number,
+      default: null,
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// One code per restaurant
+CouponSchema.index({ restaurantId: 1, code: 1 }, { unique: true });
+
+const Coupon =
+  mongoose.models.Coupon || mongoose.model("Coupon", CouponSchema);
+
+export default Coupon;
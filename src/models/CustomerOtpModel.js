@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+
+const CustomerOtpSchema = new Schema({
+  phone: {
+    type: String,
+    required: true,
+  },
+  restoId: {
+    type: String,
+    required: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  verifiedAt: {
+    type: Date,
+    default: null,
+  },
+  consumedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Removed by Mongo an hour after the code expires
+  purgeAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+// Index for latest-code lookup per phone and restaurant
+CustomerOtpSchema.index({ phone: 1, restoId: 1, createdAt: -1 });
+
+const CustomerOtp =
+  mongoose.models.CustomerOtp ||
+  mongoose.model("CustomerOtp", CustomerOtpSchema);
+
+export default CustomerOtp;
@@ -0,0 +1,44 @@
+import mongoose, { Schema } from "mongoose";
+import { INGREDIENT_UNITS } from "@/src/lib/constants";
+
+// Raw material used by recipes, e.g. "Paneer" in kg (see src/lib/recipes.js)
+const IngredientSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    unit: {
+      type: String,
+      enum: INGREDIENT_UNITS,
+      required: true,
+    },
+    // Price of one unit; set to the last purchase's price
+    costPerUnit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // What the system expects on the shelf; can go below 0 when orders
+    // use more than was booked in, until the next count
+    stock: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// One ingredient name per restaurant
+IngredientSchema.index({ restaurantId: 1, name: 1 }, { unique: true });
+
+const Ingredient =
+  mongoose.models.Ingredient || mongoose.model("Ingredient", IngredientSchema);
+
+export default Ingredient;
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+import { INGREDIENT_MOVEMENT_TYPES } from "@/src/lib/constants";
+
+// One change to an ingredient's stock: a purchase, an order's use or a
+// physical count (see src/lib/recipes.js)
+const IngredientMovementSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    ingredientId: {
+      type: Schema.Types.ObjectId,
+      ref: "Ingredient",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: INGREDIENT_MOVEMENT_TYPES,
+      required: true,
+    },
+    // Change to the stock in the ingredient's unit (negative = taken out)
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    // Price paid per unit (purchases only)
+    unitCost: {
+      type: Number,
+      default: null,
+    },
+    // Order that used or gave back the stock (order movements only)
+    orderId: {
+      type: String,
+      default: null,
+    },
+    // Supplier, invoice number or why a count was off
+    note: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+IngredientMovementSchema.index({ restaurantId: 1, createdAt: -1 });
+
+const IngredientMovement =
+  mongoose.models.IngredientMovement ||
+  mongoose.model("IngredientMovement", IngredientMovementSchema);
+
+export default IngredientMovement;
@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+// Last invoice number used by a restaurant in a financial year
+const InvoiceCounterSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    // e.g. "2026-27" (April to March)
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+    // Numbers taken but never put on an order, handed out again first so
+    // the series has no gaps (see src/lib/invoice/assignNumber.js)
+    released: {
+      type: [Number],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// Numbering restarts every financial year
+InvoiceCounterSchema.index({ restaurantId: 1, financialYear: 1 }, { unique: true });
+
+const InvoiceCounter =
+  mongoose.models.InvoiceCounter || mongoose.model("InvoiceCounter", InvoiceCounterSchema);
+
+export default InvoiceCounter;
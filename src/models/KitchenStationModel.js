@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+// Part of the kitchen that cooks some of the menu, e.g. "Tandoor" or "Bar"
+// (see src/lib/kitchenStations.js)
+const KitchenStationSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Menu categories cooked here; a category belongs to one station
+    categories: {
+      type: [String],
+      default: [],
+    },
+    // Dishes cooked here whatever their category; a dish belongs to one station
+    foodIds: {
+      type: [{ type: Schema.Types.ObjectId, ref: "RestaurantFood" }],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// One station name per restaurant
+KitchenStationSchema.index({ restaurantId: 1, name: 1 }, { unique: true });
+
+const KitchenStation =
+  mongoose.models.KitchenStation || mongoose.model("KitchenStation", KitchenStationSchema);
+
+export default KitchenStation;
@@ -1,4 +1,10 @@
 import mongoose, { Schema } from "mongoose";
+import { ITEM_STATUSES } from "@/src/lib/orderStatus";
+import { REFUND_TYPES } from "@/src/lib/refunds";
+import {
+  LINE_INSTRUCTIONS_MAX_LENGTH,
+  ORDER_INSTRUCTIONS_MAX_LENGTH,
+} from "@/src/lib/instructions";
 
 const OrderItemSchema = new Schema({
   foodId: {
@@ -21,13 +27,133 @@ const OrderItemSchema = new Schema({
     label: { type: String, required: true },
     price: { type: Number, required: true },
   },
+  // Menu variant ordered, for stock counts (see src/lib/stock.js)
+  variantId: {
+    type: Schema.Types.ObjectId,
+    default: null,
+  },
+  // Add-ons picked with the dish, priced per unit (see src/lib/modifiers.js)
+  modifiers: {
+    type: [
+      new Schema(
+        {
+          optionId: { type: String, default: "" },
+          group: { type: String, default: "" },
+          label: { type: String, required: true },
+          price: { type: Number, default: 0 },
+        },
+        { _id: false }
+      ),
+    ],
+    default: [],
+  },
   quantity: {
     type: Number,
     required: true,
     min: 1,
   },
+  // Combo this line sells; its dishes follow as lines with parentLineId
+  // set to this line's _id (see src/lib/combos.js)
+  comboId: {
+    type: Schema.Types.ObjectId,
+    ref: "Combo",
+    default: null,
+  },
+  parentLineId: {
+    type: Schema.Types.ObjectId,
+    default: null,
+  },
+  // Combo slot a child line was picked for, e.g. "Starter"
+  comboSlot: {
+    type: String,
+    default: "",
+  },
+  // Customer's note for the kitchen, e.g. "no onion" (see src/lib/instructions.js)
+  instructions: {
+    type: String,
+    default: "",
+    maxlength: LINE_INSTRUCTIONS_MAX_LENGTH,
+  },
+  // Preparation status of this line (see src/lib/orderStatus.js)
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: "queued",
+  },
+  // How many of this line have been refunded
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Kitchen station that cooks this line (see src/lib/kitchenStations.js)
+  stationId: {
+    type: Schema.Types.ObjectId,
+    ref: "KitchenStation",
+    default: null,
+  },
+  stationName: {
+    type: String,
+    default: "",
+  },
 });
 
+// Money given back on a paid order (see src/lib/refunds.js)
+const RefundSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: REFUND_TYPES,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    // Lines refunded (a full refund lists whatever was still refundable)
+    items: {
+      type: [
+        new Schema(
+          {
+            itemId: { type: Schema.Types.ObjectId, required: true },
+            name: { type: String, required: true },
+            variantLabel: { type: String, default: "" },
+            quantity: { type: Number, required: true },
+            amount: { type: Number, default: 0 },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    issuedBy: {
+      role: {
+        type: String,
+        enum: ["customer", "admin", "system"],
+        required: true,
+      },
+      name: { type: String, default: "" },
+      phone: { type: String, default: "" },
+    },
+    // Payment provider that paid it back ("" when refunded by hand, e.g. cash)
+    provider: {
+      type: String,
+      default: "",
+    },
+    refundRef: {
+      type: String,
+      default: "",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
 const OrderSchema = new Schema(
   {
     orderId: {
@@ -61,11 +187,23 @@ const OrderSchema = new Schema(
       type: String,
       required: true,
     },
+    // Table sitting this order belongs to (its running tab)
+    tableSessionId: {
+      type: Schema.Types.ObjectId,
+      ref: "TableSession",
+      default: null,
+    },
     // Order items
     items: {
       type: [OrderItemSchema],
       required: true,
     },
+    // Customer's note on the whole order
+    instructions: {
+      type: String,
+      default: "",
+      maxlength: ORDER_INSTRUCTIONS_MAX_LENGTH,
+    },
     // Pricing
     subtotal: {
       type: Number,
@@ -75,18 +213,63 @@ const OrderSchema = new Schema(
       type: Number,
       default: 0,
     },
+    // Tax split by component (e.g. CGST / SGST) as billed
+    taxes: {
+      type: [
+        new Schema(
+          {
+            name: { type: String, required: true },
+            rate: { type: Number, required: true },
+            amount: { type: Number, required: true },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    // Menu prices already included the tax
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false,
+    },
     discount: {
       type: Number,
       default: 0,
     },
+    serviceCharge: {
+      type: Number,
+      default: 0,
+    },
+    packagingFee: {
+      type: Number,
+      default: 0,
+    },
     deliveryFee: {
       type: Number,
       default: 0,
     },
+    roundOff: {
+      type: Number,
+      default: 0,
+    },
     total: {
       type: Number,
       required: true,
     },
+    // Coupon redeemed on this order (null if none)
+    coupon: {
+      type: new Schema(
+        {
+          couponId: { type: Schema.Types.ObjectId, ref: "Coupon" },
+          code: { type: String, required: true },
+          type: { type: String, enum: ["percent", "flat"] },
+          value: { type: Number },
+          discount: { type: Number, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
     // Payment
     paymentMethod: {
       type: String,
@@ -98,12 +281,91 @@ const OrderSchema = new Schema(
       enum: ["Pending", "Paid", "Failed"],
       default: "Pending",
     },
-    // Order status
+    // Total refunded so far, and each refund issued
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refunds: {
+      type: [RefundSchema],
+      default: [],
+    },
+    // Tax invoice, numbered the first time it is generated
+    invoice: {
+      type: new Schema(
+        {
+          number: { type: String, required: true },
+          financialYear: { type: String, required: true },
+          issuedAt: { type: Date, default: Date.now },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
+    // Order status (transitions in src/lib/orderStatus.js)
     status: {
       type: String,
-      enum: ["Placed", "Accepted", "Preparing", "Served", "Cancelled"],
+      enum: ["Placed", "Accepted", "Preparing", "Ready", "Served", "Cancelled"],
       default: "Placed",
     },
+    cancelReason: {
+      type: String,
+      default: "",
+    },
+    // Stock taken for the order, given back as lines are voided or the
+    // order is cancelled (see src/lib/inventory/index.js)
+    stockReservations: {
+      type: [
+        new Schema(
+          {
+            foodId: { type: Schema.Types.ObjectId, ref: "RestaurantFood", required: true },
+            variantId: { type: Schema.Types.ObjectId, default: null },
+            quantity: { type: Number, required: true, min: 1 },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    // Ingredients the order's recipes used, given back as lines are voided
+    // or the order is cancelled (see src/lib/inventory/ingredients.js).
+    // Left unset on orders placed before ingredients were tracked.
+    ingredientUsage: {
+      type: [
+        new Schema(
+          {
+            ingredientId: { type: Schema.Types.ObjectId, ref: "Ingredient", required: true },
+            quantity: { type: Number, required: true },
+          },
+          { _id: false }
+        ),
+      ],
+      default: undefined,
+    },
+    // Every status change: who made it, when, and why (for cancellations)
+    statusHistory: {
+      type: [
+        new Schema(
+          {
+            from: { type: String, default: null },
+            to: { type: String, required: true },
+            by: {
+              role: {
+                type: String,
+                enum: ["customer", "admin", "system"],
+                required: true,
+              },
+              name: { type: String, default: "" },
+              phone: { type: String, default: "" },
+            },
+            reason: { type: String, default: "" },
+            at: { type: Date, default: Date.now },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -114,6 +376,7 @@ const OrderSchema = new Schema(
 OrderSchema.index({ restoId: 1, status: 1 });
 OrderSchema.index({ customerPhone: 1, restoId: 1 });
 OrderSchema.index({ orderId: 1 });
+OrderSchema.index({ tableSessionId: 1 });
 
 const Order =
   mongoose.models.Order || mongoose.model("Order", OrderSchema);
@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+
+// One attempt to pay for an order through the payment provider
+const PaymentSchema = new Schema(
+  {
+    order: {
+      type: Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // Order's 7-digit orderId, for lookups from the order pages
+    orderId: {
+      type: String,
+      required: true,
+    },
+    // 6-char restaurant code
+    restoId: {
+      type: String,
+      required: true,
+    },
+    customerPhone: {
+      type: String,
+      required: true,
+    },
+    // Provider name (src/lib/payments) and its reference for this payment
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerRef: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    method: {
+      type: String,
+      enum: ["UPI", "Card", "Wallet"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    status: {
+      type: String,
+      enum: ["created", "pending", "succeeded", "failed"],
+      default: "created",
+    },
+    failureReason: {
+      type: String,
+      default: "",
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+PaymentSchema.index({ order: 1, createdAt: -1 });
+
+const Payment =
+  mongoose.models.Payment || mongoose.model("Payment", PaymentSchema);
+
+export default Payment;
@@ -0,0 +1,73 @@
+import mongoose, { Schema } from "mongoose";
+import { PRINT_JOB_STATUSES } from "@/src/lib/constants";
+
+// One ticket waiting for, or sent to, a kitchen printer (src/lib/printing)
+const PrintJobSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    printer: {
+      type: Schema.Types.ObjectId,
+      ref: "Printer",
+      required: true,
+    },
+    // Kept so the job list still reads after a printer is renamed or removed
+    printerName: {
+      type: String,
+      default: "",
+    },
+    // Order's 7-digit orderId ("" for test prints)
+    orderId: {
+      type: String,
+      default: "",
+    },
+    kind: {
+      type: String,
+      enum: ["kot", "reprint", "test"],
+      required: true,
+    },
+    // ESC/POS bytes sent to the printer as they are
+    data: {
+      type: Buffer,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: PRINT_JOB_STATUSES,
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      default: "",
+    },
+    // Earliest time the next try may start
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the current try started (status "printing")
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    printedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+PrintJobSchema.index({ status: 1, nextAttemptAt: 1 });
+PrintJobSchema.index({ restaurantId: 1, createdAt: -1 });
+
+const PrintJob = mongoose.models.PrintJob || mongoose.model("PrintJob", PrintJobSchema);
+
+export default PrintJob;
@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+import { PRINTER_PAPER_WIDTHS, PRINT_QUEUE_CONFIG } from "@/src/lib/constants";
+
+// Network thermal printer in the kitchen that receives order tickets (KOTs)
+const PrinterSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    // Station or printer name printed on its tickets, e.g. "Tandoor"
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    host: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    port: {
+      type: Number,
+      default: PRINT_QUEUE_CONFIG.DEFAULT_PORT,
+    },
+    paperWidth: {
+      type: String,
+      enum: PRINTER_PAPER_WIDTHS,
+      default: "80mm",
+    },
+    // Kitchen station whose dishes this printer gets; when set, categories
+    // are ignored
+    stationId: {
+      type: Schema.Types.ObjectId,
+      ref: "KitchenStation",
+      default: null,
+    },
+    // Menu categories this printer gets; empty means every dish no other
+    // printer takes
+    categories: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One printer name per restaurant
+PrinterSchema.index({ restaurantId: 1, name: 1 }, { unique: true });
+
+const Printer = mongoose.models.Printer || mongoose.model("Printer", PrinterSchema);
+
+export default Printer;
@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+
+// Ingredients one portion of a dish variant uses (see src/lib/recipes.js)
+const RecipeSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    foodId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantFood",
+      required: true,
+    },
+    variantId: {
+      type: String,
+      required: true,
+    },
+    // Quantities in each ingredient's unit
+    ingredients: {
+      type: [
+        new Schema(
+          {
+            ingredientId: { type: Schema.Types.ObjectId, ref: "Ingredient", required: true },
+            quantity: { type: Number, required: true, min: 0 },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// One recipe per dish variant
+RecipeSchema.index({ foodId: 1, variantId: 1 }, { unique: true });
+
+const Recipe = mongoose.models.Recipe || mongoose.model("Recipe", RecipeSchema);
+
+export default Recipe;
@@ -0,0 +1,79 @@
+import mongoose, { Schema } from "mongoose";
+import { SPLIT_METHODS } from "@/src/lib/tableSession";
+
+// One share of a settled table bill, paid on its own
+const SplitSchema = new Schema({
+  // e.g. "Guest 2" or the diner's masked phone
+  label: { type: String, default: "" },
+  // Diner paying this share (by-diner bills)
+  phone: { type: String, default: "" },
+  amount: { type: Number, required: true, min: 0 },
+  // Orders this share pays for (by-diner bills); empty = pays oldest first
+  orderIds: {
+    type: [{ type: Schema.Types.ObjectId, ref: "Order" }],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: ["Pending", "Paid"],
+    default: "Pending",
+  },
+  paymentMethod: {
+    type: String,
+    enum: ["UPI", "Card", "Cash", "Wallet"],
+    default: null,
+  },
+  paidAt: { type: Date, default: null },
+});
+
+// A table tab's unpaid orders combined into one bill and split for payment
+const SettlementSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    tableSessionId: {
+      type: Schema.Types.ObjectId,
+      ref: "TableSession",
+      required: true,
+    },
+    tableName: {
+      type: String,
+      required: true,
+    },
+    // Orders billed, oldest first
+    orderIds: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Order" }],
+      default: [],
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: SPLIT_METHODS,
+      required: true,
+    },
+    splits: {
+      type: [SplitSchema],
+      default: [],
+    },
+    // "open" until every split is paid
+    status: {
+      type: String,
+      enum: ["open", "paid"],
+      default: "open",
+    },
+  },
+  { timestamps: true }
+);
+
+SettlementSchema.index({ tableSessionId: 1, status: 1 });
+
+const Settlement =
+  mongoose.models.Settlement || mongoose.model("Settlement", SettlementSchema);
+
+export default Settlement;
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+import { TABLE_STATUSES } from "@/src/lib/constants";
+
+const TableSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    // Shown to customers and staff, e.g. "T5"; stored uppercase
+    name: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    capacity: {
+      type: Number,
+      default: 4,
+      min: 1,
+    },
+    // Area or section, e.g. "Patio"
+    area: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: TABLE_STATUSES,
+      default: "available",
+    },
+  },
+  { timestamps: true }
+);
+
+// One table name per restaurant
+TableSchema.index({ restaurantId: 1, name: 1 }, { unique: true });
+
+const Table = mongoose.models.Table || mongoose.model("Table", TableSchema);
+
+export default Table;
@@ -0,0 +1,104 @@
+import mongoose, { Schema } from "mongoose";
+import { LINE_INSTRUCTIONS_MAX_LENGTH } from "@/src/lib/instructions";
+
+// A line in the table's shared cart; mirrors the cart lines kept in localStorage
+const SharedCartLineSchema = new Schema(
+  {
+    // "<foodId>-<variantId>[-<optionIds>][-<noteKey>]" (or "combo-<comboId>-<optionIds>..."),
+    // same id the menu page gives cart lines
+    id: { type: String, required: true },
+    foodId: { type: Schema.Types.ObjectId, ref: "RestaurantFood", default: null },
+    // Set instead of foodId for a combo; its picks are the modifiers
+    comboId: { type: Schema.Types.ObjectId, ref: "Combo", default: null },
+    variantId: { type: String, default: "" },
+    name: { type: String, required: true },
+    image: { type: String, default: "" },
+    foodType: { type: String, default: "" },
+    variant: {
+      label: { type: String, required: true },
+      price: { type: Number, required: true },
+    },
+    modifiers: {
+      type: [
+        new Schema(
+          {
+            optionId: { type: String, default: "" },
+            group: { type: String, default: "" },
+            label: { type: String, required: true },
+            price: { type: Number, default: 0 },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    quantity: { type: Number, required: true, min: 1 },
+    instructions: { type: String, default: "", maxlength: LINE_INSTRUCTIONS_MAX_LENGTH },
+    // Phone of the diner who first added the line
+    addedBy: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// One sitting at a table: every phone that joins shares a cart and a tab
+const TableSessionSchema = new Schema(
+  {
+    restaurantId: {
+      type: Schema.Types.ObjectId,
+      ref: "RestaurantAuth",
+      required: true,
+    },
+    // 6-char restaurant code, as stored on orders and customer sessions
+    restoId: {
+      type: String,
+      required: true,
+    },
+    tableName: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+    },
+    diners: {
+      type: [
+        new Schema(
+          {
+            phone: { type: String, required: true },
+            joinedAt: { type: Date, default: Date.now },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    sharedCart: {
+      type: [SharedCartLineSchema],
+      default: [],
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// Only one open session per table; closed ones are kept for history
+TableSessionSchema.index(
+  { restoId: 1, tableName: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+TableSessionSchema.index({ restoId: 1, status: 1 });
+
+const TableSession =
+  mongoose.models.TableSession ||
+  mongoose.model("TableSession", TableSessionSchema);
+
+export default TableSession;
@@ -0,0 +1,40 @@
+/**
+ * =========================================================================
+ * PROXY - Admin Route Guard (Next.js middleware)
+ * =========================================================================
+ *
+ * Redirects every /admin/* request without a validly signed admin
+ * session cookie to /admin/auth. Whether the session still exists is
+ * checked again by each admin server action.
+ *
+ * =========================================================================
+ */
+
+import { NextResponse } from "next/server";
+import { ADMIN_SESSION_COOKIE, verifySignedSessionId } from "@/src/lib/sessionCookie";
+
+export function proxy(request) {
+  const { pathname } = request.nextUrl;
+
+  if (pathname === "/admin/auth" || pathname.startsWith("/admin/auth/")) {
+    return NextResponse.next();
+  }
+
+  let sessionId = null;
+  try {
+    sessionId = verifySignedSessionId(request.cookies.get(ADMIN_SESSION_COOKIE)?.value);
+  } catch (error) {
+    console.error("Admin session check failed:", error);
+  }
+
+  if (!sessionId) {
+    const loginUrl = new URL("/admin/auth", request.url);
+    return NextResponse.redirect(loginUrl);
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ["/admin", "/admin/:path*"],
+};
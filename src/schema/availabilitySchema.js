@@ -0,0 +1,62 @@
+import { z } from "zod/v4";
+import { MAX_SCHEDULE_WINDOWS, hasSchedule } from "@/src/lib/availability";
+
+const time = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:MM (24-hour)");
+
+const weekday = z.coerce.number().int().min(0, "Invalid weekday").max(6, "Invalid weekday");
+
+/* ---------------- SCHEDULE SCHEMA ---------------- */
+// Used by a menu item's schedule and each category's schedule
+export const scheduleSchema = z.object({
+  days: z
+    .array(weekday)
+    .refine((days) => new Set(days).size === days.length, "Each weekday can only be listed once"),
+  windows: z
+    .array(
+      z
+        .object({ start: time, end: time })
+        .refine((window) => window.start !== window.end, {
+          message: "Start and end cannot be the same",
+          path: ["end"],
+        })
+    )
+    .max(MAX_SCHEDULE_WINDOWS, `At most ${MAX_SCHEDULE_WINDOWS} time windows are allowed`),
+});
+
+/* ---------------- AVAILABILITY SETTINGS SCHEMA ---------------- */
+export const availabilitySettingsSchema = z.object({
+  timezone: z
+    .string()
+    .trim()
+    .refine((timezone) => {
+      try {
+        new Intl.DateTimeFormat("en", { timeZone: timezone });
+        return true;
+      } catch {
+        return false;
+      }
+    }, "Unknown timezone, e.g. Asia/Kolkata"),
+
+  categorySchedules: z
+    .array(scheduleSchema.extend({ category: z.string().trim().min(1, "Category is required") }))
+    .refine(
+      (entries) => new Set(entries.map((entry) => entry.category)).size === entries.length,
+      "Each category can only be listed once"
+    )
+    // Categories served all the time are not stored
+    .transform((entries) => entries.filter(hasSchedule)),
+
+  holidays: z
+    .array(
+      z.object({
+        date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Pick a date"),
+        name: z.string().trim().max(40, "Holiday name cannot exceed 40 characters"),
+        closed: z.coerce.boolean(),
+        actsAsDay: weekday.optional().default(0),
+      })
+    )
+    .refine(
+      (holidays) => new Set(holidays.map((h) => h.date)).size === holidays.length,
+      "Each date can only be listed once"
+    ),
+});
@@ -0,0 +1,44 @@
+import { z } from "zod/v4";
+import { ROUNDING_MODES } from "@/src/lib/billing";
+
+// Empty form fields mean "not set"
+const emptyToNull = (value) => (value === "" || value == null ? null : value);
+
+const amount = z.preprocess(
+  (value) => emptyToNull(value) ?? 0,
+  z.coerce.number().min(0, "Must be 0 or more")
+);
+
+const percentage = z.preprocess(
+  (value) => emptyToNull(value) ?? 0,
+  z.coerce.number().min(0, "Must be 0 or more").max(100, "Cannot exceed 100%")
+);
+
+/* ---------------- BILLING SETTINGS SCHEMA ---------------- */
+export const billingSettingsSchema = z.object({
+  taxes: z
+    .array(
+      z.object({
+        name: z.string().trim().min(1, "Tax name is required").max(20, "Tax name cannot exceed 20 characters"),
+        rate: percentage,
+      })
+    )
+    .max(5, "At most 5 taxes are allowed"),
+
+  pricesIncludeTax: z.coerce.boolean(),
+
+  serviceChargeRate: percentage,
+
+  packagingFeePerOrder: amount,
+
+  packagingFeePerItem: amount,
+
+  deliveryFee: amount,
+
+  freeDeliveryAbove: z.preprocess(
+    emptyToNull,
+    z.coerce.number().min(0, "Must be 0 or more").nullable()
+  ),
+
+  rounding: z.enum(ROUNDING_MODES, { message: "Invalid rounding rule" }),
+});
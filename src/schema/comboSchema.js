@@ -0,0 +1,65 @@
+import { z } from "zod/v4";
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, "Invalid id");
+
+/* ---------------- COMBO SLOT SCHEMA ---------------- */
+// Saved ids are sent back on edit so carts holding a pick keep working
+const comboSlotSchema = z.object({
+  _id: objectId.optional(),
+  name: z
+    .string()
+    .trim()
+    .min(1, "Slot name is required")
+    .max(40, "Slot name cannot exceed 40 characters"),
+  options: z
+    .array(
+      z.object({
+        _id: objectId.optional(),
+        foodId: objectId,
+        variantId: objectId,
+        surcharge: z.coerce.number().min(0, "Surcharge cannot be negative").default(0),
+      })
+    )
+    .min(1, "Add at least one dish to every slot")
+    .refine(
+      (options) =>
+        new Set(options.map((o) => `${o.foodId}-${o.variantId}`)).size === options.length,
+      "A dish is listed twice in the same slot"
+    ),
+});
+
+/* ---------------- COMBO SCHEMA ---------------- */
+export const addComboSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(2, "Combo name must be at least 2 characters")
+    .max(100, "Combo name cannot exceed 100 characters"),
+
+  description: z
+    .string()
+    .trim()
+    .max(500, "Description cannot exceed 500 characters")
+    .optional()
+    .default(""),
+
+  imageUrl: z.string().url("Invalid image URL").optional().or(z.literal("")),
+
+  foodType: z.enum(["Veg", "Non-Veg", "Vegan", "Egg"], {
+    message: "Invalid food type",
+  }),
+
+  price: z.coerce.number().positive("Price must be greater than 0"),
+
+  slots: z
+    .array(comboSlotSchema)
+    .min(1, "Add at least one slot")
+    .max(10, "A combo can have at most 10 slots"),
+
+  isAvailable: z.coerce.boolean().optional().default(true),
+});
+
+/* ---------------- EDIT COMBO SCHEMA ---------------- */
+export const editComboSchema = addComboSchema.safeExtend({
+  _id: z.string().min(1, "Combo ID is required"),
+});
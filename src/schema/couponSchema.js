@@ -0,0 +1,63 @@
+import { z } from "zod/v4";
+
+// Empty form fields mean "not set"
+const emptyToNull = (value) => (value === "" || value == null ? null : value);
+
+const optionalAmount = z.preprocess(
+  emptyToNull,
+  z.coerce.number().min(0, "Must be 0 or more").nullable()
+);
+
+const optionalLimit = z.preprocess(
+  emptyToNull,
+  z.coerce.number().int("Must be a whole number").min(1, "Must be at least 1").nullable()
+);
+
+const optionalDate = z.preprocess(emptyToNull, z.coerce.date().nullable());
+
+/* ---------------- COUPON SCHEMA ---------------- */
+export const addCouponSchema = z
+  .object({
+    code: z
+      .string()
+      .trim()
+      .min(3, "Code must be at least 3 characters")
+      .max(20, "Code cannot exceed 20 characters")
+      .regex(/^[A-Za-z0-9_-]+$/, "Use letters, numbers, - or _ only")
+      .transform((code) => code.toUpperCase()),
+
+    description: z.string().max(200, "Description cannot exceed 200 characters").optional().default(""),
+
+    type: z.enum(["percent", "flat"], { message: "Invalid coupon type" }),
+
+    value: z.coerce.number().positive("Value must be greater than 0"),
+
+    minOrder: z.preprocess(emptyToNull, z.coerce.number().min(0).nullable()).transform((v) => v ?? 0),
+
+    maxDiscount: optionalAmount,
+
+    validFrom: optionalDate,
+
+    validUntil: optionalDate,
+
+    usageLimit: optionalLimit,
+
+    perCustomerLimit: optionalLimit,
+
+    firstOrderOnly: z.coerce.boolean().optional().default(false),
+
+    isActive: z.coerce.boolean().optional().default(true),
+  })
+  .refine((data) => data.type !== "percent" || data.value <= 100, {
+    message: "Percentage cannot exceed 100",
+    path: ["value"],
+  })
+  .refine(
+    (data) => !data.validFrom || !data.validUntil || data.validFrom <= data.validUntil,
+    { message: "End date must be after start date", path: ["validUntil"] }
+  );
+
+/* ---------------- EDIT COUPON SCHEMA ---------------- */
+export const editCouponSchema = addCouponSchema.safeExtend({
+  _id: z.string().min(1, "Coupon ID is required"),
+});
@@ -0,0 +1,70 @@
+import { z } from "zod/v4";
+import { INGREDIENT_UNITS } from "@/src/lib/constants";
+
+const objectId = z.string().regex(/^[a-f\d]{24}$/i, "Invalid id");
+
+/* ---------------- INGREDIENT SCHEMA ---------------- */
+export const addIngredientSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(2, "Ingredient name must be at least 2 characters")
+    .max(60, "Ingredient name cannot exceed 60 characters"),
+
+  unit: z.enum(INGREDIENT_UNITS, { message: "Invalid unit" }),
+
+  costPerUnit: z.coerce.number().min(0, "Cost cannot be negative"),
+
+  // Stock on hand when the ingredient is first added
+  stock: z.coerce.number().min(0, "Stock cannot be negative").optional().default(0),
+});
+
+/* ---------------- EDIT INGREDIENT SCHEMA ---------------- */
+// Stock only changes through purchases, orders and counts
+export const editIngredientSchema = addIngredientSchema.omit({ stock: true }).safeExtend({
+  _id: objectId,
+});
+
+/* ---------------- RECIPE SCHEMA ---------------- */
+// No ingredients removes the recipe
+export const recipeSchema = z.object({
+  foodId: objectId,
+  variantId: objectId,
+  ingredients: z
+    .array(
+      z.object({
+        ingredientId: objectId,
+        quantity: z.coerce.number().positive("Quantity must be greater than 0"),
+      })
+    )
+    .refine(
+      (lines) => new Set(lines.map((line) => line.ingredientId)).size === lines.length,
+      "An ingredient is listed twice"
+    ),
+});
+
+/* ---------------- STOCK-IN SCHEMA ---------------- */
+export const stockInSchema = z.object({
+  ingredientId: objectId,
+  quantity: z.coerce.number().positive("Quantity must be greater than 0"),
+  unitCost: z.coerce.number().min(0, "Cost cannot be negative"),
+  note: z.string().trim().max(100, "Note cannot exceed 100 characters").optional().default(""),
+});
+
+/* ---------------- STOCK COUNT SCHEMA ---------------- */
+export const stockCountSchema = z.object({
+  ingredientId: objectId,
+  counted: z.coerce.number().min(0, "Count cannot be negative"),
+  note: z.string().trim().max(100, "Note cannot exceed 100 characters").optional().default(""),
+});
+
+/* ---------------- VARIANCE PERIOD SCHEMA ---------------- */
+export const variancePeriodSchema = z
+  .object({
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Pick a date"),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Pick a date"),
+  })
+  .refine((period) => period.from <= period.to, {
+    message: "Start date must be before the end date",
+    path: ["to"],
+  });
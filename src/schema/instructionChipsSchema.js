@@ -0,0 +1,33 @@
+import { z } from "zod/v4";
+import {
+  INSTRUCTION_CHIP_MAX_LENGTH,
+  INSTRUCTION_CHIPS_PER_CATEGORY,
+  sanitizeInstructions,
+} from "@/src/lib/instructions";
+
+/* ---------------- INSTRUCTION CHIPS SCHEMA ---------------- */
+const chipSchema = z
+  .string()
+  .transform((chip) => sanitizeInstructions(chip.replace(/,/g, " "), INSTRUCTION_CHIP_MAX_LENGTH))
+  .refine((chip) => chip.length > 0, "Chips cannot be empty");
+
+export const instructionChipsSchema = z.object({
+  instructionChips: z
+    .array(
+      z.object({
+        category: z.string().trim().min(1, "Category is required"),
+        chips: z
+          .array(chipSchema)
+          .max(
+            INSTRUCTION_CHIPS_PER_CATEGORY,
+            `Keep it to ${INSTRUCTION_CHIPS_PER_CATEGORY} chips per category`
+          ),
+      })
+    )
+    .refine(
+      (entries) => new Set(entries.map((entry) => entry.category)).size === entries.length,
+      "Each category can only be listed once"
+    )
+    // Categories left without chips are not stored
+    .transform((entries) => entries.filter((entry) => entry.chips.length > 0)),
+});
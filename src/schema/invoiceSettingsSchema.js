@@ -0,0 +1,30 @@
+import { z } from "zod/v4";
+import { INVOICE_PREFIX_MAX_LENGTH } from "@/src/lib/invoice";
+
+// 2-digit state code, PAN, entity number, "Z", checksum character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/* ---------------- INVOICE SETTINGS SCHEMA ---------------- */
+export const invoiceSettingsSchema = z.object({
+  legalName: z.string().trim().max(100, "Legal name cannot exceed 100 characters").optional().default(""),
+
+  address: z.string().trim().max(300, "Address cannot exceed 300 characters").optional().default(""),
+
+  gstin: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .refine((gstin) => gstin === "" || GSTIN_PATTERN.test(gstin), "Enter a valid 15-character GSTIN")
+    .optional()
+    .default(""),
+
+  prefix: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .min(1, "Invoice prefix is required")
+    .max(INVOICE_PREFIX_MAX_LENGTH, `Prefix cannot exceed ${INVOICE_PREFIX_MAX_LENGTH} characters`)
+    .regex(/^[A-Z0-9]+$/, "Use letters and numbers only"),
+
+  footerNote: z.string().trim().max(120, "Footer note cannot exceed 120 characters").optional().default(""),
+});
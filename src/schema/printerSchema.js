@@ -0,0 +1,48 @@
+import { z } from "zod/v4";
+import { PRINTER_PAPER_WIDTHS, PRINT_QUEUE_CONFIG } from "@/src/lib/constants";
+
+/* ---------------- PRINTER SCHEMA ---------------- */
+export const addPrinterSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Printer name is required")
+    .max(30, "Printer name cannot exceed 30 characters"),
+
+  host: z
+    .string()
+    .trim()
+    .min(1, "Printer address is required")
+    .max(253, "Printer address is too long")
+    .regex(/^[A-Za-z0-9.-]+$/, "Enter an IP address or host name, e.g. 192.168.1.50"),
+
+  port: z.coerce
+    .number()
+    .int("Must be a whole number")
+    .min(1, "Invalid port")
+    .max(65535, "Invalid port")
+    .default(PRINT_QUEUE_CONFIG.DEFAULT_PORT),
+
+  paperWidth: z.enum(PRINTER_PAPER_WIDTHS, {
+    message: "Invalid paper width",
+  }),
+
+  // "" from the form means no station
+  stationId: z.preprocess(
+    (value) => value || null,
+    z.string().regex(/^[a-f\d]{24}$/i, "Invalid station").nullable()
+  ),
+
+  categories: z
+    .array(z.string().trim().min(1))
+    .max(50, "Too many categories")
+    .default([])
+    .transform((categories) => [...new Set(categories)]),
+
+  isActive: z.coerce.boolean(),
+});
+
+/* ---------------- EDIT PRINTER SCHEMA ---------------- */
+export const editPrinterSchema = addPrinterSchema.safeExtend({
+  _id: z.string().min(1, "Printer ID is required"),
+});
@@ -0,0 +1,34 @@
+import { z } from "zod/v4";
+import { REFUND_TYPES, REFUND_REASON_MAX_LENGTH } from "@/src/lib/refunds";
+
+/* ---------------- REFUND SCHEMA ---------------- */
+export const refundSchema = z
+  .object({
+    type: z.enum(REFUND_TYPES, {
+      message: "Invalid refund type",
+    }),
+
+    // Lines to refund (partial refunds only)
+    items: z
+      .array(
+        z.object({
+          itemId: z.string().regex(/^[a-f\d]{24}$/i, "Invalid item"),
+          quantity: z.coerce
+            .number()
+            .int("Must be a whole number")
+            .min(1, "Refund at least 1"),
+        })
+      )
+      .optional()
+      .default([]),
+
+    reason: z
+      .string()
+      .trim()
+      .min(1, "Please give a reason for the refund")
+      .max(REFUND_REASON_MAX_LENGTH, `Reason cannot exceed ${REFUND_REASON_MAX_LENGTH} characters`),
+  })
+  .refine((data) => data.type === "full" || data.items.length > 0, {
+    message: "Choose at least one item to refund",
+    path: ["items"],
+  });
@@ -1,4 +1,48 @@
 import { z } from "zod/v4";
+import { EMPTY_SCHEDULE } from "@/src/lib/availability";
+import { scheduleSchema } from "@/src/schema/availabilitySchema";
+import { DEFAULT_LOW_STOCK_THRESHOLD } from "@/src/lib/stock";
+
+/* ---------------- STOCK COUNT ---------------- */
+// An empty field means the count is not tracked
+const stockCount = z.preprocess(
+  (value) => (value === "" || value === undefined ? null : value),
+  z.coerce.number().int("Stock must be a whole number").min(0, "Stock cannot be negative").nullable()
+);
+
+/* ---------------- MODIFIER GROUP SCHEMA ---------------- */
+// Saved ids are sent back on edit so carts holding an option (or a
+// variant, whose stock orders hold) keep working
+const savedId = z
+  .string()
+  .regex(/^[a-f\d]{24}$/i, "Invalid id")
+  .optional();
+
+const modifierGroupSchema = z
+  .object({
+    _id: savedId,
+    name: z.string().trim().min(1, "Group name is required"),
+    minSelect: z.coerce.number().int().min(0, "Minimum cannot be negative"),
+    maxSelect: z.coerce.number().int().min(1, "Maximum must be at least 1"),
+    options: z
+      .array(
+        z.object({
+          _id: savedId,
+          label: z.string().trim().min(1, "Option name is required"),
+          price: z.coerce.number().min(0, "Add-on price cannot be negative"),
+          isAvailable: z.coerce.boolean().optional().default(true),
+        })
+      )
+      .min(1, "Add at least one option"),
+  })
+  .refine((group) => group.maxSelect >= group.minSelect, {
+    message: "Maximum cannot be less than minimum",
+    path: ["maxSelect"],
+  })
+  .refine((group) => group.minSelect <= group.options.length, {
+    message: "Minimum is more than the options on offer",
+    path: ["minSelect"],
+  });
 
 /* ---------------- RESTAURANT FOOD SCHEMA ---------------- */
 export const addFoodItemSchema = z
@@ -21,19 +65,35 @@ export const addFoodItemSchema = z
 
     variants: z.array(
       z.object({
+        _id: savedId,
         label: z.string().min(1, "Variant label is required"),
         price: z.coerce.number().positive("Price must be greater than 0"),
 
         isAvailable: z.coerce.boolean().optional().default(true),
+
+        stock: stockCount,
       })
     ),
 
+    modifierGroups: z.array(modifierGroupSchema).optional().default([]),
+
+    schedule: scheduleSchema.optional().default(EMPTY_SCHEDULE),
+
     tags: z.array(z.string()).optional().default([]),
 
     imageUrl: z.string().url("Invalid image URL").optional().or(z.literal("")),
 
     isAvailable: z.coerce.boolean().optional().default(true),
 
+    stock: stockCount,
+
+    lowStockThreshold: z.coerce
+      .number()
+      .int("Threshold must be a whole number")
+      .min(0, "Threshold cannot be negative")
+      .optional()
+      .default(DEFAULT_LOW_STOCK_THRESHOLD),
+
     restaurantId: z.string().min(1, "Restaurant ID is required"),
   })
   .passthrough(); // 🔥 allows extra fields (FormData, files, etc.)
@@ -44,4 +104,11 @@ export const editFoodItemSchema = addFoodItemSchema
   .partial() // 🔥 make all fields optional
   .extend({
     _id: z.string().min(1, "Food item ID is required"),
+
+    // Counts the admin changed; they are set on their own and every other
+    // stock field sent is ignored, since orders take from it meanwhile
+    restock: z
+      .array(z.object({ variantId: savedId, stock: stockCount }))
+      .optional()
+      .default([]),
   });
\ No newline at end of file
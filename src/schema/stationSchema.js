@@ -0,0 +1,27 @@
+import { z } from "zod/v4";
+
+/* ---------------- KITCHEN STATION SCHEMA ---------------- */
+export const addStationSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Station name is required")
+    .max(30, "Station name cannot exceed 30 characters"),
+
+  categories: z
+    .array(z.string().trim().min(1))
+    .max(50, "Too many categories")
+    .default([])
+    .transform((categories) => [...new Set(categories)]),
+
+  foodIds: z
+    .array(z.string().regex(/^[a-f\d]{24}$/i, "Invalid menu item"))
+    .max(500, "Too many menu items")
+    .default([])
+    .transform((foodIds) => [...new Set(foodIds)]),
+});
+
+/* ---------------- EDIT KITCHEN STATION SCHEMA ---------------- */
+export const editStationSchema = addStationSchema.safeExtend({
+  _id: z.string().min(1, "Station ID is required"),
+});
@@ -0,0 +1,30 @@
+import { z } from "zod/v4";
+import { TABLE_STATUSES } from "@/src/lib/constants";
+
+/* ---------------- TABLE SCHEMA ---------------- */
+export const addTableSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Table name is required")
+    .max(20, "Table name cannot exceed 20 characters")
+    .regex(/^[A-Za-z0-9 _-]+$/, "Use letters, numbers, spaces, - or _ only")
+    .transform((name) => name.replace(/\s+/g, " ").toUpperCase()),
+
+  capacity: z.coerce
+    .number()
+    .int("Must be a whole number")
+    .min(1, "Must seat at least 1")
+    .max(50, "Cannot exceed 50 seats"),
+
+  area: z.string().trim().max(40, "Area cannot exceed 40 characters").optional().default(""),
+
+  status: z.enum(TABLE_STATUSES, {
+    message: "Invalid table status",
+  }),
+});
+
+/* ---------------- EDIT TABLE SCHEMA ---------------- */
+export const editTableSchema = addTableSchema.safeExtend({
+  _id: z.string().min(1, "Table ID is required"),
+});